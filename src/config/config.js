@@ -23,6 +23,9 @@ const config = {
   JWT_SECRET: process.env.JWT_SECRET || 'rahasia2025TRACAS',
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
   
+  // Password hashing
+  BCRYPT_SALT_ROUNDS: parseInt(process.env.BCRYPT_SALT_ROUNDS || '10'),
+  
   // Encryption
   ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || '2828ee424a9e634ce56aa525073576875561091d060dd9efec4e0ec266a57b08',
   ENCRYPTION_IV: process.env.ENCRYPTION_IV || '1234567890123456',
@@ -32,6 +35,10 @@ const config = {
   LOG_TO_FILE: process.env.LOG_TO_FILE === 'true',
   LOG_RETENTION_DAYS: parseInt(process.env.LOG_RETENTION_DAYS || '14'),
   
+  // Default pengaturan anak baru
+  MAX_DEFAULT_SCREEN_TIME: parseInt(process.env.MAX_DEFAULT_SCREEN_TIME || '120'), // menit
+  CONTENT_FILTER_THRESHOLD: parseInt(process.env.CONTENT_FILTER_THRESHOLD || '85'),
+  
   // Device
   DEVICE_ID: process.env.DEVICE_ID || 'tracas-server-instance-1'
 };
@@ -57,6 +57,9 @@ const config = {
     allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
   },
   
+  // Analisis konten: mock di lokal, TensorFlow di produksi
+  ai: process.env.AI_MODE || (isLocal ? 'mock' : 'tensorflow'),
+  
   // Kids API
   kids: {
     apiKey: process.env.KIDS_API_KEY,
@@ -64,6 +67,23 @@ const config = {
       process.env.ALLOWED_KIDS_ORIGINS.split(',') : ['*']
   },
   
+  // URL aplikasi orang tua, dipakai untuk tautan di email (reset password, verifikasi)
+  appUrl: process.env.APP_URL || (isLocal ? 'http://localhost:5173' : 'https://app.tracas.id'),
+
+  // Email: transport smtp, file (tulis ke folder), atau console (tulis ke log)
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || (isLocal ? 'console' : 'smtp'),
+    from: process.env.MAIL_FROM || 'TRACAS <no-reply@tracas.id>',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    fileDir: process.env.MAIL_FILE_PATH || './data/mail'
+  },
+
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || 'info',
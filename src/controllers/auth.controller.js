@@ -1,236 +1,589 @@
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const db = require('../db/setup');
-const config = require('../config/config');
-
-/**
- * Mendaftarkan pengguna baru (orang tua)
- */
-exports.register = (req, res) => {
-  const { email, password, full_name } = req.body;
-  
-  // Validasi input
-  if (!email || !password || !full_name) {
-    return res.status(400).json({
-      message: 'Email, password, dan nama lengkap wajib diisi'
-    });
-  }
-  
-  // Periksa apakah email sudah terdaftar
-  db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
-    if (err) {
-      return res.status(500).json({
-        message: 'Kesalahan database',
-        error: config.NODE_ENV === 'development' ? err.message : undefined
-      });
-    }
-    
-    if (row) {
-      return res.status(400).json({
-        message: 'Email sudah terdaftar'
+const accountService = require('../services/AccountService');
+const { AccountError } = require('../services/AccountService');
+const tokenService = require('../services/TokenService');
+const { TokenError } = require('../services/TokenService');
+const twoFactorService = require('../services/TwoFactorService');
+const { TwoFactorError } = require('../services/TwoFactorService');
+const loginLockoutService = require('../services/LoginLockoutService');
+const { LockoutError } = require('../services/LoginLockoutService');
+const { securityLogger } = require('../utils/logger');
+
+/**
+ * Ambil ID perangkat dari body atau header
+ * @param {Object} req - Request object
+ * @returns {string} ID perangkat
+ */
+const getDeviceId = (req) => req.body.deviceId || req.headers['x-device-id'] || 'unknown-device';
+
+/**
+ * Ambil info klien yang disimpan bersama sesi login
+ * @param {Object} req - Request object
+ * @returns {{userAgent: string, ip: string}}
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
+
+/**
+ * Kirim response untuk AccountError/TokenError/TwoFactorError, error lain diteruskan ke error handler
+ */
+const handleAccountError = (error, res, next) => {
+  if (error instanceof AccountError || error instanceof TokenError || error instanceof TwoFactorError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  next(error);
+};
+
+/**
+ * Kirim response untuk login yang diblokir penguncian (akun/IP dikunci atau masih dalam masa jeda)
+ * @param {LockoutError} error - Error penguncian
+ * @param {Object} res - Response object
+ * @param {Object} context - Data tambahan untuk audit log
+ */
+const sendLockoutError = (error, res, context) => {
+  securityLogger.logAuth(false, 'Login blocked by lockout', {
+    ...context,
+    reason: error.code
+  });
+
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    retryAfter: error.retryAfter
+  });
+};
+
+/**
+ * Mendaftarkan pengguna baru (orang tua). Akun menunggu verifikasi email.
+ */
+exports.register = async (req, res, next) => {
+  const { username, email, password, name } = req.body;
+
+  try {
+    const user = await accountService.register({
+      username,
+      email,
+      password,
+      name,
+      client: getClientInfo(req)
+    });
+
+    securityLogger.logAuth(true, 'Registration successful', {
+      userId: user.id,
+      ip: req.ip,
+      role: user.role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registrasi berhasil. Buka tautan verifikasi yang dikirim ke email Anda untuk mengaktifkan akun.',
+      verificationRequired: true,
+      user
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      securityLogger.logAuth(false, 'Registration rejected', {
+        ip: req.ip,
+        reason: error.code
       });
     }
-    
-    // Hash password
-    bcrypt.hash(password, config.BCRYPT_SALT_ROUNDS, (err, hashedPassword) => {
-      if (err) {
-        return res.status(500).json({
-          message: 'Kesalahan saat mengenkripsi password',
-          error: config.NODE_ENV === 'development' ? err.message : undefined
-        });
-      }
-      
-      // Simpan user baru
-      db.run(
-        'INSERT INTO users (email, password, full_name) VALUES (?, ?, ?)',
-        [email, hashedPassword, full_name],
-        function(err) {
-          if (err) {
-            return res.status(500).json({
-              message: 'Kesalahan saat mendaftarkan pengguna',
-              error: config.NODE_ENV === 'development' ? err.message : undefined
-            });
-          }
-          
-          // Buat token JWT
-          const token = jwt.sign(
-            { id: this.lastID },
-            config.JWT_SECRET,
-            { expiresIn: config.JWT_EXPIRES_IN }
-          );
-          
-          res.status(201).json({
-            message: 'Pendaftaran berhasil',
-            token,
-            user: {
-              id: this.lastID,
-              email,
-              full_name
-            }
-          });
-        }
-      );
+
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Aktifkan akun dengan token dari email verifikasi
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await accountService.verifyEmail(req.body.token);
+
+    securityLogger.logAuth(true, 'Email verified', {
+      userId: user.id,
+      ip: req.ip
     });
-  });
+
+    res.json({
+      success: true,
+      message: 'Email berhasil diverifikasi. Silakan login.',
+      user
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
 };
 
 /**
- * Login untuk pengguna yang terdaftar
+ * Kirim ulang tautan verifikasi email.
+ * Response selalu sama agar tidak membocorkan apakah email terdaftar.
  */
-exports.login = (req, res) => {
-  const { email, password } = req.body;
-  
-  // Validasi input
-  if (!email || !password) {
-    return res.status(400).json({
-      message: 'Email dan password wajib diisi'
+exports.resendVerification = async (req, res, next) => {
+  try {
+    await accountService.resendVerification(req.body.email, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Jika akun terdaftar dan belum diverifikasi, tautan verifikasi telah dikirim'
     });
+  } catch (error) {
+    next(error);
   }
-  
-  // Cari user berdasarkan email
-  db.get('SELECT * FROM users WHERE email = ?', [email], (err, user) => {
-    if (err) {
-      return res.status(500).json({
-        message: 'Kesalahan database',
-        error: config.NODE_ENV === 'development' ? err.message : undefined
+};
+
+/**
+ * Login dengan username atau email
+ */
+exports.login = async (req, res, next) => {
+  const { password } = req.body;
+  const identifier = req.body.login || req.body.username || req.body.email;
+  const clientIp = req.ip;
+
+  try {
+    const { user, tokens, twoFactor } = await accountService.login({
+      identifier,
+      password,
+      deviceId: getDeviceId(req),
+      client: getClientInfo(req)
+    });
+
+    // Password benar tetapi 2FA aktif: client harus mengirim kode ke /api/auth/2fa/verify
+    if (twoFactor) {
+      securityLogger.logAuth(true, 'Password verified, 2FA required', {
+        userId: user.id,
+        ip: clientIp
       });
-    }
-    
-    if (!user) {
-      return res.status(401).json({
-        message: 'Email atau password salah'
+
+      return res.json({
+        success: true,
+        message: 'Masukkan kode dari aplikasi authenticator',
+        twoFactorRequired: true,
+        ...twoFactor
       });
     }
-    
-    // Periksa password
-    bcrypt.compare(password, user.password, (err, isMatch) => {
-      if (err) {
-        return res.status(500).json({
-          message: 'Kesalahan saat memverifikasi password',
-          error: config.NODE_ENV === 'development' ? err.message : undefined
-        });
-      }
-      
-      if (!isMatch) {
-        return res.status(401).json({
-          message: 'Email atau password salah'
-        });
-      }
-      
-      // Buat token JWT
-      const token = jwt.sign(
-        { id: user.id },
-        config.JWT_SECRET,
-        { expiresIn: config.JWT_EXPIRES_IN }
-      );
-      
-      res.json({
-        message: 'Login berhasil',
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          full_name: user.full_name
-        }
+
+    securityLogger.logAuth(true, 'Login successful', {
+      userId: user.id,
+      ip: clientIp,
+      role: user.role
+    });
+
+    res.json({
+      success: true,
+      ...tokens,
+      user
+    });
+  } catch (error) {
+    // Akun atau IP dikunci, atau masih dalam masa jeda setelah login gagal
+    if (error instanceof LockoutError) {
+      return sendLockoutError(error, res, { identifier, ip: clientIp });
+    }
+
+    if (!(error instanceof AccountError)) {
+      return next(error);
+    }
+
+    // Password sudah benar, jadi aman memberi tahu bahwa akun belum aktif
+    if (error.code === 'EMAIL_NOT_VERIFIED') {
+      securityLogger.logAuth(false, 'Login rejected, email not verified', {
+        identifier,
+        ip: clientIp
       });
+
+      return handleAccountError(error, res, next);
+    }
+
+    securityLogger.logAuth(false, error.code === 'USER_NOT_FOUND' ? 'User not found' : 'Password mismatch', {
+      identifier,
+      ip: clientIp
     });
-  });
+
+    // Jangan bedakan user tidak ada dan password salah agar username tidak bisa ditebak
+    res.status(401).json({
+      success: false,
+      message: 'Username atau password salah',
+      code: 'INVALID_CREDENTIALS'
+    });
+  }
 };
 
 /**
- * Mendapatkan data profil pengguna
+ * Buka kunci akun dengan token dari email penguncian
  */
-exports.getProfile = (req, res) => {
-  db.get('SELECT id, email, full_name, created_at FROM users WHERE id = ?', [req.userId], (err, user) => {
-    if (err) {
-      return res.status(500).json({
-        message: 'Kesalahan database',
-        error: config.NODE_ENV === 'development' ? err.message : undefined
-      });
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    await accountService.unlockAccount(req.body.token, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Kunci akun berhasil dibuka. Silakan login kembali.'
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Login tahap kedua: tukar challengeToken dengan kode TOTP atau backup code
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  try {
+    const { user, tokens } = await accountService.completeTwoFactorLogin({
+      challengeToken,
+      code,
+      client: { ip: req.ip }
+    });
+
+    securityLogger.logAuth(true, 'Login successful', {
+      userId: user.id,
+      ip: req.ip,
+      role: user.role,
+      method: '2fa'
+    });
+
+    res.json({
+      success: true,
+      ...tokens,
+      user
+    });
+  } catch (error) {
+    // Kode 2FA yang salah ikut dihitung penguncian login akun dan IP
+    if (error instanceof LockoutError) {
+      return sendLockoutError(error, res, { ip: req.ip, method: '2fa' });
     }
-    
-    if (!user) {
-      return res.status(404).json({
-        message: 'Pengguna tidak ditemukan'
-      });
+
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Buat pasangan token baru dari refresh token (refresh token lama tidak bisa dipakai lagi)
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const tokenPair = await tokenService.rotate(req.body.refreshToken, { ip: req.ip });
+
+    res.json({
+      success: true,
+      ...tokenPair
+    });
+  } catch (error) {
+    if (!(error instanceof TokenError)) {
+      return next(error);
     }
-    
+
+    securityLogger.logAuth(false, 'Token refresh failed', {
+      ip: req.ip,
+      reason: error.code
+    });
+
+    res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+};
+
+/**
+ * Mendapatkan data profil pengguna yang sedang login
+ */
+exports.getProfile = async (req, res, next) => {
+  try {
+    const user = await accountService.getProfile(req.userId);
+
     res.json({
+      success: true,
       user
     });
-  });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
 };
 
 /**
  * Mengubah password pengguna
  */
-exports.changePassword = (req, res) => {
+exports.changePassword = async (req, res, next) => {
   const { currentPassword, newPassword } = req.body;
-  
-  // Validasi input
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({
-      message: 'Password saat ini dan password baru wajib diisi'
-    });
-  }
-  
-  // Dapatkan user
-  db.get('SELECT * FROM users WHERE id = ?', [req.userId], (err, user) => {
-    if (err) {
-      return res.status(500).json({
-        message: 'Kesalahan database',
-        error: config.NODE_ENV === 'development' ? err.message : undefined
+
+  try {
+    await accountService.changePassword(req.userId, currentPassword, newPassword);
+
+    securityLogger.logAuth(true, 'Password changed', {
+      userId: req.userId,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Password berhasil diubah. Silakan login kembali.'
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      securityLogger.logAuth(false, 'Password change rejected', {
+        userId: req.userId,
+        ip: req.ip,
+        reason: error.code
       });
     }
-    
-    if (!user) {
-      return res.status(404).json({
-        message: 'Pengguna tidak ditemukan'
+
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Minta tautan reset password lewat email.
+ * Response selalu sama agar tidak membocorkan apakah email terdaftar.
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    await accountService.requestPasswordReset(req.body.email, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Jika email terdaftar, tautan reset password telah dikirim'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ganti password dengan token dari email reset password
+ */
+exports.resetPassword = async (req, res, next) => {
+  const { token, newPassword } = req.body;
+
+  try {
+    const user = await accountService.resetPassword(token, newPassword);
+
+    securityLogger.logAuth(true, 'Password reset', {
+      userId: user.id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Password berhasil direset. Silakan login dengan password baru.'
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      securityLogger.logAuth(false, 'Password reset rejected', {
+        ip: req.ip,
+        reason: error.code
       });
     }
-    
-    // Verifikasi password saat ini
-    bcrypt.compare(currentPassword, user.password, (err, isMatch) => {
-      if (err) {
-        return res.status(500).json({
-          message: 'Kesalahan saat memverifikasi password',
-          error: config.NODE_ENV === 'development' ? err.message : undefined
-        });
-      }
-      
-      if (!isMatch) {
-        return res.status(401).json({
-          message: 'Password saat ini salah'
-        });
-      }
-      
-      // Hash password baru
-      bcrypt.hash(newPassword, config.BCRYPT_SALT_ROUNDS, (err, hashedPassword) => {
-        if (err) {
-          return res.status(500).json({
-            message: 'Kesalahan saat mengenkripsi password',
-            error: config.NODE_ENV === 'development' ? err.message : undefined
-          });
-        }
-        
-        // Update password
-        db.run(
-          'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [hashedPassword, req.userId],
-          (err) => {
-            if (err) {
-              return res.status(500).json({
-                message: 'Kesalahan saat mengubah password',
-                error: config.NODE_ENV === 'development' ? err.message : undefined
-              });
-            }
-            
-            res.json({
-              message: 'Password berhasil diubah'
-            });
-          }
-        );
-      });
+
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Logout pengguna: access token yang dipakai dan sesinya dicabut
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    await tokenService.revokeSession(req.user, 'logout');
+
+    securityLogger.logAuth(true, 'Logout successful', {
+      userId: req.userId,
+      ip: req.ip
     });
-  });
-}; 
\ No newline at end of file
+
+    res.json({
+      success: true,
+      message: 'Logout berhasil'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Daftar sesi login aktif milik pengguna
+ */
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await tokenService.listSessions(req.userId, req.user.sid);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cabut satu sesi login (mis. perangkat yang hilang)
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    await tokenService.revokeSessionById(req.userId, req.params.sessionId);
+
+    securityLogger.logAuth(true, 'Session revoked', {
+      userId: req.userId,
+      sessionId: req.params.sessionId,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Sesi berhasil dicabut'
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Keluar dari semua sesi lain, sesi yang sedang dipakai tetap aktif
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await tokenService.revokeOtherSessions(req.userId, req.user.sid);
+
+    securityLogger.logAuth(true, 'Other sessions revoked', {
+      userId: req.userId,
+      revoked,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Berhasil keluar dari semua sesi lain',
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Status two-factor authentication pengguna
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.userId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mulai pendaftaran 2FA: kembalikan secret dan QR code untuk aplikasi authenticator
+ */
+exports.enrollTwoFactor = async (req, res, next) => {
+  try {
+    const user = await accountService.getProfile(req.userId);
+    const enrollment = await twoFactorService.startEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Pindai QR code lalu konfirmasi dengan kode dari aplikasi authenticator',
+      data: enrollment
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Konfirmasi pendaftaran 2FA dengan kode pertama; backup code hanya ditampilkan sekali
+ */
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { backupCodes } = await twoFactorService.confirmEnrollment(req.userId, req.body.code, req.user.sid);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication aktif. Simpan backup code di tempat yang aman.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Nonaktifkan 2FA (wajib password dan kode TOTP atau backup code)
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    await twoFactorService.disable(req.userId, req.body.password, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication dinonaktifkan'
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Riwayat keamanan akun (mis. akun dikunci karena login gagal berulang, kunci dibuka)
+ */
+exports.listSecurityEvents = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const events = await loginLockoutService.listEvents(req.userId, limit);
+
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Daftar akun yang sedang dikunci (admin)
+ */
+exports.listLockedAccounts = async (req, res, next) => {
+  try {
+    const accounts = await loginLockoutService.listLockedAccounts();
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Buka kunci akun pengguna (admin)
+ */
+exports.unlockAccountByAdmin = async (req, res, next) => {
+  try {
+    const wasLocked = await accountService.unlockAccountByAdmin(Number(req.params.userId), req.userId, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Kunci akun berhasil dibuka' : 'Akun tidak sedang dikunci',
+      data: { wasLocked }
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
@@ -0,0 +1,145 @@
+const { Pool } = require('pg');
+
+/**
+ * Ubah placeholder `?` menjadi `$1, $2, ...` sesuai format PostgreSQL.
+ * Tanda tanya di dalam string literal ('...') tidak diubah.
+ * @param {string} sql - Query SQL dengan placeholder `?`
+ * @returns {string} Query SQL dengan placeholder bernomor
+ */
+const toPositionalParams = (sql) => {
+  let index = 0;
+  let inString = false;
+  let result = '';
+
+  for (const char of sql) {
+    if (char === '\'') {
+      inString = !inString;
+    }
+
+    if (char === '?' && !inString) {
+      index++;
+      result += `$${index}`;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Tambahkan RETURNING * pada INSERT agar ID baris baru bisa dikembalikan seperti lastID di SQLite
+ * @param {string} sql - Query SQL
+ * @returns {string} Query SQL
+ */
+const withReturning = (sql) => {
+  if (/^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql)) {
+    return `${sql.trim()} RETURNING *`;
+  }
+  return sql;
+};
+
+/**
+ * Buat fungsi query (run/get/all) di atas client atau pool pg
+ * @param {Object} queryable - Pool atau PoolClient dari pg
+ * @returns {Object} { run, get, all }
+ */
+const createQueryMethods = (queryable) => ({
+  async run(sql, params = []) {
+    const result = await queryable.query(toPositionalParams(withReturning(sql)), params);
+
+    return {
+      lastID: result.rows && result.rows[0] ? result.rows[0].id : undefined,
+      changes: result.rowCount || 0
+    };
+  },
+
+  async get(sql, params = []) {
+    const result = await queryable.query(toPositionalParams(sql), params);
+    return result.rows[0];
+  },
+
+  async all(sql, params = []) {
+    const result = await queryable.query(toPositionalParams(sql), params);
+    return result.rows;
+  }
+});
+
+/**
+ * Adapter database untuk PostgreSQL (Render/Railway)
+ * Menyediakan API yang sama dengan SqliteAdapter sehingga repository dan migrasi
+ * bisa berjalan di kedua database tanpa perubahan.
+ */
+class PostgresAdapter {
+  /**
+   * @param {Object} options - Opsi koneksi
+   * @param {string} options.connectionString - DATABASE_URL (opsional)
+   * @param {string} options.host - Host database
+   * @param {number} options.port - Port database
+   * @param {string} options.database - Nama database
+   * @param {string} options.user - User database
+   * @param {string} options.password - Password database
+   * @param {boolean} options.ssl - Gunakan SSL
+   */
+  constructor({ connectionString, host, port, database, user, password, ssl }) {
+    this.dialect = 'postgres';
+
+    // Tipe kolom yang berbeda antar dialect, dipakai oleh migrasi.
+    // Boolean disimpan sebagai SMALLINT agar query `is_enabled = 1` tetap berlaku seperti di SQLite.
+    this.types = {
+      id: 'SERIAL PRIMARY KEY',
+      boolean: 'SMALLINT',
+      real: 'DOUBLE PRECISION',
+      timestamp: 'TIMESTAMP'
+    };
+
+    this.pool = new Pool(connectionString
+      ? { connectionString, ssl: ssl ? { rejectUnauthorized: false } : undefined }
+      : { host, port, database, user, password, ssl: ssl ? { rejectUnauthorized: false } : undefined });
+
+    this.pool.on('error', (err) => {
+      console.error('PostgreSQL pool error:', err.message);
+    });
+
+    Object.assign(this, createQueryMethods(this.pool));
+
+    console.log(`Connected to PostgreSQL database${connectionString ? '' : ` at ${host}:${port}/${database}`}`);
+  }
+
+  /**
+   * Jalankan fungsi di dalam transaksi. Rollback otomatis jika fungsi melempar error.
+   * @param {Function} fn - async (tx) => {...}, tx memiliki run/get/all yang sama
+   * @returns {Promise<*>} Nilai kembalian fn
+   */
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    const tx = {
+      dialect: this.dialect,
+      types: this.types,
+      ...createQueryMethods(client)
+    };
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(tx);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Tutup semua koneksi di pool
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.pool.end();
+    console.log('Database connection closed');
+  }
+}
+
+module.exports = PostgresAdapter;
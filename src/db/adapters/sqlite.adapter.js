@@ -0,0 +1,136 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Adapter database untuk SQLite (mode lokal)
+ * Membungkus API callback sqlite3 menjadi API berbasis Promise
+ */
+class SqliteAdapter {
+  /**
+   * @param {Object} options - Opsi koneksi
+   * @param {string} options.filename - Path file database SQLite
+   */
+  constructor({ filename }) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+
+    // Tipe kolom yang berbeda antar dialect, dipakai oleh migrasi
+    this.types = {
+      id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      boolean: 'BOOLEAN',
+      real: 'REAL',
+      timestamp: 'TIMESTAMP'
+    };
+
+    // Antrian transaksi: sqlite3 hanya punya satu koneksi sehingga transaksi harus berurutan
+    this.transactionQueue = Promise.resolve();
+
+    // Pastikan direktori untuk database ada
+    const dbDir = path.dirname(filename);
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true });
+    }
+
+    // Buat koneksi database
+    this.db = new sqlite3.Database(filename, (err) => {
+      if (err) {
+        console.error('Error connecting to SQLite database:', err.message);
+        return;
+      }
+      console.log('Connected to SQLite database at', filename);
+
+      // Aktifkan foreign keys
+      this.db.run('PRAGMA foreign_keys = ON');
+    });
+  }
+
+  /**
+   * Jalankan query yang mengubah data (INSERT, UPDATE, DELETE, DDL)
+   * @param {string} sql - Query SQL dengan placeholder `?`
+   * @param {Array} params - Parameter query
+   * @returns {Promise<{lastID: number, changes: number}>}
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  /**
+   * Ambil satu baris hasil query
+   * @param {string} sql - Query SQL dengan placeholder `?`
+   * @param {Array} params - Parameter query
+   * @returns {Promise<Object|undefined>}
+   */
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) return reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Ambil semua baris hasil query
+   * @param {string} sql - Query SQL dengan placeholder `?`
+   * @param {Array} params - Parameter query
+   * @returns {Promise<Object[]>}
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Jalankan fungsi di dalam transaksi. Rollback otomatis jika fungsi melempar error.
+   * @param {Function} fn - async (tx) => {...}, tx memiliki run/get/all yang sama
+   * @returns {Promise<*>} Nilai kembalian fn
+   */
+  transaction(fn) {
+    const execute = async () => {
+      await this.run('BEGIN TRANSACTION');
+
+      try {
+        const result = await fn(this);
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    };
+
+    const result = this.transactionQueue.then(execute, execute);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Tutup koneksi database
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) {
+          console.error('Error closing database:', err.message);
+          reject(err);
+        } else {
+          console.log('Database connection closed');
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,155 @@
+/**
+ * Migrasi 001: Skema awal
+ * Tabel-tabel dasar yang sebelumnya dibuat oleh createTables() di db/setup.js.
+ * Menggunakan IF NOT EXISTS agar aman dijalankan pada database yang sudah ada.
+ * Tipe kolom yang berbeda antara SQLite dan PostgreSQL diambil dari db.types.
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+    
+    // Tabel Users (Orang Tua & Anak)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id ${types.id},
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL,
+        name TEXT,
+        email TEXT UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Tabel Children (Perangkat Anak)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS children (
+        id ${types.id},
+        parent_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        device_id TEXT UNIQUE,
+        device_model TEXT,
+        device_os TEXT,
+        last_sync TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Tabel Applications (Aplikasi yang diinstal di perangkat anak)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS applications (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        package_name TEXT NOT NULL,
+        app_name TEXT NOT NULL,
+        category TEXT,
+        is_blocked ${types.boolean} DEFAULT 0,
+        usage_limit INTEGER DEFAULT 60,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE,
+        UNIQUE(child_id, package_name)
+      )
+    `);
+    
+    // Tabel Application Usage (Penggunaan aplikasi oleh anak)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS app_usage (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        package_name TEXT NOT NULL,
+        usage_date DATE NOT NULL,
+        usage_time INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Tabel Screen Time (Pengaturan waktu layar)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS screen_time (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        day_of_week INTEGER NOT NULL,
+        start_time TEXT,
+        end_time TEXT,
+        max_usage INTEGER DEFAULT 120,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE,
+        UNIQUE(child_id, day_of_week)
+      )
+    `);
+    
+    // Tabel Safe Zones (Zona aman anak)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS safe_zones (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        latitude ${types.real} NOT NULL,
+        longitude ${types.real} NOT NULL,
+        radius INTEGER DEFAULT 500,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Tabel Location History (Riwayat lokasi anak)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS location_history (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        latitude ${types.real} NOT NULL,
+        longitude ${types.real} NOT NULL,
+        accuracy ${types.real},
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Tabel Content Filtering (Aturan filter konten)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS content_filters (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        filter_type TEXT NOT NULL,
+        is_enabled ${types.boolean} DEFAULT 1,
+        sensitivity INTEGER DEFAULT 85,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Tabel Notifications (Notifikasi untuk orang tua)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        type TEXT,
+        is_read ${types.boolean} DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (db) => {
+    // Hapus dengan urutan terbalik agar foreign key tidak bermasalah
+    await db.run('DROP TABLE IF EXISTS notifications');
+    await db.run('DROP TABLE IF EXISTS content_filters');
+    await db.run('DROP TABLE IF EXISTS location_history');
+    await db.run('DROP TABLE IF EXISTS safe_zones');
+    await db.run('DROP TABLE IF EXISTS screen_time');
+    await db.run('DROP TABLE IF EXISTS app_usage');
+    await db.run('DROP TABLE IF EXISTS applications');
+    await db.run('DROP TABLE IF EXISTS children');
+    await db.run('DROP TABLE IF EXISTS users');
+  }
+};
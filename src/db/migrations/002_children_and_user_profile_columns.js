@@ -0,0 +1,30 @@
+/**
+ * Migrasi 002: Kolom yang dipakai controller tetapi belum ada di skema awal
+ * - children.user_id, birth_date, max_screen_time, updated_at
+ * - users.full_name
+ */
+
+module.exports = {
+  up: async (db) => {
+    // Tanpa REFERENCES agar kolom bisa di-drop saat rollback; relasi tetap dijaga oleh parent_id
+    await db.run('ALTER TABLE children ADD COLUMN user_id INTEGER');
+    await db.run('ALTER TABLE children ADD COLUMN birth_date DATE');
+    await db.run('ALTER TABLE children ADD COLUMN max_screen_time INTEGER DEFAULT 120');
+    // SQLite tidak mengizinkan default CURRENT_TIMESTAMP pada ALTER TABLE, isi manual di bawah
+    await db.run('ALTER TABLE children ADD COLUMN updated_at TIMESTAMP');
+    await db.run('ALTER TABLE users ADD COLUMN full_name TEXT');
+
+    // Isi kolom baru dari data yang sudah ada
+    await db.run('UPDATE children SET user_id = parent_id WHERE user_id IS NULL');
+    await db.run('UPDATE children SET updated_at = created_at WHERE updated_at IS NULL');
+    await db.run('UPDATE users SET full_name = name WHERE full_name IS NULL');
+  },
+
+  down: async (db) => {
+    await db.run('ALTER TABLE users DROP COLUMN full_name');
+    await db.run('ALTER TABLE children DROP COLUMN updated_at');
+    await db.run('ALTER TABLE children DROP COLUMN max_screen_time');
+    await db.run('ALTER TABLE children DROP COLUMN birth_date');
+    await db.run('ALTER TABLE children DROP COLUMN user_id');
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migrasi 003: Antrian perintah dari orang tua ke perangkat anak
+ * Perintah disimpan di server dan diteruskan ke perangkat lewat koneksi realtime
+ * atau saat perangkat melakukan polling berikutnya.
+ * Status: queued -> delivered -> acknowledged | failed, atau expired jika melewati expires_at.
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    // Waktu disimpan sebagai string ISO 8601 (UTC) agar perbandingan expires_at sama di SQLite dan PostgreSQL
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS device_commands (
+        id ${types.id},
+        command_id TEXT UNIQUE NOT NULL,
+        child_id INTEGER NOT NULL,
+        issued_by INTEGER,
+        type TEXT NOT NULL,
+        payload TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        result TEXT,
+        error TEXT,
+        expires_at TEXT NOT NULL,
+        delivered_at TEXT,
+        completed_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_device_commands_child_status ON device_commands (child_id, status)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_device_commands_child_status');
+    await db.run('DROP TABLE IF EXISTS device_commands');
+  }
+};
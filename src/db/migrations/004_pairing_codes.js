@@ -0,0 +1,32 @@
+/**
+ * Migrasi 004: Kode pairing sekali pakai untuk menghubungkan aplikasi CIMOY Kids ke anak
+ * Hanya hash kode yang disimpan; kode asli hanya ditampilkan sekali ke orang tua (teks dan QR).
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    // Waktu disimpan sebagai string ISO 8601 (UTC), sama seperti device_commands
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS pairing_codes (
+        id ${types.id},
+        code_hash TEXT UNIQUE NOT NULL,
+        child_id INTEGER NOT NULL,
+        created_by INTEGER,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        device_id TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_pairing_codes_child ON pairing_codes (child_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_pairing_codes_child');
+    await db.run('DROP TABLE IF EXISTS pairing_codes');
+  }
+};
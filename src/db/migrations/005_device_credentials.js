@@ -0,0 +1,32 @@
+/**
+ * Migrasi 005: Kredensial perangkat CIMOY Kids
+ * Setiap perangkat yang selesai pairing mendapat satu refresh credential berumur panjang.
+ * Hanya hash secret yang disimpan; kredensial bisa dicabut orang tua (revoked_at).
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS device_credentials (
+        id ${types.id},
+        credential_id TEXT UNIQUE NOT NULL,
+        child_id INTEGER NOT NULL,
+        device_id TEXT NOT NULL,
+        secret_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_device_credentials_child ON device_credentials (child_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_device_credentials_child');
+    await db.run('DROP TABLE IF EXISTS device_credentials');
+  }
+};
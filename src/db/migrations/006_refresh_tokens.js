@@ -0,0 +1,63 @@
+/**
+ * Migrasi 006: Refresh token berstatus dan daftar pencabutan access token
+ * - token_families: satu keluarga per sesi login; semua refresh token hasil rotasi berbagi family_id
+ * - refresh_tokens: setiap refresh token yang pernah diterbitkan (jti), dipakai sekali lalu diganti
+ * - revoked_tokens: access token (jti) yang dicabut sebelum kedaluwarsa, mis. karena logout
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    // Waktu disimpan sebagai string ISO 8601 (UTC), sama seperti tabel lain sejak migrasi 003
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS token_families (
+        id ${types.id},
+        family_id TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL,
+        device_id TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_reason TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id ${types.id},
+        jti TEXT UNIQUE NOT NULL,
+        family_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        replaced_by TEXT,
+        FOREIGN KEY (family_id) REFERENCES token_families (family_id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        id ${types.id},
+        jti TEXT UNIQUE NOT NULL,
+        user_id INTEGER,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT NOT NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_token_families_user ON token_families (user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_refresh_tokens_family');
+    await db.run('DROP INDEX IF EXISTS idx_token_families_user');
+    await db.run('DROP TABLE IF EXISTS revoked_tokens');
+    await db.run('DROP TABLE IF EXISTS refresh_tokens');
+    await db.run('DROP TABLE IF EXISTS token_families');
+  }
+};
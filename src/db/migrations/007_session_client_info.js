@@ -0,0 +1,17 @@
+/**
+ * Migrasi 007: Info klien untuk setiap sesi login (token_families)
+ * Dipakai daftar sesi aktif di /api/auth/sessions: user agent saat login
+ * dan IP terakhir yang memakai sesi (lokasi diturunkan dari IP saat ditampilkan).
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.run('ALTER TABLE token_families ADD COLUMN user_agent TEXT');
+    await db.run('ALTER TABLE token_families ADD COLUMN ip TEXT');
+  },
+
+  down: async (db) => {
+    await db.run('ALTER TABLE token_families DROP COLUMN ip');
+    await db.run('ALTER TABLE token_families DROP COLUMN user_agent');
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Migrasi 008: Two-factor authentication (TOTP)
+ * - user_two_factor: secret TOTP terenkripsi (KeyManager); enabled_at kosong selama pendaftaran belum dikonfirmasi
+ * - two_factor_backup_codes: hash backup code sekali pakai
+ * - two_factor_challenges: tantangan login tahap kedua (hanya hash token yang disimpan)
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        id ${types.id},
+        user_id INTEGER UNIQUE NOT NULL,
+        secret_encrypted TEXT NOT NULL,
+        last_used_step INTEGER,
+        enabled_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS two_factor_challenges (
+        id ${types.id},
+        token_hash TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL,
+        device_id TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user ON two_factor_backup_codes (user_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_two_factor_backup_codes_user');
+    await db.run('DROP TABLE IF EXISTS two_factor_challenges');
+    await db.run('DROP TABLE IF EXISTS two_factor_backup_codes');
+    await db.run('DROP TABLE IF EXISTS user_two_factor');
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migrasi 009: Kunci penandatanganan JWT
+ * Kunci RSA disimpan di database agar semua instance server memakai kunci yang sama.
+ * - generation unik: hanya satu instance yang berhasil menerbitkan kunci baru saat rotasi
+ * - activates_at: kunci baru dipakai menandatangani setelah waktu ini
+ * - expires_at: diisi saat kunci digantikan; setelah itu kunci publik tidak dipakai verifikasi lagi
+ * Private key disimpan terenkripsi.
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS jwt_signing_keys (
+        id ${types.id},
+        kid TEXT UNIQUE NOT NULL,
+        generation INTEGER UNIQUE NOT NULL,
+        algorithm TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        private_key_encrypted TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        activates_at TEXT NOT NULL,
+        expires_at TEXT
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS jwt_signing_keys');
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migrasi 010: Token sekali pakai yang dikirim lewat email
+ * - purpose membedakan kegunaan token (mis. password_reset)
+ * - hanya hash token yang disimpan; token asli hanya ada di email
+ * - used_at diisi saat token dipakai sehingga token tidak bisa dipakai dua kali
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id ${types.id},
+        token_hash TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL,
+        purpose TEXT NOT NULL,
+        ip TEXT,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens (user_id, purpose)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_account_tokens_user_purpose');
+    await db.run('DROP TABLE IF EXISTS account_tokens');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migrasi 011: Verifikasi email akun orang tua
+ * users.email_verified_at kosong berarti akun masih menunggu verifikasi dan belum bisa login.
+ * Akun yang sudah ada sebelum migrasi ini dianggap sudah terverifikasi.
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.run('ALTER TABLE users ADD COLUMN email_verified_at TEXT');
+    await db.run('UPDATE users SET email_verified_at = ? WHERE email_verified_at IS NULL', [new Date().toISOString()]);
+  },
+
+  down: async (db) => {
+    await db.run('ALTER TABLE users DROP COLUMN email_verified_at');
+  }
+};
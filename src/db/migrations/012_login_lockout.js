@@ -0,0 +1,47 @@
+/**
+ * Migrasi 012: Penguncian login
+ * - login_attempts: jumlah login gagal per akun (scope account) dan per IP (scope ip),
+ *   beserta jeda sampai percobaan berikutnya dan waktu akhir penguncian
+ * - account_security_events: kejadian keamanan akun (akun dikunci, kunci dibuka) yang ditampilkan ke orang tua
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id ${types.id},
+        scope TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        user_id INTEGER,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at TEXT,
+        next_attempt_at TEXT,
+        locked_until TEXT,
+        UNIQUE (scope, subject),
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS account_security_events (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        ip TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_account_security_events_user ON account_security_events (user_id, created_at)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_account_security_events_user');
+    await db.run('DROP TABLE IF EXISTS account_security_events');
+    await db.run('DROP TABLE IF EXISTS login_attempts');
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * Migrasi 013: Keluarga (household) dengan beberapa wali per anak
+ * - households: satu keluarga, dimiliki satu orang tua (owner_id)
+ * - household_members: wali dalam keluarga beserta role (owner, co_parent, viewer, custom)
+ *   dan daftar izin untuk role custom (JSON)
+ * - household_invitations: undangan lewat email; hanya hash token yang disimpan
+ * - children.household_id: keluarga pemilik anak
+ *
+ * Setiap orang tua yang sudah memiliki anak mendapat satu keluarga dengan dirinya sebagai owner.
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS households (
+        id ${types.id},
+        name TEXT NOT NULL,
+        owner_id INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS household_members (
+        id ${types.id},
+        household_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        permissions TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (household_id, user_id),
+        FOREIGN KEY (household_id) REFERENCES households (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS household_invitations (
+        id ${types.id},
+        household_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        role TEXT NOT NULL,
+        permissions TEXT,
+        token_hash TEXT UNIQUE NOT NULL,
+        invited_by INTEGER,
+        expires_at TEXT NOT NULL,
+        accepted_at TEXT,
+        accepted_by INTEGER,
+        revoked_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (household_id) REFERENCES households (id) ON DELETE CASCADE,
+        FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_household_members_user ON household_members (user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_household_invitations_household ON household_invitations (household_id)');
+
+    // Tanpa REFERENCES agar kolom bisa di-drop saat rollback (sama seperti children.user_id)
+    await db.run('ALTER TABLE children ADD COLUMN household_id INTEGER');
+
+    // Satu keluarga untuk setiap orang tua yang sudah memiliki anak
+    const now = new Date().toISOString();
+
+    await db.run(
+      `INSERT INTO households (name, owner_id, created_at)
+       SELECT 'Keluarga ' || COALESCE(users.full_name, users.name, users.username), users.id, ?
+       FROM users
+       WHERE users.id IN (SELECT DISTINCT user_id FROM children WHERE user_id IS NOT NULL)`,
+      [now]
+    );
+
+    await db.run(
+      `INSERT INTO household_members (household_id, user_id, role, created_at)
+       SELECT id, owner_id, 'owner', created_at FROM households`
+    );
+
+    const households = await db.all('SELECT id, owner_id FROM households');
+
+    for (const household of households) {
+      await db.run(
+        'UPDATE children SET household_id = ? WHERE user_id = ? AND household_id IS NULL',
+        [household.id, household.owner_id]
+      );
+    }
+  },
+
+  down: async (db) => {
+    await db.run('ALTER TABLE children DROP COLUMN household_id');
+    await db.run('DROP INDEX IF EXISTS idx_household_invitations_household');
+    await db.run('DROP INDEX IF EXISTS idx_household_members_user');
+    await db.run('DROP TABLE IF EXISTS household_invitations');
+    await db.run('DROP TABLE IF EXISTS household_members');
+    await db.run('DROP TABLE IF EXISTS households');
+  }
+};
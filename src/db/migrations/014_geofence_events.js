@@ -0,0 +1,55 @@
+/**
+ * Migrasi 014: Mesin geofence
+ * - geofence_states: status anak terhadap setiap zona aman (inside/outside), calon status yang
+ *   sedang dikonfirmasi (hysteresis), waktu masuk, dan apakah event dwell sudah dikirim
+ * - geofence_events: riwayat event enter, exit, dan dwell. Nama zona disalin agar riwayat
+ *   tetap terbaca setelah zona dihapus.
+ */
+
+module.exports = {
+  up: async (db) => {
+    const { types } = db;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS geofence_states (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        zone_id INTEGER NOT NULL,
+        state TEXT NOT NULL,
+        candidate_state TEXT,
+        candidate_count INTEGER NOT NULL DEFAULT 0,
+        entered_at TEXT,
+        dwell_notified_at TEXT,
+        updated_at TEXT NOT NULL,
+        UNIQUE (child_id, zone_id),
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE,
+        FOREIGN KEY (zone_id) REFERENCES safe_zones (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS geofence_events (
+        id ${types.id},
+        child_id INTEGER NOT NULL,
+        zone_id INTEGER,
+        zone_name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        latitude ${types.real} NOT NULL,
+        longitude ${types.real} NOT NULL,
+        accuracy ${types.real},
+        location_id INTEGER,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE,
+        FOREIGN KEY (zone_id) REFERENCES safe_zones (id) ON DELETE SET NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_geofence_events_child ON geofence_events (child_id, created_at)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_geofence_events_child');
+    await db.run('DROP TABLE IF EXISTS geofence_events');
+    await db.run('DROP TABLE IF EXISTS geofence_states');
+  }
+};
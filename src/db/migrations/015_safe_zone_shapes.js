@@ -0,0 +1,22 @@
+/**
+ * Migrasi 015: Bentuk zona aman
+ * - type: circle (default, zona lama), polygon, atau corridor
+ * - geometry: GeoJSON Polygon atau LineString (JSON) untuk zona polygon dan corridor
+ * - buffer_width: lebar corridor di kiri-kanan garis (meter)
+ * Untuk polygon dan corridor, latitude/longitude berisi titik acuan zona dan radius kosong.
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.run("ALTER TABLE safe_zones ADD COLUMN type TEXT NOT NULL DEFAULT 'circle'");
+    await db.run('ALTER TABLE safe_zones ADD COLUMN geometry TEXT');
+    await db.run('ALTER TABLE safe_zones ADD COLUMN buffer_width INTEGER');
+  },
+
+  down: async (db) => {
+    await db.run("DELETE FROM safe_zones WHERE type <> 'circle'");
+    await db.run('ALTER TABLE safe_zones DROP COLUMN buffer_width');
+    await db.run('ALTER TABLE safe_zones DROP COLUMN geometry');
+    await db.run('ALTER TABLE safe_zones DROP COLUMN type');
+  }
+};
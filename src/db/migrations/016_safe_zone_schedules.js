@@ -0,0 +1,21 @@
+/**
+ * Migrasi 016: Jadwal mingguan zona aman
+ * - safe_zones.schedule: jadwal (JSON) kapan anak diharapkan berada di zona; kosong berarti tanpa jadwal
+ * - geofence_states.absence_window: awal jendela jadwal yang peringatannya (tidak hadir atau keluar)
+ *   sudah dikirim, agar satu jendela hanya memicu satu peringatan
+ * - geofence_events.severity: tingkat kepentingan event (low, medium, high)
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.run('ALTER TABLE safe_zones ADD COLUMN schedule TEXT');
+    await db.run('ALTER TABLE geofence_states ADD COLUMN absence_window TEXT');
+    await db.run("ALTER TABLE geofence_events ADD COLUMN severity TEXT NOT NULL DEFAULT 'low'");
+  },
+
+  down: async (db) => {
+    await db.run('ALTER TABLE geofence_events DROP COLUMN severity');
+    await db.run('ALTER TABLE geofence_states DROP COLUMN absence_window');
+    await db.run('ALTER TABLE safe_zones DROP COLUMN schedule');
+  }
+};
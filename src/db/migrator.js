@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./setup');
+
+// Direktori file migrasi. Format nama file: NNN_deskripsi.js
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Format nama migrasi sesuai nama file, misalnya 001_initial_schema
+ * @param {Object} migration - { version, name }
+ * @returns {string} Nama migrasi
+ */
+const formatMigration = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Tabel schema_migrations cukup diperiksa sekali per proses
+let migrationsTableReady = false;
+
+/**
+ * Pastikan tabel pencatat migrasi tersedia
+ */
+async function ensureMigrationsTable() {
+  if (migrationsTableReady) return;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  migrationsTableReady = true;
+}
+
+/**
+ * Muat semua file migrasi, diurutkan berdasarkan nomor versi
+ * @returns {Object[]} Daftar { version, name, up, down }
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migrasi ${file} harus mengekspor fungsi up dan down`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  // Nomor versi harus unik
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Nomor versi migrasi duplikat: ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Dapatkan versi migrasi yang sudah dijalankan
+ * @returns {Promise<Object[]>} Daftar { version, name, applied_at }
+ */
+async function getAppliedMigrations() {
+  await ensureMigrationsTable();
+  return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Status semua migrasi (sudah/belum dijalankan)
+ * @returns {Promise<Object[]>} Daftar { version, name, applied, appliedAt }
+ */
+async function getStatus() {
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const migrations = loadMigrations();
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedByVersion.has(version),
+    appliedAt: appliedByVersion.has(version) ? appliedByVersion.get(version).applied_at : null
+  }));
+
+  // Migrasi yang tercatat di database tapi file-nya tidak ada (misalnya dari versi kode yang lebih baru)
+  const knownVersions = new Set(migrations.map(m => m.version));
+  for (const row of applied) {
+    if (!knownVersions.has(row.version)) {
+      status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Dapatkan migrasi yang belum dijalankan
+ * @returns {Promise<Object[]>} Daftar migrasi tertunda
+ */
+async function getPendingMigrations() {
+  const applied = await getAppliedMigrations();
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  return loadMigrations().filter(m => !appliedVersions.has(m.version));
+}
+
+/**
+ * Jalankan satu langkah migrasi di dalam transaksi
+ * Migrasi menerima objek transaksi dengan run/get/all serta `dialect` dan `types`
+ * sehingga file migrasi yang sama bisa dipakai untuk SQLite maupun PostgreSQL.
+ * @param {Object} migration - Migrasi yang dijalankan
+ * @param {string} direction - 'up' atau 'down'
+ */
+async function runInTransaction(migration, direction) {
+  try {
+    await db.transaction(async (tx) => {
+      await migration[direction](tx);
+
+      if (direction === 'up') {
+        await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      } else {
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    });
+  } catch (error) {
+    throw new Error(`Migrasi ${formatMigration(migration)} (${direction}) gagal: ${error.message}`);
+  }
+}
+
+/**
+ * Jalankan semua migrasi yang tertunda
+ * @returns {Promise<Object[]>} Migrasi yang berhasil dijalankan
+ */
+async function migrate() {
+  const pending = await getPendingMigrations();
+
+  for (const migration of pending) {
+    await runInTransaction(migration, 'up');
+    console.log(`⬆️  Applied migration ${formatMigration(migration)}`);
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Batalkan migrasi terakhir
+ * @param {number} steps - Jumlah migrasi yang dibatalkan
+ * @returns {Promise<Object[]>} Migrasi yang berhasil dibatalkan
+ */
+async function rollback(steps = 1) {
+  const applied = await getAppliedMigrations();
+  const migrationsByVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const toRollback = applied.slice(-steps).reverse();
+
+  for (const row of toRollback) {
+    const migration = migrationsByVersion.get(row.version);
+
+    if (!migration) {
+      throw new Error(`File migrasi ${formatMigration(row)} tidak ditemukan`);
+    }
+
+    await runInTransaction(migration, 'down');
+    console.log(`⬇️  Rolled back migration ${formatMigration(migration)}`);
+  }
+
+  return toRollback.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Periksa apakah skema database sudah sesuai dengan versi kode
+ * @returns {Promise<{upToDate: boolean, pending: Object[], missing: Object[]}>} Hasil pemeriksaan
+ */
+async function checkSchema() {
+  const status = await getStatus();
+  const pending = status.filter(m => !m.applied).map(({ version, name }) => ({ version, name }));
+  const missing = status.filter(m => m.missing).map(({ version, name }) => ({ version, name }));
+
+  return {
+    upToDate: pending.length === 0 && missing.length === 0,
+    pending,
+    missing
+  };
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  getStatus,
+  getPendingMigrations,
+  checkSchema,
+  formatMigration
+};
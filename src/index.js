@@ -8,6 +8,7 @@ const { setupEnvironmentMiddleware } = require('./middlewares/environment.middle
 
 // Import database
 const db = require('./db/setup');
+const { verifyDatabaseSchema, markSigningKeysLoaded, requireCurrentSchema } = require('./middlewares/schema.middleware');
 
 // Import security middleware
 const { securityHeaders, additionalSecurityHeaders, corsMiddleware } = require('./middlewares/security.middleware');
@@ -18,6 +19,7 @@ const { requestLogger } = require('./utils/logger');
 const { validateHeaders } = require('./middlewares/validator.middleware');
 const { hstsMiddleware, setupServer } = require('./config/ssl');
 const { getKeyManager } = require('./security/crypto');
+const { initSigningKeys, syncSigningKeys, getJwks, KEY_SYNC_INTERVAL } = require('./security/jwt-keys');
 
 // Inisialisasi express app
 const app = express();
@@ -77,6 +79,23 @@ try {
   console.error('❌ Error initializing Key Manager:', error.message);
 }
 
+// Tolak request API jika skema database belum dimigrasi ke versi terbaru
+// Kunci JWT disimpan di database, jadi baru dimuat setelah skema dipastikan terbaru;
+// sampai kunci selesai dimuat request API dijawab 503
+verifyDatabaseSchema()
+  .then(async ({ upToDate }) => {
+    if (!upToDate) return;
+
+    await initSigningKeys();
+    markSigningKeysLoaded();
+  })
+  .catch((error) => {
+    // Tanpa kunci JWT server tidak bisa menerbitkan atau memverifikasi token
+    console.error('❌ Error loading JWT signing keys:', error.message);
+    process.exit(1);
+  });
+app.use('/api', requireCurrentSchema);
+
 // Rute API dasar
 app.get('/', (req, res) => {
   res.json({
@@ -88,6 +107,12 @@ app.get('/', (req, res) => {
   });
 });
 
+// Kunci publik JWT (JWKS) untuk aplikasi CIMOY Kids dan layanan lain yang memverifikasi token
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
 // Rute autentikasi dengan rate limiting khusus
 app.use('/api/auth', authLimiter, require('./routes/auth.routes'));
 
@@ -106,6 +131,15 @@ app.use('/api/location', require('./routes/location.routes'));
 // Rute untuk content filtering
 app.use('/api/content-filter', require('./routes/contentFilter.routes'));
 
+// Rute untuk perintah dari orang tua ke perangkat anak
+app.use('/api/commands', require('./routes/commands.routes'));
+
+// Rute untuk pairing perangkat anak
+app.use('/api/pairing', require('./routes/pairing.routes'));
+
+// Rute untuk keluarga dan wali (co-parent, viewer, izin khusus)
+app.use('/api/households', require('./routes/households.routes'));
+
 // Handler untuk 404
 app.use((req, res) => {
   res.status(404).json({ 
@@ -124,6 +158,12 @@ app.use((err, req, res, next) => {
     method: req.method
   });
   
+  // Response yang sudah mulai dikirim (mis. ekspor streaming) tidak bisa diganti;
+  // handler bawaan Express akan menutup koneksinya
+  if (res.headersSent) {
+    return next(err);
+  }
+  
   res.status(500).json({
     success: false,
     message: 'Internal Server Error',
@@ -158,12 +198,16 @@ const server = setupServer(app, (serverInstance) => {
     ssl: config.useSSL ? 'ENABLED' : 'DISABLED'
   });
   
-  // Rotasi kunci JWT secara berkala
-  if (!config.isLocal) {
-    const { rotateKeysIfNeeded } = require('./security/jwt');
-    // Periksa rotasi kunci setiap 12 jam
-    setInterval(rotateKeysIfNeeded, 12 * 60 * 60 * 1000);
-  }
+  // Sinkronisasi kunci JWT dengan database (rotasi terkoordinasi antar instance)
+  setInterval(syncSigningKeys, KEY_SYNC_INTERVAL);
+  
+  // Peringatan ketidakhadiran zona berjadwal, juga untuk perangkat yang tidak mengirim lokasi
+  const geofenceService = require('./services/GeofenceService');
+  setInterval(() => {
+    geofenceService.checkScheduledAbsences().catch((error) => {
+      logger.error(`Scheduled absence check failed: ${error.message}`);
+    });
+  }, geofenceService.ABSENCE_CHECK_INTERVAL);
 });
 
 // Graceful shutdown
@@ -177,12 +221,13 @@ async function gracefulShutdown() {
   const logger = require('./utils/logger');
   logger.info('Server shutting down gracefully');
   
-  // Tutup koneksi socket
+  // Tutup koneksi socket (Socket.io juga menutup HTTP server yang dipakainya)
   const socketModule = require('./sockets');
-  if (socketModule.io) {
-    socketModule.io.close(() => {
-      logger.info('Socket connections closed');
-    });
+  try {
+    await socketModule.close();
+    logger.info('Socket connections closed');
+  } catch (error) {
+    logger.error(`Error closing socket connections: ${error.message}`);
   }
   
   // Tutup koneksi database
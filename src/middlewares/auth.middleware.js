@@ -1,184 +1,85 @@
-const jwt = require('jsonwebtoken');
-const config = require('../config/config');
-const db = require('../db/setup');
+const crypto = require('crypto');
 const { verifyToken } = require('../security/jwt');
+const { config } = require('../config/environment');
+const { childrenRepository, deviceCredentialsRepository, householdsRepository } = require('../repositories');
+const tokenService = require('../services/TokenService');
+const householdService = require('../services/HouseholdService');
 const logger = require('../utils/logger');
+const { securityLogger } = require('../utils/logger');
 
 /**
- * Middleware untuk memverifikasi token autentikasi
- * @param {Object} req - Request object
- * @param {Object} res - Response object
- * @param {Function} next - Next middleware function
+ * Guard autentikasi dan otorisasi
+ * Semua router memakai tiga middleware yang bisa dikombinasikan:
+ *
+ *   router.get('/:childId', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'location:view' }), handler)
+ *
+ * Setelah authenticate(), req.user berisi payload token dan req.userId berisi ID pengguna.
+ * Orang tua mengakses anak lewat keanggotaan keluarga; izin yang dibutuhkan setiap rute
+ * disebut di requireChildAccess() (lihat PERMISSIONS di services/HouseholdService.js).
+ *
+ * Token yang membawa klaim scope (access token perangkat) hanya diterima di rute yang
+ * menyebut scope tersebut, mis. authenticate({ scope: 'location:write' }).
+ * Token yang sudah dicabut (logout, ganti password, refresh token dipakai ulang) ditolak.
  */
-module.exports = (req, res, next) => {
-  try {
-    // Dapatkan token dari header Authorization
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Akses ditolak. Token tidak tersedia.'
-      });
-    }
-    
-    // Ekstrak token dari header
-    const token = authHeader.split(' ')[1];
-    
-    // Verifikasi token
-    const decoded = jwt.verify(token, config.JWT_SECRET);
-    
-    // Simpan data user ke request
-    req.user = decoded;
-    
-    next();
-  } catch (error) {
-    console.error('Auth middleware error:', error.message);
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Sesi telah berakhir. Silakan login kembali.'
-      });
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token tidak valid.'
-      });
-    }
-    
-    res.status(401).json({
-      success: false,
-      message: 'Akses ditolak.'
-    });
-  }
-};
+
+// Role yang dikenal oleh guard
+const ROLES = ['parent', 'child', 'device', 'admin'];
 
 /**
- * Middleware untuk memeriksa apakah anak milik orang tua yang terautentikasi
- * Harus digunakan setelah verifyToken
+ * Ambil token dari berbagai lokasi dalam request
  */
-exports.verifyChildOwnership = (req, res, next) => {
-  const childId = req.params.id || req.body.childId;
-  
-  if (!childId) {
-    return res.status(400).json({
-      message: 'ID anak tidak diberikan'
-    });
+const getTokenFromRequest = (req) => {
+  // Cek Authorization header (format: "Bearer TOKEN")
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
   }
-  
-  // Periksa kepemilikan anak
-  db.get(
-    'SELECT * FROM children WHERE id = ? AND user_id = ?',
-    [childId, req.userId],
-    (err, row) => {
-      if (err) {
-        return res.status(500).json({
-          message: 'Kesalahan database saat memeriksa kepemilikan anak',
-          error: config.NODE_ENV === 'development' ? err.message : undefined
-        });
-      }
-      
-      if (!row) {
-        return res.status(403).json({
-          message: 'Anda tidak memiliki akses ke data anak ini'
-        });
-      }
-      
-      // Tambahkan data anak ke request
-      req.child = row;
-      next();
-    }
-  );
-};
 
-/**
- * Middleware untuk memeriksa apakah device adalah milik anak yang terdaftar
- * Digunakan untuk autentikasi dari device anak
- */
-exports.verifyChildDevice = (req, res, next) => {
-  const deviceId = req.headers['x-device-id'];
-  
-  if (!deviceId) {
-    return res.status(401).json({
-      message: 'Device ID tidak diberikan'
-    });
+  // Cek x-access-token header
+  if (req.headers['x-access-token']) {
+    return req.headers['x-access-token'];
   }
-  
-  // Periksa apakah device terdaftar
-  db.get(
-    'SELECT * FROM children WHERE device_id = ?',
-    [deviceId],
-    (err, row) => {
-      if (err) {
-        return res.status(500).json({
-          message: 'Kesalahan database saat memeriksa device',
-          error: config.NODE_ENV === 'development' ? err.message : undefined
-        });
-      }
-      
-      if (!row) {
-        return res.status(401).json({
-          message: 'Device tidak terdaftar atau tidak valid'
-        });
-      }
-      
-      // Tambahkan data anak ke request
-      req.child = row;
-      req.childId = row.id;
-      next();
-    }
-  );
+
+  // Cek cookie
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+
+  // Jika tidak ada token ditemukan
+  return null;
 };
 
 /**
  * Middleware untuk otentikasi JWT
  * @param {Object} options - Opsi konfigurasi
- * @param {boolean} options.required - Apakah autentikasi wajib
- * @param {string[]} options.roles - Role yang diizinkan akses
+ * @param {boolean} options.required - Apakah autentikasi wajib (default true)
+ * @param {string} options.scope - Scope yang membuka rute ini untuk token ber-scope (token perangkat)
+ * @returns {Function} Middleware Express
  */
-const authJWT = (options = { required: true, roles: [] }) => {
-  return (req, res, next) => {
+const authenticate = ({ required = true, scope = null } = {}) => {
+  return async (req, res, next) => {
     // Ambil token dari header atau cookies
     const token = getTokenFromRequest(req);
-    
-    // Jika token tidak ada tapi wajib, kirim error
-    if (!token && options.required) {
+
+    if (!token) {
+      // Jika token tidak ada tapi tidak wajib, lanjut sebagai anonim
+      if (!required) {
+        req.user = null;
+        req.userId = null;
+        return next();
+      }
+
       return res.status(401).json({
         success: false,
-        message: 'Akses ditolak. Token tidak ditemukan.'
+        message: 'Akses ditolak. Token tidak ditemukan.',
+        code: 'TOKEN_MISSING'
       });
     }
-    
-    // Jika token tidak ada tapi tidak wajib, lanjut
-    if (!token && !options.required) {
-      req.user = null;
-      return next();
-    }
-    
+
     // Verifikasi token
+    let decoded;
     try {
-      const decoded = verifyToken(token);
-      
-      // Periksa apakah user memiliki role yang sesuai
-      if (options.roles && options.roles.length > 0) {
-        if (!decoded.role || !options.roles.includes(decoded.role)) {
-          return res.status(403).json({
-            success: false,
-            message: 'Akses ditolak. Anda tidak memiliki izin yang cukup.'
-          });
-        }
-      }
-      
-      // Set user data di request
-      req.user = decoded;
-      
-      // Periksa apakah token akan expired dalam waktu dekat
-      checkAndRefreshToken(req, res, decoded);
-      
-      next();
+      decoded = verifyToken(token);
     } catch (error) {
       // Log error tapi jangan expose detail ke client
       logger.error(`Auth error: ${error.message}`, {
@@ -186,7 +87,7 @@ const authJWT = (options = { required: true, roles: [] }) => {
         path: req.path,
         method: req.method
       });
-      
+
       // Beri response sesuai jenis error
       if (error.name === 'TokenExpiredError') {
         return res.status(401).json({
@@ -195,7 +96,7 @@ const authJWT = (options = { required: true, roles: [] }) => {
           code: 'TOKEN_EXPIRED'
         });
       }
-      
+
       if (error.message === 'Invalid token fingerprint') {
         return res.status(403).json({
           success: false,
@@ -203,130 +104,323 @@ const authJWT = (options = { required: true, roles: [] }) => {
           code: 'INVALID_DEVICE'
         });
       }
-      
+
+      return res.status(401).json({
+        success: false,
+        message: 'Token tidak valid. Silakan login kembali.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Refresh token tidak boleh dipakai untuk mengakses API
+    if (decoded.type === 'refresh') {
       return res.status(401).json({
         success: false,
         message: 'Token tidak valid. Silakan login kembali.',
         code: 'INVALID_TOKEN'
       });
     }
+
+    // Token ber-scope hanya boleh dipakai di rute yang mengizinkan scope tersebut
+    if (decoded.scope && !(scope && [].concat(decoded.scope).includes(scope))) {
+      securityLogger.logAccessDenied('Token scope not allowed', {
+        role: decoded.role,
+        childId: decoded.childId,
+        requiredScope: scope,
+        method: req.method,
+        url: req.originalUrl,
+        ip: req.ip
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Token tidak memiliki izin untuk endpoint ini.',
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    try {
+      // Token yang sudah dicabut (logout, ganti password, sesi dicabut) tidak boleh dipakai lagi
+      if (await tokenService.isRevoked(decoded)) {
+        securityLogger.logAccessDenied('Revoked token used', {
+          userId: decoded.userId,
+          role: decoded.role,
+          method: req.method,
+          url: req.originalUrl,
+          ip: req.ip
+        });
+
+        return res.status(401).json({
+          success: false,
+          message: 'Sesi telah berakhir. Silakan login kembali.',
+          code: 'TOKEN_REVOKED'
+        });
+      }
+
+      // Set user data di request
+      req.user = decoded;
+      req.userId = decoded.userId;
+
+      // Catat waktu dan IP terakhir sesi dipakai (untuk daftar sesi aktif)
+      await tokenService.recordActivity(decoded, { ip: req.ip });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
 /**
- * Ambil token dari berbagai lokasi dalam request
+ * Middleware yang hanya mengizinkan role tertentu. Harus dipakai setelah authenticate().
+ * @param {...string} roles - Role yang diizinkan ('parent', 'child', 'device', 'admin')
+ * @returns {Function} Middleware Express
  */
-const getTokenFromRequest = (req) => {
-  // Cek Authorization header (format: "Bearer TOKEN")
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.split(' ')[1];
-  }
-  
-  // Cek x-access-token header
-  if (req.headers['x-access-token']) {
-    return req.headers['x-access-token'];
-  }
-  
-  // Cek cookie
-  if (req.cookies && req.cookies.token) {
-    return req.cookies.token;
+const requireRole = (...roles) => {
+  const unknownRoles = roles.filter(role => !ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    throw new Error(`Role tidak dikenal: ${unknownRoles.join(', ')}`);
   }
-  
-  // Jika tidak ada token ditemukan
-  return null;
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Akses ditolak. Token tidak ditemukan.',
+        code: 'TOKEN_MISSING'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Akses ditolak. Anda tidak memiliki izin yang cukup.',
+        code: 'FORBIDDEN_ROLE'
+      });
+    }
+
+    next();
+  };
 };
 
 /**
- * Periksa apakah token akan kedaluwarsa dalam waktu dekat
- * Jika ya, kirim token baru dalam response header
+ * Periksa apakah pengguna boleh mengakses data anak
+ * - admin: semua anak
+ * - parent: anak dalam keluarga tempat ia menjadi anggota dengan izin yang diminta
+ * - child/device: hanya dirinya sendiri (childId di token atau deviceId yang terdaftar).
+ *   Token yang membawa deviceId hanya berlaku selama perangkat itu masih terhubung ke anak.
+ * @param {Object} user - Payload token (req.user)
+ * @param {Object} child - Data anak
+ * @param {string} permission - Izin keluarga yang dibutuhkan orang tua (default child:view)
+ * @returns {Promise<boolean>}
  */
-const checkAndRefreshToken = (req, res, decoded) => {
-  // Hanya lakukan jika ada expiry
-  if (!decoded.exp) return;
-  
-  const currentTime = Math.floor(Date.now() / 1000);
-  const timeUntilExpiry = decoded.exp - currentTime;
-  
-  // Jika token akan expire dalam 10 menit, berikan token baru
-  if (timeUntilExpiry < 10 * 60) {
-    try {
-      const { refreshTokens } = require('../security/jwt');
-      
-      // Ambil refresh token kalau ada
-      const refreshToken = req.cookies.refreshToken || req.headers['x-refresh-token'];
-      
-      if (refreshToken) {
-        const { accessToken, refreshToken: newRefreshToken } = refreshTokens(refreshToken);
-        
-        // Set token baru di header
-        res.setHeader('x-new-token', accessToken);
-        res.setHeader('x-new-refresh-token', newRefreshToken);
-        
-        // Set token baru di cookie jika sebelumnya ada di cookie
-        if (req.cookies.token) {
-          res.cookie('token', accessToken, {
-            httpOnly: true,
-            secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
-            maxAge: 3600000 // 1 jam
-          });
-          
-          res.cookie('refreshToken', newRefreshToken, {
-            httpOnly: true,
-            secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
-            maxAge: 7 * 24 * 3600000 // 7 hari
-          });
-        }
+const canAccessChild = async (user, child, permission = 'child:view') => {
+  switch (user.role) {
+    case 'admin':
+      return true;
+    case 'parent':
+      // Anak yang belum masuk keluarga mana pun hanya bisa diakses pembuatnya
+      if (!child.householdId) {
+        return child.userId === user.userId;
       }
-    } catch (error) {
-      // Hanya log error, tapi tetap izinkan request berlanjut
-      logger.error(`Token auto-refresh error: ${error.message}`);
-    }
+
+      return householdService.hasPermission(user.userId, child.householdId, permission);
+    case 'child':
+    case 'device':
+      // Perangkat yang sudah dilepas (unpair) atau diganti tidak boleh mengakses data anak lagi
+      if (user.deviceId && user.deviceId !== child.deviceId) {
+        return false;
+      }
+
+      return user.childId !== undefined ? Number(user.childId) === child.id : !!user.deviceId;
+    default:
+      return false;
   }
 };
 
 /**
- * Middleware untuk mengharuskan hak akses sebagai parent
+ * Cek apakah token perangkat diterbitkan dari kredensial yang belum dicabut.
+ * Token tanpa credentialId (token orang tua) selalu lolos.
+ * @param {Object} user - Payload token
+ * @returns {Promise<boolean>}
  */
-const requireParentRole = (req, res, next) => {
-  if (!req.user || req.user.role !== 'parent') {
-    return res.status(403).json({
-      success: false,
-      message: 'Hanya orang tua yang diizinkan mengakses rute ini.'
-    });
-  }
-  next();
+const isDeviceCredentialActive = async (user) => {
+  if (!user || !user.credentialId) return true;
+
+  return deviceCredentialsRepository.isActive(user.credentialId);
 };
 
 /**
- * Middleware untuk mengharuskan hak akses sebagai admin
+ * Middleware yang mewajibkan API key aplikasi CIMOY Kids (header X-Kids-Api-Key).
+ * Dilewati jika KIDS_API_KEY tidak diatur (mis. di lingkungan lokal).
  */
-const requireAdminRole = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({
+const requireKidsApiKey = (req, res, next) => {
+  const expected = config.kids && config.kids.apiKey;
+  if (!expected) return next();
+
+  const provided = req.headers['x-kids-api-key'] || '';
+  const valid = provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+  if (!valid) {
+    securityLogger.logAccessDenied('Invalid kids API key', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+
+    return res.status(401).json({
       success: false,
-      message: 'Hanya admin yang diizinkan mengakses rute ini.'
+      message: 'API key aplikasi tidak valid',
+      code: 'INVALID_API_KEY'
     });
   }
+
   next();
 };
 
 /**
- * Middleware untuk mengharuskan hak akses sebagai device
+ * Ambil ID anak dari request berdasarkan nama parameter.
+ * Dibaca dari req.params, lalu req.body, lalu req.query.
+ * @param {Object} req - Request object
+ * @param {string} param - Nama parameter
+ * @returns {*} Nilai mentah ID anak
  */
-const requireDeviceRole = (req, res, next) => {
-  if (!req.user || req.user.role !== 'device') {
-    return res.status(403).json({
-      success: false,
-      message: 'Hanya perangkat terdaftar yang diizinkan mengakses rute ini.'
-    });
-  }
-  next();
+const getChildIdFromRequest = (req, param) => {
+  return (req.params && req.params[param]) ??
+    (req.body && req.body[param]) ??
+    (req.query && req.query[param]);
+};
+
+/**
+ * Middleware yang memastikan pengguna berhak atas anak yang diminta.
+ * Jika lolos, data anak disimpan di req.child. Harus dipakai setelah authenticate().
+ * Akses yang ditolak dicatat ke securityLogger sebagai audit trail.
+ *
+ * @param {string|Function} source - Nama parameter yang berisi ID anak (default 'childId'),
+ *   atau fungsi async (req) => childId untuk resource milik anak (mis. aplikasi atau zona aman)
+ * @param {Object} options - Opsi
+ * @param {boolean} options.optional - Lewati pemeriksaan jika request tidak menyebut anak
+ * @param {string} options.permission - Izin keluarga yang dibutuhkan orang tua (default child:view)
+ * @returns {Function} Middleware Express
+ */
+const requireChildAccess = (source = 'childId', { optional = false, permission = 'child:view' } = {}) => {
+  const resolveChildId = typeof source === 'function'
+    ? source
+    : (req) => getChildIdFromRequest(req, source);
+
+  return async (req, res, next) => {
+    try {
+      const rawChildId = await resolveChildId(req);
+
+      if (optional && (rawChildId === undefined || rawChildId === null || rawChildId === '')) {
+        return next();
+      }
+
+      const childId = parseInt(rawChildId, 10);
+
+      // Resource yang tidak ada (resolver mengembalikan null) diperlakukan sebagai akses ditolak
+      if (typeof source !== 'function' && !Number.isInteger(childId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID anak tidak valid'
+        });
+      }
+
+      const child = Number.isInteger(childId) ? await childrenRepository.findById(childId) : null;
+
+      // Anak yang tidak ada diperlakukan sama dengan anak milik orang lain agar ID tidak bisa ditebak
+      const allowed = !!child && await canAccessChild(req.user, child, permission);
+      const credentialActive = allowed && await isDeviceCredentialActive(req.user);
+
+      if (!allowed || !credentialActive) {
+        securityLogger.logAccessDenied('Child data access denied', {
+          userId: req.userId,
+          role: req.user && req.user.role,
+          childId: Number.isInteger(childId) ? childId : null,
+          permission,
+          reason: !child ? 'not_found' : (allowed ? 'credential_revoked' : 'missing_permission'),
+          method: req.method,
+          url: req.originalUrl,
+          ip: req.ip
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'Anda tidak memiliki akses ke data anak ini',
+          code: 'CHILD_ACCESS_DENIED'
+        });
+      }
+
+      req.child = child;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware yang memastikan pengguna adalah anggota keluarga dengan izin tertentu.
+ * Jika lolos, data keluarga disimpan di req.household. Harus dipakai setelah authenticate().
+ * Keluarga yang tidak ada diperlakukan sama dengan keluarga orang lain.
+ *
+ * @param {string} permission - Izin yang dibutuhkan (mis. household:manage)
+ * @param {string} param - Nama parameter yang berisi ID keluarga (default 'householdId')
+ * @returns {Function} Middleware Express
+ */
+const requireHouseholdAccess = (permission = 'child:view', param = 'householdId') => {
+  return async (req, res, next) => {
+    try {
+      const householdId = parseInt(req.params[param], 10);
+
+      if (!Number.isInteger(householdId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID keluarga tidak valid'
+        });
+      }
+
+      const household = await householdsRepository.findById(householdId);
+      const allowed = !!household && (
+        req.user.role === 'admin' ||
+        (req.user.role === 'parent' && await householdService.hasPermission(req.userId, householdId, permission))
+      );
+
+      if (!allowed) {
+        securityLogger.logAccessDenied('Household access denied', {
+          userId: req.userId,
+          role: req.user.role,
+          householdId,
+          permission,
+          reason: household ? 'missing_permission' : 'not_found',
+          method: req.method,
+          url: req.originalUrl,
+          ip: req.ip
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'Anda tidak memiliki akses ke keluarga ini',
+          code: 'HOUSEHOLD_ACCESS_DENIED'
+        });
+      }
+
+      req.household = household;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 };
 
 module.exports = {
-  authJWT,
-  requireParentRole,
-  requireAdminRole,
-  requireDeviceRole
-}; 
\ No newline at end of file
+  authenticate,
+  requireRole,
+  requireChildAccess,
+  requireHouseholdAccess,
+  requireKidsApiKey,
+  canAccessChild,
+  isDeviceCredentialActive,
+  ROLES
+};
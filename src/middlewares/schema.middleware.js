@@ -0,0 +1,77 @@
+const migrator = require('../db/migrator');
+const logger = require('../utils/logger');
+
+// Status skema terakhir yang diketahui. Request ditolak sampai pemeriksaan selesai dan lolos
+// dan kunci JWT (yang disimpan di database) selesai dimuat.
+const schemaState = {
+  checked: false,
+  upToDate: false,
+  pending: [],
+  missing: [],
+  signingKeysLoaded: false
+};
+
+/**
+ * Periksa versi skema database saat server dimulai
+ * @returns {Promise<Object>} Status skema
+ */
+const verifyDatabaseSchema = async () => {
+  try {
+    const result = await migrator.checkSchema();
+    Object.assign(schemaState, result, { checked: true });
+
+    if (result.upToDate) {
+      logger.info('Database schema is up to date');
+    } else {
+      logger.error('Database schema is out of date, API requests will be refused', {
+        pending: result.pending.map(migrator.formatMigration),
+        missing: result.missing.map(migrator.formatMigration),
+        hint: 'Run `npm run migrate`'
+      });
+    }
+  } catch (error) {
+    Object.assign(schemaState, { checked: true, upToDate: false });
+    logger.error(`Failed to verify database schema: ${error.message}`);
+  }
+
+  return schemaState;
+};
+
+/**
+ * Tandai kunci JWT sudah dimuat sehingga request API mulai dilayani
+ */
+const markSigningKeysLoaded = () => {
+  schemaState.signingKeysLoaded = true;
+};
+
+/**
+ * Middleware yang menolak request jika skema database belum diperbarui
+ * atau kunci JWT belum selesai dimuat
+ */
+const requireCurrentSchema = (req, res, next) => {
+  if (schemaState.upToDate && schemaState.signingKeysLoaded) {
+    return next();
+  }
+
+  if (schemaState.upToDate) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server sedang memuat kunci autentikasi, silakan coba lagi.',
+      code: 'SERVER_STARTING'
+    });
+  }
+
+  res.status(503).json({
+    success: false,
+    message: schemaState.checked
+      ? 'Skema database belum diperbarui. Hubungi administrator.'
+      : 'Server sedang memeriksa skema database, silakan coba lagi.',
+    code: 'SCHEMA_OUT_OF_DATE'
+  });
+};
+
+module.exports = {
+  verifyDatabaseSchema,
+  markSigningKeysLoaded,
+  requireCurrentSchema
+};
@@ -14,6 +14,12 @@ const isStrongPassword = (value) => {
   return strongPasswordRegex.test(value);
 };
 
+// Custom validator untuk kode 2FA: 6 digit TOTP atau backup code (xxxx-xxxx-xxxx)
+const isTwoFactorCode = (value) => {
+  const twoFactorCodeRegex = /^(\d{6}|[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4})$/;
+  return typeof value === 'string' && twoFactorCodeRegex.test(value.trim());
+};
+
 // Custom validator untuk XSS
 const containsXSS = (value) => {
   if (typeof value !== 'string') return false;
@@ -161,7 +167,7 @@ const checkValidationErrors = (req, res, next) => {
       success: false,
       message: 'Data validasi tidak valid',
       errors: errors.array().map(err => ({
-        field: err.param,
+        field: err.path || err.param,
         message: err.msg
       }))
     });
@@ -170,6 +176,181 @@ const checkValidationErrors = (req, res, next) => {
   next();
 };
 
+// Validasi endpoint autentikasi (/api/auth)
+const parentApiValidation = {
+  // Login menerima username atau email pada field `username`, `email`, atau `login`
+  login: [
+    body().custom(value => !!(value && (value.username || value.email || value.login)))
+      .withMessage('Username atau email wajib diisi'),
+    body('password').not().isEmpty()
+      .withMessage('Password wajib diisi'),
+    checkValidationErrors
+  ],
+
+  register: [
+    body('username').trim()
+      .isLength({ min: 3, max: 30 })
+      .withMessage('Username harus 3-30 karakter')
+      .matches(/^[a-zA-Z0-9._-]+$/)
+      .withMessage('Username hanya boleh berisi huruf, angka, titik, garis bawah, dan tanda hubung'),
+    body('email').isEmail().normalizeEmail()
+      .withMessage('Email tidak valid'),
+    body('password').custom(isStrongPassword)
+      .withMessage('Password harus minimal 12 karakter, mengandung huruf kecil, huruf besar, angka, dan karakter khusus'),
+    body('name').trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Nama harus 2-50 karakter')
+      .custom(value => !containsXSS(value))
+      .withMessage('Input mengandung kode berbahaya (XSS)'),
+    checkValidationErrors
+  ],
+
+  refreshToken: [
+    body('refreshToken').not().isEmpty()
+      .withMessage('Refresh token wajib diisi'),
+    checkValidationErrors
+  ],
+
+  changePassword: [
+    body('currentPassword').not().isEmpty()
+      .withMessage('Password saat ini wajib diisi'),
+    body('newPassword').custom(isStrongPassword)
+      .withMessage('Password baru harus minimal 12 karakter, mengandung huruf kecil, huruf besar, angka, dan karakter khusus'),
+    checkValidationErrors
+  ],
+
+  verifyEmail: [
+    body('token').isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Token verifikasi wajib diisi'),
+    checkValidationErrors
+  ],
+
+  resendVerification: [
+    body('email').isEmail().normalizeEmail()
+      .withMessage('Email tidak valid'),
+    checkValidationErrors
+  ],
+
+  unlockAccount: [
+    body('token').isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Token buka kunci wajib diisi'),
+    checkValidationErrors
+  ],
+
+  userIdParam: [
+    param('userId').isInt({ min: 1 })
+      .withMessage('ID pengguna tidak valid'),
+    checkValidationErrors
+  ],
+
+  forgotPassword: [
+    body('email').isEmail().normalizeEmail()
+      .withMessage('Email tidak valid'),
+    checkValidationErrors
+  ],
+
+  resetPassword: [
+    body('token').isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Token reset password wajib diisi'),
+    body('newPassword').custom(isStrongPassword)
+      .withMessage('Password baru harus minimal 12 karakter, mengandung huruf kecil, huruf besar, angka, dan karakter khusus'),
+    checkValidationErrors
+  ],
+
+  twoFactorCode: [
+    body('code').custom(isTwoFactorCode)
+      .withMessage('Kode verifikasi harus 6 digit atau backup code'),
+    checkValidationErrors
+  ],
+
+  verifyTwoFactor: [
+    body('challengeToken').isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Challenge token wajib diisi'),
+    body('code').custom(isTwoFactorCode)
+      .withMessage('Kode verifikasi harus 6 digit atau backup code'),
+    checkValidationErrors
+  ],
+
+  disableTwoFactor: [
+    body('password').not().isEmpty()
+      .withMessage('Password wajib diisi'),
+    body('code').custom(isTwoFactorCode)
+      .withMessage('Kode verifikasi harus 6 digit atau backup code'),
+    checkValidationErrors
+  ]
+};
+
+// Validasi endpoint pairing perangkat (/api/pairing)
+const pairingValidation = {
+  redeem: [
+    body('code').isString().trim()
+      .isLength({ min: 8, max: 12 })
+      .withMessage('Kode pairing tidak valid'),
+    body('deviceId').isString().trim()
+      .isLength({ min: 10, max: 100 })
+      .withMessage('Device ID harus 10-100 karakter'),
+    body(['deviceModel', 'deviceOs']).optional().isString().trim()
+      .isLength({ max: 100 })
+      .withMessage('Info perangkat maksimal 100 karakter')
+      .custom(value => !containsXSS(value))
+      .withMessage('Input mengandung kode berbahaya (XSS)'),
+    checkValidationErrors
+  ],
+
+  token: [
+    body('refreshToken').isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Refresh token wajib diisi'),
+    checkValidationErrors
+  ]
+};
+
+// Validasi endpoint keluarga dan wali (/api/households)
+const householdValidation = {
+  invite: [
+    body('email').isEmail().normalizeEmail()
+      .withMessage('Email tidak valid'),
+    body('role').isIn(['co_parent', 'viewer', 'custom'])
+      .withMessage('Role harus co_parent, viewer, atau custom'),
+    body('permissions').optional().isArray({ max: 20 })
+      .withMessage('Izin harus berupa daftar'),
+    checkValidationErrors
+  ],
+
+  updateMember: [
+    param('userId').isInt({ min: 1 })
+      .withMessage('ID pengguna tidak valid'),
+    body('role').isIn(['co_parent', 'viewer', 'custom'])
+      .withMessage('Role harus co_parent, viewer, atau custom'),
+    body('permissions').optional().isArray({ max: 20 })
+      .withMessage('Izin harus berupa daftar'),
+    checkValidationErrors
+  ],
+
+  memberParam: [
+    param('userId').isInt({ min: 1 })
+      .withMessage('ID pengguna tidak valid'),
+    checkValidationErrors
+  ],
+
+  invitationParam: [
+    param('invitationId').isInt({ min: 1 })
+      .withMessage('ID undangan tidak valid'),
+    checkValidationErrors
+  ],
+
+  acceptInvitation: [
+    body('token').isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Token undangan wajib diisi'),
+    checkValidationErrors
+  ]
+};
+
 // Middleware untuk pemfilteran geolokasi (country blocking)
 const validateGeoLocation = (allowedCountries = ['ID', 'SG', 'MY']) => {
   return (req, res, next) => {
@@ -205,6 +386,9 @@ module.exports = {
   validateHeaders,
   checkValidationErrors,
   validateGeoLocation,
+  parentApiValidation,
+  pairingValidation,
+  householdValidation,
   // Ekspose validator lain agar dapat digunakan secara modular
   isUUID,
   isStrongPassword,
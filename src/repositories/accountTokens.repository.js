@@ -0,0 +1,110 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel account_tokens menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data token (tanpa hash)
+ */
+const mapToken = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    purpose: row.purpose,
+    ip: row.ip,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Simpan token baru
+ * @param {Object} token - { tokenHash, userId, purpose, ip, expiresAt }
+ */
+const create = async ({ tokenHash, userId, purpose, ip, expiresAt }) => {
+  await db.run(
+    `INSERT INTO account_tokens (token_hash, user_id, purpose, ip, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [tokenHash, userId, purpose, ip || null, expiresAt, new Date().toISOString()]
+  );
+};
+
+/**
+ * Dapatkan token yang belum dipakai dan belum kedaluwarsa
+ * @param {string} tokenHash - Hash token
+ * @param {string} purpose - Kegunaan token
+ * @returns {Promise<Object|null>}
+ */
+const findActive = async (tokenHash, purpose) => {
+  const row = await db.get(
+    `SELECT * FROM account_tokens
+     WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?`,
+    [tokenHash, purpose, new Date().toISOString()]
+  );
+
+  return mapToken(row);
+};
+
+/**
+ * Tandai token sudah dipakai. Atomik: hanya satu request yang berhasil.
+ * @param {number} id - ID token
+ * @returns {Promise<boolean>} true jika token belum pernah dipakai
+ */
+const markUsed = async (id) => {
+  const { changes } = await db.run(
+    'UPDATE account_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+    [new Date().toISOString(), id]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Dapatkan waktu token terakhir dibuat untuk pengguna (untuk membatasi pengiriman email)
+ * @param {number} userId - ID pengguna
+ * @param {string} purpose - Kegunaan token
+ * @returns {Promise<string|null>} Waktu dibuat (ISO)
+ */
+const findLatestCreatedAt = async (userId, purpose) => {
+  const row = await db.get(
+    'SELECT MAX(created_at) AS created_at FROM account_tokens WHERE user_id = ? AND purpose = ?',
+    [userId, purpose]
+  );
+
+  return row ? row.created_at : null;
+};
+
+/**
+ * Batalkan semua token pengguna yang belum dipakai
+ * @param {number} userId - ID pengguna
+ * @param {string} purpose - Kegunaan token
+ * @returns {Promise<number>} Jumlah token yang dibatalkan
+ */
+const invalidateByUser = async (userId, purpose) => {
+  const { changes } = await db.run(
+    'UPDATE account_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [new Date().toISOString(), userId, purpose]
+  );
+
+  return changes;
+};
+
+/**
+ * Hapus token yang sudah kedaluwarsa
+ * @returns {Promise<number>} Jumlah token yang dihapus
+ */
+const deleteExpired = async () => {
+  const { changes } = await db.run('DELETE FROM account_tokens WHERE expires_at <= ?', [new Date().toISOString()]);
+  return changes;
+};
+
+module.exports = {
+  create,
+  findActive,
+  markUsed,
+  findLatestCreatedAt,
+  invalidateByUser,
+  deleteExpired
+};
@@ -0,0 +1,129 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel applications menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data aplikasi
+ */
+const mapApp = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    childId: row.child_id,
+    name: row.app_name,
+    packageName: row.package_name,
+    category: row.category,
+    isBlocked: !!row.is_blocked,
+    usageLimit: row.usage_limit // dalam menit
+  };
+};
+
+/**
+ * Dapatkan daftar aplikasi, opsional difilter berdasarkan anak
+ * @param {number} [childId] - ID anak
+ * @returns {Promise<Object[]>} Daftar aplikasi
+ */
+const findAll = async (childId) => {
+  const rows = childId
+    ? await db.all('SELECT * FROM applications WHERE child_id = ? ORDER BY app_name', [childId])
+    : await db.all('SELECT * FROM applications ORDER BY child_id, app_name');
+
+  return rows.map(mapApp);
+};
+
+/**
+ * Dapatkan daftar aplikasi semua anak dalam keluarga-keluarga tertentu
+ * @param {number[]} householdIds - ID keluarga
+ * @returns {Promise<Object[]>} Daftar aplikasi
+ */
+const findByHouseholds = async (householdIds) => {
+  if (householdIds.length === 0) return [];
+
+  const rows = await db.all(
+    `SELECT applications.* FROM applications
+     JOIN children ON children.id = applications.child_id
+     WHERE children.household_id IN (${householdIds.map(() => '?').join(', ')})
+     ORDER BY applications.child_id, applications.app_name`,
+    householdIds
+  );
+
+  return rows.map(mapApp);
+};
+
+/**
+ * Dapatkan aplikasi berdasarkan ID
+ * @param {number} id - ID aplikasi
+ * @returns {Promise<Object|null>} Data aplikasi
+ */
+const findById = async (id) => {
+  const row = await db.get('SELECT * FROM applications WHERE id = ?', [id]);
+  return mapApp(row);
+};
+
+/**
+ * Ubah status blokir aplikasi
+ * @param {number} id - ID aplikasi
+ * @param {boolean} isBlocked - Status blokir baru
+ * @returns {Promise<Object|null>} Data aplikasi setelah diperbarui
+ */
+const setBlocked = async (id, isBlocked) => {
+  const { changes } = await db.run(
+    'UPDATE applications SET is_blocked = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [isBlocked ? 1 : 0, id]
+  );
+
+  return changes ? findById(id) : null;
+};
+
+/**
+ * Atur batas waktu penggunaan aplikasi
+ * @param {number} id - ID aplikasi
+ * @param {number} usageLimit - Batas waktu dalam menit
+ * @returns {Promise<Object|null>} Data aplikasi setelah diperbarui
+ */
+const setUsageLimit = async (id, usageLimit) => {
+  const { changes } = await db.run(
+    'UPDATE applications SET usage_limit = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [usageLimit, id]
+  );
+
+  return changes ? findById(id) : null;
+};
+
+/**
+ * Simpan data penggunaan aplikasi yang dilaporkan perangkat anak.
+ * Aplikasi yang belum dikenal otomatis didaftarkan ke tabel applications.
+ * @param {number} childId - ID anak
+ * @param {Object[]} usage - Daftar { packageName, appName, category, usageTime, date }
+ * @returns {Promise<number>} Jumlah entri yang disimpan
+ */
+const recordUsage = async (childId, usage) => {
+  for (const entry of usage) {
+    await db.run(
+      `INSERT INTO applications (child_id, package_name, app_name, category)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (child_id, package_name) DO UPDATE SET
+         app_name = excluded.app_name,
+         category = COALESCE(excluded.category, applications.category),
+         updated_at = CURRENT_TIMESTAMP`,
+      [childId, entry.packageName, entry.appName || entry.packageName, entry.category || null]
+    );
+
+    await db.run(
+      'INSERT INTO app_usage (child_id, package_name, usage_date, usage_time) VALUES (?, ?, ?, ?)',
+      [childId, entry.packageName, entry.date, entry.usageTime]
+    );
+  }
+
+  return usage.length;
+};
+
+module.exports = {
+  findAll,
+  findByHouseholds,
+  findById,
+  setBlocked,
+  setUsageLimit,
+  recordUsage
+};
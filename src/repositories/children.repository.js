@@ -0,0 +1,179 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel children menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data anak
+ */
+const mapChild = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    // user_id ditambahkan oleh migrasi 002, data lama hanya punya parent_id
+    userId: row.user_id || row.parent_id,
+    householdId: row.household_id,
+    name: row.name,
+    birthDate: row.birth_date,
+    deviceId: row.device_id,
+    deviceModel: row.device_model,
+    deviceOs: row.device_os,
+    maxScreenTime: row.max_screen_time, // menit
+    lastSync: row.last_sync,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+};
+
+/**
+ * Dapatkan anak berdasarkan ID
+ * @param {number} id - ID anak
+ * @returns {Promise<Object|null>} Data anak
+ */
+const findById = async (id) => {
+  const row = await db.get('SELECT * FROM children WHERE id = ?', [id]);
+  return mapChild(row);
+};
+
+/**
+ * Dapatkan semua anak dalam keluarga-keluarga tertentu
+ * @param {number[]} householdIds - ID keluarga
+ * @returns {Promise<Object[]>} Daftar anak
+ */
+const findByHouseholds = async (householdIds) => {
+  if (householdIds.length === 0) return [];
+
+  const rows = await db.all(
+    `SELECT * FROM children WHERE household_id IN (${householdIds.map(() => '?').join(', ')}) ORDER BY name`,
+    householdIds
+  );
+
+  return rows.map(mapChild);
+};
+
+/**
+ * Dapatkan anak berdasarkan ID perangkat
+ * @param {string} deviceId - ID perangkat
+ * @returns {Promise<Object|null>} Data anak
+ */
+const findByDeviceId = async (deviceId) => {
+  const row = await db.get('SELECT * FROM children WHERE device_id = ?', [deviceId]);
+  return mapChild(row);
+};
+
+/**
+ * Periksa apakah ID perangkat sudah dipakai anak lain
+ * @param {string} deviceId - ID perangkat
+ * @param {number} [exceptChildId] - ID anak yang dikecualikan
+ * @returns {Promise<boolean>}
+ */
+const deviceIdTaken = async (deviceId, exceptChildId = null) => {
+  const child = await findByDeviceId(deviceId);
+  return !!child && child.id !== exceptChildId;
+};
+
+/**
+ * Tambahkan anak baru (perangkat dihubungkan kemudian lewat pairDevice)
+ * @param {Object} child - { userId, householdId, name, birthDate, maxScreenTime }
+ * @returns {Promise<Object>} Data anak yang baru dibuat
+ */
+const create = async ({ userId, householdId, name, birthDate, maxScreenTime }) => {
+  // parent_id (skema awal) dan user_id (migrasi 002) diisi sama dengan owner keluarga
+  const { lastID } = await db.run(
+    `INSERT INTO children (parent_id, user_id, household_id, name, birth_date, max_screen_time)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, userId, householdId, name, birthDate || null, maxScreenTime]
+  );
+
+  return findById(lastID);
+};
+
+/**
+ * Perbarui data anak. Field yang tidak diberikan tetap memakai nilai lama.
+ * Perangkat anak tidak diubah di sini, hanya lewat pairing.
+ * @param {number} id - ID anak
+ * @param {Object} child - { name, birthDate, maxScreenTime }
+ * @returns {Promise<Object|null>} Data anak setelah diperbarui
+ */
+const update = async (id, { name, birthDate, maxScreenTime }) => {
+  const { changes } = await db.run(
+    `UPDATE children SET
+       name = COALESCE(?, name),
+       birth_date = COALESCE(?, birth_date),
+       max_screen_time = COALESCE(?, max_screen_time),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [name || null, birthDate || null, maxScreenTime ?? null, id]
+  );
+
+  return changes ? findById(id) : null;
+};
+
+/**
+ * Hubungkan perangkat hasil pairing ke anak beserta info perangkatnya
+ * @param {number} id - ID anak
+ * @param {Object} device - { deviceId, deviceModel, deviceOs }
+ * @returns {Promise<Object|null>} Data anak setelah diperbarui
+ */
+const pairDevice = async (id, { deviceId, deviceModel, deviceOs }) => {
+  const { changes } = await db.run(
+    `UPDATE children SET device_id = ?, device_model = ?, device_os = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [deviceId, deviceModel || null, deviceOs || null, id]
+  );
+
+  return changes ? findById(id) : null;
+};
+
+/**
+ * Lepaskan perangkat dari anak
+ * @param {number} id - ID anak
+ * @returns {Promise<Object|null>} Data anak setelah diperbarui
+ */
+const unpairDevice = async (id) => {
+  const { changes } = await db.run(
+    `UPDATE children SET device_id = NULL, device_model = NULL, device_os = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [id]
+  );
+
+  return changes ? findById(id) : null;
+};
+
+/**
+ * Atur batas waktu layar harian anak
+ * @param {number} id - ID anak
+ * @param {number} maxScreenTime - Batas dalam menit
+ * @returns {Promise<Object|null>} Data anak setelah diperbarui
+ */
+const setMaxScreenTime = async (id, maxScreenTime) => {
+  const { changes } = await db.run(
+    'UPDATE children SET max_screen_time = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [maxScreenTime, id]
+  );
+
+  return changes ? findById(id) : null;
+};
+
+/**
+ * Hapus anak beserta data terkait (melalui ON DELETE CASCADE)
+ * @param {number} id - ID anak
+ * @returns {Promise<boolean>} true jika anak ditemukan dan dihapus
+ */
+const remove = async (id) => {
+  const { changes } = await db.run('DELETE FROM children WHERE id = ?', [id]);
+  return changes > 0;
+};
+
+module.exports = {
+  findById,
+  findByHouseholds,
+  findByDeviceId,
+  deviceIdTaken,
+  create,
+  update,
+  pairDevice,
+  unpairDevice,
+  setMaxScreenTime,
+  remove
+};
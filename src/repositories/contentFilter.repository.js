@@ -0,0 +1,70 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel content_filters menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Pengaturan filter konten
+ */
+const mapContentFilter = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    childId: row.child_id,
+    filterType: row.filter_type,
+    isEnabled: !!row.is_enabled,
+    sensitivity: row.sensitivity
+  };
+};
+
+/**
+ * Dapatkan pengaturan filter konten milik anak
+ * @param {number} childId - ID anak
+ * @param {Object} options - Opsi query
+ * @param {boolean} options.enabledOnly - Hanya ambil filter yang aktif
+ * @returns {Promise<Object[]>} Daftar filter
+ */
+const findByChild = async (childId, { enabledOnly = false } = {}) => {
+  const rows = await db.all(
+    `SELECT * FROM content_filters WHERE child_id = ?${enabledOnly ? ' AND is_enabled = 1' : ''} ORDER BY id`,
+    [childId]
+  );
+
+  return rows.map(mapContentFilter);
+};
+
+/**
+ * Simpan (insert atau update) pengaturan filter konten berdasarkan tipe filter
+ * @param {number} childId - ID anak
+ * @param {Object[]} filters - Daftar { filterType, isEnabled, sensitivity }
+ * @returns {Promise<Object[]>} Semua filter anak setelah disimpan
+ */
+const upsertMany = async (childId, filters) => {
+  for (const filter of filters) {
+    const existing = await db.get(
+      'SELECT id FROM content_filters WHERE child_id = ? AND filter_type = ?',
+      [childId, filter.filterType]
+    );
+
+    if (existing) {
+      // Update pengaturan yang sudah ada
+      await db.run(
+        'UPDATE content_filters SET is_enabled = ?, sensitivity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [filter.isEnabled ? 1 : 0, filter.sensitivity, existing.id]
+      );
+    } else {
+      // Tambahkan pengaturan baru
+      await db.run(
+        'INSERT INTO content_filters (child_id, filter_type, is_enabled, sensitivity) VALUES (?, ?, ?, ?)',
+        [childId, filter.filterType, filter.isEnabled ? 1 : 0, filter.sensitivity]
+      );
+    }
+  }
+
+  return findByChild(childId);
+};
+
+module.exports = {
+  findByChild,
+  upsertMany
+};
@@ -0,0 +1,167 @@
+const db = require('../db/setup');
+
+/**
+ * Parse kolom JSON, kembalikan null jika kosong atau tidak valid
+ * @param {string|null} value - Isi kolom
+ * @returns {*} Nilai hasil parse
+ */
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ubah baris tabel device_commands menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data perintah
+ */
+const mapCommand = (row) => {
+  if (!row) return null;
+
+  return {
+    commandId: row.command_id,
+    childId: row.child_id,
+    issuedBy: row.issued_by,
+    type: row.type,
+    payload: parseJson(row.payload),
+    status: row.status,
+    result: parseJson(row.result),
+    error: row.error,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    deliveredAt: row.delivered_at,
+    completedAt: row.completed_at
+  };
+};
+
+/**
+ * Simpan perintah baru dengan status queued
+ * @param {Object} command - { commandId, childId, issuedBy, type, payload, expiresAt }
+ * @returns {Promise<Object>} Perintah yang tersimpan
+ */
+const create = async ({ commandId, childId, issuedBy, type, payload, expiresAt }) => {
+  await db.run(
+    `INSERT INTO device_commands (command_id, child_id, issued_by, type, payload, status, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, 'queued', ?, ?)`,
+    [commandId, childId, issuedBy, type, JSON.stringify(payload || {}), expiresAt, new Date().toISOString()]
+  );
+
+  return findByCommandId(commandId);
+};
+
+/**
+ * Dapatkan perintah berdasarkan command ID
+ * @param {string} commandId - ID perintah
+ * @returns {Promise<Object|null>} Data perintah
+ */
+const findByCommandId = async (commandId) => {
+  const row = await db.get('SELECT * FROM device_commands WHERE command_id = ?', [commandId]);
+  return mapCommand(row);
+};
+
+/**
+ * Dapatkan perintah milik anak, terbaru lebih dulu
+ * @param {number} childId - ID anak
+ * @param {Object} options - { status, limit }
+ * @returns {Promise<Object[]>} Daftar perintah
+ */
+const findByChild = async (childId, { status, limit = 50 } = {}) => {
+  const params = [childId];
+  let sql = 'SELECT * FROM device_commands WHERE child_id = ?';
+
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
+
+  const rows = await db.all(sql, params);
+  return rows.map(mapCommand);
+};
+
+/**
+ * Dapatkan perintah yang belum dikirim dan belum kedaluwarsa, terlama lebih dulu
+ * @param {number} childId - ID anak
+ * @returns {Promise<Object[]>} Daftar perintah
+ */
+const findQueuedByChild = async (childId) => {
+  const rows = await db.all(
+    `SELECT * FROM device_commands
+     WHERE child_id = ? AND status = 'queued' AND expires_at > ?
+     ORDER BY id`,
+    [childId, new Date().toISOString()]
+  );
+
+  return rows.map(mapCommand);
+};
+
+/**
+ * Tandai perintah sudah dikirim ke perangkat
+ * @param {string} commandId - ID perintah
+ * @returns {Promise<boolean>} true jika status berubah
+ */
+const markDelivered = async (commandId) => {
+  const { changes } = await db.run(
+    `UPDATE device_commands SET status = 'delivered', delivered_at = ?
+     WHERE command_id = ? AND status = 'queued'`,
+    [new Date().toISOString(), commandId]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Simpan hasil akhir perintah (acknowledged atau failed)
+ * @param {string} commandId - ID perintah
+ * @param {Object} outcome - { status, result, error }
+ * @returns {Promise<boolean>} true jika status berubah
+ */
+const complete = async (commandId, { status, result, error }) => {
+  const { changes } = await db.run(
+    `UPDATE device_commands SET status = ?, result = ?, error = ?, completed_at = ?,
+       delivered_at = COALESCE(delivered_at, ?)
+     WHERE command_id = ? AND status IN ('queued', 'delivered')`,
+    [
+      status,
+      result === undefined ? null : JSON.stringify(result),
+      error || null,
+      new Date().toISOString(),
+      new Date().toISOString(),
+      commandId
+    ]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Tandai semua perintah yang melewati expires_at sebagai expired
+ * @returns {Promise<number>} Jumlah perintah yang kedaluwarsa
+ */
+const expireOverdue = async () => {
+  const now = new Date().toISOString();
+  const { changes } = await db.run(
+    `UPDATE device_commands SET status = 'expired', completed_at = ?
+     WHERE status IN ('queued', 'delivered') AND expires_at <= ?`,
+    [now, now]
+  );
+
+  return changes;
+};
+
+module.exports = {
+  create,
+  findByCommandId,
+  findByChild,
+  findQueuedByChild,
+  markDelivered,
+  complete,
+  expireOverdue
+};
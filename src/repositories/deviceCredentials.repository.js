@@ -0,0 +1,92 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel device_credentials menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data kredensial (secretHash hanya dipakai untuk verifikasi)
+ */
+const mapCredential = (row) => {
+  if (!row) return null;
+
+  return {
+    credentialId: row.credential_id,
+    childId: row.child_id,
+    deviceId: row.device_id,
+    secretHash: row.secret_hash,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+};
+
+/**
+ * Simpan kredensial perangkat baru
+ * @param {Object} credential - { credentialId, childId, deviceId, secretHash }
+ * @returns {Promise<Object>} Kredensial yang tersimpan
+ */
+const create = async ({ credentialId, childId, deviceId, secretHash }) => {
+  await db.run(
+    `INSERT INTO device_credentials (credential_id, child_id, device_id, secret_hash, created_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [credentialId, childId, deviceId, secretHash, new Date().toISOString()]
+  );
+
+  return findById(credentialId);
+};
+
+/**
+ * Dapatkan kredensial berdasarkan ID
+ * @param {string} credentialId - ID kredensial
+ * @returns {Promise<Object|null>} Data kredensial
+ */
+const findById = async (credentialId) => {
+  const row = await db.get('SELECT * FROM device_credentials WHERE credential_id = ?', [credentialId]);
+  return mapCredential(row);
+};
+
+/**
+ * Cek apakah kredensial masih berlaku (belum dicabut)
+ * @param {string} credentialId - ID kredensial
+ * @returns {Promise<boolean>}
+ */
+const isActive = async (credentialId) => {
+  const row = await db.get(
+    'SELECT id FROM device_credentials WHERE credential_id = ? AND revoked_at IS NULL',
+    [credentialId]
+  );
+
+  return !!row;
+};
+
+/**
+ * Catat waktu terakhir kredensial dipakai
+ * @param {string} credentialId - ID kredensial
+ */
+const touch = async (credentialId) => {
+  await db.run(
+    'UPDATE device_credentials SET last_used_at = ? WHERE credential_id = ?',
+    [new Date().toISOString(), credentialId]
+  );
+};
+
+/**
+ * Cabut semua kredensial aktif milik anak
+ * @param {number} childId - ID anak
+ * @returns {Promise<number>} Jumlah kredensial yang dicabut
+ */
+const revokeByChild = async (childId) => {
+  const { changes } = await db.run(
+    'UPDATE device_credentials SET revoked_at = ? WHERE child_id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), childId]
+  );
+
+  return changes;
+};
+
+module.exports = {
+  create,
+  findById,
+  isActive,
+  touch,
+  revokeByChild
+};
@@ -0,0 +1,145 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel geofence_states menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Status anak terhadap zona
+ */
+const mapState = (row) => {
+  if (!row) return null;
+
+  return {
+    childId: row.child_id,
+    zoneId: row.zone_id,
+    state: row.state,
+    candidateState: row.candidate_state,
+    candidateCount: row.candidate_count,
+    enteredAt: row.entered_at,
+    dwellNotifiedAt: row.dwell_notified_at,
+    absenceWindow: row.absence_window,
+    updatedAt: row.updated_at
+  };
+};
+
+/**
+ * Ubah baris tabel geofence_events menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Event geofence
+ */
+const mapEvent = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    childId: row.child_id,
+    zoneId: row.zone_id,
+    zoneName: row.zone_name,
+    type: row.type,
+    severity: row.severity,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    accuracy: row.accuracy,
+    locationId: row.location_id,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Dapatkan status anak terhadap semua zonanya
+ * @param {number} childId - ID anak
+ * @returns {Promise<Object[]>}
+ */
+const findStatesByChild = async (childId) => {
+  const rows = await db.all('SELECT * FROM geofence_states WHERE child_id = ?', [childId]);
+  return rows.map(mapState);
+};
+
+/**
+ * Dapatkan status anak terhadap satu zona
+ * @param {number} childId - ID anak
+ * @param {number} zoneId - ID zona
+ * @returns {Promise<Object|null>}
+ */
+const findState = async (childId, zoneId) => {
+  const row = await db.get('SELECT * FROM geofence_states WHERE child_id = ? AND zone_id = ?', [childId, zoneId]);
+  return mapState(row);
+};
+
+/**
+ * Simpan status anak terhadap zona (buat baru atau timpa)
+ * @param {Object} state - { childId, zoneId, state, candidateState, candidateCount, enteredAt, dwellNotifiedAt, absenceWindow }
+ */
+const saveState = async ({ childId, zoneId, state, candidateState, candidateCount, enteredAt, dwellNotifiedAt, absenceWindow }) => {
+  await db.run(
+    `INSERT INTO geofence_states
+       (child_id, zone_id, state, candidate_state, candidate_count, entered_at, dwell_notified_at, absence_window, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (child_id, zone_id) DO UPDATE SET
+       state = excluded.state,
+       candidate_state = excluded.candidate_state,
+       candidate_count = excluded.candidate_count,
+       entered_at = excluded.entered_at,
+       dwell_notified_at = excluded.dwell_notified_at,
+       absence_window = excluded.absence_window,
+       updated_at = excluded.updated_at`,
+    [
+      childId,
+      zoneId,
+      state,
+      candidateState || null,
+      candidateCount || 0,
+      enteredAt || null,
+      dwellNotifiedAt || null,
+      absenceWindow || null,
+      new Date().toISOString()
+    ]
+  );
+};
+
+/**
+ * Simpan event geofence
+ * @param {Object} event - { childId, zoneId, zoneName, type, severity, latitude, longitude, accuracy, locationId }
+ * @returns {Promise<Object>} Event yang tersimpan
+ */
+const createEvent = async ({ childId, zoneId, zoneName, type, severity = 'low', latitude, longitude, accuracy, locationId }) => {
+  const { lastID } = await db.run(
+    `INSERT INTO geofence_events
+       (child_id, zone_id, zone_name, type, severity, latitude, longitude, accuracy, location_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [childId, zoneId, zoneName, type, severity, latitude, longitude, accuracy ?? null, locationId || null, new Date().toISOString()]
+  );
+
+  return mapEvent(await db.get('SELECT * FROM geofence_events WHERE id = ?', [lastID]));
+};
+
+/**
+ * Riwayat event geofence anak, terbaru lebih dulu
+ * @param {number} childId - ID anak
+ * @param {Object} filter - Filter opsional
+ * @param {number} filter.zoneId - Hanya event untuk zona ini
+ * @param {number} filter.limit - Jumlah maksimal hasil
+ * @returns {Promise<Object[]>}
+ */
+const findEvents = async (childId, { zoneId, limit = 100 } = {}) => {
+  let sql = 'SELECT * FROM geofence_events WHERE child_id = ?';
+  const params = [childId];
+
+  if (zoneId) {
+    sql += ' AND zone_id = ?';
+    params.push(zoneId);
+  }
+
+  sql += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+  params.push(limit);
+
+  const rows = await db.all(sql, params);
+  return rows.map(mapEvent);
+};
+
+module.exports = {
+  findStatesByChild,
+  findState,
+  saveState,
+  createEvent,
+  findEvents
+};
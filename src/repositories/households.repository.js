@@ -0,0 +1,356 @@
+const db = require('../db/setup');
+
+/**
+ * Parse daftar izin (kolom JSON), kembalikan null jika kosong atau tidak valid
+ * @param {string|null} value - Isi kolom
+ * @returns {string[]|null}
+ */
+const parsePermissions = (value) => {
+  if (value === null || value === undefined) return null;
+
+  try {
+    const permissions = JSON.parse(value);
+    return Array.isArray(permissions) ? permissions : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ubah baris tabel households menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data keluarga
+ */
+const mapHousehold = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    ownerId: row.owner_id,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Ubah baris tabel household_members (opsional digabung dengan users) menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data anggota keluarga
+ */
+const mapMember = (row) => {
+  if (!row) return null;
+
+  return {
+    householdId: row.household_id,
+    userId: row.user_id,
+    username: row.username,
+    name: row.full_name || row.name,
+    email: row.email,
+    role: row.role,
+    permissions: parsePermissions(row.permissions),
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Ubah baris tabel household_invitations menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data undangan (tanpa hash token)
+ */
+const mapInvitation = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    householdId: row.household_id,
+    email: row.email,
+    role: row.role,
+    permissions: parsePermissions(row.permissions),
+    invitedBy: row.invited_by,
+    expiresAt: row.expires_at,
+    acceptedAt: row.accepted_at,
+    acceptedBy: row.accepted_by,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Buat keluarga baru beserta owner-nya sebagai anggota pertama
+ * @param {Object} household - { name, ownerId }
+ * @returns {Promise<Object>} Data keluarga
+ */
+const create = async ({ name, ownerId }) => {
+  const now = new Date().toISOString();
+
+  const { lastID } = await db.run(
+    'INSERT INTO households (name, owner_id, created_at) VALUES (?, ?, ?)',
+    [name, ownerId, now]
+  );
+
+  await db.run(
+    'INSERT INTO household_members (household_id, user_id, role, created_at) VALUES (?, ?, ?, ?)',
+    [lastID, ownerId, 'owner', now]
+  );
+
+  return findById(lastID);
+};
+
+/**
+ * Dapatkan keluarga berdasarkan ID
+ * @param {number} id - ID keluarga
+ * @returns {Promise<Object|null>}
+ */
+const findById = async (id) => {
+  const row = await db.get('SELECT * FROM households WHERE id = ?', [id]);
+  return mapHousehold(row);
+};
+
+/**
+ * Dapatkan keluarga pertama yang dimiliki pengguna
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<Object|null>}
+ */
+const findOwnedBy = async (userId) => {
+  const row = await db.get('SELECT * FROM households WHERE owner_id = ? ORDER BY id LIMIT 1', [userId]);
+  return mapHousehold(row);
+};
+
+/**
+ * Daftar keluarga tempat pengguna menjadi anggota, beserta role dan izinnya
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<Object[]>} [{ household, member }]
+ */
+const findByMember = async (userId) => {
+  const rows = await db.all(
+    `SELECT households.id, households.name, households.owner_id, households.created_at,
+            household_members.role, household_members.permissions, household_members.created_at AS joined_at
+     FROM household_members
+     JOIN households ON households.id = household_members.household_id
+     WHERE household_members.user_id = ?
+     ORDER BY households.id`,
+    [userId]
+  );
+
+  return rows.map((row) => ({
+    household: mapHousehold(row),
+    member: mapMember({
+      household_id: row.id,
+      user_id: userId,
+      role: row.role,
+      permissions: row.permissions,
+      created_at: row.joined_at
+    })
+  }));
+};
+
+/**
+ * Dapatkan keanggotaan pengguna dalam keluarga
+ * @param {number} householdId - ID keluarga
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<Object|null>}
+ */
+const findMember = async (householdId, userId) => {
+  const row = await db.get(
+    'SELECT * FROM household_members WHERE household_id = ? AND user_id = ?',
+    [householdId, userId]
+  );
+
+  return mapMember(row);
+};
+
+/**
+ * Daftar anggota keluarga beserta data penggunanya
+ * @param {number} householdId - ID keluarga
+ * @returns {Promise<Object[]>}
+ */
+const findMembers = async (householdId) => {
+  const rows = await db.all(
+    `SELECT household_members.*, users.username, users.name, users.full_name, users.email
+     FROM household_members
+     JOIN users ON users.id = household_members.user_id
+     WHERE household_members.household_id = ?
+     ORDER BY household_members.id`,
+    [householdId]
+  );
+
+  return rows.map(mapMember);
+};
+
+/**
+ * Tambahkan anggota keluarga
+ * @param {Object} member - { householdId, userId, role, permissions }
+ * @returns {Promise<boolean>} false jika pengguna sudah menjadi anggota
+ */
+const addMember = async ({ householdId, userId, role, permissions }) => {
+  if (await findMember(householdId, userId)) return false;
+
+  await db.run(
+    'INSERT INTO household_members (household_id, user_id, role, permissions, created_at) VALUES (?, ?, ?, ?, ?)',
+    [householdId, userId, role, permissions ? JSON.stringify(permissions) : null, new Date().toISOString()]
+  );
+
+  return true;
+};
+
+/**
+ * Ubah role dan izin anggota keluarga
+ * @param {number} householdId - ID keluarga
+ * @param {number} userId - ID pengguna
+ * @param {Object} access - { role, permissions }
+ * @returns {Promise<boolean>} true jika anggota ditemukan
+ */
+const updateMember = async (householdId, userId, { role, permissions }) => {
+  const { changes } = await db.run(
+    'UPDATE household_members SET role = ?, permissions = ? WHERE household_id = ? AND user_id = ?',
+    [role, permissions ? JSON.stringify(permissions) : null, householdId, userId]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Keluarkan anggota dari keluarga
+ * @param {number} householdId - ID keluarga
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<boolean>} true jika anggota ditemukan dan dihapus
+ */
+const removeMember = async (householdId, userId) => {
+  const { changes } = await db.run(
+    'DELETE FROM household_members WHERE household_id = ? AND user_id = ?',
+    [householdId, userId]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Simpan undangan baru
+ * @param {Object} invitation - { householdId, email, role, permissions, tokenHash, invitedBy, expiresAt }
+ * @returns {Promise<Object>} Data undangan
+ */
+const createInvitation = async ({ householdId, email, role, permissions, tokenHash, invitedBy, expiresAt }) => {
+  const { lastID } = await db.run(
+    `INSERT INTO household_invitations
+       (household_id, email, role, permissions, token_hash, invited_by, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      householdId,
+      email,
+      role,
+      permissions ? JSON.stringify(permissions) : null,
+      tokenHash,
+      invitedBy,
+      expiresAt,
+      new Date().toISOString()
+    ]
+  );
+
+  return findInvitationById(lastID);
+};
+
+/**
+ * Dapatkan undangan berdasarkan ID
+ * @param {number} id - ID undangan
+ * @returns {Promise<Object|null>}
+ */
+const findInvitationById = async (id) => {
+  const row = await db.get('SELECT * FROM household_invitations WHERE id = ?', [id]);
+  return mapInvitation(row);
+};
+
+/**
+ * Dapatkan undangan yang masih berlaku (belum diterima, dicabut, atau kedaluwarsa)
+ * @param {string} tokenHash - Hash token undangan
+ * @returns {Promise<Object|null>}
+ */
+const findActiveInvitation = async (tokenHash) => {
+  const row = await db.get(
+    `SELECT * FROM household_invitations
+     WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?`,
+    [tokenHash, new Date().toISOString()]
+  );
+
+  return mapInvitation(row);
+};
+
+/**
+ * Daftar undangan keluarga yang masih menunggu jawaban
+ * @param {number} householdId - ID keluarga
+ * @returns {Promise<Object[]>}
+ */
+const findPendingInvitations = async (householdId) => {
+  const rows = await db.all(
+    `SELECT * FROM household_invitations
+     WHERE household_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY created_at DESC, id DESC`,
+    [householdId, new Date().toISOString()]
+  );
+
+  return rows.map(mapInvitation);
+};
+
+/**
+ * Tandai undangan diterima. Atomik: hanya satu request yang berhasil.
+ * @param {number} id - ID undangan
+ * @param {number} userId - ID pengguna yang menerima
+ * @returns {Promise<boolean>} true jika undangan belum pernah diterima atau dicabut
+ */
+const acceptInvitation = async (id, userId) => {
+  const { changes } = await db.run(
+    `UPDATE household_invitations SET accepted_at = ?, accepted_by = ?
+     WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [new Date().toISOString(), userId, id]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Cabut undangan yang belum diterima
+ * @param {number} id - ID undangan
+ * @returns {Promise<boolean>} true jika undangan masih menunggu jawaban
+ */
+const revokeInvitation = async (id) => {
+  const { changes } = await db.run(
+    'UPDATE household_invitations SET revoked_at = ? WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+    [new Date().toISOString(), id]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Cabut semua undangan yang belum diterima untuk email tertentu dalam keluarga
+ * @param {number} householdId - ID keluarga
+ * @param {string} email - Email yang diundang
+ * @returns {Promise<number>} Jumlah undangan yang dicabut
+ */
+const revokeInvitationsByEmail = async (householdId, email) => {
+  const { changes } = await db.run(
+    `UPDATE household_invitations SET revoked_at = ?
+     WHERE household_id = ? AND LOWER(email) = LOWER(?) AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [new Date().toISOString(), householdId, email]
+  );
+
+  return changes;
+};
+
+module.exports = {
+  create,
+  findById,
+  findOwnedBy,
+  findByMember,
+  findMember,
+  findMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  createInvitation,
+  findInvitationById,
+  findActiveInvitation,
+  findPendingInvitations,
+  acceptInvitation,
+  revokeInvitation,
+  revokeInvitationsByEmail
+};
@@ -0,0 +1,27 @@
+/**
+ * Repository layer untuk akses data
+ * Semua route mengakses database melalui modul-modul ini agar query
+ * dan pemetaan kolom ke format API tidak tersebar di banyak tempat.
+ */
+
+module.exports = {
+  usersRepository: require('./users.repository'),
+  childrenRepository: require('./children.repository'),
+  appsRepository: require('./apps.repository'),
+  screenTimeRepository: require('./screenTime.repository'),
+  locationRepository: require('./location.repository'),
+  contentFilterRepository: require('./contentFilter.repository'),
+  deviceCommandsRepository: require('./deviceCommands.repository'),
+  pairingCodesRepository: require('./pairingCodes.repository'),
+  deviceCredentialsRepository: require('./deviceCredentials.repository'),
+  refreshTokensRepository: require('./refreshTokens.repository'),
+  revokedTokensRepository: require('./revokedTokens.repository'),
+  twoFactorRepository: require('./twoFactor.repository'),
+  jwtKeysRepository: require('./jwtKeys.repository'),
+  accountTokensRepository: require('./accountTokens.repository'),
+  loginAttemptsRepository: require('./loginAttempts.repository'),
+  securityEventsRepository: require('./securityEvents.repository'),
+  householdsRepository: require('./households.repository'),
+  geofenceRepository: require('./geofence.repository'),
+  notificationsRepository: require('./notifications.repository')
+};
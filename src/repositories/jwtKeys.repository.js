@@ -0,0 +1,97 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel jwt_signing_keys menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data kunci (privateKeyEncrypted hanya dipakai untuk menandatangani)
+ */
+const mapKey = (row) => {
+  if (!row) return null;
+
+  return {
+    kid: row.kid,
+    generation: Number(row.generation),
+    algorithm: row.algorithm,
+    publicKey: row.public_key,
+    privateKeyEncrypted: row.private_key_encrypted,
+    createdAt: row.created_at,
+    activatesAt: row.activates_at,
+    expiresAt: row.expires_at
+  };
+};
+
+/**
+ * Simpan kunci baru. Gagal (tanpa error) jika generation sudah dipakai instance lain.
+ * @param {Object} key - { kid, generation, algorithm, publicKey, privateKeyEncrypted, activatesAt }
+ * @returns {Promise<boolean>} true jika kunci tersimpan
+ */
+const create = async ({ kid, generation, algorithm, publicKey, privateKeyEncrypted, activatesAt }) => {
+  const { changes } = await db.run(
+    `INSERT INTO jwt_signing_keys (kid, generation, algorithm, public_key, private_key_encrypted, created_at, activates_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (generation) DO NOTHING`,
+    [kid, generation, algorithm, publicKey, privateKeyEncrypted, new Date().toISOString(), activatesAt]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Dapatkan kunci dengan generation tertinggi
+ * @returns {Promise<Object|null>}
+ */
+const findLatest = async () => {
+  const row = await db.get('SELECT * FROM jwt_signing_keys ORDER BY generation DESC LIMIT 1');
+  return mapKey(row);
+};
+
+/**
+ * Daftar kunci yang masih berlaku untuk verifikasi (belum melewati expires_at)
+ * @returns {Promise<Object[]>} Kunci, generation tertinggi lebih dulu
+ */
+const findUsable = async () => {
+  const rows = await db.all(
+    `SELECT * FROM jwt_signing_keys
+     WHERE expires_at IS NULL OR expires_at > ?
+     ORDER BY generation DESC`,
+    [new Date().toISOString()]
+  );
+
+  return rows.map(mapKey);
+};
+
+/**
+ * Tetapkan masa berlaku kunci-kunci sebelum generation tertentu (setelah digantikan)
+ * @param {number} generation - Generation kunci pengganti
+ * @param {string} expiresAt - Waktu kunci lama berhenti dipakai verifikasi
+ * @returns {Promise<number>} Jumlah kunci yang diperbarui
+ */
+const expireBefore = async (generation, expiresAt) => {
+  const { changes } = await db.run(
+    'UPDATE jwt_signing_keys SET expires_at = ? WHERE generation < ? AND expires_at IS NULL',
+    [expiresAt, generation]
+  );
+
+  return changes;
+};
+
+/**
+ * Hapus kunci yang sudah tidak dipakai verifikasi
+ * @returns {Promise<number>} Jumlah kunci yang dihapus
+ */
+const deleteExpired = async () => {
+  const { changes } = await db.run(
+    'DELETE FROM jwt_signing_keys WHERE expires_at IS NOT NULL AND expires_at <= ?',
+    [new Date().toISOString()]
+  );
+
+  return changes;
+};
+
+module.exports = {
+  create,
+  findLatest,
+  findUsable,
+  expireBefore,
+  deleteExpired
+};
@@ -0,0 +1,266 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel safe_zones menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Zona aman
+ */
+const mapSafeZone = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    childId: row.child_id,
+    name: row.name,
+    type: row.type,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    radius: row.radius, // meter, hanya untuk circle
+    geometry: row.geometry ? JSON.parse(row.geometry) : null, // GeoJSON
+    bufferWidth: row.buffer_width, // meter, hanya untuk corridor
+    schedule: row.schedule ? JSON.parse(row.schedule) : null
+  };
+};
+
+/**
+ * Ubah baris tabel location_history menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Titik lokasi
+ */
+const mapLocation = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    childId: row.child_id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    accuracy: row.accuracy,
+    timestamp: row.timestamp
+  };
+};
+
+/**
+ * Dapatkan zona aman milik anak
+ * @param {number} childId - ID anak
+ * @returns {Promise<Object[]>} Daftar zona aman
+ */
+const findSafeZonesByChild = async (childId) => {
+  const rows = await db.all('SELECT * FROM safe_zones WHERE child_id = ? ORDER BY id', [childId]);
+  return rows.map(mapSafeZone);
+};
+
+/**
+ * Dapatkan zona aman berdasarkan ID
+ * @param {number} id - ID zona
+ * @returns {Promise<Object|null>} Zona aman
+ */
+const findSafeZoneById = async (id) => {
+  const row = await db.get('SELECT * FROM safe_zones WHERE id = ?', [id]);
+  return mapSafeZone(row);
+};
+
+/**
+ * Dapatkan semua zona aman yang memiliki jadwal mingguan (untuk pemeriksaan ketidakhadiran berkala)
+ * @returns {Promise<Object[]>} Daftar zona aman
+ */
+const findScheduledSafeZones = async () => {
+  const rows = await db.all('SELECT * FROM safe_zones WHERE schedule IS NOT NULL ORDER BY child_id, id');
+  return rows.map(mapSafeZone);
+};
+
+/**
+ * Tambahkan zona aman baru
+ * @param {Object} zone - { childId, name, type, latitude, longitude, radius, geometry, bufferWidth, schedule }
+ * @returns {Promise<Object>} Zona aman yang tersimpan
+ */
+const createSafeZone = async ({ childId, name, type = 'circle', latitude, longitude, radius, geometry, bufferWidth, schedule }) => {
+  const { lastID } = await db.run(
+    `INSERT INTO safe_zones (child_id, name, type, latitude, longitude, radius, geometry, buffer_width, schedule)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      childId,
+      name,
+      type,
+      latitude,
+      longitude,
+      radius ?? null,
+      geometry ? JSON.stringify(geometry) : null,
+      bufferWidth ?? null,
+      schedule ? JSON.stringify(schedule) : null
+    ]
+  );
+
+  return findSafeZoneById(lastID);
+};
+
+/**
+ * Perbarui zona aman. Nama hanya diubah jika diberikan; bentuk zona (type, koordinat, radius,
+ * geometry, bufferWidth) dan jadwal selalu ditimpa seluruhnya, jadi pemanggil mengirim nilai lengkap.
+ * @param {number} id - ID zona
+ * @param {Object} changes - { name, type, latitude, longitude, radius, geometry, bufferWidth, schedule }
+ * @returns {Promise<Object|null>} Zona aman setelah diperbarui
+ */
+const updateSafeZone = async (id, { name, type, latitude, longitude, radius, geometry, bufferWidth, schedule }) => {
+  const { changes } = await db.run(
+    `UPDATE safe_zones SET
+       name = COALESCE(?, name),
+       type = ?,
+       latitude = ?,
+       longitude = ?,
+       radius = ?,
+       geometry = ?,
+       buffer_width = ?,
+       schedule = ?
+     WHERE id = ?`,
+    [
+      name || null,
+      type,
+      latitude,
+      longitude,
+      radius ?? null,
+      geometry ? JSON.stringify(geometry) : null,
+      bufferWidth ?? null,
+      schedule ? JSON.stringify(schedule) : null,
+      id
+    ]
+  );
+
+  return changes ? findSafeZoneById(id) : null;
+};
+
+/**
+ * Hapus zona aman
+ * @param {number} id - ID zona
+ * @returns {Promise<boolean>} Apakah zona ditemukan dan dihapus
+ */
+const deleteSafeZone = async (id) => {
+  const { changes } = await db.run('DELETE FROM safe_zones WHERE id = ?', [id]);
+  return changes > 0;
+};
+
+/**
+ * Simpan titik lokasi baru ke riwayat
+ * @param {Object} location - { childId, latitude, longitude, accuracy }
+ * @returns {Promise<Object>} Titik lokasi yang tersimpan
+ */
+const addLocation = async ({ childId, latitude, longitude, accuracy }) => {
+  const timestamp = new Date().toISOString();
+  const { lastID } = await db.run(
+    'INSERT INTO location_history (child_id, latitude, longitude, accuracy, timestamp) VALUES (?, ?, ?, ?, ?)',
+    [childId, latitude, longitude, accuracy ?? null, timestamp]
+  );
+
+  return mapLocation(await db.get('SELECT * FROM location_history WHERE id = ?', [lastID]));
+};
+
+// Jumlah baris yang diambil per query saat riwayat dibaca bertahap
+const HISTORY_BATCH_SIZE = 500;
+
+/**
+ * Susun kondisi WHERE untuk filter riwayat lokasi
+ * @param {number} childId - ID anak
+ * @param {Object} filter - { startDate, endDate }
+ * @returns {{sql: string, params: Array}}
+ */
+const historyConditions = (childId, { startDate, endDate }) => {
+  let sql = 'child_id = ?';
+  const params = [childId];
+
+  if (startDate && endDate) {
+    sql += ' AND timestamp >= ? AND timestamp <= ?';
+    params.push(new Date(startDate).toISOString(), new Date(endDate).toISOString());
+  }
+
+  return { sql, params };
+};
+
+/**
+ * Dapatkan riwayat lokasi anak, terbaru lebih dulu
+ * @param {number} childId - ID anak
+ * @param {Object} filter - Filter opsional
+ * @param {string} filter.startDate - Batas awal (inklusif)
+ * @param {string} filter.endDate - Batas akhir (inklusif)
+ * @param {number} filter.limit - Jumlah maksimal hasil
+ * @returns {Promise<Object[]>} Riwayat lokasi
+ */
+const findHistory = async (childId, { startDate, endDate, limit } = {}) => {
+  const conditions = historyConditions(childId, { startDate, endDate });
+  let sql = `SELECT * FROM location_history WHERE ${conditions.sql}`;
+  const params = [...conditions.params];
+
+  sql += ' ORDER BY timestamp DESC';
+
+  if (limit) {
+    sql += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  const rows = await db.all(sql, params);
+  return rows.map(mapLocation);
+};
+
+/**
+ * Baca riwayat lokasi anak secara bertahap, terlama lebih dulu. Baris diambil per
+ * HISTORY_BATCH_SIZE dengan keyset pagination (timestamp, id), jadi rentang tanggal yang
+ * besar tidak pernah dimuat ke memori sekaligus.
+ * @param {number} childId - ID anak
+ * @param {Object} filter - Filter opsional, sama seperti findHistory
+ * @yields {Object} Titik lokasi
+ */
+async function* iterateHistory(childId, { startDate, endDate, limit } = {}) {
+  const conditions = historyConditions(childId, { startDate, endDate });
+  let remaining = limit || Infinity;
+  let cursor = null;
+
+  while (remaining > 0) {
+    let sql = `SELECT * FROM location_history WHERE ${conditions.sql}`;
+    const params = [...conditions.params];
+
+    if (cursor) {
+      sql += ' AND (timestamp > ? OR (timestamp = ? AND id > ?))';
+      params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+    }
+
+    sql += ' ORDER BY timestamp ASC, id ASC LIMIT ?';
+    params.push(Math.min(HISTORY_BATCH_SIZE, remaining));
+
+    const rows = await db.all(sql, params);
+
+    for (const row of rows) {
+      yield mapLocation(row);
+    }
+
+    if (rows.length < HISTORY_BATCH_SIZE) return;
+
+    remaining -= rows.length;
+    cursor = rows[rows.length - 1];
+  }
+}
+
+/**
+ * Dapatkan lokasi terakhir anak
+ * @param {number} childId - ID anak
+ * @returns {Promise<Object|null>} Titik lokasi terbaru
+ */
+const findLastLocation = async (childId) => {
+  const row = await db.get(
+    'SELECT * FROM location_history WHERE child_id = ? ORDER BY timestamp DESC LIMIT 1',
+    [childId]
+  );
+
+  return mapLocation(row);
+};
+
+module.exports = {
+  findSafeZonesByChild,
+  findSafeZoneById,
+  findScheduledSafeZones,
+  createSafeZone,
+  updateSafeZone,
+  deleteSafeZone,
+  addLocation,
+  findHistory,
+  iterateHistory,
+  findLastLocation
+};
@@ -0,0 +1,135 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel login_attempts menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data percobaan login
+ */
+const mapAttempts = (row) => {
+  if (!row) return null;
+
+  return {
+    scope: row.scope,
+    subject: row.subject,
+    userId: row.user_id,
+    failures: row.failures,
+    lastFailureAt: row.last_failure_at,
+    nextAttemptAt: row.next_attempt_at,
+    lockedUntil: row.locked_until
+  };
+};
+
+/**
+ * Dapatkan data percobaan login
+ * @param {string} scope - account atau ip
+ * @param {string} subject - Kunci akun atau alamat IP
+ * @returns {Promise<Object|null>}
+ */
+const find = async (scope, subject) => {
+  const row = await db.get('SELECT * FROM login_attempts WHERE scope = ? AND subject = ?', [scope, subject]);
+  return mapAttempts(row);
+};
+
+/**
+ * Tambah satu login gagal. Hitungan dimulai ulang jika kegagalan terakhir lebih lama dari windowStart.
+ * @param {string} scope - account atau ip
+ * @param {string} subject - Kunci akun atau alamat IP
+ * @param {Object} options - { userId, windowStart } (windowStart dalam ISO)
+ * @returns {Promise<Object>} Data percobaan login setelah ditambah
+ */
+const recordFailure = async (scope, subject, { userId, windowStart }) => {
+  await db.run(
+    `INSERT INTO login_attempts (scope, subject, user_id, failures, last_failure_at)
+     VALUES (?, ?, ?, 1, ?)
+     ON CONFLICT (scope, subject) DO UPDATE SET
+       failures = CASE WHEN login_attempts.last_failure_at < ? THEN 1 ELSE login_attempts.failures + 1 END,
+       last_failure_at = excluded.last_failure_at`,
+    [scope, subject, userId || null, new Date().toISOString(), windowStart]
+  );
+
+  return find(scope, subject);
+};
+
+/**
+ * Atur jeda sampai percobaan berikutnya
+ * @param {string} scope - account atau ip
+ * @param {string} subject - Kunci akun atau alamat IP
+ * @param {string} nextAttemptAt - Waktu percobaan berikutnya diizinkan (ISO)
+ */
+const setNextAttempt = async (scope, subject, nextAttemptAt) => {
+  await db.run(
+    'UPDATE login_attempts SET next_attempt_at = ? WHERE scope = ? AND subject = ?',
+    [nextAttemptAt, scope, subject]
+  );
+};
+
+/**
+ * Kunci sampai waktu tertentu. Hitungan gagal dimulai ulang setelah kunci berakhir.
+ * @param {string} scope - account atau ip
+ * @param {string} subject - Kunci akun atau alamat IP
+ * @param {string} lockedUntil - Waktu akhir penguncian (ISO)
+ */
+const lock = async (scope, subject, lockedUntil) => {
+  await db.run(
+    'UPDATE login_attempts SET failures = 0, next_attempt_at = NULL, locked_until = ? WHERE scope = ? AND subject = ?',
+    [lockedUntil, scope, subject]
+  );
+};
+
+/**
+ * Hapus data percobaan login (login berhasil atau kunci dibuka)
+ * @param {string} scope - account atau ip
+ * @param {string} subject - Kunci akun atau alamat IP
+ * @returns {Promise<boolean>} true jika ada data yang dihapus
+ */
+const reset = async (scope, subject) => {
+  const { changes } = await db.run('DELETE FROM login_attempts WHERE scope = ? AND subject = ?', [scope, subject]);
+  return changes > 0;
+};
+
+/**
+ * Daftar akun yang sedang dikunci
+ * @returns {Promise<Object[]>} Data percobaan login beserta username dan email
+ */
+const findLockedAccounts = async () => {
+  const rows = await db.all(
+    `SELECT login_attempts.*, users.username, users.email
+     FROM login_attempts
+     JOIN users ON users.id = login_attempts.user_id
+     WHERE login_attempts.scope = 'account' AND login_attempts.locked_until > ?
+     ORDER BY login_attempts.locked_until DESC`,
+    [new Date().toISOString()]
+  );
+
+  return rows.map((row) => ({
+    ...mapAttempts(row),
+    username: row.username,
+    email: row.email
+  }));
+};
+
+/**
+ * Hapus data yang sudah tidak berpengaruh (tidak ada kegagalan baru dan tidak dikunci)
+ * @param {string} before - Batas waktu kegagalan terakhir (ISO)
+ * @returns {Promise<number>} Jumlah data yang dihapus
+ */
+const deleteStale = async (before) => {
+  const { changes } = await db.run(
+    `DELETE FROM login_attempts
+     WHERE (last_failure_at IS NULL OR last_failure_at < ?)
+       AND (locked_until IS NULL OR locked_until <= ?)`,
+    [before, new Date().toISOString()]
+  );
+
+  return changes;
+};
+
+module.exports = {
+  find,
+  recordFailure,
+  setNextAttempt,
+  lock,
+  reset,
+  findLockedAccounts,
+  deleteStale
+};
@@ -0,0 +1,56 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel notifications menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data notifikasi
+ */
+const mapNotification = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    title: row.title,
+    message: row.message,
+    type: row.type,
+    isRead: !!row.is_read,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Simpan notifikasi yang sama untuk beberapa orang tua
+ * @param {number[]} userIds - ID penerima
+ * @param {Object} notification - { title, message, type }
+ */
+const createForUsers = async (userIds, { title, message, type }) => {
+  const createdAt = new Date().toISOString();
+
+  for (const userId of userIds) {
+    await db.run(
+      'INSERT INTO notifications (user_id, title, message, type, created_at) VALUES (?, ?, ?, ?, ?)',
+      [userId, title, message, type || null, createdAt]
+    );
+  }
+};
+
+/**
+ * Daftar notifikasi orang tua, terbaru lebih dulu
+ * @param {number} userId - ID pengguna
+ * @param {number} limit - Jumlah maksimal
+ * @returns {Promise<Object[]>}
+ */
+const findByUser = async (userId, limit = 50) => {
+  const rows = await db.all(
+    'SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+    [userId, limit]
+  );
+
+  return rows.map(mapNotification);
+};
+
+module.exports = {
+  createForUsers,
+  findByUser
+};
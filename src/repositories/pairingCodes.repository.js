@@ -0,0 +1,88 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel pairing_codes menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data kode pairing (tanpa hash)
+ */
+const mapPairingCode = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    childId: row.child_id,
+    createdBy: row.created_by,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+    deviceId: row.device_id,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Simpan kode pairing baru
+ * @param {Object} pairingCode - { codeHash, childId, createdBy, expiresAt }
+ * @returns {Promise<Object>} Kode pairing yang tersimpan
+ */
+const create = async ({ codeHash, childId, createdBy, expiresAt }) => {
+  const { lastID } = await db.run(
+    `INSERT INTO pairing_codes (code_hash, child_id, created_by, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [codeHash, childId, createdBy, expiresAt, new Date().toISOString()]
+  );
+
+  const row = await db.get('SELECT * FROM pairing_codes WHERE id = ?', [lastID]);
+  return mapPairingCode(row);
+};
+
+/**
+ * Dapatkan kode pairing yang belum dipakai dan belum kedaluwarsa
+ * @param {string} codeHash - Hash SHA-256 kode
+ * @returns {Promise<Object|null>} Data kode pairing
+ */
+const findActiveByHash = async (codeHash) => {
+  const row = await db.get(
+    'SELECT * FROM pairing_codes WHERE code_hash = ? AND used_at IS NULL AND expires_at > ?',
+    [codeHash, new Date().toISOString()]
+  );
+
+  return mapPairingCode(row);
+};
+
+/**
+ * Tandai kode sudah dipakai. Hanya berhasil sekali walaupun dua perangkat menebus bersamaan.
+ * @param {number} id - ID kode pairing
+ * @param {string} deviceId - Perangkat yang menebus kode
+ * @returns {Promise<boolean>} true jika kode berhasil diklaim
+ */
+const claim = async (id, deviceId) => {
+  const now = new Date().toISOString();
+  const { changes } = await db.run(
+    `UPDATE pairing_codes SET used_at = ?, device_id = ?
+     WHERE id = ? AND used_at IS NULL AND expires_at > ?`,
+    [now, deviceId, id, now]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Hapus kode yang belum dipakai milik anak (kode baru menggantikan kode lama)
+ * @param {number} childId - ID anak
+ * @returns {Promise<number>} Jumlah kode yang dihapus
+ */
+const deleteUnusedByChild = async (childId) => {
+  const { changes } = await db.run(
+    'DELETE FROM pairing_codes WHERE child_id = ? AND used_at IS NULL',
+    [childId]
+  );
+
+  return changes;
+};
+
+module.exports = {
+  create,
+  findActiveByHash,
+  claim,
+  deleteUnusedByChild
+};
@@ -0,0 +1,210 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel token_families menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data keluarga token (satu sesi login)
+ */
+const mapFamily = (row) => {
+  if (!row) return null;
+
+  return {
+    familyId: row.family_id,
+    userId: row.user_id,
+    deviceId: row.device_id,
+    userAgent: row.user_agent,
+    ip: row.ip,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    revokedReason: row.revoked_reason
+  };
+};
+
+/**
+ * Ubah baris tabel refresh_tokens menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data refresh token
+ */
+const mapToken = (row) => {
+  if (!row) return null;
+
+  return {
+    jti: row.jti,
+    familyId: row.family_id,
+    userId: row.user_id,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+    replacedBy: row.replaced_by
+  };
+};
+
+/**
+ * Simpan keluarga token baru (dibuat saat login)
+ * @param {Object} family - { familyId, userId, deviceId, userAgent, ip, expiresAt }
+ * @returns {Promise<Object>} Keluarga token yang tersimpan
+ */
+const createFamily = async ({ familyId, userId, deviceId, userAgent, ip, expiresAt }) => {
+  const now = new Date().toISOString();
+
+  await db.run(
+    `INSERT INTO token_families (family_id, user_id, device_id, user_agent, ip, created_at, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [familyId, userId, deviceId || null, userAgent || null, ip || null, now, now, expiresAt]
+  );
+
+  return findFamily(familyId);
+};
+
+/**
+ * Dapatkan keluarga token berdasarkan ID
+ * @param {string} familyId - ID keluarga token
+ * @returns {Promise<Object|null>} Data keluarga token
+ */
+const findFamily = async (familyId) => {
+  const row = await db.get('SELECT * FROM token_families WHERE family_id = ?', [familyId]);
+  return mapFamily(row);
+};
+
+/**
+ * Daftar keluarga token yang masih aktif milik pengguna (sesi login aktif)
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<Object[]>} Keluarga token, yang terakhir dipakai lebih dulu
+ */
+const findActiveByUser = async (userId) => {
+  const rows = await db.all(
+    `SELECT * FROM token_families
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY last_used_at DESC`,
+    [userId, new Date().toISOString()]
+  );
+
+  return rows.map(mapFamily);
+};
+
+/**
+ * Catat pemakaian sesi (waktu dan IP terakhir).
+ * Hanya ditulis jika pemakaian terakhir lebih lama dari batas agar tidak menulis di setiap request.
+ * @param {string} familyId - ID keluarga token
+ * @param {string} ip - IP client
+ * @param {string} staleBefore - Waktu ISO; sesi yang terakhir dipakai sebelum ini diperbarui
+ */
+const recordActivity = async (familyId, ip, staleBefore) => {
+  await db.run(
+    `UPDATE token_families SET last_used_at = ?, ip = COALESCE(?, ip)
+     WHERE family_id = ? AND revoked_at IS NULL AND last_used_at < ?`,
+    [new Date().toISOString(), ip || null, familyId, staleBefore]
+  );
+};
+
+/**
+ * Perpanjang keluarga token setelah rotasi
+ * @param {string} familyId - ID keluarga token
+ * @param {string} expiresAt - Waktu kedaluwarsa refresh token terbaru
+ * @param {string} ip - IP client yang merotasi token (opsional)
+ */
+const touchFamily = async (familyId, expiresAt, ip = null) => {
+  await db.run(
+    'UPDATE token_families SET last_used_at = ?, expires_at = ?, ip = COALESCE(?, ip) WHERE family_id = ?',
+    [new Date().toISOString(), expiresAt, ip, familyId]
+  );
+};
+
+/**
+ * Cabut satu keluarga token
+ * @param {string} familyId - ID keluarga token
+ * @param {string} reason - Alasan pencabutan (mis. logout, reuse_detected)
+ * @returns {Promise<boolean>} true jika keluarga token sebelumnya masih aktif
+ */
+const revokeFamily = async (familyId, reason) => {
+  const { changes } = await db.run(
+    'UPDATE token_families SET revoked_at = ?, revoked_reason = ? WHERE family_id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), reason, familyId]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Cabut semua keluarga token aktif milik pengguna
+ * @param {number} userId - ID pengguna
+ * @param {string} reason - Alasan pencabutan
+ * @param {string} exceptFamilyId - Keluarga token yang tidak ikut dicabut (opsional)
+ * @returns {Promise<number>} Jumlah keluarga token yang dicabut
+ */
+const revokeFamiliesByUser = async (userId, reason, exceptFamilyId = null) => {
+  const { changes } = await db.run(
+    `UPDATE token_families SET revoked_at = ?, revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND family_id <> ?`,
+    [new Date().toISOString(), reason, userId, exceptFamilyId || '']
+  );
+
+  return changes;
+};
+
+/**
+ * Simpan refresh token yang baru diterbitkan
+ * @param {Object} token - { jti, familyId, userId, expiresAt }
+ */
+const createToken = async ({ jti, familyId, userId, expiresAt }) => {
+  await db.run(
+    `INSERT INTO refresh_tokens (jti, family_id, user_id, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [jti, familyId, userId, new Date().toISOString(), expiresAt]
+  );
+};
+
+/**
+ * Dapatkan refresh token berdasarkan jti
+ * @param {string} jti - ID token
+ * @returns {Promise<Object|null>} Data refresh token
+ */
+const findToken = async (jti) => {
+  const row = await db.get('SELECT * FROM refresh_tokens WHERE jti = ?', [jti]);
+  return mapToken(row);
+};
+
+/**
+ * Tandai refresh token sudah dipakai dan catat penggantinya.
+ * Dilakukan atomik agar dua request dengan token yang sama tidak sama-sama berhasil.
+ * @param {string} jti - ID token yang dipakai
+ * @param {string} replacedBy - jti refresh token pengganti
+ * @returns {Promise<boolean>} true jika token belum pernah dipakai
+ */
+const markTokenUsed = async (jti, replacedBy) => {
+  const { changes } = await db.run(
+    'UPDATE refresh_tokens SET used_at = ?, replaced_by = ? WHERE jti = ? AND used_at IS NULL',
+    [new Date().toISOString(), replacedBy, jti]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Hapus refresh token dan keluarga token yang sudah kedaluwarsa
+ * @returns {Promise<number>} Jumlah keluarga token yang dihapus
+ */
+const deleteExpired = async () => {
+  const now = new Date().toISOString();
+
+  await db.run('DELETE FROM refresh_tokens WHERE expires_at <= ?', [now]);
+  const { changes } = await db.run('DELETE FROM token_families WHERE expires_at <= ?', [now]);
+
+  return changes;
+};
+
+module.exports = {
+  createFamily,
+  findFamily,
+  findActiveByUser,
+  recordActivity,
+  touchFamily,
+  revokeFamily,
+  revokeFamiliesByUser,
+  createToken,
+  findToken,
+  markTokenUsed,
+  deleteExpired
+};
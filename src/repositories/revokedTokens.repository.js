@@ -0,0 +1,40 @@
+const db = require('../db/setup');
+
+/**
+ * Tambahkan access token ke daftar pencabutan.
+ * Token yang sudah ada di daftar diabaikan.
+ * @param {Object} token - { jti, userId, expiresAt }
+ */
+const add = async ({ jti, userId, expiresAt }) => {
+  await db.run(
+    `INSERT INTO revoked_tokens (jti, user_id, expires_at, revoked_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (jti) DO NOTHING`,
+    [jti, userId || null, expiresAt, new Date().toISOString()]
+  );
+};
+
+/**
+ * Cek apakah access token sudah dicabut
+ * @param {string} jti - ID token
+ * @returns {Promise<boolean>}
+ */
+const isRevoked = async (jti) => {
+  const row = await db.get('SELECT id FROM revoked_tokens WHERE jti = ?', [jti]);
+  return !!row;
+};
+
+/**
+ * Hapus entri yang token-nya sudah kedaluwarsa (tidak perlu dicek lagi)
+ * @returns {Promise<number>} Jumlah entri yang dihapus
+ */
+const deleteExpired = async () => {
+  const { changes } = await db.run('DELETE FROM revoked_tokens WHERE expires_at <= ?', [new Date().toISOString()]);
+  return changes;
+};
+
+module.exports = {
+  add,
+  isRevoked,
+  deleteExpired
+};
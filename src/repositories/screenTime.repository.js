@@ -0,0 +1,77 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel screen_time menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Pengaturan waktu layar
+ */
+const mapScreenTime = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    childId: row.child_id,
+    dayOfWeek: row.day_of_week, // 0 = Minggu, 1 = Senin, dst.
+    startTime: row.start_time,
+    endTime: row.end_time,
+    maxUsage: row.max_usage // menit
+  };
+};
+
+/**
+ * Dapatkan semua pengaturan waktu layar milik anak
+ * @param {number} childId - ID anak
+ * @returns {Promise<Object[]>} Pengaturan per hari
+ */
+const findByChild = async (childId) => {
+  const rows = await db.all(
+    'SELECT * FROM screen_time WHERE child_id = ? ORDER BY day_of_week',
+    [childId]
+  );
+
+  return rows.map(mapScreenTime);
+};
+
+/**
+ * Dapatkan pengaturan waktu layar anak untuk hari tertentu
+ * @param {number} childId - ID anak
+ * @param {number} dayOfWeek - Hari (0-6)
+ * @returns {Promise<Object|null>} Pengaturan hari tersebut
+ */
+const findByChildAndDay = async (childId, dayOfWeek) => {
+  const row = await db.get(
+    'SELECT * FROM screen_time WHERE child_id = ? AND day_of_week = ?',
+    [childId, dayOfWeek]
+  );
+
+  return mapScreenTime(row);
+};
+
+/**
+ * Simpan (insert atau update) pengaturan waktu layar per hari
+ * @param {number} childId - ID anak
+ * @param {Object[]} screenTimes - Daftar { dayOfWeek, startTime, endTime, maxUsage }
+ * @returns {Promise<Object[]>} Semua pengaturan anak setelah disimpan
+ */
+const upsertMany = async (childId, screenTimes) => {
+  for (const st of screenTimes) {
+    await db.run(
+      `INSERT INTO screen_time (child_id, day_of_week, start_time, end_time, max_usage)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (child_id, day_of_week) DO UPDATE SET
+         start_time = excluded.start_time,
+         end_time = excluded.end_time,
+         max_usage = excluded.max_usage,
+         updated_at = CURRENT_TIMESTAMP`,
+      [childId, st.dayOfWeek, st.startTime, st.endTime, st.maxUsage]
+    );
+  }
+
+  return findByChild(childId);
+};
+
+module.exports = {
+  findByChild,
+  findByChildAndDay,
+  upsertMany
+};
@@ -0,0 +1,64 @@
+const db = require('../db/setup');
+
+/**
+ * Parse kolom JSON, kembalikan null jika kosong atau tidak valid
+ * @param {string|null} value - Isi kolom
+ * @returns {*} Nilai hasil parse
+ */
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ubah baris tabel account_security_events menjadi format response API
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data kejadian keamanan
+ */
+const mapEvent = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    type: row.type,
+    ip: row.ip,
+    details: parseJson(row.details),
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Simpan kejadian keamanan akun
+ * @param {Object} event - { userId, type, ip, details }
+ */
+const create = async ({ userId, type, ip, details }) => {
+  await db.run(
+    'INSERT INTO account_security_events (user_id, type, ip, details, created_at) VALUES (?, ?, ?, ?, ?)',
+    [userId, type, ip || null, details ? JSON.stringify(details) : null, new Date().toISOString()]
+  );
+};
+
+/**
+ * Daftar kejadian keamanan akun, terbaru lebih dulu
+ * @param {number} userId - ID pengguna
+ * @param {number} limit - Jumlah maksimal
+ * @returns {Promise<Object[]>}
+ */
+const findByUser = async (userId, limit = 50) => {
+  const rows = await db.all(
+    'SELECT * FROM account_security_events WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+    [userId, limit]
+  );
+
+  return rows.map(mapEvent);
+};
+
+module.exports = {
+  create,
+  findByUser
+};
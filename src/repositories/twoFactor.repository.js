@@ -0,0 +1,230 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel user_two_factor menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data 2FA pengguna (secretEncrypted hanya dipakai untuk verifikasi)
+ */
+const mapTwoFactor = (row) => {
+  if (!row) return null;
+
+  return {
+    userId: row.user_id,
+    secretEncrypted: row.secret_encrypted,
+    lastUsedStep: row.last_used_step,
+    enabledAt: row.enabled_at,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Ubah baris tabel two_factor_challenges menjadi objek
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data tantangan login
+ */
+const mapChallenge = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    deviceId: row.device_id,
+    userAgent: row.user_agent,
+    ip: row.ip,
+    attempts: row.attempts,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at
+  };
+};
+
+/**
+ * Dapatkan data 2FA pengguna
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<Object|null>}
+ */
+const findByUser = async (userId) => {
+  const row = await db.get('SELECT * FROM user_two_factor WHERE user_id = ?', [userId]);
+  return mapTwoFactor(row);
+};
+
+/**
+ * Simpan secret baru yang belum dikonfirmasi (menggantikan pendaftaran sebelumnya)
+ * @param {number} userId - ID pengguna
+ * @param {string} secretEncrypted - Secret TOTP terenkripsi
+ */
+const savePendingSecret = async (userId, secretEncrypted) => {
+  await db.run(
+    `INSERT INTO user_two_factor (user_id, secret_encrypted, created_at)
+     VALUES (?, ?, ?)
+     ON CONFLICT (user_id) DO UPDATE SET
+       secret_encrypted = excluded.secret_encrypted,
+       last_used_step = NULL,
+       enabled_at = NULL,
+       created_at = excluded.created_at`,
+    [userId, secretEncrypted, new Date().toISOString()]
+  );
+};
+
+/**
+ * Aktifkan 2FA pengguna setelah kode pertama terverifikasi
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<boolean>} true jika sebelumnya belum aktif
+ */
+const enable = async (userId) => {
+  const { changes } = await db.run(
+    'UPDATE user_two_factor SET enabled_at = ? WHERE user_id = ? AND enabled_at IS NULL',
+    [new Date().toISOString(), userId]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Catat time step TOTP terakhir yang dipakai agar kode yang sama tidak bisa dipakai ulang.
+ * @param {number} userId - ID pengguna
+ * @param {number} step - Time step TOTP
+ * @returns {Promise<boolean>} true jika step lebih baru dari step terakhir
+ */
+const markStepUsed = async (userId, step) => {
+  const { changes } = await db.run(
+    `UPDATE user_two_factor SET last_used_step = ?
+     WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, userId, step]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Hapus data 2FA dan semua backup code pengguna
+ * @param {number} userId - ID pengguna
+ */
+const remove = async (userId) => {
+  await db.run('DELETE FROM two_factor_backup_codes WHERE user_id = ?', [userId]);
+  await db.run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+};
+
+/**
+ * Ganti semua backup code pengguna dengan yang baru
+ * @param {number} userId - ID pengguna
+ * @param {string[]} codeHashes - Hash backup code
+ */
+const replaceBackupCodes = async (userId, codeHashes) => {
+  const now = new Date().toISOString();
+
+  await db.run('DELETE FROM two_factor_backup_codes WHERE user_id = ?', [userId]);
+
+  for (const codeHash of codeHashes) {
+    await db.run(
+      'INSERT INTO two_factor_backup_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)',
+      [userId, codeHash, now]
+    );
+  }
+};
+
+/**
+ * Pakai backup code (sekali pakai, atomik)
+ * @param {number} userId - ID pengguna
+ * @param {string} codeHash - Hash backup code
+ * @returns {Promise<boolean>} true jika kode valid dan belum pernah dipakai
+ */
+const consumeBackupCode = async (userId, codeHash) => {
+  const { changes } = await db.run(
+    `UPDATE two_factor_backup_codes SET used_at = ?
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [new Date().toISOString(), userId, codeHash]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Hitung backup code yang belum dipakai
+ * @param {number} userId - ID pengguna
+ * @returns {Promise<number>}
+ */
+const countUnusedBackupCodes = async (userId) => {
+  const row = await db.get(
+    'SELECT COUNT(*) AS count FROM two_factor_backup_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return Number(row.count);
+};
+
+/**
+ * Simpan tantangan login tahap kedua
+ * @param {Object} challenge - { tokenHash, userId, deviceId, userAgent, ip, expiresAt }
+ */
+const createChallenge = async ({ tokenHash, userId, deviceId, userAgent, ip, expiresAt }) => {
+  await db.run(
+    `INSERT INTO two_factor_challenges (token_hash, user_id, device_id, user_agent, ip, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [tokenHash, userId, deviceId || null, userAgent || null, ip || null, expiresAt, new Date().toISOString()]
+  );
+};
+
+/**
+ * Dapatkan tantangan yang belum dipakai dan belum kedaluwarsa berdasarkan hash token
+ * @param {string} tokenHash - Hash token tantangan
+ * @returns {Promise<Object|null>}
+ */
+const findActiveChallenge = async (tokenHash) => {
+  const row = await db.get(
+    'SELECT * FROM two_factor_challenges WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+    [tokenHash, new Date().toISOString()]
+  );
+
+  return mapChallenge(row);
+};
+
+/**
+ * Tambah hitungan percobaan kode yang salah
+ * @param {number} id - ID tantangan
+ */
+const incrementChallengeAttempts = async (id) => {
+  await db.run('UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE id = ?', [id]);
+};
+
+/**
+ * Tandai tantangan sudah selesai atau dibatalkan (atomik)
+ * @param {number} id - ID tantangan
+ * @returns {Promise<boolean>} true jika tantangan sebelumnya belum dipakai
+ */
+const closeChallenge = async (id) => {
+  const { changes } = await db.run(
+    'UPDATE two_factor_challenges SET used_at = ? WHERE id = ? AND used_at IS NULL',
+    [new Date().toISOString(), id]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Hapus tantangan yang sudah kedaluwarsa
+ * @returns {Promise<number>} Jumlah tantangan yang dihapus
+ */
+const deleteExpiredChallenges = async () => {
+  const { changes } = await db.run(
+    'DELETE FROM two_factor_challenges WHERE expires_at <= ?',
+    [new Date().toISOString()]
+  );
+
+  return changes;
+};
+
+module.exports = {
+  findByUser,
+  savePendingSecret,
+  enable,
+  markStepUsed,
+  remove,
+  replaceBackupCodes,
+  consumeBackupCode,
+  countUnusedBackupCodes,
+  createChallenge,
+  findActiveChallenge,
+  incrementChallengeAttempts,
+  closeChallenge,
+  deleteExpiredChallenges
+};
@@ -0,0 +1,154 @@
+const db = require('../db/setup');
+
+/**
+ * Ubah baris tabel users menjadi format response API (tanpa hash password)
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data pengguna
+ */
+const mapUser = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    name: row.full_name || row.name,
+    role: row.role,
+    emailVerified: !!row.email_verified_at,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Sama seperti mapUser tetapi menyertakan hash password, hanya untuk verifikasi login
+ * @param {Object} row - Baris dari database
+ * @returns {Object|null} Data pengguna beserta passwordHash
+ */
+const mapUserWithPassword = (row) => {
+  if (!row) return null;
+
+  return {
+    ...mapUser(row),
+    passwordHash: row.password
+  };
+};
+
+/**
+ * Dapatkan pengguna berdasarkan ID
+ * @param {number} id - ID pengguna
+ * @returns {Promise<Object|null>} Data pengguna
+ */
+const findById = async (id) => {
+  const row = await db.get('SELECT * FROM users WHERE id = ?', [id]);
+  return mapUser(row);
+};
+
+/**
+ * Dapatkan pengguna beserta hash password berdasarkan ID
+ * @param {number} id - ID pengguna
+ * @returns {Promise<Object|null>} Data pengguna beserta passwordHash
+ */
+const findCredentialsById = async (id) => {
+  const row = await db.get('SELECT * FROM users WHERE id = ?', [id]);
+  return mapUserWithPassword(row);
+};
+
+/**
+ * Dapatkan pengguna beserta hash password berdasarkan username atau email
+ * @param {string} identifier - Username atau email
+ * @returns {Promise<Object|null>} Data pengguna beserta passwordHash
+ */
+const findCredentialsByLogin = async (identifier) => {
+  const row = await db.get(
+    'SELECT * FROM users WHERE username = ? OR LOWER(email) = LOWER(?)',
+    [identifier, identifier]
+  );
+
+  return mapUserWithPassword(row);
+};
+
+/**
+ * Dapatkan pengguna berdasarkan email (tidak peka huruf besar/kecil)
+ * @param {string} email - Email
+ * @returns {Promise<Object|null>} Data pengguna
+ */
+const findByEmail = async (email) => {
+  const row = await db.get('SELECT * FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+  return mapUser(row);
+};
+
+/**
+ * Periksa apakah username sudah dipakai
+ * @param {string} username - Username
+ * @returns {Promise<boolean>}
+ */
+const usernameExists = async (username) => {
+  const row = await db.get('SELECT id FROM users WHERE username = ?', [username]);
+  return !!row;
+};
+
+/**
+ * Periksa apakah email sudah dipakai
+ * @param {string} email - Email
+ * @returns {Promise<boolean>}
+ */
+const emailExists = async (email) => {
+  const row = await db.get('SELECT id FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+  return !!row;
+};
+
+/**
+ * Simpan pengguna baru
+ * @param {Object} user - { username, email, name, role, passwordHash }
+ * @returns {Promise<Object>} Data pengguna yang baru dibuat
+ */
+const create = async ({ username, email, name, role, passwordHash }) => {
+  // Kolom name dan full_name diisi sama agar kode lama yang membaca salah satunya tetap berjalan
+  const { lastID } = await db.run(
+    'INSERT INTO users (username, email, name, full_name, role, password) VALUES (?, ?, ?, ?, ?, ?)',
+    [username, email, name, name, role, passwordHash]
+  );
+
+  return findById(lastID);
+};
+
+/**
+ * Ganti hash password pengguna
+ * @param {number} id - ID pengguna
+ * @param {string} passwordHash - Hash password baru
+ * @returns {Promise<boolean>} true jika pengguna ditemukan dan diperbarui
+ */
+const updatePassword = async (id, passwordHash) => {
+  const { changes } = await db.run(
+    'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [passwordHash, id]
+  );
+
+  return changes > 0;
+};
+
+/**
+ * Tandai email pengguna sudah terverifikasi (akun aktif)
+ * @param {number} id - ID pengguna
+ * @returns {Promise<boolean>} true jika sebelumnya belum terverifikasi
+ */
+const markEmailVerified = async (id) => {
+  const { changes } = await db.run(
+    'UPDATE users SET email_verified_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL',
+    [new Date().toISOString(), id]
+  );
+
+  return changes > 0;
+};
+
+module.exports = {
+  findById,
+  findCredentialsById,
+  findCredentialsByLogin,
+  findByEmail,
+  usernameExists,
+  emailExists,
+  create,
+  updatePassword,
+  markEmailVerified
+};
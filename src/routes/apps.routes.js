@@ -1,45 +1,40 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middlewares/auth.middleware');
+const { authenticate, requireRole, requireChildAccess } = require('../middlewares/auth.middleware');
+const { appsRepository } = require('../repositories');
+const householdService = require('../services/HouseholdService');
+const realtimeGateway = require('../sockets');
+const { EVENTS } = require('../sockets');
 
-// Contoh data aplikasi untuk testing (nantinya akan diganti dengan database)
-const appsData = [
-  {
-    id: 1,
-    name: 'WhatsApp',
-    packageName: 'com.whatsapp',
-    category: 'social',
-    isBlocked: false,
-    usageLimit: 60, // dalam menit
-  },
-  {
-    id: 2,
-    name: 'YouTube',
-    packageName: 'com.google.android.youtube',
-    category: 'entertainment',
-    isBlocked: true,
-    usageLimit: 30,
-  },
-  {
-    id: 3,
-    name: 'TikTok',
-    packageName: 'com.zhiliaoapp.musically',
-    category: 'social',
-    isBlocked: false,
-    usageLimit: 45,
-  }
-];
+/**
+ * Cari ID anak pemilik aplikasi pada req.params.id (untuk requireChildAccess)
+ * @param {Object} req - Request object
+ * @returns {Promise<number|null>} ID anak, atau null jika aplikasi tidak ditemukan
+ */
+const childIdOfApp = async (req) => {
+  const app = await appsRepository.findById(parseInt(req.params.id));
+  return app ? app.childId : null;
+};
 
 /**
  * @route GET /api/apps
- * @desc Mendapatkan daftar semua aplikasi
+ * @desc Mendapatkan daftar semua aplikasi (opsional ?childId= untuk anak tertentu)
  * @access Private (hanya untuk orang tua)
  */
-router.get('/', auth, (req, res) => {
-  res.json({
-    success: true,
-    data: appsData
-  });
+router.get('/', authenticate(), requireRole('parent'), requireChildAccess('childId', { optional: true, permission: 'apps:view' }), async (req, res, next) => {
+  try {
+    // Tanpa ?childId= tampilkan aplikasi semua anak dalam keluarga yang mengizinkan apps:view
+    const apps = req.child
+      ? await appsRepository.findAll(req.child.id)
+      : await appsRepository.findByHouseholds(await householdService.householdIdsWithPermission(req.userId, 'apps:view'));
+    
+    res.json({
+      success: true,
+      data: apps
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -47,21 +42,25 @@ router.get('/', auth, (req, res) => {
  * @desc Mendapatkan detail aplikasi berdasarkan ID
  * @access Private
  */
-router.get('/:id', auth, (req, res) => {
-  const appId = parseInt(req.params.id);
-  const app = appsData.find(app => app.id === appId);
-  
-  if (!app) {
-    return res.status(404).json({
-      success: false,
-      message: 'Aplikasi tidak ditemukan'
+router.get('/:id', authenticate(), requireChildAccess(childIdOfApp, { permission: 'apps:view' }), async (req, res, next) => {
+  try {
+    const appId = parseInt(req.params.id);
+    const app = await appsRepository.findById(appId);
+    
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aplikasi tidak ditemukan'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: app
     });
+  } catch (error) {
+    next(error);
   }
-  
-  res.json({
-    success: true,
-    data: app
-  });
 });
 
 /**
@@ -69,25 +68,28 @@ router.get('/:id', auth, (req, res) => {
  * @desc Memblokir aplikasi berdasarkan ID
  * @access Private (hanya untuk orang tua)
  */
-router.post('/block/:id', auth, (req, res) => {
-  const appId = parseInt(req.params.id);
-  const appIndex = appsData.findIndex(app => app.id === appId);
-  
-  if (appIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: 'Aplikasi tidak ditemukan'
+router.post('/block/:id', authenticate(), requireRole('parent'), requireChildAccess(childIdOfApp, { permission: 'apps:manage' }), async (req, res, next) => {
+  try {
+    const appId = parseInt(req.params.id);
+    
+    // Update status pemblokiran
+    const app = await appsRepository.setBlocked(appId, true);
+    
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aplikasi tidak ditemukan'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Aplikasi berhasil diblokir',
+      data: app
     });
+  } catch (error) {
+    next(error);
   }
-  
-  // Update status pemblokiran
-  appsData[appIndex].isBlocked = true;
-  
-  res.json({
-    success: true,
-    message: 'Aplikasi berhasil diblokir',
-    data: appsData[appIndex]
-  });
 });
 
 /**
@@ -95,25 +97,28 @@ router.post('/block/:id', auth, (req, res) => {
  * @desc Membuka blokir aplikasi berdasarkan ID
  * @access Private (hanya untuk orang tua)
  */
-router.post('/unblock/:id', auth, (req, res) => {
-  const appId = parseInt(req.params.id);
-  const appIndex = appsData.findIndex(app => app.id === appId);
-  
-  if (appIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: 'Aplikasi tidak ditemukan'
+router.post('/unblock/:id', authenticate(), requireRole('parent'), requireChildAccess(childIdOfApp, { permission: 'apps:manage' }), async (req, res, next) => {
+  try {
+    const appId = parseInt(req.params.id);
+    
+    // Update status pemblokiran
+    const app = await appsRepository.setBlocked(appId, false);
+    
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aplikasi tidak ditemukan'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Blokir aplikasi berhasil dibuka',
+      data: app
     });
+  } catch (error) {
+    next(error);
   }
-  
-  // Update status pemblokiran
-  appsData[appIndex].isBlocked = false;
-  
-  res.json({
-    success: true,
-    message: 'Blokir aplikasi berhasil dibuka',
-    data: appsData[appIndex]
-  });
 });
 
 /**
@@ -121,7 +126,7 @@ router.post('/unblock/:id', auth, (req, res) => {
  * @desc Mengatur batas waktu penggunaan aplikasi
  * @access Private (hanya untuk orang tua)
  */
-router.put('/limit/:id', auth, (req, res) => {
+router.put('/limit/:id', authenticate(), requireRole('parent'), requireChildAccess(childIdOfApp, { permission: 'apps:manage' }), async (req, res, next) => {
   const appId = parseInt(req.params.id);
   const { usageLimit } = req.body;
   
@@ -132,23 +137,25 @@ router.put('/limit/:id', auth, (req, res) => {
     });
   }
   
-  const appIndex = appsData.findIndex(app => app.id === appId);
-  
-  if (appIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: 'Aplikasi tidak ditemukan'
+  try {
+    // Update batas waktu penggunaan
+    const app = await appsRepository.setUsageLimit(appId, parseInt(usageLimit));
+    
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aplikasi tidak ditemukan'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Batas waktu penggunaan berhasil diperbarui',
+      data: app
     });
+  } catch (error) {
+    next(error);
   }
-  
-  // Update batas waktu penggunaan
-  appsData[appIndex].usageLimit = parseInt(usageLimit);
-  
-  res.json({
-    success: true,
-    message: 'Batas waktu penggunaan berhasil diperbarui',
-    data: appsData[appIndex]
-  });
 });
 
 /**
@@ -156,7 +163,7 @@ router.put('/limit/:id', auth, (req, res) => {
  * @desc Menyimpan data penggunaan aplikasi dari perangkat anak
  * @access Private (hanya untuk perangkat anak)
  */
-router.post('/usage', auth, (req, res) => {
+router.post('/usage', authenticate({ scope: 'usage:write' }), requireRole('child', 'device'), requireChildAccess('childId'), async (req, res, next) => {
   const { appUsage } = req.body;
   
   if (!appUsage || !Array.isArray(appUsage)) {
@@ -166,12 +173,32 @@ router.post('/usage', auth, (req, res) => {
     });
   }
   
-  // Tindakan penyimpanan ke database akan ditambahkan nanti
+  // Validasi setiap entri penggunaan
+  for (const entry of appUsage) {
+    if (!entry.packageName || !entry.date || !Number.isInteger(entry.usageTime) || entry.usageTime < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format data penggunaan aplikasi tidak valid'
+      });
+    }
+  }
   
-  res.json({
-    success: true,
-    message: 'Data penggunaan aplikasi berhasil disimpan'
-  });
+  try {
+    await appsRepository.recordUsage(req.child.id, appUsage);
+    
+    // Teruskan data penggunaan ke aplikasi orang tua secara realtime
+    realtimeGateway.notifyParents(req.child, EVENTS.USAGE_UPDATE, {
+      source: 'apps',
+      appUsage
+    });
+    
+    res.json({
+      success: true,
+      message: 'Data penggunaan aplikasi berhasil disimpan'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,280 +1,182 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcrypt');
-const { generateToken, generateTokenPair } = require('../security/jwt');
-const { securityLogger } = require('../utils/logger');
+const authController = require('../controllers/auth.controller');
 const { parentApiValidation } = require('../middlewares/validator.middleware');
-const { authJWT } = require('../middlewares/auth.middleware');
+const { authenticate, requireRole } = require('../middlewares/auth.middleware');
+const { requireTwoFactor } = require('../security/two-factor');
+const { sensitiveLimiter, createLimiter } = require('../middlewares/rate-limiter.middleware');
 
-// Simulasi database pengguna (untuk testing, nantinya akan menggunakan database sesungguhnya)
-const users = [
-  {
-    id: 1,
-    username: 'admin',
-    password: '$2b$10$N6oYNXtUGNJKQvGcuXJJx.abk2KlTh5XQlAp5CvvJzzBZng2jEjMq', // 'admin123'
-    role: 'parent',
-    name: 'Admin Utama',
-    email: 'admin@tracas.id',
-    deviceId: 'admin-device-001'
-  },
-  {
-    id: 2,
-    username: 'child1',
-    password: '$2b$10$uDIhM7Yj2LCsRk9bJYDYxeggEQXfDpAU5nrjgv9CUzS.mEU/SQSte', // 'child123'
-    role: 'child',
-    name: 'Anak 1',
-    parentId: 1,
-    deviceId: 'child-device-001'
+// Kirim ulang email verifikasi: 5 permintaan per jam per IP
+const resendVerificationLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 jam
+  max: 5,
+  prefix: 'api:auth:resend-verification:',
+  message: {
+    success: false,
+    message: 'Terlalu banyak permintaan kirim ulang email verifikasi, silakan coba lagi nanti.',
+    code: 'RATE_LIMIT_EXCEEDED'
   }
-];
-
-// Hitung jumlah percobaan login per IP
-const loginAttempts = {};
+});
 
 /**
  * @route POST /api/auth/login
- * @desc Login user dan generate token
+ * @desc Login dengan username atau email dan generate token
  * @access Public
  */
-router.post('/login', parentApiValidation.login, (req, res) => {
-  const { username, password } = req.body;
-  const deviceId = req.body.deviceId || req.headers['x-device-id'] || 'unknown-device';
-  
-  // Track login attempts
-  const clientIp = req.ip;
-  loginAttempts[clientIp] = (loginAttempts[clientIp] || 0) + 1;
-  
-  // Cari user berdasarkan username
-  const user = users.find(u => u.username === username);
-  
-  if (!user) {
-    securityLogger.logAuth(false, 'User not found', {
-      username,
-      ip: clientIp,
-      attempts: loginAttempts[clientIp]
-    });
-    
-    return res.status(401).json({
-      success: false,
-      message: 'Username atau password salah'
-    });
-  }
-  
-  // Verifikasi password
-  bcrypt.compare(password, user.password, (err, isMatch) => {
-    if (err) {
-      securityLogger.logAuth(false, 'Password verification error', {
-        userId: user.id,
-        ip: clientIp,
-        error: err.message
-      });
-      
-      return res.status(500).json({
-        success: false,
-        message: 'Error saat verifikasi password'
-      });
-    }
-    
-    if (!isMatch) {
-      securityLogger.logAuth(false, 'Password mismatch', {
-        userId: user.id,
-        ip: clientIp,
-        attempts: loginAttempts[clientIp]
-      });
-      
-      return res.status(401).json({
-        success: false,
-        message: 'Username atau password salah'
-      });
-    }
-    
-    // Reset login attempts
-    loginAttempts[clientIp] = 0;
-    
-    // Log successful login
-    securityLogger.logAuth(true, 'Login successful', {
-      userId: user.id,
-      ip: clientIp,
-      role: user.role
-    });
-    
-    // Buat payload untuk token
-    const payload = {
-      userId: user.id,
-      username: user.username,
-      role: user.role,
-      deviceId: deviceId
-    };
-    
-    // Generate token pair
-    const { accessToken, refreshToken } = generateTokenPair(payload);
-    
-    // Kirim token ke client
-    res.json({
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.name,
-        role: user.role,
-        email: user.email
-      }
-    });
-  });
-});
+router.post('/login', parentApiValidation.login, authController.login);
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Login tahap kedua: tukar challengeToken dari /login dengan kode TOTP atau backup code
+ * @access Public
+ */
+router.post('/2fa/verify', parentApiValidation.verifyTwoFactor, authController.verifyTwoFactorLogin);
 
 /**
  * @route POST /api/auth/refresh-token
  * @desc Refresh token
  * @access Public
  */
-router.post('/refresh-token', parentApiValidation.refreshToken, (req, res) => {
-  const { refreshToken } = req.body;
-  
-  try {
-    const { refreshTokens } = require('../security/jwt');
-    const tokenPair = refreshTokens(refreshToken);
-    
-    res.json({
-      success: true,
-      ...tokenPair
-    });
-  } catch (error) {
-    securityLogger.logAuth(false, 'Token refresh failed', {
-      ip: req.ip,
-      error: error.message
-    });
-    
-    return res.status(401).json({
-      success: false,
-      message: 'Refresh token tidak valid atau telah kedaluwarsa'
-    });
-  }
-});
+router.post('/refresh-token', parentApiValidation.refreshToken, authController.refreshToken);
 
 /**
  * @route POST /api/auth/register
- * @desc Register user baru
+ * @desc Register akun orang tua baru (menunggu verifikasi email sebelum bisa login)
  * @access Public
  */
-router.post('/register', parentApiValidation.register, (req, res) => {
-  const { username, password, name, email, role } = req.body;
-  const deviceId = req.body.deviceId || req.headers['x-device-id'] || 'unknown-device';
-  
-  // Cek apakah username sudah ada
-  if (users.find(u => u.username === username)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Username sudah digunakan'
-    });
-  }
-  
-  // Cek apakah email sudah ada
-  if (users.find(u => u.email === email)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Email sudah digunakan'
-    });
-  }
-  
-  // Hash password
-  bcrypt.hash(password, 10, (err, hash) => {
-    if (err) {
-      securityLogger.logAuth(false, 'Password hashing error', {
-        ip: req.ip,
-        error: err.message
-      });
-      
-      return res.status(500).json({
-        success: false,
-        message: 'Error saat hashing password'
-      });
-    }
-    
-    // Buat user baru
-    const newUser = {
-      id: users.length + 1,
-      username,
-      password: hash,
-      name,
-      email,
-      role: role || 'parent',
-      deviceId
-    };
-    
-    // Simpan user (dalam contoh ini hanya ditambahkan ke array)
-    users.push(newUser);
-    
-    // Log successful registration
-    securityLogger.logAuth(true, 'Registration successful', {
-      userId: newUser.id,
-      ip: req.ip,
-      role: newUser.role
-    });
-    
-    res.status(201).json({
-      success: true,
-      message: 'Registrasi berhasil',
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role
-      }
-    });
-  });
-});
+router.post('/register', parentApiValidation.register, authController.register);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Kirim tautan reset password ke email (response sama untuk email terdaftar maupun tidak)
+ * @access Public
+ */
+router.post('/forgot-password', sensitiveLimiter, parentApiValidation.forgotPassword, authController.forgotPassword);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Ganti password dengan token dari email reset password; semua sesi dicabut
+ * @access Public
+ */
+router.post('/reset-password', sensitiveLimiter, parentApiValidation.resetPassword, authController.resetPassword);
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Aktifkan akun dengan token dari email verifikasi
+ * @access Public
+ */
+router.post('/verify-email', parentApiValidation.verifyEmail, authController.verifyEmail);
+
+/**
+ * @route POST /api/auth/resend-verification
+ * @desc Kirim ulang tautan verifikasi email (response sama untuk email terdaftar maupun tidak)
+ * @access Public
+ */
+router.post('/resend-verification', resendVerificationLimiter, parentApiValidation.resendVerification, authController.resendVerification);
+
+/**
+ * @route POST /api/auth/unlock-account
+ * @desc Buka kunci akun dengan token dari email penguncian
+ * @access Public
+ */
+router.post('/unlock-account', sensitiveLimiter, parentApiValidation.unlockAccount, authController.unlockAccount);
+
+/**
+ * @route GET /api/auth/profile
+ * @desc Dapatkan profil user yang sedang login
+ * @access Private
+ */
+router.get('/profile', authenticate(), authController.getProfile);
 
 /**
  * @route GET /api/auth/verify
  * @desc Verifikasi token dan dapatkan data user
  * @access Private
  */
-router.get('/verify', authJWT(), (req, res) => {
-  // Cari user berdasarkan id yang ada di req.user (dari middleware authJWT)
-  const user = users.find(u => u.id === req.user.userId);
-  
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: 'User tidak ditemukan'
-    });
-  }
-  
-  // Kirim data user
-  res.json({
-    success: true,
-    user: {
-      id: user.id,
-      username: user.username,
-      name: user.name,
-      email: user.email,
-      role: user.role
-    }
-  });
-});
+router.get('/verify', authenticate(), authController.getProfile);
+
+/**
+ * @route PUT /api/auth/change-password
+ * @desc Ganti password user yang sedang login
+ * @access Private
+ */
+router.put('/change-password', authenticate(), parentApiValidation.changePassword, authController.changePassword);
 
 /**
  * @route POST /api/auth/logout
  * @desc Logout user
  * @access Private
  */
-router.post('/logout', authJWT(), (req, res) => {
-  // Pada implementasi nyata, kita akan menambahkan token ke blacklist
+router.post('/logout', authenticate(), authController.logout);
 
-  // Log logout
-  securityLogger.logAuth(true, 'Logout successful', {
-    userId: req.user.userId,
-    ip: req.ip
-  });
-  
-  res.json({
-    success: true,
-    message: 'Logout berhasil'
-  });
-});
+/**
+ * @route GET /api/auth/sessions
+ * @desc Daftar sesi login aktif (perangkat, user agent, IP, lokasi perkiraan, waktu dibuat dan terakhir dipakai)
+ * @access Private
+ */
+router.get('/sessions', authenticate(), authController.listSessions);
+
+/**
+ * @route POST /api/auth/sessions/revoke-others
+ * @desc Keluar dari semua sesi lain kecuali sesi yang sedang dipakai
+ * @access Private
+ */
+router.post('/sessions/revoke-others', authenticate(), authController.revokeOtherSessions);
+
+/**
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @desc Cabut satu sesi login
+ * @access Private
+ */
+router.delete('/sessions/:sessionId', authenticate(), authController.revokeSession);
+
+/**
+ * @route GET /api/auth/2fa
+ * @desc Status two-factor authentication (aktif, sisa backup code)
+ * @access Private
+ */
+router.get('/2fa', authenticate(), authController.getTwoFactorStatus);
+
+/**
+ * @route POST /api/auth/2fa/enroll
+ * @desc Mulai pendaftaran 2FA, kembalikan secret dan QR code
+ * @access Private
+ */
+router.post('/2fa/enroll', authenticate(), authController.enrollTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/confirm
+ * @desc Aktifkan 2FA dengan kode pertama dari aplikasi authenticator, kembalikan backup code
+ * @access Private
+ */
+router.post('/2fa/confirm', authenticate(), parentApiValidation.twoFactorCode, authController.confirmTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Nonaktifkan 2FA dengan password dan kode TOTP atau backup code
+ * @access Private
+ */
+router.post('/2fa/disable', authenticate(), parentApiValidation.disableTwoFactor, authController.disableTwoFactor);
+
+/**
+ * @route GET /api/auth/security-events
+ * @desc Riwayat keamanan akun (akun dikunci karena login gagal berulang, kunci dibuka)
+ * @access Private
+ */
+router.get('/security-events', authenticate(), authController.listSecurityEvents);
+
+/**
+ * @route GET /api/auth/locked-accounts
+ * @desc Daftar akun yang sedang dikunci
+ * @access Private (hanya untuk admin dengan 2FA aktif)
+ */
+router.get('/locked-accounts', authenticate(), requireRole('admin'), requireTwoFactor(), authController.listLockedAccounts);
+
+/**
+ * @route POST /api/auth/locked-accounts/:userId/unlock
+ * @desc Buka kunci akun pengguna
+ * @access Private (hanya untuk admin dengan 2FA aktif)
+ */
+router.post('/locked-accounts/:userId/unlock', authenticate(), requireRole('admin'), requireTwoFactor(), parentApiValidation.userIdParam, authController.unlockAccountByAdmin);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
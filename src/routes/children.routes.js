@@ -1,26 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const childrenController = require('../controllers/children.controller');
-const { verifyToken, verifyChildOwnership } = require('../middlewares/auth.middleware');
+const { authenticate, requireRole, requireChildAccess } = require('../middlewares/auth.middleware');
 
 // Semua rute membutuhkan autentikasi
-router.use(verifyToken);
+router.use(authenticate());
 
 // Rute untuk mendapatkan semua anak
-router.get('/', childrenController.getChildren);
+router.get('/', requireRole('parent'), childrenController.getChildren);
 
 // Rute untuk menambahkan anak baru
-router.post('/', childrenController.addChild);
+router.post('/', requireRole('parent'), childrenController.addChild);
 
-// Rute berikut memerlukan verifikasi kepemilikan anak
-router.get('/:id', verifyChildOwnership, childrenController.getChild);
-router.put('/:id', verifyChildOwnership, childrenController.updateChild);
-router.delete('/:id', verifyChildOwnership, childrenController.deleteChild);
+// Rute berikut memerlukan izin atas anak dalam keluarganya
+router.get('/:id', requireChildAccess('id'), childrenController.getChild);
+router.put('/:id', requireRole('parent'), requireChildAccess('id', { permission: 'children:manage' }), childrenController.updateChild);
+router.delete('/:id', requireRole('parent'), requireChildAccess('id', { permission: 'children:manage' }), childrenController.deleteChild);
 
-// Rute untuk pengelolaan device
-router.post('/:id/register-device', verifyChildOwnership, childrenController.registerDevice);
+// Rute lama pendaftaran device (410), perangkat dihubungkan lewat /api/pairing
+router.post('/:id/register-device', requireRole('parent'), requireChildAccess('id', { permission: 'devices:manage' }), childrenController.registerDevice);
 
 // Rute untuk pengaturan screen time
-router.put('/:id/screen-time', verifyChildOwnership, childrenController.setScreenTimeLimit);
+router.put('/:id/screen-time', requireRole('parent'), requireChildAccess('id', { permission: 'screen_time:manage' }), childrenController.setScreenTimeLimit);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
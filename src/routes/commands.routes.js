@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole, requireChildAccess } = require('../middlewares/auth.middleware');
+const { childrenRepository } = require('../repositories');
+const commandRelayService = require('../services/CommandRelayService');
+const { CommandError } = require('../services/CommandRelayService');
+
+/**
+ * Kirim CommandError sebagai response, error lain diteruskan ke error handler
+ */
+const handleCommandError = (error, res, next) => {
+  if (error instanceof CommandError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  next(error);
+};
+
+/**
+ * Cari ID anak yang terhubung dengan token perangkat (childId di token atau deviceId terdaftar)
+ * @param {Object} req - Request object
+ * @returns {Promise<number|null>} ID anak, atau null jika perangkat belum terdaftar
+ */
+const childIdOfDevice = async (req) => {
+  if (req.user.childId !== undefined) {
+    return req.user.childId;
+  }
+
+  const child = req.user.deviceId ? await childrenRepository.findByDeviceId(req.user.deviceId) : null;
+  return child ? child.id : null;
+};
+
+/**
+ * Cari ID anak pemilik perintah pada req.params.commandId (untuk requireChildAccess)
+ * @param {Object} req - Request object
+ * @returns {Promise<number|null>} ID anak, atau null jika perintah tidak ditemukan
+ */
+const childIdOfCommand = async (req) => {
+  const command = await commandRelayService.getCommand(req.params.commandId);
+  return command ? command.childId : null;
+};
+
+/**
+ * @route POST /api/commands/child/:childId
+ * @desc Mengirim perintah ke perangkat anak (lock, ring, sync-apps, refresh-location)
+ * @access Private (hanya untuk orang tua)
+ */
+router.post('/child/:childId', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'commands:send' }), async (req, res, next) => {
+  try {
+    const { type, payload, ttlSeconds } = req.body;
+
+    const { command, online } = await commandRelayService.queueCommand({
+      child: req.child,
+      issuedBy: req.userId,
+      type,
+      payload,
+      ttlSeconds: ttlSeconds === undefined ? undefined : Number(ttlSeconds)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: online
+        ? 'Perintah dikirim ke perangkat, menunggu konfirmasi'
+        : 'Perangkat sedang offline, perintah akan dikirim saat perangkat terhubung',
+      data: command
+    });
+  } catch (error) {
+    handleCommandError(error, res, next);
+  }
+});
+
+/**
+ * @route GET /api/commands/child/:childId
+ * @desc Mendapatkan riwayat perintah untuk anak (opsional ?status= dan ?limit=)
+ * @access Private (hanya untuk orang tua)
+ */
+router.get('/child/:childId', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'commands:view' }), async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const commands = await commandRelayService.listCommands(req.child.id, {
+      status: req.query.status,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: commands
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/commands/poll
+ * @desc Mengambil perintah yang antre untuk perangkat (jika tidak memakai koneksi realtime)
+ * @access Private (hanya untuk perangkat anak)
+ */
+router.get('/poll', authenticate({ scope: 'commands:poll' }), requireRole('child', 'device'), requireChildAccess(childIdOfDevice), async (req, res, next) => {
+  try {
+    const commands = await commandRelayService.pollForDevice(req.child);
+
+    res.json({
+      success: true,
+      data: commands
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/commands/:commandId
+ * @desc Mendapatkan status perintah
+ * @access Private (orang tua dengan izin commands:view, atau perangkat anak pemilik perintah)
+ */
+router.get('/:commandId', authenticate({ scope: 'commands:poll' }), requireChildAccess(childIdOfCommand, { permission: 'commands:view' }), async (req, res, next) => {
+  try {
+    const command = await commandRelayService.getCommand(req.params.commandId);
+
+    res.json({
+      success: true,
+      data: command
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/commands/:commandId/ack
+ * @desc Melaporkan hasil perintah dari perangkat ({ status: 'acknowledged'|'failed', result, error })
+ * @access Private (hanya untuk perangkat anak)
+ */
+router.post('/:commandId/ack', authenticate({ scope: 'commands:poll' }), requireRole('child', 'device'), requireChildAccess(childIdOfDevice), async (req, res, next) => {
+  try {
+    const { status, result, error } = req.body;
+
+    const command = await commandRelayService.completeCommand(req.child, req.params.commandId, {
+      status,
+      result,
+      error
+    });
+
+    res.json({
+      success: true,
+      message: 'Hasil perintah tersimpan',
+      data: command
+    });
+  } catch (error) {
+    handleCommandError(error, res, next);
+  }
+});
+
+module.exports = router;
@@ -1,46 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middlewares/auth.middleware');
+const { authenticate, requireRole, requireChildAccess } = require('../middlewares/auth.middleware');
 const { config } = require('../config/environment');
-
-// Data filter konten untuk testing
-const contentFiltersData = [
-  {
-    id: 1,
-    childId: 1,
-    filterType: 'pornografi',
-    isEnabled: true,
-    sensitivity: 85
-  },
-  {
-    id: 2,
-    childId: 1,
-    filterType: 'kekerasan',
-    isEnabled: true,
-    sensitivity: 75
-  },
-  {
-    id: 3,
-    childId: 1,
-    filterType: 'perundungan',
-    isEnabled: true,
-    sensitivity: 80
-  }
-];
+const { contentFilterRepository } = require('../repositories');
+const realtimeGateway = require('../sockets');
+const { EVENTS } = require('../sockets');
 
 /**
  * @route GET /api/content-filter/:childId
  * @desc Mendapatkan pengaturan filter konten untuk anak tertentu
  * @access Private
  */
-router.get('/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
-  const filters = contentFiltersData.filter(filter => filter.childId === childId);
-  
-  res.json({
-    success: true,
-    data: filters
-  });
+router.get('/:childId', authenticate(), requireChildAccess('childId', { permission: 'content_filter:view' }), async (req, res, next) => {
+  try {
+    const childId = req.child.id;
+    const filters = await contentFilterRepository.findByChild(childId);
+    
+    res.json({
+      success: true,
+      data: filters
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -48,16 +30,8 @@ router.get('/:childId', auth, (req, res) => {
  * @desc Memperbarui pengaturan filter konten untuk anak tertentu
  * @access Private (hanya untuk orang tua)
  */
-router.put('/:childId', auth, (req, res) => {
-  // Periksa apakah user adalah orang tua
-  if (req.user.role !== 'parent') {
-    return res.status(403).json({
-      success: false,
-      message: 'Hanya orang tua yang dapat memperbarui pengaturan filter konten'
-    });
-  }
-  
-  const childId = parseInt(req.params.childId);
+router.put('/:childId', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'content_filter:manage' }), async (req, res, next) => {
+  const childId = req.child.id;
   const { filters } = req.body;
   
   if (!filters || !Array.isArray(filters)) {
@@ -67,7 +41,7 @@ router.put('/:childId', auth, (req, res) => {
     });
   }
   
-  // Update pengaturan filter konten
+  // Validasi setiap pengaturan filter konten
   for (const filter of filters) {
     if (!filter.filterType || filter.isEnabled === undefined || !Number.isInteger(filter.sensitivity)) {
       return res.status(400).json({
@@ -75,35 +49,20 @@ router.put('/:childId', auth, (req, res) => {
         message: 'Format data tidak valid'
       });
     }
-    
-    const index = contentFiltersData.findIndex(
-      f => f.childId === childId && f.filterType === filter.filterType
-    );
-    
-    if (index !== -1) {
-      // Update pengaturan yang sudah ada
-      contentFiltersData[index] = {
-        ...contentFiltersData[index],
-        isEnabled: filter.isEnabled,
-        sensitivity: filter.sensitivity
-      };
-    } else {
-      // Tambahkan pengaturan baru
-      contentFiltersData.push({
-        id: contentFiltersData.length + 1,
-        childId,
-        filterType: filter.filterType,
-        isEnabled: filter.isEnabled,
-        sensitivity: filter.sensitivity
-      });
-    }
   }
   
-  res.json({
-    success: true,
-    message: 'Pengaturan filter konten berhasil diperbarui',
-    data: contentFiltersData.filter(f => f.childId === childId)
-  });
+  try {
+    // Update pengaturan filter konten
+    const updated = await contentFilterRepository.upsertMany(childId, filters);
+    
+    res.json({
+      success: true,
+      message: 'Pengaturan filter konten berhasil diperbarui',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -111,10 +70,10 @@ router.put('/:childId', auth, (req, res) => {
  * @desc Menganalisis konten untuk mendeteksi konten tidak pantas
  * @access Private
  */
-router.post('/analyze', auth, (req, res) => {
-  const { text, imageUrl, childId } = req.body;
+router.post('/analyze', authenticate(), requireChildAccess('childId', { permission: 'content_filter:view' }), async (req, res, next) => {
+  const { text, imageUrl } = req.body;
   
-  if ((!text && !imageUrl) || !childId) {
+  if (!text && !imageUrl) {
     return res.status(400).json({
       success: false,
       message: 'Data tidak lengkap'
@@ -122,9 +81,12 @@ router.post('/analyze', auth, (req, res) => {
   }
   
   // Dapatkan pengaturan filter konten untuk anak
-  const filters = contentFiltersData.filter(filter => 
-    filter.childId === parseInt(childId) && filter.isEnabled
-  );
+  let filters;
+  try {
+    filters = await contentFilterRepository.findByChild(req.child.id, { enabledOnly: true });
+  } catch (error) {
+    return next(error);
+  }
   
   if (filters.length === 0) {
     return res.status(404).json({
@@ -177,6 +139,15 @@ router.post('/analyze', auth, (req, res) => {
     }
   }
   
+  // Beri tahu orang tua jika konten diblokir
+  if (isBlocked) {
+    realtimeGateway.notifyParents(req.child, EVENTS.ALERT, {
+      type: 'content_blocked',
+      filterType: violatedFilter,
+      source: imageUrl ? 'image' : 'text'
+    }, 'content_filter:view');
+  }
+  
   res.json({
     success: true,
     data: {
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole, requireHouseholdAccess } = require('../middlewares/auth.middleware');
+const { sensitiveLimiter } = require('../middlewares/rate-limiter.middleware');
+const { householdValidation } = require('../middlewares/validator.middleware');
+const householdService = require('../services/HouseholdService');
+const { HouseholdError } = require('../services/HouseholdService');
+
+/**
+ * Kirim HouseholdError sebagai response, error lain diteruskan ke error handler
+ */
+const handleHouseholdError = (error, res, next) => {
+  if (error instanceof HouseholdError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  next(error);
+};
+
+// Semua rute hanya untuk orang tua yang sudah login
+router.use(authenticate(), requireRole('parent'));
+
+/**
+ * @route GET /api/households
+ * @desc Mendapatkan keluarga tempat pengguna menjadi anggota beserta role dan izinnya
+ * @access Private (hanya untuk orang tua)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const households = await householdService.listHouseholds(req.userId);
+
+    res.json({
+      success: true,
+      data: households
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/households/invitations/accept
+ * @desc Menerima undangan menjadi wali (email akun harus sama dengan email yang diundang)
+ * @access Private (hanya untuk orang tua)
+ */
+router.post('/invitations/accept', sensitiveLimiter, householdValidation.acceptInvitation, async (req, res, next) => {
+  try {
+    const household = await householdService.acceptInvitation(req.body.token, req.userId);
+
+    res.json({
+      success: true,
+      message: `Anda sekarang menjadi wali di ${household.name}`,
+      data: household
+    });
+  } catch (error) {
+    handleHouseholdError(error, res, next);
+  }
+});
+
+/**
+ * @route GET /api/households/:householdId/members
+ * @desc Mendapatkan daftar anggota keluarga beserta role dan izinnya
+ * @access Private (anggota keluarga)
+ */
+router.get('/:householdId/members', requireHouseholdAccess(), async (req, res, next) => {
+  try {
+    const members = await householdService.listMembers(req.household.id);
+
+    res.json({
+      success: true,
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/households/:householdId/members/:userId
+ * @desc Mengubah role atau izin anggota keluarga
+ * @access Private (owner keluarga)
+ */
+router.put('/:householdId/members/:userId', requireHouseholdAccess('household:manage'), householdValidation.updateMember, async (req, res, next) => {
+  try {
+    const member = await householdService.updateMember(req.household, parseInt(req.params.userId, 10), req.body);
+
+    res.json({
+      success: true,
+      message: 'Izin anggota keluarga berhasil diubah',
+      data: member
+    });
+  } catch (error) {
+    handleHouseholdError(error, res, next);
+  }
+});
+
+/**
+ * @route DELETE /api/households/:householdId/members/:userId
+ * @desc Mengeluarkan anggota dari keluarga (owner), atau keluar dari keluarga (anggota itu sendiri)
+ * @access Private (owner keluarga atau anggota yang bersangkutan)
+ */
+router.delete('/:householdId/members/:userId', requireHouseholdAccess(), householdValidation.memberParam, async (req, res, next) => {
+  try {
+    await householdService.removeMember(req.household, parseInt(req.params.userId, 10), req.userId);
+
+    res.json({
+      success: true,
+      message: 'Anggota berhasil dikeluarkan dari keluarga'
+    });
+  } catch (error) {
+    handleHouseholdError(error, res, next);
+  }
+});
+
+/**
+ * @route POST /api/households/:householdId/invitations
+ * @desc Mengundang wali lewat email dengan role co_parent, viewer, atau custom (izin dipilih)
+ * @access Private (owner keluarga)
+ */
+router.post('/:householdId/invitations', sensitiveLimiter, requireHouseholdAccess('household:manage'), householdValidation.invite, async (req, res, next) => {
+  try {
+    const invitation = await householdService.invite(req.household, req.body, req.userId);
+
+    res.status(201).json({
+      success: true,
+      message: `Undangan telah dikirim ke ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    handleHouseholdError(error, res, next);
+  }
+});
+
+/**
+ * @route GET /api/households/:householdId/invitations
+ * @desc Mendapatkan daftar undangan yang belum dijawab
+ * @access Private (owner keluarga)
+ */
+router.get('/:householdId/invitations', requireHouseholdAccess('household:manage'), async (req, res, next) => {
+  try {
+    const invitations = await householdService.listInvitations(req.household.id);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/households/:householdId/invitations/:invitationId
+ * @desc Mencabut undangan yang belum diterima
+ * @access Private (owner keluarga)
+ */
+router.delete('/:householdId/invitations/:invitationId', requireHouseholdAccess('household:manage'), householdValidation.invitationParam, async (req, res, next) => {
+  try {
+    await householdService.revokeInvitation(req.household.id, parseInt(req.params.invitationId, 10));
+
+    res.json({
+      success: true,
+      message: 'Undangan berhasil dicabut'
+    });
+  } catch (error) {
+    handleHouseholdError(error, res, next);
+  }
+});
+
+module.exports = router;
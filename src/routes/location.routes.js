@@ -1,76 +1,143 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middlewares/auth.middleware');
+const { authenticate, requireRole, requireChildAccess } = require('../middlewares/auth.middleware');
+const { locationRepository } = require('../repositories');
+const geofenceService = require('../services/GeofenceService');
+const { findContainingZone, validateZoneShape, zoneReferencePoint } = require('../utils/geo');
+const { DEFAULT_TIMEZONE, validateSchedule } = require('../utils/schedule');
+const { EXPORT_FORMATS } = require('../utils/locationExport');
+const realtimeGateway = require('../sockets');
+const { EVENTS } = require('../sockets');
 
-// Data zona aman untuk testing
-const safeZonesData = [
-  {
-    id: 1,
-    childId: 1,
-    name: 'Rumah',
-    latitude: -6.1754,
-    longitude: 106.8272,
-    radius: 500 // meter
-  },
-  {
-    id: 2,
-    childId: 1,
-    name: 'Sekolah',
-    latitude: -6.1854,
-    longitude: 106.8372,
-    radius: 300 // meter
-  },
-  {
-    id: 3,
-    childId: 2,
-    name: 'Rumah',
-    latitude: -6.1954,
-    longitude: 106.8472,
-    radius: 500 // meter
+/**
+ * Cari ID anak pemilik zona aman pada req.params.id (untuk requireChildAccess)
+ * @param {Object} req - Request object
+ * @returns {Promise<number|null>} ID anak, atau null jika zona tidak ditemukan
+ */
+const childIdOfSafeZone = async (req) => {
+  const zone = await locationRepository.findSafeZoneById(parseInt(req.params.id));
+  return zone ? zone.childId : null;
+};
+
+// Default ukuran zona jika tidak dikirim (meter)
+const DEFAULT_RADIUS = 500;
+const DEFAULT_BUFFER_WIDTH = 50;
+
+/**
+ * Susun dan validasi bentuk zona aman dari input request
+ * @param {Object} input - { type, latitude, longitude, radius, geometry, bufferWidth }
+ * @returns {{shape: Object}|{error: string}} Bentuk zona siap disimpan, atau pesan kesalahan
+ */
+const buildZoneShape = ({ type = 'circle', latitude, longitude, radius, geometry, bufferWidth }) => {
+  const shape = type === 'circle'
+    ? { type, latitude, longitude, radius: radius || DEFAULT_RADIUS, geometry: null, bufferWidth: null }
+    : { type, radius: null, geometry, bufferWidth: type === 'corridor' ? (bufferWidth || DEFAULT_BUFFER_WIDTH) : null };
+
+  const error = validateZoneShape(shape);
+  if (error) return { error };
+
+  // Titik acuan polygon/corridor dihitung dari geometry, bukan dari input
+  if (type !== 'circle') {
+    Object.assign(shape, zoneReferencePoint(geometry));
   }
-];
 
-// Data riwayat lokasi untuk testing
-const locationHistoryData = [
-  {
-    id: 1,
-    childId: 1,
-    latitude: -6.1754,
-    longitude: 106.8272,
-    accuracy: 10.5,
-    timestamp: '2025-03-25T10:30:00Z'
-  },
-  {
-    id: 2,
-    childId: 1,
-    latitude: -6.1757,
-    longitude: 106.8275,
-    accuracy: 15.2,
-    timestamp: '2025-03-25T10:45:00Z'
-  },
-  {
-    id: 3,
-    childId: 1,
-    latitude: -6.1760,
-    longitude: 106.8280,
-    accuracy: 8.7,
-    timestamp: '2025-03-25T11:00:00Z'
+  return { shape };
+};
+
+/**
+ * Validasi jadwal mingguan zona aman dari input request
+ * @param {Object|null} schedule - { timezone, windows: [{ days, startTime, endTime }] }, null untuk tanpa jadwal
+ * @returns {{schedule: Object|null}|{error: string}} Jadwal siap disimpan, atau pesan kesalahan
+ */
+const buildZoneSchedule = (schedule) => {
+  if (schedule === null || schedule === undefined) return { schedule: null };
+
+  const error = validateSchedule(schedule);
+  if (error) return { error };
+
+  return {
+    schedule: {
+      timezone: schedule.timezone || DEFAULT_TIMEZONE,
+      windows: schedule.windows.map(({ days, startTime, endTime }) => ({
+        days: [...new Set(days)].sort((a, b) => a - b),
+        startTime,
+        endTime
+      }))
+    }
+  };
+};
+
+/**
+ * Tunggu sampai buffer response kosong lagi, atau koneksi ditutup klien
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  // Koneksi yang sudah ditutup tidak akan memancarkan drain atau close lagi
+  if (res.destroyed || res.writableEnded) return resolve();
+
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Tulis riwayat lokasi ke response secara bertahap dalam format ekspor.
+ * Penulisan berhenti sementara jika buffer response penuh dan berhenti total jika klien memutus koneksi.
+ * @param {Object} res - Response object
+ * @param {Object} child - Data anak
+ * @param {string} format - Kunci EXPORT_FORMATS
+ * @param {Object} filter - { startDate, endDate, limit }
+ */
+const streamHistory = async (res, child, format, filter) => {
+  const writer = EXPORT_FORMATS[format];
+  const filename = `riwayat-lokasi-${child.id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.set({
+    'Content-Type': writer.contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  res.write(writer.header(child));
+
+  let index = 0;
+  for await (const location of locationRepository.iterateHistory(child.id, filter)) {
+    if (res.destroyed || res.writableEnded) return;
+
+    if (!res.write(writer.row(location, index++))) {
+      await waitForDrain(res);
+
+      // Keluar dari loop menutup iterator, jadi batch riwayat berikutnya tidak lagi dibaca
+      if (res.destroyed || res.writableEnded) return;
+    }
   }
-];
+
+  res.end(writer.footer());
+};
 
 /**
  * @route GET /api/location/safe-zones/:childId
  * @desc Mendapatkan zona aman untuk anak tertentu
  * @access Private
  */
-router.get('/safe-zones/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
-  const safeZones = safeZonesData.filter(zone => zone.childId === childId);
-  
-  res.json({
-    success: true,
-    data: safeZones
-  });
+router.get('/safe-zones/:childId', authenticate(), requireChildAccess('childId', { permission: 'location:view' }), async (req, res, next) => {
+  try {
+    const childId = req.child.id;
+    const safeZones = await locationRepository.findSafeZonesByChild(childId);
+    
+    res.json({
+      success: true,
+      data: safeZones
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -78,49 +145,46 @@ router.get('/safe-zones/:childId', auth, (req, res) => {
  * @desc Menambahkan zona aman baru
  * @access Private (hanya untuk orang tua)
  */
-router.post('/safe-zones', auth, (req, res) => {
-  // Periksa apakah user adalah orang tua
-  if (req.user.role !== 'parent') {
-    return res.status(403).json({
-      success: false,
-      message: 'Hanya orang tua yang dapat menambahkan zona aman'
-    });
-  }
+router.post('/safe-zones', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'location:manage' }), async (req, res, next) => {
+  const { name, type = 'circle', latitude, longitude, radius, geometry, bufferWidth, schedule } = req.body;
   
-  const { childId, name, latitude, longitude, radius } = req.body;
-  
-  if (!childId || !name || latitude === undefined || longitude === undefined) {
+  if (!name || (type === 'circle' && (latitude === undefined || longitude === undefined))) {
     return res.status(400).json({
       success: false,
       message: 'Data tidak lengkap'
     });
   }
   
-  // Validasi data
-  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+  // Validasi bentuk zona (circle, polygon, atau corridor)
+  const { shape, error } = buildZoneShape({ type, latitude, longitude, radius, geometry, bufferWidth });
+  
+  // Jadwal mingguan opsional (mis. Sekolah, Senin-Jumat 07:00-14:00)
+  const zoneSchedule = buildZoneSchedule(schedule);
+  
+  if (error || zoneSchedule.error) {
     return res.status(400).json({
       success: false,
-      message: 'Format data tidak valid'
+      message: error || zoneSchedule.error
     });
   }
   
-  // Tambahkan zona aman baru
-  const newSafeZone = {
-    id: safeZonesData.length + 1,
-    childId: parseInt(childId),
-    name,
-    latitude,
-    longitude,
-    radius: radius || 500 // Default radius 500 meter
-  };
-  
-  safeZonesData.push(newSafeZone);
-  
-  res.status(201).json({
-    success: true,
-    message: 'Zona aman berhasil ditambahkan',
-    data: newSafeZone
-  });
+  try {
+    // Tambahkan zona aman baru
+    const newSafeZone = await locationRepository.createSafeZone({
+      childId: req.child.id,
+      name,
+      ...shape,
+      schedule: zoneSchedule.schedule
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Zona aman berhasil ditambahkan',
+      data: newSafeZone
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -128,38 +192,60 @@ router.post('/safe-zones', auth, (req, res) => {
  * @desc Memperbarui zona aman
  * @access Private (hanya untuk orang tua)
  */
-router.put('/safe-zones/:id', auth, (req, res) => {
-  // Periksa apakah user adalah orang tua
-  if (req.user.role !== 'parent') {
-    return res.status(403).json({
-      success: false,
-      message: 'Hanya orang tua yang dapat memperbarui zona aman'
-    });
-  }
-  
+router.put('/safe-zones/:id', authenticate(), requireRole('parent'), requireChildAccess(childIdOfSafeZone, { permission: 'location:manage' }), async (req, res, next) => {
   const zoneId = parseInt(req.params.id);
-  const zoneIndex = safeZonesData.findIndex(zone => zone.id === zoneId);
+  const { name, type, latitude, longitude, radius, geometry, bufferWidth, schedule } = req.body;
   
-  if (zoneIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: 'Zona aman tidak ditemukan'
+  try {
+    const existing = await locationRepository.findSafeZoneById(zoneId);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona aman tidak ditemukan'
+      });
+    }
+    
+    // Gabungkan field yang dikirim dengan bentuk zona sekarang. Ukuran lama hanya
+    // dipakai ulang jika jenis zona tidak berubah.
+    const nextType = type || existing.type;
+    const sameType = nextType === existing.type;
+    const { shape, error } = buildZoneShape({
+      type: nextType,
+      latitude: latitude ?? existing.latitude,
+      longitude: longitude ?? existing.longitude,
+      radius: radius ?? (sameType ? existing.radius : undefined),
+      geometry: geometry ?? (sameType ? existing.geometry : undefined),
+      bufferWidth: bufferWidth ?? (sameType ? existing.bufferWidth : undefined)
     });
+    
+    // schedule: null menghapus jadwal; tidak dikirim berarti jadwal lama dipertahankan
+    const zoneSchedule = buildZoneSchedule(schedule === undefined ? existing.schedule : schedule);
+    
+    if (error || zoneSchedule.error) {
+      return res.status(400).json({
+        success: false,
+        message: error || zoneSchedule.error
+      });
+    }
+    
+    const zone = await locationRepository.updateSafeZone(zoneId, { name, ...shape, schedule: zoneSchedule.schedule });
+    
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona aman tidak ditemukan'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Zona aman berhasil diperbarui',
+      data: zone
+    });
+  } catch (error) {
+    next(error);
   }
-  
-  const { name, latitude, longitude, radius } = req.body;
-  
-  // Update zona aman
-  if (name) safeZonesData[zoneIndex].name = name;
-  if (latitude !== undefined) safeZonesData[zoneIndex].latitude = latitude;
-  if (longitude !== undefined) safeZonesData[zoneIndex].longitude = longitude;
-  if (radius) safeZonesData[zoneIndex].radius = radius;
-  
-  res.json({
-    success: true,
-    message: 'Zona aman berhasil diperbarui',
-    data: safeZonesData[zoneIndex]
-  });
 });
 
 /**
@@ -167,41 +253,36 @@ router.put('/safe-zones/:id', auth, (req, res) => {
  * @desc Menghapus zona aman
  * @access Private (hanya untuk orang tua)
  */
-router.delete('/safe-zones/:id', auth, (req, res) => {
-  // Periksa apakah user adalah orang tua
-  if (req.user.role !== 'parent') {
-    return res.status(403).json({
-      success: false,
-      message: 'Hanya orang tua yang dapat menghapus zona aman'
-    });
-  }
-  
+router.delete('/safe-zones/:id', authenticate(), requireRole('parent'), requireChildAccess(childIdOfSafeZone, { permission: 'location:manage' }), async (req, res, next) => {
   const zoneId = parseInt(req.params.id);
-  const zoneIndex = safeZonesData.findIndex(zone => zone.id === zoneId);
   
-  if (zoneIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: 'Zona aman tidak ditemukan'
+  try {
+    // Hapus zona aman
+    const deleted = await locationRepository.deleteSafeZone(zoneId);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona aman tidak ditemukan'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Zona aman berhasil dihapus'
     });
+  } catch (error) {
+    next(error);
   }
-  
-  // Hapus zona aman
-  safeZonesData.splice(zoneIndex, 1);
-  
-  res.json({
-    success: true,
-    message: 'Zona aman berhasil dihapus'
-  });
 });
 
 /**
  * @route POST /api/location/update/:childId
- * @desc Menyimpan lokasi terbaru anak
+ * @desc Menyimpan lokasi terbaru anak dan mengevaluasi event masuk/keluar zona aman
  * @access Private (hanya untuk perangkat anak)
  */
-router.post('/update/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
+router.post('/update/:childId', authenticate({ scope: 'location:write' }), requireRole('child', 'device'), requireChildAccess('childId'), async (req, res, next) => {
+  const childId = req.child.id;
   const { latitude, longitude, accuracy } = req.body;
   
   if (latitude === undefined || longitude === undefined) {
@@ -219,154 +300,166 @@ router.post('/update/:childId', auth, (req, res) => {
     });
   }
   
-  // Simpan lokasi terbaru
-  const newLocation = {
-    id: locationHistoryData.length + 1,
-    childId,
-    latitude,
-    longitude,
-    accuracy: accuracy || null,
-    timestamp: new Date().toISOString()
-  };
-  
-  locationHistoryData.push(newLocation);
-  
-  // Cek apakah lokasi berada di dalam zona aman
-  const safeZones = safeZonesData.filter(zone => zone.childId === childId);
-  const insideSafeZone = safeZones.find(zone => {
-    // Hitung jarak antara lokasi dengan pusat zona aman
-    const distance = calculateDistance(
-      latitude, 
-      longitude, 
-      zone.latitude, 
-      zone.longitude
-    );
+  try {
+    // Simpan lokasi terbaru
+    const newLocation = await locationRepository.addLocation({
+      childId,
+      latitude,
+      longitude,
+      accuracy: accuracy || null
+    });
     
-    // Cek apakah jarak kurang dari radius zona aman
-    return distance <= zone.radius;
-  });
-  
-  res.json({
-    success: true,
-    message: 'Lokasi berhasil diperbarui',
-    data: {
+    // Cek apakah lokasi berada di dalam zona aman
+    const safeZones = await locationRepository.findSafeZonesByChild(childId);
+    const insideSafeZone = findContainingZone(safeZones, latitude, longitude);
+    
+    // Kirim lokasi terbaru ke aplikasi orang tua secara realtime
+    realtimeGateway.notifyParents(req.child, EVENTS.LOCATION_UPDATE, {
       location: newLocation,
       insideSafeZone: insideSafeZone ? true : false,
       safeZoneName: insideSafeZone ? insideSafeZone.name : null
-    }
-  });
+    });
+    
+    // Event masuk/keluar/dwell zona (disimpan dan dikirim ke wali oleh GeofenceService)
+    const geofence = await geofenceService.evaluate(req.child, newLocation, safeZones);
+    
+    res.json({
+      success: true,
+      message: 'Lokasi berhasil diperbarui',
+      data: {
+        location: newLocation,
+        insideSafeZone: insideSafeZone ? true : false,
+        safeZoneName: insideSafeZone ? insideSafeZone.name : null,
+        geofenceEvaluated: geofence.evaluated,
+        geofenceEvents: geofence.events
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * @route GET /api/location/history/:childId
- * @desc Mendapatkan riwayat lokasi anak
+ * @desc Mendapatkan riwayat lokasi anak. Dengan ?format=gpx|kml|geojson|csv riwayat diunduh
+ *       sebagai file (terlama lebih dulu) dan dikirim bertahap.
  * @access Private
  */
-router.get('/history/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
+router.get('/history/:childId', authenticate(), requireChildAccess('childId', { permission: 'location:view' }), async (req, res, next) => {
+  const childId = req.child.id;
   
   // Dapatkan parameter query untuk filtering
-  const { startDate, endDate, limit } = req.query;
-  
-  // Filter berdasarkan childId
-  let filteredHistory = locationHistoryData.filter(loc => loc.childId === childId);
+  const { startDate, endDate, format = 'json' } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : null;
   
-  // Filter berdasarkan tanggal jika ada
-  if (startDate && endDate) {
-    filteredHistory = filteredHistory.filter(loc => {
-      const locDate = new Date(loc.timestamp);
-      return locDate >= new Date(startDate) && locDate <= new Date(endDate);
+  if (format !== 'json' && !Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format ekspor tidak valid. Gunakan ${Object.keys(EXPORT_FORMATS).join(', ')}.`
     });
   }
   
-  // Urutkan berdasarkan timestamp terbaru
-  filteredHistory.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format tanggal tidak valid'
+    });
+  }
   
-  // Batasi jumlah hasil jika parameter limit ada
-  if (limit) {
-    filteredHistory = filteredHistory.slice(0, parseInt(limit));
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parameter limit harus berupa bilangan bulat positif'
+    });
   }
   
-  res.json({
-    success: true,
-    data: filteredHistory
-  });
+  try {
+    if (format !== 'json') {
+      return await streamHistory(res, req.child, format, {
+        startDate,
+        endDate,
+        limit
+      });
+    }
+    
+    // Riwayat diurutkan dari timestamp terbaru
+    const history = await locationRepository.findHistory(childId, {
+      startDate,
+      endDate,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * @route GET /api/location/last/:childId
- * @desc Mendapatkan lokasi terakhir anak
+ * @route GET /api/location/geofence-events/:childId
+ * @desc Mendapatkan riwayat event masuk, keluar, dan dwell zona aman (opsional ?zoneId= dan ?limit=)
  * @access Private
  */
-router.get('/last/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
-  
-  // Cari lokasi terbaru berdasarkan timestamp
-  const childLocations = locationHistoryData.filter(loc => loc.childId === childId);
+router.get('/geofence-events/:childId', authenticate(), requireChildAccess('childId', { permission: 'location:view' }), async (req, res, next) => {
+  const zoneId = req.query.zoneId ? parseInt(req.query.zoneId, 10) : null;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
   
-  if (childLocations.length === 0) {
-    return res.status(404).json({
+  if ((req.query.zoneId && !Number.isInteger(zoneId)) || !Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({
       success: false,
-      message: 'Lokasi tidak ditemukan'
+      message: 'Parameter filter tidak valid'
     });
   }
   
-  // Urutkan berdasarkan timestamp terbaru
-  childLocations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-  
-  // Ambil lokasi terbaru
-  const lastLocation = childLocations[0];
-  
-  // Cek apakah lokasi berada di dalam zona aman
-  const safeZones = safeZonesData.filter(zone => zone.childId === childId);
-  const insideSafeZone = safeZones.find(zone => {
-    // Hitung jarak antara lokasi dengan pusat zona aman
-    const distance = calculateDistance(
-      lastLocation.latitude, 
-      lastLocation.longitude, 
-      zone.latitude, 
-      zone.longitude
-    );
+  try {
+    const events = await geofenceService.listEvents(req.child.id, { zoneId, limit });
     
-    // Cek apakah jarak kurang dari radius zona aman
-    return distance <= zone.radius;
-  });
-  
-  res.json({
-    success: true,
-    data: {
-      location: lastLocation,
-      insideSafeZone: insideSafeZone ? true : false,
-      safeZoneName: insideSafeZone ? insideSafeZone.name : null
-    }
-  });
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * Fungsi untuk menghitung jarak antara dua titik koordinat (dalam meter)
- * Menggunakan formula Haversine
+ * @route GET /api/location/last/:childId
+ * @desc Mendapatkan lokasi terakhir anak
+ * @access Private
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Radius bumi dalam meter
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
+router.get('/last/:childId', authenticate(), requireChildAccess('childId', { permission: 'location:view' }), async (req, res, next) => {
+  const childId = req.child.id;
   
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * 
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  try {
+    // Cari lokasi terbaru berdasarkan timestamp
+    const lastLocation = await locationRepository.findLastLocation(childId);
     
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-  
-  return distance;
-}
-
-/**
- * Fungsi untuk mengkonversi derajat ke radian
- */
-function toRad(degrees) {
-  return degrees * Math.PI / 180;
-}
+    if (!lastLocation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lokasi tidak ditemukan'
+      });
+    }
+    
+    // Cek apakah lokasi berada di dalam zona aman
+    const safeZones = await locationRepository.findSafeZonesByChild(childId);
+    const insideSafeZone = findContainingZone(safeZones, lastLocation.latitude, lastLocation.longitude);
+    
+    res.json({
+      success: true,
+      data: {
+        location: lastLocation,
+        insideSafeZone: insideSafeZone ? true : false,
+        safeZoneName: insideSafeZone ? insideSafeZone.name : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole, requireChildAccess, requireKidsApiKey } = require('../middlewares/auth.middleware');
+const { sensitiveLimiter } = require('../middlewares/rate-limiter.middleware');
+const { pairingValidation } = require('../middlewares/validator.middleware');
+const pairingService = require('../services/PairingService');
+const { PairingError } = require('../services/PairingService');
+const deviceAuthService = require('../services/DeviceAuthService');
+const realtimeGateway = require('../sockets');
+const { DeviceAuthError } = require('../services/DeviceAuthService');
+
+/**
+ * Kirim PairingError/DeviceAuthError sebagai response, error lain diteruskan ke error handler
+ */
+const handlePairingError = (error, res, next) => {
+  if (error instanceof PairingError || error instanceof DeviceAuthError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  next(error);
+};
+
+/**
+ * @route POST /api/pairing/child/:childId/code
+ * @desc Membuat kode pairing sekali pakai (teks dan QR) untuk menghubungkan perangkat anak
+ * @access Private (hanya untuk orang tua)
+ */
+router.post('/child/:childId/code', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'devices:manage' }), async (req, res, next) => {
+  try {
+    const pairingCode = await pairingService.createCode({
+      child: req.child,
+      createdBy: req.userId,
+      serverUrl: `${req.protocol}://${req.get('host')}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Kode pairing berhasil dibuat',
+      data: pairingCode
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/pairing/redeem
+ * @desc Menebus kode pairing dari aplikasi CIMOY Kids dan mendapatkan kredensial perangkat
+ * @access Public (API key aplikasi CIMOY Kids, dibatasi rate limit)
+ */
+router.post('/redeem', sensitiveLimiter, requireKidsApiKey, pairingValidation.redeem, async (req, res, next) => {
+  try {
+    const { code, deviceId, deviceModel, deviceOs } = req.body;
+
+    const { child, tokens } = await pairingService.redeemCode({ code, deviceId, deviceModel, deviceOs });
+
+    res.json({
+      success: true,
+      message: 'Perangkat berhasil dihubungkan',
+      data: {
+        child: {
+          id: child.id,
+          name: child.name
+        },
+        ...tokens
+      }
+    });
+  } catch (error) {
+    handlePairingError(error, res, next);
+  }
+});
+
+/**
+ * @route POST /api/pairing/token
+ * @desc Menukar refresh credential perangkat dengan access token baru
+ * @access Public (API key aplikasi CIMOY Kids)
+ */
+router.post('/token', requireKidsApiKey, pairingValidation.token, async (req, res, next) => {
+  try {
+    const tokens = await deviceAuthService.refresh(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    handlePairingError(error, res, next);
+  }
+});
+
+/**
+ * @route GET /api/pairing/devices
+ * @desc Mendapatkan daftar perangkat yang terhubung ke anak-anak dalam keluarga orang tua
+ * @access Private (hanya untuk orang tua)
+ */
+router.get('/devices', authenticate(), requireRole('parent'), async (req, res, next) => {
+  try {
+    const devices = await pairingService.listDevices(req.userId);
+
+    res.json({
+      success: true,
+      data: devices
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/pairing/devices/:childId
+ * @desc Melepas perangkat dari anak
+ * @access Private (hanya untuk orang tua)
+ */
+router.delete('/devices/:childId', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'devices:manage' }), async (req, res, next) => {
+  try {
+    const device = await pairingService.unpair(req.child);
+
+    res.json({
+      success: true,
+      message: 'Perangkat berhasil dilepas',
+      data: device
+    });
+  } catch (error) {
+    handlePairingError(error, res, next);
+  }
+});
+
+/**
+ * @route POST /api/pairing/devices/:childId/revoke
+ * @desc Mencabut kredensial perangkat anak (perangkat harus pairing ulang)
+ * @access Private (hanya untuk orang tua)
+ */
+router.post('/devices/:childId/revoke', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'devices:manage' }), async (req, res, next) => {
+  try {
+    const revoked = await deviceAuthService.revoke(req.child);
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tidak ada kredensial perangkat yang aktif',
+        code: 'NO_ACTIVE_CREDENTIAL'
+      });
+    }
+
+    realtimeGateway.disconnectDevice(req.child.id);
+
+    res.json({
+      success: true,
+      message: 'Kredensial perangkat berhasil dicabut'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
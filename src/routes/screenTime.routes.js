@@ -1,87 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middlewares/auth.middleware');
-
-// Data waktu layar untuk testing
-const screenTimeData = [
-  {
-    id: 1,
-    childId: 1,
-    dayOfWeek: 1, // Senin
-    startTime: '08:00',
-    endTime: '20:00',
-    maxUsage: 120 // menit
-  },
-  {
-    id: 2,
-    childId: 1,
-    dayOfWeek: 2, // Selasa
-    startTime: '08:00',
-    endTime: '20:00',
-    maxUsage: 120
-  },
-  {
-    id: 3,
-    childId: 1,
-    dayOfWeek: 3, // Rabu
-    startTime: '08:00',
-    endTime: '20:00',
-    maxUsage: 120
-  },
-  {
-    id: 4,
-    childId: 1,
-    dayOfWeek: 4, // Kamis
-    startTime: '08:00',
-    endTime: '20:00',
-    maxUsage: 120
-  },
-  {
-    id: 5,
-    childId: 1,
-    dayOfWeek: 5, // Jumat
-    startTime: '08:00',
-    endTime: '20:00',
-    maxUsage: 120
-  },
-  {
-    id: 6,
-    childId: 1,
-    dayOfWeek: 6, // Sabtu
-    startTime: '09:00',
-    endTime: '21:00',
-    maxUsage: 180
-  },
-  {
-    id: 7,
-    childId: 1,
-    dayOfWeek: 0, // Minggu
-    startTime: '09:00',
-    endTime: '21:00',
-    maxUsage: 180
-  }
-];
+const { authenticate, requireRole, requireChildAccess } = require('../middlewares/auth.middleware');
+const { screenTimeRepository } = require('../repositories');
+const realtimeGateway = require('../sockets');
+const { EVENTS } = require('../sockets');
 
 /**
  * @route GET /api/screen-time/:childId
  * @desc Mendapatkan pengaturan waktu layar untuk anak tertentu
  * @access Private
  */
-router.get('/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
-  const screenTimes = screenTimeData.filter(st => st.childId === childId);
-  
-  if (screenTimes.length === 0) {
-    return res.status(404).json({
-      success: false,
-      message: 'Pengaturan waktu layar tidak ditemukan'
+router.get('/:childId', authenticate(), requireChildAccess('childId', { permission: 'screen_time:view' }), async (req, res, next) => {
+  try {
+    const childId = req.child.id;
+    const screenTimes = await screenTimeRepository.findByChild(childId);
+    
+    if (screenTimes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pengaturan waktu layar tidak ditemukan'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: screenTimes
     });
+  } catch (error) {
+    next(error);
   }
-  
-  res.json({
-    success: true,
-    data: screenTimes
-  });
 });
 
 /**
@@ -89,16 +36,8 @@ router.get('/:childId', auth, (req, res) => {
  * @desc Memperbarui pengaturan waktu layar untuk anak tertentu
  * @access Private (hanya untuk orang tua)
  */
-router.put('/:childId', auth, (req, res) => {
-  // Periksa apakah user adalah orang tua
-  if (req.user.role !== 'parent') {
-    return res.status(403).json({
-      success: false,
-      message: 'Hanya orang tua yang dapat memperbarui pengaturan waktu layar'
-    });
-  }
-  
-  const childId = parseInt(req.params.childId);
+router.put('/:childId', authenticate(), requireRole('parent'), requireChildAccess('childId', { permission: 'screen_time:manage' }), async (req, res, next) => {
+  const childId = req.child.id;
   const { screenTimes } = req.body;
   
   if (!screenTimes || !Array.isArray(screenTimes)) {
@@ -126,38 +65,18 @@ router.put('/:childId', auth, (req, res) => {
     }
   }
   
-  // Update pengaturan waktu layar
-  for (const st of screenTimes) {
-    const index = screenTimeData.findIndex(
-      data => data.childId === childId && data.dayOfWeek === st.dayOfWeek
-    );
+  try {
+    // Simpan pengaturan waktu layar (insert atau update per hari)
+    const updated = await screenTimeRepository.upsertMany(childId, screenTimes);
     
-    if (index !== -1) {
-      // Update pengaturan yang sudah ada
-      screenTimeData[index] = {
-        ...screenTimeData[index],
-        startTime: st.startTime,
-        endTime: st.endTime,
-        maxUsage: st.maxUsage
-      };
-    } else {
-      // Tambahkan pengaturan baru
-      screenTimeData.push({
-        id: screenTimeData.length + 1,
-        childId,
-        dayOfWeek: st.dayOfWeek,
-        startTime: st.startTime,
-        endTime: st.endTime,
-        maxUsage: st.maxUsage
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Pengaturan waktu layar berhasil diperbarui',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
   }
-  
-  res.json({
-    success: true,
-    message: 'Pengaturan waktu layar berhasil diperbarui',
-    data: screenTimeData.filter(st => st.childId === childId)
-  });
 });
 
 /**
@@ -165,8 +84,8 @@ router.put('/:childId', auth, (req, res) => {
  * @desc Menyimpan data penggunaan waktu layar dari perangkat anak
  * @access Private (hanya untuk perangkat anak)
  */
-router.post('/usage/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
+router.post('/usage/:childId', authenticate({ scope: 'usage:write' }), requireRole('child', 'device'), requireChildAccess('childId'), (req, res) => {
+  const childId = req.child.id;
   const { usageTime, date } = req.body;
   
   if (!usageTime || !date) {
@@ -186,6 +105,13 @@ router.post('/usage/:childId', auth, (req, res) => {
   
   // Simpan data penggunaan waktu layar (dalam implementasi sebenarnya akan disimpan ke database)
   
+  // Teruskan data penggunaan ke aplikasi orang tua secara realtime
+  realtimeGateway.notifyParents(req.child, EVENTS.USAGE_UPDATE, {
+    source: 'screen-time',
+    usageTime,
+    date
+  });
+  
   res.json({
     success: true,
     message: 'Data penggunaan waktu layar berhasil disimpan'
@@ -197,8 +123,8 @@ router.post('/usage/:childId', auth, (req, res) => {
  * @desc Mendapatkan status waktu layar saat ini untuk anak tertentu
  * @access Private
  */
-router.get('/status/:childId', auth, (req, res) => {
-  const childId = parseInt(req.params.childId);
+router.get('/status/:childId', authenticate(), requireChildAccess('childId', { permission: 'screen_time:view' }), async (req, res, next) => {
+  const childId = req.child.id;
   
   // Dapatkan hari dan waktu saat ini
   const now = new Date();
@@ -206,7 +132,12 @@ router.get('/status/:childId', auth, (req, res) => {
   const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
   
   // Cari pengaturan untuk hari ini
-  const todaySettings = screenTimeData.find(st => st.childId === childId && st.dayOfWeek === dayOfWeek);
+  let todaySettings;
+  try {
+    todaySettings = await screenTimeRepository.findByChildAndDay(childId, dayOfWeek);
+  } catch (error) {
+    return next(error);
+  }
   
   if (!todaySettings) {
     return res.status(404).json({
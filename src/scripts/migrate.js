@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * CLI untuk menjalankan migrasi skema database
+ * Run dengan:
+ *   npm run migrate                       # jalankan semua migrasi tertunda
+ *   npm run migrate:rollback              # batalkan migrasi terakhir
+ *   npm run migrate:rollback -- --steps 2 # batalkan 2 migrasi terakhir
+ *   npm run migrate:status                # tampilkan status migrasi
+ */
+
+const db = require('../db/setup');
+const migrator = require('../db/migrator');
+
+// Warna untuk output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  bold: '\x1b[1m'
+};
+
+/**
+ * Ambil nilai --steps dari argumen CLI
+ * @param {string[]} args - Argumen CLI
+ * @returns {number} Jumlah langkah rollback
+ */
+function parseSteps(args) {
+  const index = args.indexOf('--steps');
+  const steps = index !== -1 ? parseInt(args[index + 1], 10) : 1;
+
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('--steps harus berupa bilangan bulat positif');
+  }
+
+  return steps;
+}
+
+/**
+ * Tampilkan status semua migrasi
+ */
+async function printStatus() {
+  const status = await migrator.getStatus();
+
+  console.log(`\n${colors.bold}Migration status${colors.reset}`);
+
+  for (const migration of status) {
+    const label = migrator.formatMigration(migration);
+
+    if (migration.missing) {
+      console.log(`${colors.red}✘ ${label} (applied, file missing)${colors.reset}`);
+    } else if (migration.applied) {
+      console.log(`${colors.green}✓ ${label}${colors.reset} (${migration.appliedAt})`);
+    } else {
+      console.log(`${colors.yellow}• ${label} (pending)${colors.reset}`);
+    }
+  }
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.migrate();
+      console.log(applied.length
+        ? `${colors.green}✓ ${applied.length} migration(s) applied${colors.reset}`
+        : `${colors.green}✓ Database schema is up to date${colors.reset}`);
+      break;
+    }
+
+    case 'rollback': {
+      const rolledBack = await migrator.rollback(parseSteps(args));
+      console.log(rolledBack.length
+        ? `${colors.green}✓ ${rolledBack.length} migration(s) rolled back${colors.reset}`
+        : `${colors.yellow}⚠ Nothing to roll back${colors.reset}`);
+      break;
+    }
+
+    case 'status':
+      await printStatus();
+      break;
+
+    default:
+      throw new Error(`Perintah tidak dikenal: ${command} (gunakan up, rollback, atau status)`);
+  }
+}
+
+main()
+  .then(() => db.close())
+  .catch(async (error) => {
+    console.error(`${colors.red}✘ ${error.message}${colors.reset}`);
+    await db.close().catch(() => {});
+    process.exit(1);
+  });
@@ -32,6 +32,9 @@ class KeyManager {
       pbkdf: null
     };
     
+    // Cache kunci lama (hasil rotasi) yang masih dibutuhkan untuk dekripsi, per keyId
+    this.retiredKeys = new Map();
+    
     // Inisialisasi key manager
     this.initialize();
   }
@@ -162,6 +165,34 @@ class KeyManager {
     return crypto.randomBytes(8).toString('hex');
   }
   
+  /**
+   * Dapatkan kunci berdasarkan ID. Kunci yang sudah dirotasi dibaca dari file backup-nya,
+   * sehingga data yang dienkripsi sebelum rotasi tetap bisa didekripsi.
+   * @param {string} keyType - Tipe kunci
+   * @param {string} keyId - ID kunci (kosong berarti kunci aktif)
+   * @returns {Object} Data kunci
+   */
+  getKey(keyType, keyId) {
+    const current = this.keys[keyType];
+    
+    if (!keyId || (current && current.id === keyId)) {
+      return current;
+    }
+    
+    const cacheKey = `${keyType}:${keyId}`;
+    if (!this.retiredKeys.has(cacheKey)) {
+      const backupPath = path.join(this.keysDir, `${keyType}-key.${keyId}.backup.json`);
+      
+      if (!fs.existsSync(backupPath)) {
+        throw new Error(`Unknown ${keyType} key: ${keyId}`);
+      }
+      
+      this.retiredKeys.set(cacheKey, JSON.parse(fs.readFileSync(backupPath, 'utf8')));
+    }
+    
+    return this.retiredKeys.get(cacheKey);
+  }
+  
   /**
    * Rotasi kunci jika diperlukan
    */
@@ -278,15 +309,15 @@ class KeyManager {
    */
   decrypt(encryptedData, associatedData = {}) {
     try {
-      const { data, iv, authTag, algorithm } = encryptedData;
+      const { data, iv, authTag, algorithm, keyId } = encryptedData;
       
       // Ensure algorithm matches
       if (algorithm !== this.encryptionAlgorithm) {
         throw new Error('Algorithm mismatch');
       }
       
-      // Get the key value
-      const keyBuffer = Buffer.from(this.keys.encryption.value, 'hex');
+      // Get the key value (kunci yang dipakai saat enkripsi, meskipun sudah dirotasi)
+      const keyBuffer = Buffer.from(this.getKey('encryption', keyId).value, 'hex');
       
       // Create decipher
       const decipher = crypto.createDecipheriv(
@@ -1,40 +1,36 @@
 const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
-const { config } = require('../config/environment');
+const { encryptValue, decryptValue } = require('./crypto');
+const { twoFactorRepository } = require('../repositories');
 const { securityLogger } = require('../utils/logger');
 
+// Panjang satu time step TOTP (detik)
+const TOTP_STEP_SECONDS = 30;
+
 /**
  * Kelas untuk implementasi 2FA (Two-Factor Authentication)
  * Mendukung TOTP (Time-based One-Time Password) melalui aplikasi
  * seperti Google Authenticator, Authy, dll.
+ *
+ * Kelas ini hanya menangani kriptografi dan TOTP. Penyimpanan secret dan
+ * backup code ada di services/TwoFactorService.js (tabel user_two_factor).
  */
 class TwoFactorAuth {
-  constructor(dbClient) {
-    this.db = dbClient;
-    this.secretEncryptionKey = config.secretEncryptionKey || crypto.randomBytes(32).toString('hex');
-    this.issuer = 'TRACAS Admin';
-    
-    // Inisialisasi backup codes dalam memori
-    this.backupCodes = new Map();
+  constructor() {
+    this.issuer = 'TRACAS';
   }
   
   /**
-   * Enkripsi secret key 2FA
+   * Enkripsi secret key 2FA dengan kunci enkripsi KeyManager.
+   * userId dipakai sebagai associated data sehingga secret tidak bisa dipindah ke akun lain.
    * @param {string} secret - Secret key yang akan dienkripsi
    * @param {string} userId - ID user
    * @returns {string} Secret terenkripsi
    */
   encryptSecret(secret, userId) {
     try {
-      const iv = crypto.randomBytes(16);
-      const key = crypto.createHash('sha256').update(this.secretEncryptionKey + userId).digest();
-      const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-      
-      let encrypted = cipher.update(secret, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      return iv.toString('hex') + ':' + encrypted;
+      return encryptValue(secret, { purpose: 'totp', userId: String(userId) });
     } catch (error) {
       securityLogger.error(`Error encrypting 2FA secret: ${error.message}`, {
         userId,
@@ -53,16 +49,7 @@ class TwoFactorAuth {
    */
   decryptSecret(encryptedSecret, userId) {
     try {
-      const parts = encryptedSecret.split(':');
-      const iv = Buffer.from(parts[0], 'hex');
-      const encrypted = parts[1];
-      const key = crypto.createHash('sha256').update(this.secretEncryptionKey + userId).digest();
-      const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
+      return decryptValue(encryptedSecret, { purpose: 'totp', userId: String(userId) });
     } catch (error) {
       securityLogger.error(`Error decrypting 2FA secret: ${error.message}`, {
         userId,
@@ -76,7 +63,7 @@ class TwoFactorAuth {
   /**
    * Generate secret key baru untuk 2FA
    * @param {Object} user - User data
-   * @returns {Object} Setup data untuk 2FA
+   * @returns {Object} Setup data untuk 2FA { secret, otpauthUrl, qrCode, encryptedSecret }
    */
   async generateSecret(user) {
     try {
@@ -94,9 +81,6 @@ class TwoFactorAuth {
       // Simpan secret untuk user
       const encryptedSecret = this.encryptSecret(secret.base32, user.id);
       
-      // Generate backup codes
-      const backupCodes = this.generateBackupCodes(user.id);
-      
       // Logging
       securityLogger.logAdmin('2FA Setup Initiated', user.username, {
         userId: user.id
@@ -104,9 +88,9 @@ class TwoFactorAuth {
       
       return {
         secret: secret.base32,
+        otpauthUrl: otpAuthUrl,
         qrCode: qrCodeDataUrl,
-        encryptedSecret,
-        backupCodes
+        encryptedSecret
       };
     } catch (error) {
       securityLogger.error(`Error generating 2FA secret: ${error.message}`, {
@@ -119,47 +103,75 @@ class TwoFactorAuth {
   }
   
   /**
-   * Verifikasi TOTP (Time-based One-Time Password)
+   * Verifikasi TOTP dan kembalikan time step yang cocok
+   * (dipakai untuk menolak kode yang sama dipakai dua kali)
    * @param {string} token - Token dari aplikasi authenticator
    * @param {string} encryptedSecret - Secret key terenkripsi
    * @param {string} userId - ID user
-   * @returns {boolean} Apakah token valid
+   * @returns {number|null} Time step yang cocok, atau null jika token tidak valid
    */
-  verifyToken(token, encryptedSecret, userId) {
+  matchTokenStep(token, encryptedSecret, userId) {
     try {
       // Dekripsi secret
       const secret = this.decryptSecret(encryptedSecret, userId);
       
       // Verifikasi token
-      const verified = speakeasy.totp.verify({
+      const match = speakeasy.totp.verifyDelta({
         secret: secret,
         encoding: 'base32',
-        token: token,
+        token: String(token),
+        step: TOTP_STEP_SECONDS,
         window: 1 // Toleransi ±30 detik
       });
       
       // Logging
-      securityLogger.logAuth(verified, '2FA Verification', {
+      securityLogger.logAuth(!!match, '2FA Verification', {
         userId,
         method: 'TOTP'
       });
       
-      return verified;
+      if (!match) {
+        return null;
+      }
+      
+      return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + match.delta;
     } catch (error) {
       securityLogger.error(`Error verifying 2FA token: ${error.message}`, {
         userId,
         error: error.stack
       });
       
-      return false;
+      return null;
     }
   }
   
+  /**
+   * Verifikasi TOTP (Time-based One-Time Password)
+   * @param {string} token - Token dari aplikasi authenticator
+   * @param {string} encryptedSecret - Secret key terenkripsi
+   * @param {string} userId - ID user
+   * @returns {boolean} Apakah token valid
+   */
+  verifyToken(token, encryptedSecret, userId) {
+    return this.matchTokenStep(token, encryptedSecret, userId) !== null;
+  }
+  
+  /**
+   * Hash backup code untuk penyimpanan dan pencocokan
+   * @param {string} code - Backup code (format xxxx-xxxx-xxxx)
+   * @param {string} userId - ID user
+   * @returns {string} Hash (hex)
+   */
+  hashBackupCode(code, userId) {
+    const normalized = String(code).trim().toLowerCase();
+    return crypto.createHash('sha256').update(normalized + userId).digest('hex');
+  }
+  
   /**
    * Generate backup codes untuk recovery
    * @param {string} userId - ID user
    * @param {number} count - Jumlah backup code yang dibuat
-   * @returns {Array<string>} Backup codes
+   * @returns {{codes: string[], hashes: string[]}} Backup codes (ditampilkan sekali) dan hash-nya (disimpan)
    */
   generateBackupCodes(userId, count = 10) {
     try {
@@ -177,20 +189,16 @@ class TwoFactorAuth {
         codes.push(code);
         
         // Hash code untuk penyimpanan aman
-        const hash = crypto.createHash('sha256').update(code + userId).digest('hex');
-        hashes.push(hash);
+        hashes.push(this.hashBackupCode(code, userId));
       }
       
-      // Simpan hash codes ke memori (dalam implementasi asli: ke database)
-      this.backupCodes.set(userId, hashes);
-      
       // Logging
       securityLogger.logAdmin('2FA Backup Codes Generated', null, {
         userId,
         count
       });
       
-      return codes;
+      return { codes, hashes };
     } catch (error) {
       securityLogger.error(`Error generating backup codes: ${error.message}`, {
         userId,
@@ -200,83 +208,6 @@ class TwoFactorAuth {
       throw new Error('Failed to generate backup codes');
     }
   }
-  
-  /**
-   * Verifikasi backup code
-   * @param {string} code - Backup code dari user
-   * @param {string} userId - ID user
-   * @returns {boolean} Apakah code valid
-   */
-  verifyBackupCode(code, userId) {
-    try {
-      // Ambil backup codes dari memori (implementasi asli: dari database)
-      const storedHashes = this.backupCodes.get(userId);
-      
-      if (!storedHashes || !storedHashes.length) {
-        return false;
-      }
-      
-      // Hash code yang diinput
-      const inputHash = crypto.createHash('sha256').update(code + userId).digest('hex');
-      
-      // Cek apakah hash cocok dengan salah satu stored hash
-      const index = storedHashes.indexOf(inputHash);
-      if (index !== -1) {
-        // Hapus code yang sudah digunakan
-        storedHashes.splice(index, 1);
-        this.backupCodes.set(userId, storedHashes);
-        
-        // Logging
-        securityLogger.logAuth(true, '2FA Backup Code Verification', {
-          userId,
-          method: 'BackupCode'
-        });
-        
-        return true;
-      }
-      
-      // Logging gagal
-      securityLogger.logAuth(false, '2FA Backup Code Verification Failed', {
-        userId,
-        method: 'BackupCode'
-      });
-      
-      return false;
-    } catch (error) {
-      securityLogger.error(`Error verifying backup code: ${error.message}`, {
-        userId,
-        error: error.stack
-      });
-      
-      return false;
-    }
-  }
-  
-  /**
-   * Disable 2FA untuk user tertentu
-   * @param {string} userId - ID user
-   * @returns {boolean} Apakah berhasil
-   */
-  disableTwoFactor(userId) {
-    try {
-      // Hapus backup codes
-      this.backupCodes.delete(userId);
-      
-      // Logging
-      securityLogger.logAdmin('2FA Disabled', null, {
-        userId
-      });
-      
-      return true;
-    } catch (error) {
-      securityLogger.error(`Error disabling 2FA: ${error.message}`, {
-        userId,
-        error: error.stack
-      });
-      
-      return false;
-    }
-  }
 }
 
 // Singleton instance
@@ -284,43 +215,46 @@ let twoFactorAuthInstance = null;
 
 /**
  * Inisialisasi Two Factor Authentication
- * @param {Object} dbClient - Database client
  * @returns {TwoFactorAuth} Instance TwoFactorAuth
  */
-const initTwoFactorAuth = (dbClient) => {
+const initTwoFactorAuth = () => {
   if (!twoFactorAuthInstance) {
-    twoFactorAuthInstance = new TwoFactorAuth(dbClient);
+    twoFactorAuthInstance = new TwoFactorAuth();
   }
   return twoFactorAuthInstance;
 };
 
 /**
- * Middleware untuk memeriksa apakah 2FA wajib untuk request
+ * Middleware yang mewajibkan pengguna dengan role tertentu sudah mengaktifkan 2FA.
+ * Login pengguna dengan 2FA aktif selalu melewati verifikasi kode, dan mengaktifkan
+ * 2FA mencabut sesi lain, sehingga setiap sesi pengguna tersebut sudah terverifikasi 2FA.
+ * Harus dipakai setelah authenticate().
  * @param {Object} options - Opsi konfigurasi
+ * @param {string[]} options.roles - Role yang wajib 2FA (default admin)
  * @returns {Function} Middleware Express
  */
-const requireTwoFactor = (options = {}) => {
+const requireTwoFactor = ({ roles = ['admin'] } = {}) => {
   return async (req, res, next) => {
-    // Periksa hanya untuk admin
-    if (req.user && req.user.role === 'admin') {
-      // Periksa apakah user memiliki 2FA aktif
-      const has2FAEnabled = true; // Placeholder, ideally check from DB
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next();
+    }
+    
+    try {
+      const twoFactor = await twoFactorRepository.findByUser(req.userId);
       
-      if (has2FAEnabled) {
-        // Periksa apakah request sudah terverifikasi 2FA
-        const session2FAVerified = req.session && req.session.twoFactorVerified;
-        
-        if (!session2FAVerified) {
-          return res.status(403).json({
-            success: false,
-            message: 'Two-factor authentication required',
-            requireTwoFactor: true
-          });
-        }
+      if (!twoFactor || !twoFactor.enabledAt) {
+        return res.status(403).json({
+          success: false,
+          message: 'Aktifkan two-factor authentication untuk mengakses endpoint ini',
+          code: 'TWO_FACTOR_REQUIRED',
+          requireTwoFactor: true
+        });
       }
+      
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    next();
   };
 };
 
@@ -328,4 +262,4 @@ module.exports = {
   TwoFactorAuth,
   initTwoFactorAuth,
   requireTwoFactor
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,567 @@
+/**
+ * Service untuk mengelola akun pengguna
+ * Semua alur akun (register, verifikasi email, login, profil, ganti dan reset password) melewati
+ * service ini sehingga hanya ada satu sumber data pengguna (tabel users) dan satu cara
+ * penerbitan token (services/TokenService.js, setiap login menjadi satu sesi).
+ *
+ * Akun baru menunggu verifikasi email dan baru bisa login setelah tautan verifikasi dibuka.
+ * Login gagal dihitung oleh LoginLockoutService; akun yang dikunci mendapat tautan buka kunci lewat email.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { config } = require('../config/environment');
+const appConfig = require('../config/config');
+const { usersRepository, accountTokensRepository } = require('../repositories');
+const tokenService = require('./TokenService');
+const twoFactorService = require('./TwoFactorService');
+const { TwoFactorError } = require('./TwoFactorService');
+const mailService = require('./MailService');
+const loginLockoutService = require('./LoginLockoutService');
+const { securityLogger } = require('../utils/logger');
+
+// Umur tautan reset password
+const PASSWORD_RESET_TTL_SECONDS = 30 * 60;
+
+// Umur tautan verifikasi email
+const EMAIL_VERIFICATION_TTL_SECONDS = 24 * 60 * 60;
+
+// Jeda minimal antar email berisi tautan yang sama untuk satu akun
+const ACCOUNT_EMAIL_RESEND_INTERVAL = 60 * 1000;
+
+// Hash pembanding untuk login dengan username/email yang tidak terdaftar (dibuat saat pertama dipakai)
+let dummyPasswordHash = null;
+
+/**
+ * Hash password acak dengan cost yang sama seperti hash password pengguna.
+ * Login dengan akun yang tidak ada tetap menjalankan bcrypt.compare terhadap hash ini,
+ * sehingga waktu response tidak membocorkan apakah akun terdaftar.
+ * @returns {Promise<string>}
+ */
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), appConfig.BCRYPT_SALT_ROUNDS);
+  }
+
+  return dummyPasswordHash;
+};
+
+/**
+ * Error dari alur akun yang aman ditampilkan ke client
+ */
+class AccountError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error (mis. INVALID_CREDENTIALS)
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Hash token email untuk disimpan atau dicari
+ * @param {string} token - Token dari tautan email
+ * @returns {string}
+ */
+const hashAccountToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Cek apakah email dengan tautan untuk kegunaan ini baru saja dikirim ke pengguna
+ * @param {number} userId - ID pengguna
+ * @param {string} purpose - Kegunaan token
+ * @returns {Promise<boolean>}
+ */
+const sentRecently = async (userId, purpose) => {
+  const latest = await accountTokensRepository.findLatestCreatedAt(userId, purpose);
+  return !!latest && Date.now() - new Date(latest).getTime() < ACCOUNT_EMAIL_RESEND_INTERVAL;
+};
+
+/**
+ * Buat token email baru untuk pengguna. Token lama dengan kegunaan yang sama dibatalkan
+ * sehingga hanya tautan terbaru yang berlaku.
+ * @param {number} userId - ID pengguna
+ * @param {string} purpose - Kegunaan token
+ * @param {number} ttlSeconds - Umur token
+ * @param {string} ip - IP yang meminta token
+ * @returns {Promise<string>} Token untuk tautan email
+ */
+const createAccountToken = async (userId, purpose, ttlSeconds, ip) => {
+  await accountTokensRepository.invalidateByUser(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await accountTokensRepository.create({
+    tokenHash: hashAccountToken(token),
+    userId,
+    purpose,
+    ip,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+  });
+
+  return token;
+};
+
+/**
+ * Tukar token email dengan pengguna pemiliknya. Token langsung ditandai terpakai.
+ * @param {string} token - Token dari tautan email
+ * @param {string} purpose - Kegunaan token
+ * @returns {Promise<Object|null>} Data pengguna, atau null jika token tidak valid
+ */
+const redeemAccountToken = async (token, purpose) => {
+  const accountToken = await accountTokensRepository.findActive(hashAccountToken(token), purpose);
+
+  // markUsed atomik: dua request dengan token yang sama tidak bisa sama-sama berhasil
+  if (!accountToken || !await accountTokensRepository.markUsed(accountToken.id)) {
+    return null;
+  }
+
+  return usersRepository.findById(accountToken.userId);
+};
+
+/**
+ * Escape teks sebelum dimasukkan ke isi email HTML
+ * @param {string} value - Teks
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Email berisi tautan reset password
+ * @param {Object} user - Data pengguna
+ * @param {string} token - Token reset password
+ * @returns {Object} { to, subject, text, html }
+ */
+const passwordResetEmail = (user, token) => {
+  const link = `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = PASSWORD_RESET_TTL_SECONDS / 60;
+
+  return {
+    to: user.email,
+    subject: 'Reset password akun TRACAS',
+    text: `Halo ${user.name || user.username},\n\n`
+      + `Kami menerima permintaan reset password untuk akun TRACAS Anda. Buka tautan berikut untuk membuat password baru:\n\n`
+      + `${link}\n\n`
+      + `Tautan ini berlaku ${minutes} menit dan hanya bisa dipakai sekali. `
+      + 'Jika Anda tidak meminta reset password, abaikan email ini; password Anda tidak berubah.',
+    html: `<p>Halo ${escapeHtml(user.name || user.username)},</p>`
+      + '<p>Kami menerima permintaan reset password untuk akun TRACAS Anda. Klik tautan berikut untuk membuat password baru:</p>'
+      + `<p><a href="${link}">Reset password</a></p>`
+      + `<p>Tautan ini berlaku ${minutes} menit dan hanya bisa dipakai sekali. `
+      + 'Jika Anda tidak meminta reset password, abaikan email ini; password Anda tidak berubah.</p>'
+  };
+};
+
+/**
+ * Email berisi tautan verifikasi untuk akun baru
+ * @param {Object} user - Data pengguna
+ * @param {string} token - Token verifikasi email
+ * @returns {Object} { to, subject, text, html }
+ */
+const verificationEmail = (user, token) => {
+  const link = `${config.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  const hours = EMAIL_VERIFICATION_TTL_SECONDS / 3600;
+
+  return {
+    to: user.email,
+    subject: 'Verifikasi email akun TRACAS',
+    text: `Halo ${user.name || user.username},\n\n`
+      + 'Terima kasih telah mendaftar di TRACAS. Buka tautan berikut untuk mengaktifkan akun Anda:\n\n'
+      + `${link}\n\n`
+      + `Tautan ini berlaku ${hours} jam. Jika Anda tidak mendaftar, abaikan email ini.`,
+    html: `<p>Halo ${escapeHtml(user.name || user.username)},</p>`
+      + '<p>Terima kasih telah mendaftar di TRACAS. Klik tautan berikut untuk mengaktifkan akun Anda:</p>'
+      + `<p><a href="${link}">Verifikasi email</a></p>`
+      + `<p>Tautan ini berlaku ${hours} jam. Jika Anda tidak mendaftar, abaikan email ini.</p>`
+  };
+};
+
+/**
+ * Email pemberitahuan akun dikunci beserta tautan buka kunci
+ * @param {Object} user - Data pengguna
+ * @param {string} token - Token buka kunci
+ * @param {string} lockedUntil - Waktu akhir penguncian (ISO)
+ * @returns {Object} { to, subject, text, html }
+ */
+const accountLockedEmail = (user, token, lockedUntil) => {
+  const link = `${config.appUrl}/unlock-account?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round((new Date(lockedUntil).getTime() - Date.now()) / 60000);
+
+  return {
+    to: user.email,
+    subject: 'Akun TRACAS dikunci sementara',
+    text: `Halo ${user.name || user.username},\n\n`
+      + `Akun TRACAS Anda dikunci selama ${minutes} menit karena terlalu banyak percobaan login dengan password yang salah. `
+      + 'Jika itu Anda, buka tautan berikut untuk membuka kunci sekarang:\n\n'
+      + `${link}\n\n`
+      + 'Jika bukan Anda, seseorang mungkin mencoba menebak password Anda. Kami sarankan untuk reset password '
+      + 'dan mengaktifkan two-factor authentication.',
+    html: `<p>Halo ${escapeHtml(user.name || user.username)},</p>`
+      + `<p>Akun TRACAS Anda dikunci selama ${minutes} menit karena terlalu banyak percobaan login dengan password yang salah. `
+      + 'Jika itu Anda, klik tautan berikut untuk membuka kunci sekarang:</p>'
+      + `<p><a href="${link}">Buka kunci akun</a></p>`
+      + '<p>Jika bukan Anda, seseorang mungkin mencoba menebak password Anda. Kami sarankan untuk reset password '
+      + 'dan mengaktifkan two-factor authentication.</p>'
+  };
+};
+
+/**
+ * Catat login gagal; jika akun terkunci karenanya, kirim tautan buka kunci ke pemilik akun
+ * @param {Object|null} user - Data pengguna (null jika identifier tidak terdaftar)
+ * @param {string} identifier - Username atau email yang dipakai login
+ * @param {string} ip - IP client
+ */
+const recordFailedLogin = async (user, identifier, ip) => {
+  const { accountLockedUntil } = await loginLockoutService.recordFailure({
+    userId: user ? user.id : null,
+    identifier,
+    ip
+  });
+
+  if (accountLockedUntil && user) {
+    const ttlSeconds = Math.ceil((new Date(accountLockedUntil).getTime() - Date.now()) / 1000);
+    const token = await createAccountToken(user.id, 'account_unlock', ttlSeconds, ip);
+
+    mailService.sendInBackground(accountLockedEmail(user, token, accountLockedUntil));
+  }
+};
+
+/**
+ * Email pemberitahuan bahwa password telah direset
+ * @param {Object} user - Data pengguna
+ * @returns {Object} { to, subject, text }
+ */
+const passwordChangedEmail = (user) => ({
+  to: user.email,
+  subject: 'Password akun TRACAS telah diubah',
+  text: `Halo ${user.name || user.username},\n\n`
+    + 'Password akun TRACAS Anda baru saja direset dan semua perangkat telah dikeluarkan. '
+    + 'Jika bukan Anda yang melakukannya, segera reset password kembali dan hubungi tim TRACAS.'
+});
+
+class AccountService {
+  /**
+   * Daftarkan akun orang tua baru. Akun menunggu verifikasi email dan belum
+   * mendapat token; tautan verifikasi dikirim ke email pengguna.
+   * @param {Object} data - { username, email, password, name, client }
+   * @returns {Promise<Object>} Pengguna baru
+   */
+  async register({ username, email, password, name, client = {} }) {
+    if (await usersRepository.usernameExists(username)) {
+      throw new AccountError('Username sudah digunakan', 409, 'USERNAME_TAKEN');
+    }
+
+    if (await usersRepository.emailExists(email)) {
+      throw new AccountError('Email sudah digunakan', 409, 'EMAIL_TAKEN');
+    }
+
+    const passwordHash = await bcrypt.hash(password, appConfig.BCRYPT_SALT_ROUNDS);
+
+    // Registrasi publik hanya membuat akun orang tua; akun anak dibuat lewat perangkat
+    const user = await usersRepository.create({
+      username,
+      email,
+      name,
+      role: 'parent',
+      passwordHash
+    });
+
+    const token = await createAccountToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_SECONDS, client.ip);
+    mailService.sendInBackground(verificationEmail(user, token));
+
+    return user;
+  }
+
+  /**
+   * Aktifkan akun dengan token dari email verifikasi
+   * @param {string} token - Token verifikasi email
+   * @returns {Promise<Object>} Data pengguna
+   */
+  async verifyEmail(token) {
+    const user = await redeemAccountToken(token, 'email_verification');
+
+    if (!user) {
+      throw new AccountError('Tautan verifikasi tidak valid atau telah kedaluwarsa', 400, 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    await usersRepository.markEmailVerified(user.id);
+
+    return { ...user, emailVerified: true };
+  }
+
+  /**
+   * Kirim ulang tautan verifikasi ke akun yang belum diverifikasi.
+   * Seperti reset password, selalu selesai tanpa error agar tidak membocorkan apakah email terdaftar.
+   * @param {string} email - Email akun
+   * @param {Object} client - { ip } untuk audit log
+   * @returns {Promise<void>}
+   */
+  async resendVerification(email, { ip } = {}) {
+    await accountTokensRepository.deleteExpired();
+
+    const user = await usersRepository.findByEmail(email);
+
+    if (!user || user.emailVerified || await sentRecently(user.id, 'email_verification')) {
+      return;
+    }
+
+    const token = await createAccountToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_SECONDS, ip);
+    mailService.sendInBackground(verificationEmail(user, token));
+
+    securityLogger.logAuth(true, 'Verification email resent', { userId: user.id, ip });
+  }
+
+  /**
+   * Login dengan username atau email.
+   * Jika pengguna mengaktifkan 2FA, token belum diterbitkan: hasilnya berisi
+   * twoFactor (challengeToken) yang harus ditukar lewat completeTwoFactorLogin.
+   * @param {Object} data - { identifier, password, deviceId, client }
+   * @returns {Promise<{user: Object, tokens?: Object, twoFactor?: Object}>} Pengguna dan token atau tantangan 2FA
+   */
+  async login({ identifier, password, deviceId, client = {} }) {
+    const credentials = await usersRepository.findCredentialsByLogin(identifier);
+
+    // Akun atau IP yang dikunci ditolak sebelum password diperiksa (LockoutError)
+    await loginLockoutService.assertCanAttempt({
+      userId: credentials ? credentials.id : null,
+      identifier,
+      ip: client.ip
+    });
+
+    if (!credentials) {
+      await bcrypt.compare(String(password), await getDummyPasswordHash());
+      await recordFailedLogin(null, identifier, client.ip);
+      throw new AccountError('Username atau password salah', 401, 'USER_NOT_FOUND');
+    }
+
+    const isMatch = await bcrypt.compare(password, credentials.passwordHash);
+
+    if (!isMatch) {
+      await recordFailedLogin(credentials, identifier, client.ip);
+      throw new AccountError('Username atau password salah', 401, 'INVALID_PASSWORD');
+    }
+
+    const { passwordHash, ...user } = credentials;
+
+    // Dicek setelah password agar status akun tidak bisa diketahui tanpa password yang benar
+    if (!user.emailVerified) {
+      throw new AccountError('Email belum diverifikasi. Buka tautan verifikasi yang dikirim ke email Anda.', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    // Hitungan gagal baru direset setelah faktor kedua lolos (lihat completeTwoFactorLogin)
+    if (await twoFactorService.isEnabled(user.id)) {
+      return {
+        user,
+        twoFactor: await twoFactorService.createChallenge(user, { deviceId, ...client })
+      };
+    }
+
+    await loginLockoutService.recordSuccess(user.id);
+
+    return {
+      user,
+      tokens: await this.issueTokens(user, deviceId, client)
+    };
+  }
+
+  /**
+   * Buka kunci akun dengan token dari email penguncian
+   * @param {string} token - Token buka kunci
+   * @param {Object} client - { ip } untuk riwayat keamanan
+   * @returns {Promise<Object>} Data pengguna
+   */
+  async unlockAccount(token, { ip } = {}) {
+    const user = await redeemAccountToken(token, 'account_unlock');
+
+    if (!user) {
+      throw new AccountError('Tautan buka kunci tidak valid atau telah kedaluwarsa', 400, 'INVALID_UNLOCK_TOKEN');
+    }
+
+    await loginLockoutService.unlock(user.id, { by: 'email', ip });
+
+    return user;
+  }
+
+  /**
+   * Buka kunci akun oleh admin
+   * @param {number} userId - ID pengguna yang dibuka kuncinya
+   * @param {number} adminId - ID admin
+   * @param {Object} client - { ip } untuk riwayat keamanan
+   * @returns {Promise<boolean>} true jika akun sebelumnya dikunci
+   */
+  async unlockAccountByAdmin(userId, adminId, { ip } = {}) {
+    const user = await usersRepository.findById(userId);
+
+    if (!user) {
+      throw new AccountError('Pengguna tidak ditemukan', 404, 'USER_NOT_FOUND');
+    }
+
+    const wasLocked = await loginLockoutService.unlock(user.id, { by: 'admin', adminId, ip });
+    await accountTokensRepository.invalidateByUser(user.id, 'account_unlock');
+
+    return wasLocked;
+  }
+
+  /**
+   * Langkah kedua login: tukar tantangan 2FA dengan kode TOTP atau backup code.
+   * Kode yang salah dihitung sebagai login gagal untuk akun dan IP, jadi meminta tantangan
+   * baru terus-menerus tidak bisa dipakai untuk menebak kode tanpa terkena penguncian.
+   * @param {Object} data - { challengeToken, code, client: { ip } }
+   * @returns {Promise<{user: Object, tokens: Object}>} Pengguna dan token
+   */
+  async completeTwoFactorLogin({ challengeToken, code, client = {} }) {
+    const pending = await twoFactorService.findChallenge(challengeToken);
+
+    // Akun atau IP yang dikunci tidak boleh menebak kode (LockoutError)
+    if (pending) {
+      await loginLockoutService.assertCanAttempt({ userId: pending.userId, ip: client.ip });
+    }
+
+    let challenge;
+    try {
+      challenge = await twoFactorService.redeemChallenge(challengeToken, code);
+    } catch (error) {
+      if (pending && error instanceof TwoFactorError && error.code === 'INVALID_TWO_FACTOR_CODE') {
+        await recordFailedLogin(await usersRepository.findById(pending.userId), null, client.ip);
+      }
+      throw error;
+    }
+
+    const user = await usersRepository.findById(challenge.userId);
+
+    if (!user) {
+      throw new AccountError('Pengguna tidak ditemukan', 404, 'USER_NOT_FOUND');
+    }
+
+    await loginLockoutService.recordSuccess(user.id);
+
+    return {
+      user,
+      tokens: await this.issueTokens(user, challenge.deviceId, {
+        userAgent: challenge.userAgent,
+        ip: challenge.ip
+      })
+    };
+  }
+
+  /**
+   * Dapatkan profil pengguna
+   * @param {number} userId - ID pengguna
+   * @returns {Promise<Object>} Data pengguna
+   */
+  async getProfile(userId) {
+    const user = await usersRepository.findById(userId);
+
+    if (!user) {
+      throw new AccountError('Pengguna tidak ditemukan', 404, 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  /**
+   * Ganti password setelah memverifikasi password saat ini.
+   * Semua sesi pengguna dicabut sehingga perangkat lain harus login ulang.
+   * @param {number} userId - ID pengguna
+   * @param {string} currentPassword - Password saat ini
+   * @param {string} newPassword - Password baru
+   * @returns {Promise<void>}
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const credentials = await usersRepository.findCredentialsById(userId);
+
+    if (!credentials) {
+      throw new AccountError('Pengguna tidak ditemukan', 404, 'USER_NOT_FOUND');
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, credentials.passwordHash);
+
+    if (!isMatch) {
+      throw new AccountError('Password saat ini salah', 401, 'INVALID_PASSWORD');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, appConfig.BCRYPT_SALT_ROUNDS);
+    await usersRepository.updatePassword(userId, passwordHash);
+    await tokenService.revokeAllSessions(userId, 'password_changed');
+  }
+
+  /**
+   * Kirim tautan reset password ke email pengguna.
+   * Selalu selesai tanpa error agar response tidak membocorkan apakah email terdaftar.
+   * Email dikirim di latar belakang sehingga waktu response juga tidak berbeda.
+   * @param {string} email - Email akun
+   * @param {Object} client - { ip } untuk audit log
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email, { ip } = {}) {
+    await accountTokensRepository.deleteExpired();
+
+    const user = await usersRepository.findByEmail(email);
+
+    if (!user) {
+      securityLogger.logAuth(false, 'Password reset requested for unknown email', { ip });
+      return;
+    }
+
+    // Cegah email bertubi-tubi ke akun yang sama
+    if (await sentRecently(user.id, 'password_reset')) {
+      return;
+    }
+
+    const token = await createAccountToken(user.id, 'password_reset', PASSWORD_RESET_TTL_SECONDS, ip);
+    mailService.sendInBackground(passwordResetEmail(user, token));
+
+    securityLogger.logAuth(true, 'Password reset requested', { userId: user.id, ip });
+  }
+
+  /**
+   * Ganti password dengan token dari email reset password.
+   * Token hanya bisa dipakai sekali dan semua sesi pengguna dicabut.
+   * @param {string} token - Token reset password
+   * @param {string} newPassword - Password baru
+   * @returns {Promise<Object>} Data pengguna
+   */
+  async resetPassword(token, newPassword) {
+    const user = await redeemAccountToken(token, 'password_reset');
+
+    if (!user) {
+      throw new AccountError('Tautan reset password tidak valid atau telah kedaluwarsa', 400, 'INVALID_RESET_TOKEN');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, appConfig.BCRYPT_SALT_ROUNDS);
+    await usersRepository.updatePassword(user.id, passwordHash);
+
+    // Tautan reset diterima lewat email, jadi pemilik email sudah terbukti
+    await usersRepository.markEmailVerified(user.id);
+    await accountTokensRepository.invalidateByUser(user.id, 'password_reset');
+    await tokenService.revokeAllSessions(user.id, 'password_reset');
+
+    // Pemilik akun sudah membuktikan akses ke email, kunci karena login gagal tidak diperlukan lagi
+    await loginLockoutService.unlock(user.id, { by: 'password_reset' });
+
+    mailService.sendInBackground(passwordChangedEmail(user));
+
+    return user;
+  }
+
+  /**
+   * Buka sesi baru dan terbitkan pasangan access/refresh token untuk pengguna
+   * @param {Object} user - Data pengguna
+   * @param {string} deviceId - ID perangkat yang login
+   * @param {Object} client - { userAgent, ip } untuk daftar sesi aktif
+   * @returns {Promise<{accessToken: string, refreshToken: string}>}
+   */
+  issueTokens(user, deviceId, client) {
+    return tokenService.createSession(user, deviceId, client);
+  }
+}
+
+// Singleton instance
+const accountService = new AccountService();
+
+module.exports = accountService;
+module.exports.AccountError = AccountError;
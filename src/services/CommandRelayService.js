@@ -0,0 +1,229 @@
+/**
+ * Service relay perintah dari orang tua ke perangkat anak
+ * Orang tua dan anak tidak perlu berada di jaringan yang sama: perintah
+ * disimpan di server, lalu diteruskan ke koneksi realtime perangkat
+ * (namespace /device) atau diambil perangkat saat polling berikutnya.
+ *
+ * Siklus status: queued -> delivered -> acknowledged | failed
+ * Perintah baru berstatus delivered setelah perangkat mengonfirmasi penerimaan
+ * (event command:received) atau mengambilnya lewat polling. Perintah yang dikirim lewat
+ * koneksi realtime tetapi belum dikonfirmasi tetap queued dan dikirim ulang saat perangkat
+ * terhubung kembali, jadi perangkat harus mengabaikan commandId yang sudah pernah diterima.
+ * Perintah yang belum selesai saat melewati expires_at menjadi expired.
+ */
+
+const crypto = require('crypto');
+const { deviceCommandsRepository } = require('../repositories');
+const realtimeGateway = require('../sockets');
+
+// Jenis perintah yang bisa dikirim orang tua
+const COMMAND_TYPES = ['lock', 'ring', 'sync-apps', 'refresh-location'];
+
+// Status akhir yang dilaporkan perangkat
+const COMPLETION_STATUSES = ['acknowledged', 'failed'];
+
+// Batas umur perintah (detik)
+const DEFAULT_TTL_SECONDS = 10 * 60;
+const MIN_TTL_SECONDS = 30;
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+// Event realtime
+const EVENTS = {
+  COMMAND: 'command',
+  COMMAND_UPDATE: 'command:update'
+};
+
+/**
+ * Error dari alur perintah yang aman ditampilkan ke client
+ */
+class CommandError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'CommandError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Bentuk perintah yang dikirim ke perangkat (tanpa data internal server)
+ * @param {Object} command - Data perintah
+ * @returns {Object}
+ */
+const toDeviceMessage = (command) => ({
+  commandId: command.commandId,
+  type: command.type,
+  payload: command.payload,
+  expiresAt: command.expiresAt
+});
+
+class CommandRelayService {
+  /**
+   * Antrikan perintah untuk anak dan langsung kirim jika perangkat sedang online.
+   * Status tetap queued sampai perangkat mengonfirmasi penerimaan (lihat markReceived).
+   * @param {Object} data - { child, issuedBy, type, payload, ttlSeconds }
+   * @returns {Promise<{command: Object, online: boolean}>} Perintah yang tersimpan dan
+   *   apakah perintah langsung dikirim ke koneksi realtime perangkat
+   */
+  async queueCommand({ child, issuedBy, type, payload = {}, ttlSeconds = DEFAULT_TTL_SECONDS }) {
+    if (!COMMAND_TYPES.includes(type)) {
+      throw new CommandError(
+        `Jenis perintah tidak dikenal. Gunakan salah satu: ${COMMAND_TYPES.join(', ')}`,
+        400,
+        'INVALID_COMMAND_TYPE'
+      );
+    }
+
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < MIN_TTL_SECONDS || ttlSeconds > MAX_TTL_SECONDS) {
+      throw new CommandError(
+        `ttlSeconds harus bilangan bulat antara ${MIN_TTL_SECONDS} dan ${MAX_TTL_SECONDS}`,
+        400,
+        'INVALID_TTL'
+      );
+    }
+
+    const command = await deviceCommandsRepository.create({
+      commandId: crypto.randomUUID(),
+      childId: child.id,
+      issuedBy,
+      type,
+      payload,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    });
+
+    // Perangkat online menerima perintah sekarang, sisanya menunggu polling/koneksi berikutnya
+    const online = realtimeGateway.notifyDevice(child.id, EVENTS.COMMAND, toDeviceMessage(command));
+
+    return { command, online };
+  }
+
+  /**
+   * Kirim semua perintah yang masih antre ke perangkat yang baru terhubung.
+   * Status baru berubah setelah perangkat mengonfirmasi penerimaan.
+   * @param {Object} child - Data anak
+   * @returns {Promise<number>} Jumlah perintah yang dikirim
+   */
+  async deliverPending(child) {
+    await deviceCommandsRepository.expireOverdue();
+    const queued = await deviceCommandsRepository.findQueuedByChild(child.id);
+
+    let sent = 0;
+    for (const command of queued) {
+      if (!realtimeGateway.notifyDevice(child.id, EVENTS.COMMAND, toDeviceMessage(command))) break;
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Catat konfirmasi perangkat bahwa perintah dari koneksi realtime sudah diterima
+   * @param {Object} child - Data anak pemilik perangkat
+   * @param {string} commandId - ID perintah
+   * @returns {Promise<Object>} Perintah dengan status terbaru
+   */
+  async markReceived(child, commandId) {
+    await deviceCommandsRepository.expireOverdue();
+    const command = await deviceCommandsRepository.findByCommandId(commandId);
+
+    if (!command || command.childId !== child.id) {
+      throw new CommandError('Perintah tidak ditemukan', 404, 'COMMAND_NOT_FOUND');
+    }
+
+    // Konfirmasi ganda atau untuk perintah yang sudah selesai tidak mengubah status
+    if (await deviceCommandsRepository.markDelivered(commandId)) {
+      this.notifyStatus(child, commandId, 'delivered');
+    }
+
+    return deviceCommandsRepository.findByCommandId(commandId);
+  }
+
+  /**
+   * Ambil perintah yang antre untuk perangkat (jalur polling) dan tandai sebagai delivered
+   * @param {Object} child - Data anak
+   * @returns {Promise<Object[]>} Perintah untuk perangkat
+   */
+  async pollForDevice(child) {
+    await deviceCommandsRepository.expireOverdue();
+    const queued = await deviceCommandsRepository.findQueuedByChild(child.id);
+
+    for (const command of queued) {
+      await deviceCommandsRepository.markDelivered(command.commandId);
+      this.notifyStatus(child, command.commandId, 'delivered');
+    }
+
+    return queued.map(toDeviceMessage);
+  }
+
+  /**
+   * Simpan laporan hasil perintah dari perangkat
+   * @param {Object} child - Data anak pemilik perangkat
+   * @param {string} commandId - ID perintah
+   * @param {Object} outcome - { status: 'acknowledged'|'failed', result, error }
+   * @returns {Promise<Object>} Perintah dengan status terbaru
+   */
+  async completeCommand(child, commandId, { status, result, error }) {
+    if (!COMPLETION_STATUSES.includes(status)) {
+      throw new CommandError('Status harus acknowledged atau failed', 400, 'INVALID_STATUS');
+    }
+
+    await deviceCommandsRepository.expireOverdue();
+    const command = await deviceCommandsRepository.findByCommandId(commandId);
+
+    if (!command || command.childId !== child.id) {
+      throw new CommandError('Perintah tidak ditemukan', 404, 'COMMAND_NOT_FOUND');
+    }
+
+    const updated = await deviceCommandsRepository.complete(commandId, { status, result, error });
+
+    if (!updated) {
+      throw new CommandError(`Perintah sudah berstatus ${command.status}`, 409, 'COMMAND_ALREADY_FINAL');
+    }
+
+    this.notifyStatus(child, commandId, status);
+    return deviceCommandsRepository.findByCommandId(commandId);
+  }
+
+  /**
+   * Dapatkan perintah berdasarkan ID (status kedaluwarsa diperbarui lebih dulu)
+   * @param {string} commandId - ID perintah
+   * @returns {Promise<Object|null>}
+   */
+  async getCommand(commandId) {
+    await deviceCommandsRepository.expireOverdue();
+    return deviceCommandsRepository.findByCommandId(commandId);
+  }
+
+  /**
+   * Daftar perintah milik anak
+   * @param {number} childId - ID anak
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async listCommands(childId, options = {}) {
+    await deviceCommandsRepository.expireOverdue();
+    return deviceCommandsRepository.findByChild(childId, options);
+  }
+
+  /**
+   * Beri tahu aplikasi orang tua bahwa status perintah berubah
+   * @param {Object} child - Data anak
+   * @param {string} commandId - ID perintah
+   * @param {string} status - Status baru
+   */
+  notifyStatus(child, commandId, status) {
+    realtimeGateway.notifyParents(child, EVENTS.COMMAND_UPDATE, { commandId, status });
+  }
+}
+
+// Singleton instance
+const commandRelayService = new CommandRelayService();
+
+module.exports = commandRelayService;
+module.exports.CommandError = CommandError;
+module.exports.COMMAND_TYPES = COMMAND_TYPES;
@@ -0,0 +1,159 @@
+/**
+ * Service autentikasi perangkat CIMOY Kids
+ * Perangkat yang selesai pairing mendapat:
+ * - refresh credential berumur panjang (format dc_<credentialId>.<secret>, hanya hash secret yang disimpan)
+ * - access token berumur pendek dengan role 'device' dan scope terbatas
+ *
+ * Access token perangkat hanya bisa dipakai di endpoint yang menyebut scope-nya
+ * lewat authenticate({ scope }), yaitu upload lokasi, upload penggunaan, dan polling perintah.
+ */
+
+const crypto = require('crypto');
+const { childrenRepository, deviceCredentialsRepository } = require('../repositories');
+const { generateToken } = require('../security/jwt');
+
+// Scope yang dimiliki setiap access token perangkat
+const DEVICE_SCOPES = ['location:write', 'usage:write', 'commands:poll'];
+
+// Umur access token perangkat
+const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+const CREDENTIAL_PREFIX = 'dc_';
+
+/**
+ * Error dari alur autentikasi perangkat yang aman ditampilkan ke client
+ */
+class DeviceAuthError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'DeviceAuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Hash secret kredensial untuk disimpan atau dibandingkan
+ * @param {string} secret - Secret kredensial
+ * @returns {string}
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Pisahkan refresh credential menjadi ID dan secret
+ * @param {string} refreshToken - Refresh credential dari perangkat
+ * @returns {Object|null} { credentialId, secret }
+ */
+const parseCredential = (refreshToken) => {
+  if (typeof refreshToken !== 'string' || !refreshToken.startsWith(CREDENTIAL_PREFIX)) {
+    return null;
+  }
+
+  const [credentialId, secret] = refreshToken.slice(CREDENTIAL_PREFIX.length).split('.');
+  return credentialId && secret ? { credentialId, secret } : null;
+};
+
+class DeviceAuthService {
+  /**
+   * Terbitkan kredensial baru untuk perangkat yang baru dipasangkan.
+   * Kredensial lama milik anak yang sama dicabut.
+   * @param {Object} child - Data anak
+   * @param {string} deviceId - ID perangkat
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, scope }
+   */
+  async issueCredential(child, deviceId) {
+    await deviceCredentialsRepository.revokeByChild(child.id);
+
+    const credentialId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    await deviceCredentialsRepository.create({
+      credentialId,
+      childId: child.id,
+      deviceId,
+      secretHash: hashSecret(secret)
+    });
+
+    return {
+      ...this.issueAccessToken(child, deviceId, credentialId),
+      refreshToken: `${CREDENTIAL_PREFIX}${credentialId}.${secret}`
+    };
+  }
+
+  /**
+   * Buat access token perangkat
+   * @param {Object} child - Data anak
+   * @param {string} deviceId - ID perangkat
+   * @param {string} credentialId - ID kredensial yang menerbitkan token
+   * @returns {Object} { accessToken, expiresIn, scope }
+   */
+  issueAccessToken(child, deviceId, credentialId) {
+    const accessToken = generateToken({
+      userId: null,
+      role: 'device',
+      childId: child.id,
+      deviceId,
+      credentialId,
+      scope: DEVICE_SCOPES
+    }, ACCESS_TOKEN_TTL, true);
+
+    return {
+      accessToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      scope: DEVICE_SCOPES
+    };
+  }
+
+  /**
+   * Tukar refresh credential dengan access token baru
+   * @param {string} refreshToken - Refresh credential perangkat
+   * @returns {Promise<Object>} { accessToken, expiresIn, scope }
+   */
+  async refresh(refreshToken) {
+    const parsed = parseCredential(refreshToken);
+    const credential = parsed && await deviceCredentialsRepository.findById(parsed.credentialId);
+
+    const secretMatches = credential && crypto.timingSafeEqual(
+      Buffer.from(credential.secretHash, 'hex'),
+      Buffer.from(hashSecret(parsed.secret), 'hex')
+    );
+
+    if (!secretMatches || credential.revokedAt) {
+      throw new DeviceAuthError('Kredensial perangkat tidak valid atau sudah dicabut', 401, 'INVALID_DEVICE_CREDENTIAL');
+    }
+
+    // Kredensial hanya berlaku selama perangkat masih terhubung ke anak
+    const child = await childrenRepository.findById(credential.childId);
+    if (!child || child.deviceId !== credential.deviceId) {
+      await deviceCredentialsRepository.revokeByChild(credential.childId);
+      throw new DeviceAuthError('Kredensial perangkat tidak valid atau sudah dicabut', 401, 'INVALID_DEVICE_CREDENTIAL');
+    }
+
+    await deviceCredentialsRepository.touch(credential.credentialId);
+
+    return this.issueAccessToken(child, credential.deviceId, credential.credentialId);
+  }
+
+  /**
+   * Cabut kredensial perangkat milik anak. Access token yang masih berlaku
+   * langsung ditolak oleh requireChildAccess.
+   * @param {Object} child - Data anak
+   * @returns {Promise<number>} Jumlah kredensial yang dicabut
+   */
+  async revoke(child) {
+    return deviceCredentialsRepository.revokeByChild(child.id);
+  }
+}
+
+// Singleton instance
+const deviceAuthService = new DeviceAuthService();
+
+module.exports = deviceAuthService;
+module.exports.DeviceAuthError = DeviceAuthError;
+module.exports.DEVICE_SCOPES = DEVICE_SCOPES;
@@ -0,0 +1,369 @@
+/**
+ * Service mesin geofence
+ *
+ * Setiap pasangan anak dan zona aman memiliki status inside/outside yang disimpan di database.
+ * Setiap lokasi baru dari perangkat anak dievaluasi terhadap status itu:
+ * - enter : anak masuk zona (mis. "tiba di Sekolah")
+ * - exit  : anak keluar zona (mis. "meninggalkan Rumah")
+ * - dwell : anak sudah berada di dalam zona selama DWELL_MS
+ *
+ * Agar GPS yang melompat-lompat tidak memicu peringatan:
+ * - lokasi dengan accuracy lebih buruk dari MAX_FIX_ACCURACY diabaikan
+ * - hysteresis: anak dianggap masuk saat berada di dalam batas zona, tetapi baru dianggap keluar
+ *   setelah berada lebih dari EXIT_MARGIN (atau sejauh accuracy lokasi itu) di luar batas
+ * - perubahan status baru berlaku setelah CONFIRMATIONS lokasi berturut-turut setuju
+ *
+ * Zona dengan jadwal mingguan (mis. Sekolah, Senin-Jumat 07:00-14:00) menambah dua peringatan
+ * selama jendela jadwal berlangsung:
+ * - absence : anak belum berada di zona setelah ABSENCE_GRACE_MS sejak jendela dimulai (medium)
+ * - exit    : keluar zona selama jendela dikirim dengan severity high
+ * Setiap jendela hanya memicu satu dari keduanya. Pemeriksaan dilakukan setiap ada lokasi baru,
+ * dan checkScheduledAbsences() dijalankan berkala setiap ABSENCE_CHECK_INTERVAL agar perangkat yang
+ * mati atau di luar jangkauan (tidak mengirim lokasi sama sekali) tetap memicu peringatan absence.
+ *
+ * Lokasi pertama untuk zona baru hanya menetapkan status awal tanpa event.
+ * Event disimpan di geofence_events, dicatat di notifications untuk setiap wali yang boleh melihat
+ * lokasi anak, dan dikirim ke wali sebagai peringatan realtime.
+ */
+
+const {
+  geofenceRepository,
+  notificationsRepository,
+  childrenRepository,
+  locationRepository
+} = require('../repositories');
+const { distanceToZone } = require('../utils/geo');
+const { activeWindow } = require('../utils/schedule');
+const householdService = require('./HouseholdService');
+const realtimeGateway = require('../sockets');
+const { EVENTS } = require('../sockets');
+const logger = require('../utils/logger');
+
+// Lokasi dengan accuracy lebih buruk dari ini (meter) tidak dipakai mengubah status
+const MAX_FIX_ACCURACY = 100;
+
+// Jarak minimal di luar batas zona (meter) sebelum anak dianggap keluar
+const EXIT_MARGIN = 50;
+
+// Jumlah lokasi berturut-turut yang dibutuhkan untuk mengubah status
+const CONFIRMATIONS = 2;
+
+// Lama berada di dalam zona sebelum event dwell dikirim
+const DWELL_MS = 10 * 60 * 1000;
+
+// Toleransi keterlambatan sejak jendela jadwal dimulai sebelum peringatan tidak hadir
+const ABSENCE_GRACE_MS = 15 * 60 * 1000;
+
+// Selang pemeriksaan berkala ketidakhadiran di zona berjadwal
+const ABSENCE_CHECK_INTERVAL = 60 * 1000;
+
+// Jenis peringatan realtime untuk setiap event
+const ALERT_TYPES = {
+  enter: 'safe_zone_enter',
+  exit: 'safe_zone_exit',
+  dwell: 'safe_zone_dwell',
+  absence: 'safe_zone_absence'
+};
+
+/**
+ * Judul dan isi notifikasi untuk event geofence
+ * @param {Object} child - Data anak
+ * @param {Object} event - Event yang disimpan
+ * @returns {{title: string, message: string}}
+ */
+const describeEvent = (child, { type, zoneName }) => {
+  switch (type) {
+    case 'enter':
+      return { title: `Tiba di ${zoneName}`, message: `${child.name} tiba di ${zoneName}` };
+    case 'exit':
+      return { title: `Meninggalkan ${zoneName}`, message: `${child.name} meninggalkan ${zoneName}` };
+    case 'dwell':
+      return { title: `Berada di ${zoneName}`, message: `${child.name} sudah berada di ${zoneName} selama ${DWELL_MS / 60000} menit` };
+    default:
+      return { title: `Belum tiba di ${zoneName}`, message: `${child.name} belum berada di ${zoneName} sesuai jadwal` };
+  }
+};
+
+/**
+ * Tingkat kepentingan event
+ * @param {string} event - enter, exit, dwell, atau absence
+ * @param {Object|null} window - Jendela jadwal yang sedang berlangsung
+ * @returns {string} low, medium, atau high
+ */
+const eventSeverity = (event, window) => {
+  if (event === 'absence') return 'medium';
+  if (event === 'exit' && window) return 'high';
+  return 'low';
+};
+
+/**
+ * Status yang ditunjukkan satu lokasi terhadap zona, dengan hysteresis.
+ * @param {Object} zone - Zona aman
+ * @param {Object} location - { latitude, longitude, accuracy }
+ * @returns {string|null} 'inside', 'outside', atau null jika lokasi berada di pita hysteresis
+ */
+const observeZone = (zone, { latitude, longitude, accuracy }) => {
+  const distance = distanceToZone(zone, latitude, longitude);
+
+  if (distance <= 0) return 'inside';
+  if (distance > Math.max(EXIT_MARGIN, accuracy || 0)) return 'outside';
+
+  return null;
+};
+
+/**
+ * Hitung status berikutnya dari status tersimpan dan hasil pengamatan
+ * @param {Object} current - Status tersimpan
+ * @param {string|null} observed - Hasil observeZone
+ * @param {number} now - Waktu sekarang (ms)
+ * @param {Object|null} window - Jendela jadwal zona yang sedang berlangsung
+ * @returns {{next: Object, event: string|null}}
+ */
+const transition = (current, observed, now, window) => {
+  const next = { ...current };
+  let event = null;
+
+  if (observed && observed !== current.state) {
+    const count = current.candidateState === observed ? current.candidateCount + 1 : 1;
+
+    if (count >= CONFIRMATIONS) {
+      next.state = observed;
+      next.candidateState = null;
+      next.candidateCount = 0;
+      next.enteredAt = observed === 'inside' ? new Date(now).toISOString() : null;
+      next.dwellNotifiedAt = null;
+      event = observed === 'inside' ? 'enter' : 'exit';
+    } else {
+      next.candidateState = observed;
+      next.candidateCount = count;
+    }
+  } else if (observed) {
+    // Lokasi yang kembali setuju dengan status sekarang membatalkan calon perubahan
+    next.candidateState = null;
+    next.candidateCount = 0;
+  }
+
+  if (!event && next.state === 'inside' && next.enteredAt && !next.dwellNotifiedAt &&
+      now - new Date(next.enteredAt).getTime() >= DWELL_MS) {
+    next.dwellNotifiedAt = new Date(now).toISOString();
+    event = 'dwell';
+  }
+
+  if (window) {
+    const windowKey = window.startsAt.toISOString();
+
+    if (event === 'exit') {
+      // Keluar selama jendela sudah menjadi peringatan untuk jendela ini
+      next.absenceWindow = windowKey;
+    } else if (!event && next.state === 'outside' && next.absenceWindow !== windowKey &&
+        now - window.startsAt.getTime() >= ABSENCE_GRACE_MS) {
+      next.absenceWindow = windowKey;
+      event = 'absence';
+    }
+  }
+
+  return { next, event };
+};
+
+/**
+ * Periksa apakah status berubah dan perlu disimpan
+ * @param {Object} a - Status lama
+ * @param {Object} b - Status baru
+ * @returns {boolean}
+ */
+const stateChanged = (a, b) => ['state', 'candidateState', 'candidateCount', 'enteredAt', 'dwellNotifiedAt', 'absenceWindow']
+  .some((key) => (a[key] ?? null) !== (b[key] ?? null));
+
+/**
+ * Catat event di notifications untuk setiap wali yang boleh melihat lokasi anak,
+ * lalu kirim peringatan realtime
+ * @param {Object} child - Data anak
+ * @param {Object[]} alerts - [{ event, window }]
+ * @param {Object|null} location - Lokasi yang menyertai peringatan
+ */
+const dispatchAlerts = async (child, alerts, location) => {
+  if (alerts.length === 0) return;
+
+  // Anak yang belum masuk keluarga mana pun hanya dipantau pembuatnya
+  const recipients = child.householdId
+    ? await householdService.memberIdsWithPermission(child.householdId, 'location:view')
+    : [child.userId];
+
+  for (const { event } of alerts) {
+    await notificationsRepository.createForUsers(recipients, {
+      ...describeEvent(child, event),
+      type: ALERT_TYPES[event.type]
+    });
+  }
+
+  for (const { event, window } of alerts) {
+    realtimeGateway.notifyParents(child, EVENTS.ALERT, {
+      type: ALERT_TYPES[event.type],
+      severity: event.severity,
+      safeZoneId: event.zoneId,
+      safeZoneName: event.zoneName,
+      eventId: event.id,
+      scheduleWindow: window,
+      location
+    }, 'location:view');
+  }
+};
+
+class GeofenceService {
+  /**
+   * Evaluasi lokasi baru terhadap semua zona aman anak, simpan status dan event,
+   * lalu kirim peringatan ke wali
+   * @param {Object} child - Data anak
+   * @param {Object} location - Lokasi yang baru disimpan { id, latitude, longitude, accuracy }
+   * @param {Object[]} zones - Zona aman anak
+   * @returns {Promise<{evaluated: boolean, events: Object[]}>} evaluated false jika lokasi diabaikan
+   */
+  async evaluate(child, location, zones) {
+    if (location.accuracy !== null && location.accuracy !== undefined && location.accuracy > MAX_FIX_ACCURACY) {
+      logger.debug('Geofence skipped low-accuracy fix', { childId: child.id, accuracy: location.accuracy });
+      return { evaluated: false, events: [] };
+    }
+
+    const now = Date.now();
+    const states = new Map((await geofenceRepository.findStatesByChild(child.id)).map((state) => [state.zoneId, state]));
+    const events = [];
+    const alerts = [];
+
+    for (const zone of zones) {
+      const observed = observeZone(zone, location);
+      const current = states.get(zone.id);
+
+      // Status awal ditetapkan tanpa event; lokasi di pita hysteresis belum menentukan apa-apa
+      if (!current) {
+        if (observed) {
+          await geofenceRepository.saveState({
+            childId: child.id,
+            zoneId: zone.id,
+            state: observed,
+            enteredAt: observed === 'inside' ? new Date(now).toISOString() : null
+          });
+        }
+        continue;
+      }
+
+      const window = zone.schedule ? activeWindow(zone.schedule, new Date(now)) : null;
+      const { next, event } = transition(current, observed, now, window);
+
+      if (stateChanged(current, next)) {
+        await geofenceRepository.saveState(next);
+      }
+
+      if (event) {
+        const saved = await geofenceRepository.createEvent({
+          childId: child.id,
+          zoneId: zone.id,
+          zoneName: zone.name,
+          type: event,
+          severity: eventSeverity(event, window),
+          latitude: location.latitude,
+          longitude: location.longitude,
+          accuracy: location.accuracy,
+          locationId: location.id
+        });
+
+        events.push(saved);
+        alerts.push({ event: saved, window });
+      }
+    }
+
+    await dispatchAlerts(child, alerts, location);
+
+    return { evaluated: true, events };
+  }
+
+  /**
+   * Kirim peringatan absence untuk zona berjadwal yang jendelanya sudah lewat dari masa toleransi
+   * tetapi belum menerima satu pun lokasi di dalam zona sejak jendela dimulai.
+   * Tidak bergantung pada lokasi baru, jadi perangkat yang mati tetap memicu peringatan.
+   * @param {number} now - Waktu pemeriksaan (ms)
+   * @returns {Promise<Object[]>} Event absence yang dibuat
+   */
+  async checkScheduledAbsences(now = Date.now()) {
+    const zones = await locationRepository.findScheduledSafeZones();
+    const events = [];
+
+    for (const zone of zones) {
+      const window = activeWindow(zone.schedule, new Date(now));
+      if (!window || now - window.startsAt.getTime() < ABSENCE_GRACE_MS) continue;
+
+      const windowKey = window.startsAt.toISOString();
+      const current = await geofenceRepository.findState(zone.childId, zone.id);
+
+      // Jendela ini sudah memicu absence atau exit
+      if (current && current.absenceWindow === windowKey) continue;
+
+      // Anak yang sudah berada di dalam zona sebelum jendela dimulai tidak perlu mengirim lokasi baru
+      if (current && current.state === 'inside') continue;
+      if (await this.arrivedSince(zone, window.startsAt, now)) continue;
+
+      const child = await childrenRepository.findById(zone.childId);
+      if (!child) continue;
+
+      // Tanpa status tersimpan, anak belum pernah terlihat di dalam zona ini
+      await geofenceRepository.saveState({
+        ...(current || { childId: child.id, zoneId: zone.id, state: 'outside' }),
+        absenceWindow: windowKey
+      });
+
+      // Event mencatat lokasi terakhir yang diketahui, atau titik acuan zona jika belum ada
+      const lastLocation = await locationRepository.findLastLocation(child.id);
+      const event = await geofenceRepository.createEvent({
+        childId: child.id,
+        zoneId: zone.id,
+        zoneName: zone.name,
+        type: 'absence',
+        severity: eventSeverity('absence', window),
+        latitude: lastLocation ? lastLocation.latitude : zone.latitude,
+        longitude: lastLocation ? lastLocation.longitude : zone.longitude,
+        accuracy: lastLocation ? lastLocation.accuracy : null,
+        locationId: lastLocation ? lastLocation.id : null
+      });
+
+      events.push(event);
+      await dispatchAlerts(child, [{ event, window }], lastLocation);
+    }
+
+    return events;
+  }
+
+  /**
+   * Periksa apakah ada lokasi di dalam zona yang tiba sejak waktu tertentu
+   * @param {Object} zone - Zona aman
+   * @param {Date} since - Awal rentang
+   * @param {number} now - Akhir rentang (ms)
+   * @returns {Promise<boolean>}
+   */
+  async arrivedSince(zone, since, now) {
+    const history = locationRepository.iterateHistory(zone.childId, { startDate: since, endDate: new Date(now) });
+
+    for await (const location of history) {
+      if (location.accuracy !== null && location.accuracy !== undefined && location.accuracy > MAX_FIX_ACCURACY) continue;
+      if (observeZone(zone, location) === 'inside') return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Riwayat event geofence anak
+   * @param {number} childId - ID anak
+   * @param {Object} filter - { zoneId, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async listEvents(childId, filter) {
+    return geofenceRepository.findEvents(childId, filter);
+  }
+}
+
+// Singleton instance
+const geofenceService = new GeofenceService();
+
+module.exports = geofenceService;
+module.exports.ABSENCE_CHECK_INTERVAL = ABSENCE_CHECK_INTERVAL;
+module.exports.observeZone = observeZone;
+module.exports.transition = transition;
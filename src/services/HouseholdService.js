@@ -0,0 +1,430 @@
+/**
+ * Service keluarga (household) dan izin wali
+ *
+ * Anak dimiliki oleh satu keluarga (children.household_id), bukan oleh satu orang tua.
+ * Owner keluarga mengundang wali lain (orang tua kedua, kakek/nenek, pengasuh) lewat email.
+ * Setiap anggota mendapat role:
+ * - owner     : semua izin, termasuk mengelola anggota keluarga
+ * - co_parent : semua izin kecuali mengelola anggota keluarga
+ * - viewer    : hanya melihat data anak
+ * - custom    : izin dipilih satu per satu (mis. hanya melihat lokasi, atau boleh mengubah screen time)
+ *
+ * Guard requireChildAccess() dan notifikasi realtime memeriksa izin lewat service ini.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config/environment');
+const { householdsRepository, childrenRepository, usersRepository } = require('../repositories');
+const mailService = require('./MailService');
+const logger = require('../utils/logger');
+
+// Semua izin yang dikenal. child:view dimiliki setiap anggota keluarga.
+const PERMISSIONS = [
+  'child:view',
+  'children:manage',
+  'location:view',
+  'location:manage',
+  'screen_time:view',
+  'screen_time:manage',
+  'apps:view',
+  'apps:manage',
+  'content_filter:view',
+  'content_filter:manage',
+  'commands:view',
+  'commands:send',
+  'devices:manage',
+  'household:manage'
+];
+
+// Izin bawaan setiap role; role custom memakai izin yang disimpan per anggota
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  co_parent: PERMISSIONS.filter((permission) => permission !== 'household:manage'),
+  viewer: PERMISSIONS.filter((permission) => permission.endsWith(':view'))
+};
+
+const ROLES = [...Object.keys(ROLE_PERMISSIONS), 'custom'];
+
+// Umur tautan undangan
+const INVITATION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Error dari alur keluarga yang aman ditampilkan ke client
+ */
+class HouseholdError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'HouseholdError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Hash token undangan untuk disimpan atau dicari
+ * @param {string} token - Token dari tautan email
+ * @returns {string}
+ */
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Izin efektif seorang anggota keluarga
+ * @param {Object|null} member - Data anggota
+ * @returns {string[]}
+ */
+const permissionsOf = (member) => {
+  if (!member) return [];
+  if (ROLE_PERMISSIONS[member.role]) return ROLE_PERMISSIONS[member.role];
+
+  return ['child:view', ...(member.permissions || []).filter((permission) => permission !== 'child:view')];
+};
+
+/**
+ * Periksa role dan izin yang diberikan ke wali. Role owner tidak bisa diberikan dan
+ * izin mengelola anggota keluarga hanya dimiliki owner.
+ * @param {string} role - Role yang diminta
+ * @param {string[]} permissions - Izin untuk role custom
+ * @returns {{role: string, permissions: string[]|null}}
+ */
+const normalizeAccess = (role, permissions) => {
+  if (!ROLES.includes(role) || role === 'owner') {
+    throw new HouseholdError('Role tidak valid. Gunakan co_parent, viewer, atau custom.', 400, 'INVALID_ROLE');
+  }
+
+  if (role !== 'custom') {
+    return { role, permissions: null };
+  }
+
+  const requested = Array.isArray(permissions) ? [...new Set(permissions)] : [];
+  const invalid = requested.filter((permission) => !PERMISSIONS.includes(permission) || permission === 'household:manage');
+
+  if (requested.length === 0 || invalid.length > 0) {
+    throw new HouseholdError(
+      invalid.length > 0 ? `Izin tidak valid: ${invalid.join(', ')}` : 'Role custom membutuhkan minimal satu izin',
+      400,
+      'INVALID_PERMISSIONS'
+    );
+  }
+
+  return { role, permissions: requested.includes('child:view') ? requested : ['child:view', ...requested] };
+};
+
+/**
+ * Bentuk anggota keluarga untuk API
+ * @param {Object} member - Data anggota
+ * @returns {Object}
+ */
+const toMember = (member) => ({
+  userId: member.userId,
+  username: member.username,
+  name: member.name,
+  email: member.email,
+  role: member.role,
+  permissions: permissionsOf(member),
+  joinedAt: member.createdAt
+});
+
+/**
+ * Escape teks sebelum dimasukkan ke isi email HTML
+ * @param {string} value - Teks
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Email undangan bergabung ke keluarga
+ * @param {Object} invitation - Data undangan
+ * @param {Object} household - Data keluarga
+ * @param {Object} inviter - Pengguna yang mengundang
+ * @param {string} token - Token undangan
+ * @returns {Object} { to, subject, text, html }
+ */
+const invitationEmail = (invitation, household, inviter, token) => {
+  const link = `${config.appUrl}/accept-invitation?token=${encodeURIComponent(token)}`;
+  const days = INVITATION_TTL_SECONDS / (24 * 60 * 60);
+  const inviterName = inviter.name || inviter.username;
+
+  return {
+    to: invitation.email,
+    subject: `${inviterName} mengundang Anda ke ${household.name} di TRACAS`,
+    text: 'Halo,\n\n'
+      + `${inviterName} mengundang Anda untuk ikut memantau anak-anak di "${household.name}" sebagai wali di TRACAS. `
+      + 'Buka tautan berikut untuk menerima undangan:\n\n'
+      + `${link}\n\n`
+      + `Jika belum punya akun, daftar dulu dengan email ${invitation.email}, lalu buka tautan ini lagi. `
+      + `Tautan berlaku ${days} hari. Jika Anda tidak mengenal pengirimnya, abaikan email ini.`,
+    html: '<p>Halo,</p>'
+      + `<p>${escapeHtml(inviterName)} mengundang Anda untuk ikut memantau anak-anak di `
+      + `"${escapeHtml(household.name)}" sebagai wali di TRACAS. Klik tautan berikut untuk menerima undangan:</p>`
+      + `<p><a href="${link}">Terima undangan</a></p>`
+      + `<p>Jika belum punya akun, daftar dulu dengan email ${escapeHtml(invitation.email)}, lalu buka tautan ini lagi. `
+      + `Tautan berlaku ${days} hari. Jika Anda tidak mengenal pengirimnya, abaikan email ini.</p>`
+  };
+};
+
+class HouseholdService {
+  /**
+   * Izin pengguna dalam keluarga (kosong jika bukan anggota)
+   * @param {number} userId - ID pengguna
+   * @param {number} householdId - ID keluarga
+   * @returns {Promise<string[]>}
+   */
+  async getPermissions(userId, householdId) {
+    return permissionsOf(await householdsRepository.findMember(householdId, userId));
+  }
+
+  /**
+   * Periksa apakah pengguna memiliki izin dalam keluarga
+   * @param {number} userId - ID pengguna
+   * @param {number} householdId - ID keluarga
+   * @param {string} permission - Izin yang dibutuhkan
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(userId, householdId, permission) {
+    return (await this.getPermissions(userId, householdId)).includes(permission);
+  }
+
+  /**
+   * Keluarga milik pengguna, dibuat saat pertama dibutuhkan
+   * @param {number} userId - ID pengguna
+   * @returns {Promise<Object>} Data keluarga
+   */
+  async getOrCreateOwnHousehold(userId) {
+    const existing = await householdsRepository.findOwnedBy(userId);
+    if (existing) return existing;
+
+    const user = await usersRepository.findById(userId);
+
+    return householdsRepository.create({
+      name: `Keluarga ${user.name || user.username}`,
+      ownerId: userId
+    });
+  }
+
+  /**
+   * Daftar keluarga tempat pengguna menjadi anggota beserta role dan izinnya
+   * @param {number} userId - ID pengguna
+   * @returns {Promise<Object[]>}
+   */
+  async listHouseholds(userId) {
+    await this.getOrCreateOwnHousehold(userId);
+
+    const memberships = await householdsRepository.findByMember(userId);
+
+    return memberships.map(({ household, member }) => ({
+      ...household,
+      role: member.role,
+      permissions: permissionsOf(member)
+    }));
+  }
+
+  /**
+   * ID keluarga tempat pengguna memiliki izin tertentu
+   * @param {number} userId - ID pengguna
+   * @param {string} permission - Izin yang dibutuhkan
+   * @returns {Promise<number[]>}
+   */
+  async householdIdsWithPermission(userId, permission) {
+    const memberships = await householdsRepository.findByMember(userId);
+
+    return memberships
+      .filter(({ member }) => permissionsOf(member).includes(permission))
+      .map(({ household }) => household.id);
+  }
+
+  /**
+   * Daftar anak yang bisa diakses pengguna dengan izin tertentu, dari semua keluarganya
+   * @param {number} userId - ID pengguna
+   * @param {string} permission - Izin yang dibutuhkan (default child:view)
+   * @returns {Promise<Object[]>}
+   */
+  async listChildren(userId, permission = 'child:view') {
+    return childrenRepository.findByHouseholds(await this.householdIdsWithPermission(userId, permission));
+  }
+
+  /**
+   * ID anggota keluarga yang memiliki izin tertentu (untuk notifikasi realtime)
+   * @param {number} householdId - ID keluarga
+   * @param {string} permission - Izin yang dibutuhkan
+   * @returns {Promise<number[]>}
+   */
+  async memberIdsWithPermission(householdId, permission) {
+    const members = await householdsRepository.findMembers(householdId);
+
+    return members
+      .filter((member) => permissionsOf(member).includes(permission))
+      .map((member) => member.userId);
+  }
+
+  /**
+   * Daftar anggota keluarga
+   * @param {number} householdId - ID keluarga
+   * @returns {Promise<Object[]>}
+   */
+  async listMembers(householdId) {
+    const members = await householdsRepository.findMembers(householdId);
+    return members.map(toMember);
+  }
+
+  /**
+   * Undang wali lewat email. Undangan lama untuk email yang sama dicabut
+   * sehingga hanya tautan terbaru yang berlaku.
+   * @param {Object} household - Data keluarga
+   * @param {Object} invitation - { email, role, permissions }
+   * @param {number} invitedBy - ID pengguna yang mengundang
+   * @returns {Promise<Object>} Data undangan
+   */
+  async invite(household, { email, role, permissions }, invitedBy) {
+    const access = normalizeAccess(role, permissions);
+    const invitee = await usersRepository.findByEmail(email);
+
+    if (invitee && await householdsRepository.findMember(household.id, invitee.id)) {
+      throw new HouseholdError('Pengguna dengan email ini sudah menjadi anggota keluarga', 409, 'ALREADY_MEMBER');
+    }
+
+    await householdsRepository.revokeInvitationsByEmail(household.id, email);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await householdsRepository.createInvitation({
+      householdId: household.id,
+      email,
+      ...access,
+      tokenHash: hashInvitationToken(token),
+      invitedBy,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_SECONDS * 1000).toISOString()
+    });
+
+    const inviter = await usersRepository.findById(invitedBy);
+    mailService.sendInBackground(invitationEmail(invitation, household, inviter, token));
+
+    logger.info('Household invitation sent', { householdId: household.id, invitationId: invitation.id, invitedBy });
+
+    return { ...invitation, permissions: permissionsOf(invitation) };
+  }
+
+  /**
+   * Daftar undangan yang masih menunggu jawaban
+   * @param {number} householdId - ID keluarga
+   * @returns {Promise<Object[]>}
+   */
+  async listInvitations(householdId) {
+    const invitations = await householdsRepository.findPendingInvitations(householdId);
+    return invitations.map((invitation) => ({ ...invitation, permissions: permissionsOf(invitation) }));
+  }
+
+  /**
+   * Cabut undangan yang belum diterima
+   * @param {number} householdId - ID keluarga
+   * @param {number} invitationId - ID undangan
+   */
+  async revokeInvitation(householdId, invitationId) {
+    const invitation = await householdsRepository.findInvitationById(invitationId);
+
+    // Undangan keluarga lain diperlakukan sama dengan undangan yang tidak ada
+    if (!invitation || invitation.householdId !== householdId || !await householdsRepository.revokeInvitation(invitationId)) {
+      throw new HouseholdError('Undangan tidak ditemukan', 404, 'INVITATION_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Terima undangan. Hanya pemilik email yang diundang yang bisa menerimanya.
+   * @param {string} token - Token dari tautan undangan
+   * @param {number} userId - ID pengguna yang sedang login
+   * @returns {Promise<Object>} Keluarga beserta role dan izin pengguna
+   */
+  async acceptInvitation(token, userId) {
+    const invitation = await householdsRepository.findActiveInvitation(hashInvitationToken(token));
+
+    if (!invitation) {
+      throw new HouseholdError('Undangan tidak valid atau telah kedaluwarsa', 400, 'INVALID_INVITATION');
+    }
+
+    const user = await usersRepository.findById(userId);
+
+    if (!user || !user.email || user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+      throw new HouseholdError('Undangan ini ditujukan untuk email lain', 403, 'INVITATION_EMAIL_MISMATCH');
+    }
+
+    if (await householdsRepository.findMember(invitation.householdId, userId)) {
+      throw new HouseholdError('Anda sudah menjadi anggota keluarga ini', 409, 'ALREADY_MEMBER');
+    }
+
+    // acceptInvitation atomik: undangan yang sama tidak bisa diterima dua kali
+    if (!await householdsRepository.acceptInvitation(invitation.id, userId)) {
+      throw new HouseholdError('Undangan tidak valid atau telah kedaluwarsa', 400, 'INVALID_INVITATION');
+    }
+
+    await householdsRepository.addMember({
+      householdId: invitation.householdId,
+      userId,
+      role: invitation.role,
+      permissions: invitation.permissions
+    });
+
+    logger.info('Household invitation accepted', { householdId: invitation.householdId, invitationId: invitation.id, userId });
+
+    const household = await householdsRepository.findById(invitation.householdId);
+
+    return {
+      ...household,
+      role: invitation.role,
+      permissions: permissionsOf(invitation)
+    };
+  }
+
+  /**
+   * Ubah role atau izin anggota keluarga
+   * @param {Object} household - Data keluarga
+   * @param {number} userId - ID anggota
+   * @param {Object} access - { role, permissions }
+   * @returns {Promise<Object>} Data anggota setelah diubah
+   */
+  async updateMember(household, userId, { role, permissions }) {
+    if (userId === household.ownerId) {
+      throw new HouseholdError('Role owner keluarga tidak bisa diubah', 400, 'CANNOT_CHANGE_OWNER');
+    }
+
+    if (!await householdsRepository.updateMember(household.id, userId, normalizeAccess(role, permissions))) {
+      throw new HouseholdError('Anggota keluarga tidak ditemukan', 404, 'MEMBER_NOT_FOUND');
+    }
+
+    const members = await householdsRepository.findMembers(household.id);
+    return toMember(members.find((member) => member.userId === userId));
+  }
+
+  /**
+   * Keluarkan anggota dari keluarga. Anggota boleh keluar sendiri; mengeluarkan
+   * anggota lain membutuhkan izin household:manage.
+   * @param {Object} household - Data keluarga
+   * @param {number} userId - ID anggota yang dikeluarkan
+   * @param {number} actorId - ID pengguna yang melakukan
+   */
+  async removeMember(household, userId, actorId) {
+    if (userId !== actorId && !await this.hasPermission(actorId, household.id, 'household:manage')) {
+      throw new HouseholdError('Hanya owner keluarga yang bisa mengeluarkan anggota lain', 403, 'HOUSEHOLD_ACCESS_DENIED');
+    }
+
+    if (userId === household.ownerId) {
+      throw new HouseholdError('Owner keluarga tidak bisa dikeluarkan', 400, 'CANNOT_REMOVE_OWNER');
+    }
+
+    if (!await householdsRepository.removeMember(household.id, userId)) {
+      throw new HouseholdError('Anggota keluarga tidak ditemukan', 404, 'MEMBER_NOT_FOUND');
+    }
+
+    logger.info('Household member removed', { householdId: household.id, userId, removedBy: actorId });
+  }
+}
+
+// Singleton instance
+const householdService = new HouseholdService();
+
+module.exports = householdService;
+module.exports.HouseholdError = HouseholdError;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.ROLES = ROLES;
@@ -1,9 +1,11 @@
 /**
  * Service untuk mengelola koneksi dengan CIMOY Kids
  * Layanan ini menangani:
- * 1. Koneksi WebSocket ke CIMOY Kids
+ * 1. Koneksi WebSocket ke beberapa perangkat CIMOY Kids sekaligus
  * 2. Manajemen perintah dan respon
  * 3. Pemantauan status koneksi
+ * 4. Antrian perintah offline dengan TTL dan retry
+ * 5. Enkripsi pesan dengan kunci sesi per perangkat (ECDH + AES-GCM)
  */
 
 import { io } from 'socket.io-client';
@@ -11,31 +13,142 @@ import { Preferences } from '@capacitor/preferences';
 import { Device } from '@capacitor/device';
 import { Capacitor } from '@capacitor/core';
 import { LocalNotifications } from '@capacitor/local-notifications';
-import CryptoJS from 'crypto-js';
 
 // Konfigurasi
 const CONFIG = {
   RECONNECT_DELAY: 5000,
   PING_INTERVAL: 30000,
   CONNECTION_TIMEOUT: 15000,
-  AUTH_KEY: 'c1m0y-s3cur3-k3y-c0nn3ct10n',
-  STORAGE_KEY: 'cimoy_kids_devices'
+  PROTOCOL_VERSION: 2,
+  STORAGE_KEY: 'cimoy_kids_devices',
+  KEYS_STORAGE_KEY: 'cimoy_device_keys',
+  COUNTERS_STORAGE_KEY: 'cimoy_device_counters',
+  PRIVATE_KEY_DB: 'cimoy_private_keys',
+  QUEUE_STORAGE_KEY: 'cimoy_command_queue',
+  COMMAND_TTL: 10 * 60 * 1000,
+  RETRY_BASE_DELAY: 2000,
+  RETRY_MAX_DELAY: 60000,
+  ACK_TIMEOUT: 10000
+};
+
+// Parameter ECDH untuk pairing perangkat
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Ubah ArrayBuffer/Uint8Array menjadi string base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Data biner
+ */
+const toBase64 = (buffer) => {
+  let binary = '';
+  new Uint8Array(buffer).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+/**
+ * Ubah string base64 menjadi Uint8Array
+ * @param {string} value - String base64
+ */
+const fromBase64 = (value) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+/**
+ * Buat pasangan kunci ECDH baru. Kunci privat dibuat non-extractable sehingga
+ * hanya bisa dipakai untuk deriveBits dan tidak pernah bisa diekspor.
+ * @returns {Promise<Object>} { privateKey: CryptoKey, publicKey: base64 (format raw) }
+ */
+const generateKeyPair = async () => {
+  const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, false, ['deriveBits']);
+  
+  return {
+    privateKey: keyPair.privateKey,
+    publicKey: toBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey))
+  };
+};
+
+/**
+ * Ubah IDBRequest menjadi Promise
+ * @param {IDBRequest} request - Request IndexedDB
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let privateKeyDatabase = null;
+
+/**
+ * Jalankan satu operasi pada object store kunci privat di IndexedDB
+ * @param {string} mode - 'readonly' atau 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ */
+const privateKeyRequest = async (mode, operation) => {
+  if (!privateKeyDatabase) {
+    const request = indexedDB.open(CONFIG.PRIVATE_KEY_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('keys');
+    privateKeyDatabase = requestToPromise(request);
+  }
+  
+  const database = await privateKeyDatabase;
+  return requestToPromise(operation(database.transaction('keys', mode).objectStore('keys')));
+};
+
+/**
+ * Penyimpanan kunci privat ECDH per perangkat.
+ * IndexedDB menyimpan CryptoKey apa adanya (structured clone), jadi kunci non-extractable
+ * tetap tidak bisa dibaca sebagai data mentah, berbeda dengan Preferences yang hanya menyimpan teks.
+ * Setiap entri: { keyId, privateKey: CryptoKey }
+ */
+const privateKeyStore = {
+  get: (deviceId) => privateKeyRequest('readonly', (store) => store.get(deviceId)),
+  set: (deviceId, entry) => privateKeyRequest('readwrite', (store) => store.put(entry, deviceId)),
+  delete: (deviceId) => privateKeyRequest('readwrite', (store) => store.delete(deviceId))
+};
+
+/**
+ * Turunkan kunci sesi dari shared secret ECDH dengan HKDF:
+ * satu kunci AES-GCM per arah dan satu kunci HMAC untuk token koneksi
+ * @param {CryptoKey} privateKey - Kunci privat ECDH orang tua
+ * @param {string} devicePublicKey - Kunci publik ECDH perangkat anak (base64)
+ * @param {number} keyId - Nomor versi kunci (dipakai sebagai salt)
+ */
+const deriveSessionKeys = async (privateKey, devicePublicKey, keyId) => {
+  const publicKey = await crypto.subtle.importKey('raw', fromBase64(devicePublicKey), ECDH_PARAMS, false, []);
+  const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const baseKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+  
+  const derive = (info, algorithm, usages) => crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: textEncoder.encode(`cimoy-session-${keyId}`), info: textEncoder.encode(info) },
+    baseKey,
+    algorithm,
+    false,
+    usages
+  );
+  
+  return {
+    sendKey: await derive('cimoy parent-to-kids', { name: 'AES-GCM', length: 256 }, ['encrypt']),
+    receiveKey: await derive('cimoy kids-to-parent', { name: 'AES-GCM', length: 256 }, ['decrypt']),
+    authKey: await derive('cimoy connection-auth', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign'])
+  };
 };
 
 class KidsConnectionManager {
   constructor() {
-    this.socket = null;
-    this.isConnected = false;
-    this.reconnectTimer = null;
-    this.pingTimer = null;
+    this.connections = {};
     this.devices = [];
     this.connectionListeners = [];
     this.commandListeners = {};
-    this.pendingCommands = {};
+    this.commandQueue = [];
+    this.sessions = {};
+    this.counters = {};
+    this.sessionKeys = {};
     this.deviceId = null;
     
-    // Inisialisasi
-    this.init();
+    // Inisialisasi (ditunggu oleh operasi yang membaca data dari storage)
+    this.ready = this.init();
   }
   
   /**
@@ -47,8 +160,10 @@ class KidsConnectionManager {
       const info = await Device.getInfo();
       this.deviceId = info.uuid;
       
-      // Muat daftar perangkat dari storage
+      // Muat daftar perangkat dan antrian perintah dari storage
       await this.loadDevices();
+      await this.loadSessions();
+      await this.loadCommandQueue();
       
       console.log('✅ KidsConnectionManager berhasil diinisialisasi');
     } catch (error) {
@@ -96,6 +211,19 @@ class KidsConnectionManager {
       throw new Error('Data perangkat tidak lengkap');
     }
     
+    await this.ready;
+    
+    // Perangkat baru wajib mengirim kunci publik ECDH untuk pairing
+    const session = this.sessions[device.id];
+    if (!session && !device.publicKey) {
+      throw new Error('Kunci publik perangkat diperlukan untuk pairing');
+    }
+    
+    // Pairing ulang jika perangkat mengirim kunci publik baru
+    if (device.publicKey && (!session || session.devicePublicKey !== device.publicKey)) {
+      await this.pairDevice(device.id, device.publicKey);
+    }
+    
     // Cek apakah perangkat sudah ada
     const existingIndex = this.devices.findIndex(d => d.id === device.id);
     
@@ -127,6 +255,22 @@ class KidsConnectionManager {
    * @param {string} deviceId - ID perangkat yang akan dihapus
    */
   async removeDevice(deviceId) {
+    // Putuskan koneksi perangkat sebelum dihapus
+    this.disconnect(deviceId);
+    delete this.connections[deviceId];
+    
+    // Hapus kunci sesi agar perangkat harus dipasangkan ulang
+    if (this.sessions[deviceId]) {
+      delete this.sessions[deviceId];
+      delete this.counters[deviceId];
+      delete this.sessionKeys[deviceId];
+      await this.saveSessions();
+      await this.saveCounters();
+      await privateKeyStore.delete(deviceId).catch((error) => {
+        console.error('❌ Gagal menghapus kunci privat perangkat:', error);
+      });
+    }
+    
     const initialLength = this.devices.length;
     this.devices = this.devices.filter(d => d.id !== deviceId);
     
@@ -155,7 +299,68 @@ class KidsConnectionManager {
   }
   
   /**
-   * Hubungkan ke perangkat anak
+   * Dapatkan state koneksi perangkat, buat baru jika belum ada.
+   * Setiap perangkat punya socket, timer, dan perintah tertunda sendiri.
+   * @param {string} deviceId - ID perangkat anak
+   */
+  getConnection(deviceId) {
+    if (!this.connections[deviceId]) {
+      this.connections[deviceId] = {
+        socket: null,
+        pingTimer: null,
+        reconnectTimer: null,
+        queueTimer: null,
+        isFlushingQueue: false,
+        pendingCommands: {}
+      };
+    }
+    
+    return this.connections[deviceId];
+  }
+  
+  /**
+   * Cek apakah perangkat sedang terhubung
+   * @param {string} deviceId - ID perangkat anak
+   */
+  isDeviceConnected(deviceId) {
+    const connection = this.connections[deviceId];
+    return !!(connection && connection.socket && connection.socket.connected);
+  }
+  
+  /**
+   * Dapatkan ID semua perangkat yang sedang terhubung
+   */
+  getConnectedDeviceIds() {
+    return Object.keys(this.connections).filter(deviceId => this.isDeviceConnected(deviceId));
+  }
+  
+  /**
+   * Apakah ada minimal satu perangkat yang terhubung
+   */
+  get isConnected() {
+    return this.getConnectedDeviceIds().length > 0;
+  }
+  
+  /**
+   * Perbarui status perangkat di daftar dan simpan ke storage
+   * @param {string} deviceId - ID perangkat
+   * @param {Object} changes - Field yang diubah
+   */
+  async updateDeviceStatus(deviceId, changes) {
+    const deviceIndex = this.devices.findIndex(d => d.id === deviceId);
+    if (deviceIndex < 0) return;
+    
+    this.devices[deviceIndex] = {
+      ...this.devices[deviceIndex],
+      ...changes,
+      lastUpdate: new Date().toISOString()
+    };
+    await this.saveDevices();
+  }
+  
+  /**
+   * Hubungkan ke perangkat anak.
+   * Koneksi ke perangkat lain tidak terpengaruh.
    * @param {string} deviceId - ID perangkat anak
    * @param {string} address - Alamat perangkat anak (IP atau URL)
    */
@@ -167,14 +372,13 @@ class KidsConnectionManager {
       throw new Error('Perangkat tidak ditemukan');
     }
     
-    // Tutup koneksi yang ada jika sudah terhubung
-    if (this.socket && this.socket.connected) {
-      this.disconnect();
+    if (!this.hasSession(deviceId)) {
+      throw new Error('Perangkat belum dipasangkan');
     }
     
-    // Bersihkan timer
-    clearTimeout(this.reconnectTimer);
-    clearInterval(this.pingTimer);
+    // Tutup koneksi lama ke perangkat ini (jika ada) dan bersihkan timernya
+    this.disconnect(deviceId);
+    const connection = this.getConnection(deviceId);
     
     try {
       // Buat koneksi Socket.IO baru
@@ -182,20 +386,23 @@ class KidsConnectionManager {
       
       // Buat token otentikasi
       const timestamp = new Date().getTime();
-      const authToken = this.generateAuthToken(deviceId, timestamp);
+      const authToken = await this.generateAuthToken(deviceId, timestamp);
+      const { keyId, publicKey } = this.sessions[deviceId];
       
-      this.socket = io(socketAddress, {
+      connection.socket = io(socketAddress, {
         reconnection: false,
         timeout: CONFIG.CONNECTION_TIMEOUT,
         auth: {
           deviceId: this.deviceId,
+          keyId,
+          publicKey,
           token: authToken,
           timestamp
         }
       });
       
       // Setup event listeners
-      this.setupSocketListeners(deviceId);
+      this.setupSocketListeners(deviceId, connection.socket);
       
       // Notifikasi
       if (Capacitor.isNativePlatform()) {
@@ -209,12 +416,10 @@ class KidsConnectionManager {
       }
       
       // Update status perangkat
-      const deviceIndex = this.devices.findIndex(d => d.id === deviceId);
-      if (deviceIndex >= 0) {
-        this.devices[deviceIndex].isConnecting = true;
-        this.devices[deviceIndex].lastConnectionAttempt = new Date().toISOString();
-        await this.saveDevices();
-      }
+      await this.updateDeviceStatus(deviceId, {
+        isConnecting: true,
+        lastConnectionAttempt: new Date().toISOString()
+      });
       
       return true;
     } catch (error) {
@@ -229,24 +434,23 @@ class KidsConnectionManager {
   
   /**
    * Setup event listeners untuk Socket.IO
-   * @param {string} deviceId - ID perangkat yang sedang terhubung
+   * @param {string} deviceId - ID perangkat pemilik socket
+   * @param {Object} socket - Socket milik perangkat tersebut
    */
-  setupSocketListeners(deviceId) {
-    if (!this.socket) return;
+  setupSocketListeners(deviceId, socket) {
+    if (!socket) return;
+    
+    // Socket yang sudah diganti atau diputus manual tidak boleh memicu reconnect
+    const isCurrentSocket = () => this.connections[deviceId] && this.connections[deviceId].socket === socket;
     
     // Event saat berhasil terhubung
-    this.socket.on('connect', async () => {
-      this.isConnected = true;
-      
+    socket.on('connect', async () => {
       // Update status perangkat
-      const deviceIndex = this.devices.findIndex(d => d.id === deviceId);
-      if (deviceIndex >= 0) {
-        this.devices[deviceIndex].isConnected = true;
-        this.devices[deviceIndex].isConnecting = false;
-        this.devices[deviceIndex].lastConnected = new Date().toISOString();
-        this.devices[deviceIndex].lastUpdate = new Date().toISOString();
-        await this.saveDevices();
-      }
+      await this.updateDeviceStatus(deviceId, {
+        isConnected: true,
+        isConnecting: false,
+        lastConnected: new Date().toISOString()
+      });
       
       // Beri tahu listeners
       this.notifyConnectionListeners({
@@ -257,12 +461,15 @@ class KidsConnectionManager {
       // Mulai ping interval
       this.startPingInterval(deviceId);
       
+      // Kirim perintah yang antre selama offline
+      this.flushCommandQueue(deviceId);
+      
       // Notifikasi
       if (Capacitor.isNativePlatform()) {
         await LocalNotifications.schedule({
           notifications: [{
             title: 'CIMOY Parent',
-            body: `Terhubung ke ${this.devices[deviceIndex]?.name || 'perangkat'}`,
+            body: `Terhubung ke ${this.getDevice(deviceId)?.name || 'perangkat'}`,
             id: 21
           }]
         });
@@ -272,17 +479,12 @@ class KidsConnectionManager {
     });
     
     // Event saat koneksi terputus
-    this.socket.on('disconnect', async (reason) => {
-      this.isConnected = false;
-      
+    socket.on('disconnect', async (reason) => {
       // Update status perangkat
-      const deviceIndex = this.devices.findIndex(d => d.id === deviceId);
-      if (deviceIndex >= 0) {
-        this.devices[deviceIndex].isConnected = false;
-        this.devices[deviceIndex].isConnecting = false;
-        this.devices[deviceIndex].lastUpdate = new Date().toISOString();
-        await this.saveDevices();
-      }
+      await this.updateDeviceStatus(deviceId, {
+        isConnected: false,
+        isConnecting: false
+      });
       
       // Beri tahu listeners
       this.notifyConnectionListeners({
@@ -291,18 +493,23 @@ class KidsConnectionManager {
         reason
       });
       
-      // Bersihkan ping interval
-      clearInterval(this.pingTimer);
-      
-      // Jadwalkan reconnect
-      this.scheduleReconnect(deviceId, this.devices[deviceIndex]?.address);
+      if (isCurrentSocket()) {
+        const connection = this.connections[deviceId];
+        
+        // Bersihkan ping interval dan retry antrian
+        clearInterval(connection.pingTimer);
+        clearTimeout(connection.queueTimer);
+        
+        // Jadwalkan reconnect
+        this.scheduleReconnect(deviceId, this.getDevice(deviceId)?.address);
+      }
       
       // Notifikasi
       if (Capacitor.isNativePlatform()) {
         await LocalNotifications.schedule({
           notifications: [{
             title: 'CIMOY Parent',
-            body: `Koneksi ke ${this.devices[deviceIndex]?.name || 'perangkat'} terputus`,
+            body: `Koneksi ke ${this.getDevice(deviceId)?.name || 'perangkat'} terputus`,
             id: 22
           }]
         });
@@ -312,18 +519,15 @@ class KidsConnectionManager {
     });
     
     // Event saat terjadi error
-    this.socket.on('connect_error', async (error) => {
+    socket.on('connect_error', async (error) => {
       console.error(`❌ Gagal terhubung ke perangkat ${deviceId}:`, error.message);
       
       // Update status perangkat
-      const deviceIndex = this.devices.findIndex(d => d.id === deviceId);
-      if (deviceIndex >= 0) {
-        this.devices[deviceIndex].isConnected = false;
-        this.devices[deviceIndex].isConnecting = false;
-        this.devices[deviceIndex].lastConnectionError = error.message;
-        this.devices[deviceIndex].lastUpdate = new Date().toISOString();
-        await this.saveDevices();
-      }
+      await this.updateDeviceStatus(deviceId, {
+        isConnected: false,
+        isConnecting: false,
+        lastConnectionError: error.message
+      });
       
       // Beri tahu listeners
       this.notifyConnectionListeners({
@@ -333,14 +537,16 @@ class KidsConnectionManager {
       });
       
       // Jadwalkan reconnect
-      this.scheduleReconnect(deviceId, this.devices[deviceIndex]?.address);
+      if (isCurrentSocket()) {
+        this.scheduleReconnect(deviceId, this.getDevice(deviceId)?.address);
+      }
     });
     
     // Event saat menerima pesan
-    this.socket.on('message', async (data) => {
+    socket.on('message', async (data) => {
       try {
         // Verifikasi dan dekripsi data
-        const decryptedData = this.decryptMessage(data);
+        const decryptedData = await this.decryptMessage(deviceId, data);
         
         // Proses data yang diterima
         await this.processIncomingMessage(deviceId, decryptedData);
@@ -350,19 +556,10 @@ class KidsConnectionManager {
     });
     
     // Event saat menerima status
-    this.socket.on('status', async (data) => {
+    socket.on('status', async (data) => {
       try {
         // Update status perangkat
-        const deviceIndex = this.devices.findIndex(d => d.id === deviceId);
-        if (deviceIndex >= 0) {
-          // Update status yang diterima
-          this.devices[deviceIndex] = {
-            ...this.devices[deviceIndex],
-            ...data,
-            lastUpdate: new Date().toISOString()
-          };
-          await this.saveDevices();
-        }
+        await this.updateDeviceStatus(deviceId, data);
         
         // Beri tahu listeners
         this.notifyConnectionListeners({
@@ -376,10 +573,10 @@ class KidsConnectionManager {
     });
     
     // Event saat menerima respons untuk perintah
-    this.socket.on('command_response', async (data) => {
+    socket.on('command_response', async (data) => {
       try {
         // Verifikasi dan dekripsi data
-        const decryptedData = this.decryptMessage(data);
+        const decryptedData = await this.decryptMessage(deviceId, data);
         
         // Proses respons
         await this.processCommandResponse(deviceId, decryptedData);
@@ -394,16 +591,17 @@ class KidsConnectionManager {
    * @param {string} deviceId - ID perangkat yang sedang terhubung
    */
   startPingInterval(deviceId) {
-    clearInterval(this.pingTimer);
+    const connection = this.getConnection(deviceId);
+    clearInterval(connection.pingTimer);
     
-    this.pingTimer = setInterval(() => {
-      if (!this.socket || !this.socket.connected) {
-        clearInterval(this.pingTimer);
+    connection.pingTimer = setInterval(() => {
+      if (!this.isDeviceConnected(deviceId)) {
+        clearInterval(connection.pingTimer);
         return;
       }
       
       // Kirim ping ke perangkat
-      this.socket.emit('ping', {
+      connection.socket.emit('ping', {
         timestamp: new Date().getTime(),
         deviceId: this.deviceId
       });
@@ -416,30 +614,49 @@ class KidsConnectionManager {
    * @param {string} address - Alamat perangkat
    */
   scheduleReconnect(deviceId, address) {
-    clearTimeout(this.reconnectTimer);
+    const connection = this.getConnection(deviceId);
+    clearTimeout(connection.reconnectTimer);
     
     // Cek apakah address valid
     if (!address) return;
     
-    this.reconnectTimer = setTimeout(() => {
+    connection.reconnectTimer = setTimeout(() => {
       console.log(`🔄 Mencoba menghubungkan ulang ke perangkat ${deviceId}...`);
       this.connect(deviceId, address);
     }, CONFIG.RECONNECT_DELAY);
   }
   
   /**
-   * Putuskan koneksi yang sedang aktif
+   * Putuskan koneksi ke perangkat
+   * @param {string} deviceId - ID perangkat (kosongkan untuk memutus semua perangkat)
    */
-  disconnect() {
-    if (!this.socket) return;
+  disconnect(deviceId) {
+    if (deviceId === undefined) {
+      Object.keys(this.connections).forEach(id => this.disconnect(id));
+      return;
+    }
+    
+    const connection = this.connections[deviceId];
+    if (!connection) return;
     
-    clearInterval(this.pingTimer);
-    clearTimeout(this.reconnectTimer);
+    clearInterval(connection.pingTimer);
+    clearTimeout(connection.reconnectTimer);
+    clearTimeout(connection.queueTimer);
+    
+    const { socket } = connection;
+    connection.socket = null;
+    
+    // Perintah yang menunggu respons tidak akan dijawab lewat socket ini
+    Object.values(connection.pendingCommands).forEach(pending => {
+      clearTimeout(pending.timeoutId);
+      pending.reject(new Error('Koneksi ke perangkat diputus'));
+    });
+    connection.pendingCommands = {};
+    
+    if (!socket) return;
     
     try {
-      this.socket.disconnect();
-      this.socket = null;
-      this.isConnected = false;
+      socket.disconnect();
     } catch (error) {
       console.error('❌ Gagal memutuskan koneksi:', error);
     }
@@ -600,17 +817,25 @@ class KidsConnectionManager {
       return;
     }
     
-    // Cek apakah ada perintah yang tertunda
-    const pendingCommand = this.pendingCommands[response.commandId];
+    // Cek apakah ada perintah yang tertunda untuk perangkat ini
+    const { pendingCommands } = this.getConnection(deviceId);
+    const pendingCommand = pendingCommands[response.commandId];
     
     if (pendingCommand) {
       // Selesaikan perintah
+      clearTimeout(pendingCommand.timeoutId);
       if (pendingCommand.resolve) {
         pendingCommand.resolve(response);
       }
       
       // Hapus dari daftar tertunda
-      delete this.pendingCommands[response.commandId];
+      delete pendingCommands[response.commandId];
+    }
+    
+    // Perintah dari antrian offline dianggap terkirim jika perangkat sudah merespons
+    if (this.commandQueue.some(entry => entry.command.id === response.commandId)) {
+      this.commandQueue = this.commandQueue.filter(entry => entry.command.id !== response.commandId);
+      await this.saveCommandQueue();
     }
     
     // Notifikasi listeners berdasarkan tipe perintah
@@ -623,19 +848,20 @@ class KidsConnectionManager {
   }
   
   /**
-   * Kirim perintah ke perangkat anak
+   * Kirim perintah ke perangkat anak.
+   * Jika perangkat sedang offline, perintah disimpan di antrian dan dikirim ulang
+   * saat koneksi kembali; hasilnya { queued: true, commandId, expiresAt }.
    * @param {string} deviceId - ID perangkat
    * @param {string} commandType - Jenis perintah
    * @param {Object} data - Data perintah
    * @param {number} timeout - Batas waktu tunggu respons (ms)
+   * @param {Object} options - Opsi antrian
+   * @param {string} options.commandId - ID perintah dari pemanggil (perintah dengan ID sama tidak diantrikan dua kali)
+   * @param {number} options.ttl - Umur perintah di antrian (ms)
+   * @param {boolean} options.queueIfOffline - Antrikan jika offline (default true), false untuk langsung gagal
    */
-  async sendCommand(deviceId, commandType, data = {}, timeout = 30000) {
-    if (!this.socket || !this.socket.connected) {
-      throw new Error('Tidak terhubung ke perangkat');
-    }
-    
-    // Buat ID perintah unik
-    const commandId = this.generateCommandId();
+  async sendCommand(deviceId, commandType, data = {}, timeout = 30000, options = {}) {
+    const { commandId = this.generateCommandId(), ttl = CONFIG.COMMAND_TTL, queueIfOffline = true } = options;
     
     // Buat objek perintah
     const command = {
@@ -646,36 +872,52 @@ class KidsConnectionManager {
       sender: this.deviceId
     };
     
+    if (!this.isDeviceConnected(deviceId)) {
+      if (!queueIfOffline) {
+        throw new Error('Tidak terhubung ke perangkat');
+      }
+      
+      const entry = await this.enqueueCommand(deviceId, command, ttl);
+      
+      return {
+        queued: true,
+        commandId: entry.command.id,
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      };
+    }
+    
     // Enkripsi perintah
-    const encryptedCommand = this.encryptMessage(command);
+    const encryptedCommand = await this.encryptMessage(deviceId, command);
+    const { socket, pendingCommands } = this.connections[deviceId];
     
     // Buat Promise untuk menunggu respons
     return new Promise((resolve, reject) => {
-      // Simpan perintah ke daftar tertunda
-      this.pendingCommands[commandId] = {
-        command,
-        resolve,
-        reject,
-        timestamp: new Date().getTime()
-      };
-      
       // Set timer untuk batas waktu
       const timeoutId = setTimeout(() => {
         // Hapus dari daftar tertunda
-        delete this.pendingCommands[commandId];
+        delete pendingCommands[commandId];
         
         // Tolak Promise dengan error timeout
         reject(new Error(`Timeout menunggu respons untuk perintah ${commandType}`));
       }, timeout);
       
+      // Simpan perintah ke daftar tertunda perangkat
+      pendingCommands[commandId] = {
+        command,
+        resolve,
+        reject,
+        timeoutId,
+        timestamp: new Date().getTime()
+      };
+      
       // Kirim perintah
-      this.socket.emit('command', encryptedCommand, (ack) => {
+      socket.emit('command', encryptedCommand, (ack) => {
         if (ack && ack.error) {
           // Batalkan timer timeout
           clearTimeout(timeoutId);
           
           // Hapus dari daftar tertunda
-          delete this.pendingCommands[commandId];
+          delete pendingCommands[commandId];
           
           // Tolak Promise dengan error dari server
           reject(new Error(ack.error));
@@ -685,13 +927,460 @@ class KidsConnectionManager {
   }
   
   /**
-   * Generate token otentikasi untuk koneksi
+   * Muat antrian perintah offline dari storage.
+   * Perintah yang kedaluwarsa atau ID-nya duplikat dibuang.
+   */
+  async loadCommandQueue() {
+    try {
+      const { value } = await Preferences.get({ key: CONFIG.QUEUE_STORAGE_KEY });
+      const stored = value ? JSON.parse(value) : [];
+      const now = new Date().getTime();
+      const seen = new Set();
+      
+      this.commandQueue = stored.filter(entry => {
+        if (!entry || !entry.command || entry.expiresAt <= now || seen.has(entry.command.id)) {
+          return false;
+        }
+        
+        seen.add(entry.command.id);
+        return true;
+      });
+      
+      if (this.commandQueue.length !== stored.length) {
+        await this.saveCommandQueue();
+      }
+    } catch (error) {
+      console.error('❌ Gagal memuat antrian perintah:', error);
+      this.commandQueue = [];
+    }
+  }
+  
+  /**
+   * Simpan antrian perintah offline ke storage
+   */
+  async saveCommandQueue() {
+    try {
+      await Preferences.set({
+        key: CONFIG.QUEUE_STORAGE_KEY,
+        value: JSON.stringify(this.commandQueue)
+      });
+    } catch (error) {
+      console.error('❌ Gagal menyimpan antrian perintah:', error);
+    }
+  }
+  
+  /**
+   * Masukkan perintah ke antrian offline
+   * @param {string} deviceId - ID perangkat tujuan
+   * @param {Object} command - Objek perintah
+   * @param {number} ttl - Umur perintah di antrian (ms)
+   * @returns {Promise<Object>} Entri antrian (entri lama jika ID perintah sudah ada)
+   */
+  async enqueueCommand(deviceId, command, ttl) {
+    await this.ready;
+    
+    // Perintah dengan ID yang sama cukup diantrikan sekali
+    const existing = this.commandQueue.find(entry => entry.command.id === command.id);
+    if (existing) {
+      return existing;
+    }
+    
+    const now = new Date().getTime();
+    const entry = {
+      deviceId,
+      command,
+      queuedAt: now,
+      expiresAt: now + ttl,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null
+    };
+    
+    this.commandQueue.push(entry);
+    await this.saveCommandQueue();
+    
+    this.notifyCommandListeners('command_queued', {
+      deviceId,
+      commandId: command.id,
+      commandType: command.type
+    });
+    
+    return entry;
+  }
+  
+  /**
+   * Dapatkan daftar perintah yang masih antre
+   * @param {string} deviceId - Filter per perangkat (opsional)
+   */
+  getQueuedCommands(deviceId = null) {
+    return this.commandQueue
+      .filter(entry => !deviceId || entry.deviceId === deviceId)
+      .map(entry => ({
+        commandId: entry.command.id,
+        deviceId: entry.deviceId,
+        type: entry.command.type,
+        data: entry.command.data,
+        queuedAt: new Date(entry.queuedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        attempts: entry.attempts,
+        lastError: entry.lastError
+      }));
+  }
+  
+  /**
+   * Batalkan perintah yang masih antre
+   * @param {string} commandId - ID perintah
+   * @returns {Promise<boolean>} true jika perintah ditemukan dan dibatalkan
+   */
+  async cancelQueuedCommand(commandId) {
+    await this.ready;
+    
+    const entry = this.commandQueue.find(e => e.command.id === commandId);
+    if (!entry) {
+      return false;
+    }
+    
+    this.commandQueue = this.commandQueue.filter(e => e !== entry);
+    await this.saveCommandQueue();
+    
+    this.notifyCommandListeners('command_cancelled', {
+      deviceId: entry.deviceId,
+      commandId,
+      commandType: entry.command.type
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Buang perintah yang sudah melewati TTL dari antrian
+   */
+  async removeExpiredCommands() {
+    const now = new Date().getTime();
+    const expired = this.commandQueue.filter(entry => entry.expiresAt <= now);
+    
+    if (expired.length === 0) return;
+    
+    this.commandQueue = this.commandQueue.filter(entry => entry.expiresAt > now);
+    await this.saveCommandQueue();
+    
+    expired.forEach(entry => {
+      this.notifyCommandListeners('command_expired', {
+        deviceId: entry.deviceId,
+        commandId: entry.command.id,
+        commandType: entry.command.type
+      });
+    });
+  }
+  
+  /**
+   * Kirim perintah antrian untuk perangkat yang sedang terhubung.
+   * Perintah yang gagal dicoba lagi dengan jeda exponential backoff sampai TTL habis.
+   * @param {string} deviceId - ID perangkat yang sedang terhubung
+   */
+  async flushCommandQueue(deviceId) {
+    const connection = this.getConnection(deviceId);
+    clearTimeout(connection.queueTimer);
+    
+    if (connection.isFlushingQueue) return;
+    connection.isFlushingQueue = true;
+    
+    try {
+      await this.ready;
+      await this.removeExpiredCommands();
+      
+      const now = new Date().getTime();
+      const due = this.commandQueue.filter(entry => entry.deviceId === deviceId && entry.nextAttemptAt <= now);
+      
+      for (const entry of due) {
+        if (!this.isDeviceConnected(deviceId)) break;
+        
+        const error = await this.deliverQueuedCommand(entry);
+        
+        if (!error) {
+          this.commandQueue = this.commandQueue.filter(e => e !== entry);
+          
+          this.notifyCommandListeners('command_delivered', {
+            deviceId,
+            commandId: entry.command.id,
+            commandType: entry.command.type
+          });
+        } else {
+          entry.attempts += 1;
+          entry.lastError = error;
+          entry.nextAttemptAt = new Date().getTime() + this.getRetryDelay(entry.attempts);
+        }
+      }
+      
+      await this.saveCommandQueue();
+    } catch (error) {
+      console.error('❌ Gagal mengirim antrian perintah:', error);
+    } finally {
+      connection.isFlushingQueue = false;
+    }
+    
+    this.scheduleQueueRetry(deviceId);
+  }
+  
+  /**
+   * Kirim satu perintah antrian dan tunggu konfirmasi perangkat
+   * @param {Object} entry - Entri antrian
+   * @returns {Promise<string|null>} Pesan error, atau null jika perangkat menerima perintah
+   */
+  async deliverQueuedCommand(entry) {
+    // Dienkripsi saat dikirim agar memakai kunci dan counter terbaru
+    const encryptedCommand = await this.encryptMessage(entry.deviceId, entry.command);
+    const { socket } = this.connections[entry.deviceId];
+    
+    return new Promise((resolve) => {
+      socket.timeout(CONFIG.ACK_TIMEOUT).emit('command', encryptedCommand, (err, ack) => {
+        if (err) {
+          resolve('Perangkat tidak merespons');
+        } else {
+          resolve(ack && ack.error ? ack.error : null);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Hitung jeda sebelum percobaan berikutnya (exponential backoff)
+   * @param {number} attempts - Jumlah percobaan yang sudah gagal
+   */
+  getRetryDelay(attempts) {
+    return Math.min(CONFIG.RETRY_BASE_DELAY * 2 ** (attempts - 1), CONFIG.RETRY_MAX_DELAY);
+  }
+  
+  /**
+   * Jadwalkan pengiriman ulang antrian pada percobaan terdekat
+   * @param {string} deviceId - ID perangkat yang sedang terhubung
+   */
+  scheduleQueueRetry(deviceId) {
+    const connection = this.getConnection(deviceId);
+    clearTimeout(connection.queueTimer);
+    
+    const pending = this.commandQueue.filter(entry => entry.deviceId === deviceId);
+    if (pending.length === 0 || !this.isDeviceConnected(deviceId)) return;
+    
+    // Bangun juga saat perintah kedaluwarsa agar listener mendapat command_expired
+    const nextRun = Math.min(...pending.map(entry => Math.min(entry.nextAttemptAt, entry.expiresAt)));
+    
+    connection.queueTimer = setTimeout(() => {
+      this.flushCommandQueue(deviceId);
+    }, Math.max(nextRun - new Date().getTime(), 0));
+  }
+  
+  /**
+   * Muat sesi kunci per perangkat dan counter pesannya dari storage.
+   * Preferences hanya berisi data publik sesi (keyId dan kunci publik); kunci privat ada di IndexedDB.
+   */
+  async loadSessions() {
+    try {
+      const { value } = await Preferences.get({ key: CONFIG.KEYS_STORAGE_KEY });
+      const { value: counters } = await Preferences.get({ key: CONFIG.COUNTERS_STORAGE_KEY });
+      this.sessions = value ? JSON.parse(value) : {};
+      this.counters = counters ? JSON.parse(counters) : {};
+      
+      await this.migrateLegacySessions();
+      
+      // Sesi tanpa counter tersimpan mulai lagi dari nol
+      Object.keys(this.sessions).forEach((deviceId) => {
+        this.counters[deviceId] = this.counters[deviceId] || { sendCounter: 0, receiveCounter: 0 };
+      });
+    } catch (error) {
+      console.error('❌ Gagal memuat kunci perangkat:', error);
+      this.sessions = {};
+      this.counters = {};
+    }
+  }
+  
+  /**
+   * Pindahkan sesi format lama, yang menyimpan kunci privat JWK dan counter di Preferences,
+   * ke IndexedDB (kunci non-extractable) dan ke penyimpanan counter tersendiri
+   */
+  async migrateLegacySessions() {
+    const legacy = Object.entries(this.sessions).filter(([, session]) => session.privateKey);
+    
+    if (legacy.length === 0) {
+      return;
+    }
+    
+    for (const [deviceId, session] of legacy) {
+      const { privateKey, sendCounter, receiveCounter, ...metadata } = session;
+      
+      await privateKeyStore.set(deviceId, {
+        keyId: session.keyId,
+        privateKey: await crypto.subtle.importKey('jwk', privateKey, ECDH_PARAMS, false, ['deriveBits'])
+      });
+      
+      this.sessions[deviceId] = metadata;
+      this.counters[deviceId] = { sendCounter: sendCounter || 0, receiveCounter: receiveCounter || 0 };
+    }
+    
+    await this.saveCounters();
+    await this.saveSessions();
+  }
+  
+  /**
+   * Simpan data publik sesi per perangkat ke storage (saat pairing, rotasi kunci, atau hapus perangkat)
+   */
+  async saveSessions() {
+    try {
+      await Preferences.set({
+        key: CONFIG.KEYS_STORAGE_KEY,
+        value: JSON.stringify(this.sessions)
+      });
+    } catch (error) {
+      console.error('❌ Gagal menyimpan kunci perangkat:', error);
+    }
+  }
+  
+  /**
+   * Simpan counter pesan per perangkat ke storage (setiap enkripsi dan dekripsi)
+   */
+  async saveCounters() {
+    try {
+      await Preferences.set({
+        key: CONFIG.COUNTERS_STORAGE_KEY,
+        value: JSON.stringify(this.counters)
+      });
+    } catch (error) {
+      console.error('❌ Gagal menyimpan counter pesan perangkat:', error);
+    }
+  }
+  
+  /**
+   * Cek apakah perangkat sudah dipasangkan (punya kunci sesi)
+   * @param {string} deviceId - ID perangkat
+   */
+  hasSession(deviceId) {
+    return !!this.sessions[deviceId];
+  }
+  
+  /**
+   * Simpan sesi baru untuk perangkat. Counter kedua arah dimulai dari nol.
+   * @param {string} deviceId - ID perangkat
+   * @param {Object} keyPair - Pasangan kunci ECDH orang tua ({ privateKey: CryptoKey, publicKey })
+   * @param {string} devicePublicKey - Kunci publik ECDH perangkat anak (base64)
+   * @param {number} keyId - Nomor versi kunci
+   */
+  async storeSession(deviceId, keyPair, devicePublicKey, keyId) {
+    await privateKeyStore.set(deviceId, { keyId, privateKey: keyPair.privateKey });
+    
+    this.sessions[deviceId] = {
+      keyId,
+      publicKey: keyPair.publicKey,
+      devicePublicKey,
+      createdAt: new Date().toISOString()
+    };
+    this.counters[deviceId] = { sendCounter: 0, receiveCounter: 0 };
+    delete this.sessionKeys[deviceId];
+    
+    await this.saveSessions();
+    await this.saveCounters();
+  }
+  
+  /**
+   * Pasangkan perangkat: buat pasangan kunci ECDH baru dan turunkan kunci sesi
+   * dari kunci publik perangkat. Kunci publik orang tua dikirim saat handshake.
+   * @param {string} deviceId - ID perangkat
+   * @param {string} devicePublicKey - Kunci publik ECDH perangkat anak (base64)
+   */
+  async pairDevice(deviceId, devicePublicKey) {
+    const previous = this.sessions[deviceId];
+    const keyPair = await generateKeyPair();
+    
+    await this.storeSession(deviceId, keyPair, devicePublicKey, previous ? previous.keyId + 1 : 1);
+    
+    return keyPair.publicKey;
+  }
+  
+  /**
+   * Dapatkan kunci sesi perangkat (diturunkan sekali lalu disimpan di memori)
+   * @param {string} deviceId - ID perangkat
+   */
+  async getSessionKeys(deviceId) {
+    const session = this.sessions[deviceId];
+    
+    if (!session) {
+      throw new Error('Perangkat belum dipasangkan');
+    }
+    
+    const cached = this.sessionKeys[deviceId];
+    if (cached && cached.keyId === session.keyId) {
+      return cached;
+    }
+    
+    const stored = await privateKeyStore.get(deviceId);
+    
+    if (!stored || stored.keyId !== session.keyId) {
+      throw new Error('Kunci privat perangkat tidak ditemukan, pasangkan ulang perangkat');
+    }
+    
+    const keys = await deriveSessionKeys(stored.privateKey, session.devicePublicKey, session.keyId);
+    this.sessionKeys[deviceId] = { keyId: session.keyId, ...keys };
+    
+    return this.sessionKeys[deviceId];
+  }
+  
+  /**
+   * Ganti kunci sesi perangkat yang sedang terhubung.
+   * Kunci publik baru orang tua dikirim terenkripsi dengan kunci lama, perangkat
+   * membalas dengan kunci publik barunya, lalu kedua sisi memakai kunci baru.
+   * @param {string} deviceId - ID perangkat
+   */
+  async rotateDeviceKey(deviceId) {
+    if (!this.isDeviceConnected(deviceId)) {
+      throw new Error('Tidak terhubung ke perangkat');
+    }
+    
+    const { keyId } = this.sessions[deviceId];
+    const keyPair = await generateKeyPair();
+    const request = await this.encryptMessage(deviceId, {
+      id: this.generateCommandId(),
+      type: 'key_rotate',
+      data: { keyId: keyId + 1, publicKey: keyPair.publicKey },
+      timestamp: new Date().getTime()
+    });
+    
+    const { socket } = this.connections[deviceId];
+    const reply = await new Promise((resolve, reject) => {
+      socket.timeout(CONFIG.ACK_TIMEOUT).emit('key_rotate', request, (err, response) => {
+        if (err) {
+          reject(new Error('Perangkat tidak merespons rotasi kunci'));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+    
+    const { data } = await this.decryptMessage(deviceId, reply);
+    
+    if (!data || !data.publicKey) {
+      throw new Error('Respons rotasi kunci tidak valid');
+    }
+    
+    await this.storeSession(deviceId, keyPair, data.publicKey, keyId + 1);
+    
+    this.notifyConnectionListeners({
+      status: 'key_rotated',
+      deviceId,
+      keyId: keyId + 1
+    });
+    
+    return keyId + 1;
+  }
+  
+  /**
+   * Generate token otentikasi untuk koneksi (HMAC dengan kunci turunan sesi perangkat)
    * @param {string} deviceId - ID perangkat anak
    * @param {number} timestamp - Timestamp saat ini
    */
-  generateAuthToken(deviceId, timestamp) {
-    const data = `${deviceId}:${this.deviceId}:${timestamp}:${CONFIG.AUTH_KEY}`;
-    return CryptoJS.SHA256(data).toString();
+  async generateAuthToken(deviceId, timestamp) {
+    const { authKey } = await this.getSessionKeys(deviceId);
+    const data = textEncoder.encode(`${deviceId}:${this.deviceId}:${timestamp}`);
+    
+    return toBase64(await crypto.subtle.sign('HMAC', authKey, data));
   }
   
   /**
@@ -702,32 +1391,95 @@ class KidsConnectionManager {
   }
   
   /**
-   * Enkripsi pesan
+   * Enkripsi pesan untuk perangkat dengan AES-GCM.
+   * Setiap pesan memakai nonce acak dan counter yang selalu naik; keduanya ikut diautentikasi.
+   * @param {string} deviceId - ID perangkat tujuan
    * @param {Object} message - Pesan yang akan dienkripsi
    */
-  encryptMessage(message) {
-    const messageString = JSON.stringify(message);
-    const encrypted = CryptoJS.AES.encrypt(messageString, CONFIG.AUTH_KEY).toString();
+  async encryptMessage(deviceId, message) {
+    const { keyId, sendKey } = await this.getSessionKeys(deviceId);
+    const counters = this.counters[deviceId];
+    
+    counters.sendCounter += 1;
+    const counter = counters.sendCounter;
+    await this.saveCounters();
+    
+    const nonce = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: nonce, additionalData: textEncoder.encode(`${keyId}:${counter}`) },
+      sendKey,
+      textEncoder.encode(JSON.stringify(message))
+    );
     
     return {
-      data: encrypted,
+      v: CONFIG.PROTOCOL_VERSION,
+      keyId,
+      counter,
+      nonce: toBase64(nonce),
+      data: toBase64(encrypted),
       id: message.id,
       timestamp: message.timestamp
     };
   }
   
   /**
-   * Dekripsi pesan
+   * Dekripsi pesan dari perangkat.
+   * Pesan dengan kunci lama, counter yang sudah dipakai (replay) atau tag yang tidak cocok ditolak.
+   * @param {string} deviceId - ID perangkat pengirim
    * @param {Object} encryptedMessage - Pesan terenkripsi
    */
-  decryptMessage(encryptedMessage) {
-    if (!encryptedMessage || !encryptedMessage.data) {
+  async decryptMessage(deviceId, encryptedMessage) {
+    if (!encryptedMessage || !encryptedMessage.data || !encryptedMessage.nonce ||
+        !Number.isInteger(encryptedMessage.counter)) {
       throw new Error('Format pesan terenkripsi tidak valid');
     }
     
-    const decrypted = CryptoJS.AES.decrypt(encryptedMessage.data, CONFIG.AUTH_KEY).toString(CryptoJS.enc.Utf8);
+    const counters = this.counters[deviceId];
+    
+    if (!counters) {
+      throw new Error('Perangkat belum dipasangkan');
+    }
+    
+    if (encryptedMessage.counter <= counters.receiveCounter) {
+      throw new Error('Pesan ditolak karena counter sudah dipakai (replay)');
+    }
+    
+    // Counter diklaim sebelum await pertama, jadi salinan pesan yang tiba bersamaan ikut ditolak
+    const previousCounter = counters.receiveCounter;
+    counters.receiveCounter = encryptedMessage.counter;
+    
+    let decrypted;
+    try {
+      const { keyId, receiveKey } = await this.getSessionKeys(deviceId);
+      
+      if (encryptedMessage.keyId !== keyId) {
+        throw new Error('Pesan memakai kunci sesi yang tidak berlaku');
+      }
+      
+      try {
+        decrypted = await crypto.subtle.decrypt(
+          {
+            name: 'AES-GCM',
+            iv: fromBase64(encryptedMessage.nonce),
+            additionalData: textEncoder.encode(`${keyId}:${encryptedMessage.counter}`)
+          },
+          receiveKey,
+          fromBase64(encryptedMessage.data)
+        );
+      } catch (error) {
+        throw new Error('Pesan gagal diautentikasi');
+      }
+    } catch (error) {
+      // Kembalikan klaim, kecuali pesan lain sudah mengklaim counter yang lebih tinggi
+      if (counters.receiveCounter === encryptedMessage.counter) {
+        counters.receiveCounter = previousCounter;
+      }
+      throw error;
+    }
+    
+    await this.saveCounters();
     
-    return JSON.parse(decrypted);
+    return JSON.parse(textDecoder.decode(decrypted));
   }
 }
 
@@ -0,0 +1,267 @@
+/**
+ * Service penguncian login
+ *
+ * Login gagal dihitung per akun dan per IP di database, sehingga berlaku di semua instance
+ * dan tetap ada setelah restart.
+ * - Setelah beberapa kegagalan, percobaan berikutnya harus menunggu jeda yang terus berlipat.
+ * - Setelah batas kegagalan, akun (atau IP) dikunci sementara. Tautan buka kunci dikirim ke
+ *   email pemilik akun (lihat AccountService), dan admin bisa membuka kunci secara manual.
+ * - Penguncian dan pembukaan kunci dicatat di securityLogger dan di riwayat keamanan akun
+ *   yang bisa dilihat orang tua.
+ *
+ * Login dengan username/email yang tidak terdaftar dihitung dengan cara yang sama
+ * agar response penguncian tidak membocorkan apakah akun ada.
+ */
+
+const { loginAttemptsRepository, securityEventsRepository } = require('../repositories');
+const { securityLogger } = require('../utils/logger');
+
+// Kebijakan per akun dan per IP
+const ACCOUNT_POLICY = {
+  freeAttempts: 3, // kegagalan tanpa jeda
+  lockAfter: 10, // kegagalan sampai akun dikunci
+  lockDurationMs: 30 * 60 * 1000 // 30 menit
+};
+
+const IP_POLICY = {
+  freeAttempts: 10,
+  lockAfter: 50,
+  lockDurationMs: 60 * 60 * 1000 // 1 jam
+};
+
+// Hitungan gagal dimulai ulang jika tidak ada kegagalan selama ini
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// Jeda terpanjang antar percobaan sebelum akun dikunci
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Error penguncian login yang aman ditampilkan ke client
+ */
+class LockoutError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error
+   * @param {number} retryAfter - Detik sampai percobaan berikutnya diizinkan
+   */
+  constructor(message, status, code, retryAfter) {
+    super(message);
+    this.name = 'LockoutError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Kunci data percobaan login untuk akun. Username/email yang tidak terdaftar
+ * memakai identifier-nya sendiri.
+ * @param {number|null} userId - ID pengguna jika ditemukan
+ * @param {string} identifier - Username atau email yang dipakai login
+ * @returns {string}
+ */
+const accountSubject = (userId, identifier) => (
+  userId ? `user:${userId}` : `login:${String(identifier || '').trim().toLowerCase()}`
+);
+
+/**
+ * Jeda sebelum percobaan berikutnya setelah sejumlah kegagalan
+ * @param {number} failures - Jumlah kegagalan
+ * @param {Object} policy - ACCOUNT_POLICY atau IP_POLICY
+ * @returns {number} Detik
+ */
+const delaySeconds = (failures, policy) => {
+  if (failures <= policy.freeAttempts) return 0;
+  return Math.min(2 ** (failures - policy.freeAttempts - 1), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Sisa detik sampai waktu tertentu (0 jika sudah lewat)
+ * @param {string|null} until - Waktu ISO
+ * @returns {number}
+ */
+const secondsUntil = (until) => {
+  if (!until) return 0;
+  return Math.max(0, Math.ceil((new Date(until).getTime() - Date.now()) / 1000));
+};
+
+class LoginLockoutService {
+  /**
+   * Tolak percobaan login jika akun atau IP sedang dikunci atau masih dalam masa jeda
+   * @param {Object} attempt - { userId, identifier, ip }
+   */
+  async assertCanAttempt({ userId, identifier, ip }) {
+    const account = await loginAttemptsRepository.find('account', accountSubject(userId, identifier));
+    const accountLock = account && secondsUntil(account.lockedUntil);
+
+    if (accountLock) {
+      throw new LockoutError(
+        'Akun dikunci sementara karena terlalu banyak percobaan login yang gagal. Cek email untuk membuka kunci.',
+        423,
+        'ACCOUNT_LOCKED',
+        accountLock
+      );
+    }
+
+    const client = ip ? await loginAttemptsRepository.find('ip', ip) : null;
+    const ipLock = client && secondsUntil(client.lockedUntil);
+
+    if (ipLock) {
+      throw new LockoutError('Terlalu banyak percobaan login yang gagal dari jaringan ini. Coba lagi nanti.', 429, 'IP_LOCKED', ipLock);
+    }
+
+    const wait = Math.max(
+      account ? secondsUntil(account.nextAttemptAt) : 0,
+      client ? secondsUntil(client.nextAttemptAt) : 0
+    );
+
+    if (wait) {
+      throw new LockoutError(`Terlalu banyak percobaan login yang gagal. Coba lagi dalam ${wait} detik.`, 429, 'LOGIN_DELAYED', wait);
+    }
+  }
+
+  /**
+   * Catat login gagal untuk akun dan IP, lalu terapkan jeda atau kunci
+   * @param {Object} attempt - { userId, identifier, ip }
+   * @returns {Promise<{accountLockedUntil: string|null}>} Waktu akhir kunci jika akun baru saja dikunci
+   */
+  async recordFailure({ userId, identifier, ip }) {
+    const now = Date.now();
+    const windowStart = new Date(now - FAILURE_WINDOW_MS).toISOString();
+
+    await loginAttemptsRepository.deleteStale(windowStart);
+
+    const subject = accountSubject(userId, identifier);
+    const account = await loginAttemptsRepository.recordFailure('account', subject, { userId, windowStart });
+    let accountLockedUntil = null;
+
+    if (account.failures >= ACCOUNT_POLICY.lockAfter) {
+      accountLockedUntil = new Date(now + ACCOUNT_POLICY.lockDurationMs).toISOString();
+      await loginAttemptsRepository.lock('account', subject, accountLockedUntil);
+
+      securityLogger.logAuth(false, 'Account locked after repeated failed logins', {
+        userId,
+        identifier,
+        ip,
+        failures: account.failures,
+        lockedUntil: accountLockedUntil
+      });
+
+      if (userId) {
+        await securityEventsRepository.create({
+          userId,
+          type: 'account_locked',
+          ip,
+          details: { failures: account.failures, lockedUntil: accountLockedUntil }
+        });
+      }
+    } else if (delaySeconds(account.failures, ACCOUNT_POLICY)) {
+      await loginAttemptsRepository.setNextAttempt(
+        'account',
+        subject,
+        new Date(now + delaySeconds(account.failures, ACCOUNT_POLICY) * 1000).toISOString()
+      );
+    }
+
+    if (ip) {
+      await this.recordIpFailure(ip, windowStart, now);
+    }
+
+    return { accountLockedUntil };
+  }
+
+  /**
+   * Catat login gagal dari IP, lalu terapkan jeda atau kunci
+   * @param {string} ip - IP client
+   * @param {string} windowStart - Batas awal hitungan kegagalan (ISO)
+   * @param {number} now - Waktu sekarang (ms)
+   */
+  async recordIpFailure(ip, windowStart, now) {
+    const client = await loginAttemptsRepository.recordFailure('ip', ip, { windowStart });
+
+    if (client.failures >= IP_POLICY.lockAfter) {
+      const lockedUntil = new Date(now + IP_POLICY.lockDurationMs).toISOString();
+      await loginAttemptsRepository.lock('ip', ip, lockedUntil);
+
+      securityLogger.logAuth(false, 'IP locked after repeated failed logins', {
+        ip,
+        failures: client.failures,
+        lockedUntil
+      });
+    } else if (delaySeconds(client.failures, IP_POLICY)) {
+      await loginAttemptsRepository.setNextAttempt(
+        'ip',
+        ip,
+        new Date(now + delaySeconds(client.failures, IP_POLICY) * 1000).toISOString()
+      );
+    }
+  }
+
+  /**
+   * Login berhasil: hitungan gagal akun dimulai dari nol.
+   * Hitungan IP tidak direset agar login ke akun sendiri tidak menghapus jejak percobaan ke akun lain.
+   * @param {number} userId - ID pengguna
+   */
+  async recordSuccess(userId) {
+    await loginAttemptsRepository.reset('account', accountSubject(userId));
+  }
+
+  /**
+   * Buka kunci akun
+   * @param {number} userId - ID pengguna
+   * @param {Object} context - { by: 'email'|'admin', adminId, ip }
+   * @returns {Promise<boolean>} true jika akun sebelumnya memiliki hitungan gagal atau kunci
+   */
+  async unlock(userId, { by, adminId, ip } = {}) {
+    const account = await loginAttemptsRepository.find('account', accountSubject(userId));
+    const wasLocked = !!(account && secondsUntil(account.lockedUntil));
+
+    await loginAttemptsRepository.reset('account', accountSubject(userId));
+
+    if (wasLocked) {
+      await securityEventsRepository.create({
+        userId,
+        type: 'account_unlocked',
+        ip,
+        details: adminId ? { by, adminId } : { by }
+      });
+
+      securityLogger.logAuth(true, 'Account unlocked', { userId, by, adminId, ip });
+    }
+
+    return wasLocked;
+  }
+
+  /**
+   * Daftar akun yang sedang dikunci (untuk admin)
+   * @returns {Promise<Object[]>}
+   */
+  async listLockedAccounts() {
+    const accounts = await loginAttemptsRepository.findLockedAccounts();
+
+    return accounts.map((account) => ({
+      userId: account.userId,
+      username: account.username,
+      email: account.email,
+      lastFailureAt: account.lastFailureAt,
+      lockedUntil: account.lockedUntil
+    }));
+  }
+
+  /**
+   * Riwayat keamanan akun (penguncian dan pembukaan kunci) untuk ditampilkan ke orang tua
+   * @param {number} userId - ID pengguna
+   * @param {number} limit - Jumlah maksimal
+   * @returns {Promise<Object[]>}
+   */
+  async listEvents(userId, limit) {
+    return securityEventsRepository.findByUser(userId, limit);
+  }
+}
+
+// Singleton instance
+const loginLockoutService = new LoginLockoutService();
+
+module.exports = loginLockoutService;
+module.exports.LockoutError = LockoutError;
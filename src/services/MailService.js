@@ -0,0 +1,145 @@
+/**
+ * Service pengiriman email
+ *
+ * Pengiriman dipisah dari isi email lewat transport yang bisa diganti:
+ * - smtp    : server SMTP (produksi, atau penangkap SMTP lokal seperti MailHog/Mailpit di port 1025)
+ * - file    : setiap email ditulis sebagai file JSON di config.mail.fileDir (untuk pengujian)
+ * - console : email hanya ditulis ke log (default di lokal)
+ * Transport lain bisa didaftarkan dengan registerTransport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config/environment');
+const logger = require('../utils/logger');
+
+/**
+ * Transport SMTP (nodemailer dimuat saat dipakai agar transport lain tidak membutuhkannya)
+ * @param {Object} options - config.mail
+ * @returns {{send: Function}}
+ */
+const createSmtpTransport = ({ smtp }) => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Transport file: satu file JSON per email
+ * @param {Object} options - config.mail
+ * @returns {{send: Function}}
+ */
+const createFileTransport = ({ fileDir }) => ({
+  send: async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.promises.mkdir(fileDir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(fileDir, `${messageId}.json`),
+      JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+    );
+
+    return { messageId };
+  }
+});
+
+/**
+ * Transport console: isi email ditulis ke log
+ * @returns {{send: Function}}
+ */
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    logger.info(`Email (console transport) to ${message.to}: ${message.subject}\n${message.text}`, { messageId });
+
+    return { messageId };
+  }
+});
+
+class MailService {
+  constructor() {
+    this.transportFactories = new Map([
+      ['smtp', createSmtpTransport],
+      ['file', createFileTransport],
+      ['console', createConsoleTransport]
+    ]);
+    this.transport = null;
+  }
+
+  /**
+   * Daftarkan transport tambahan
+   * @param {string} name - Nama transport (nilai MAIL_TRANSPORT)
+   * @param {Function} factory - (config.mail) => { send(message) }
+   */
+  registerTransport(name, factory) {
+    this.transportFactories.set(name, factory);
+
+    // Transport yang sedang dipakai dibuat ulang jika namanya diganti
+    if (this.transport && this.transport.name === name) {
+      this.transport = null;
+    }
+  }
+
+  /**
+   * Transport sesuai config.mail.transport, dibuat saat pertama dipakai
+   * @returns {{name: string, send: Function}}
+   */
+  getTransport() {
+    if (!this.transport) {
+      const name = config.mail.transport;
+      const factory = this.transportFactories.get(name);
+
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+
+      this.transport = { name, ...factory(config.mail) };
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Kirim email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ to, subject, text, html }) {
+    const transport = this.getTransport();
+    const result = await transport.send({ from: config.mail.from, to, subject, text, html });
+
+    logger.info('Email sent', { transport: transport.name, subject, messageId: result.messageId });
+
+    return result;
+  }
+
+  /**
+   * Kirim email tanpa menunggu hasilnya; kegagalan hanya dicatat di log.
+   * Dipakai agar waktu response tidak bergantung pada server email.
+   * @param {Object} message - { to, subject, text, html }
+   */
+  sendInBackground(message) {
+    this.send(message).catch((error) => {
+      logger.error(`Failed to send email: ${error.message}`, { subject: message.subject });
+    });
+  }
+}
+
+// Singleton instance
+const mailService = new MailService();
+
+module.exports = mailService;
@@ -0,0 +1,169 @@
+/**
+ * Service pairing perangkat CIMOY Kids
+ * Orang tua membuat kode pairing sekali pakai untuk satu anak (ditampilkan sebagai teks dan QR).
+ * Aplikasi anak menebus kode tersebut, perangkatnya tercatat di children.device_id,
+ * dan perangkat menerima kredensial yang terikat ke anak tersebut (lihat DeviceAuthService).
+ */
+
+const crypto = require('crypto');
+const qrcode = require('qrcode');
+const { childrenRepository, pairingCodesRepository } = require('../repositories');
+const deviceAuthService = require('./DeviceAuthService');
+const householdService = require('./HouseholdService');
+const realtimeGateway = require('../sockets');
+const { EVENTS } = require('../sockets');
+
+// Huruf tanpa karakter yang mudah tertukar (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Umur kode pairing
+const CODE_TTL_SECONDS = 10 * 60;
+
+/**
+ * Error dari alur pairing yang aman ditampilkan ke client
+ */
+class PairingError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'PairingError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Samakan format kode dari input pengguna (huruf besar, tanpa spasi/tanda hubung)
+ * @param {string} code - Kode pairing
+ * @returns {string}
+ */
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Hash kode pairing untuk disimpan di database
+ * @param {string} code - Kode pairing
+ * @returns {string}
+ */
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+/**
+ * Bentuk data perangkat terhubung untuk response API
+ * @param {Object} child - Data anak
+ * @returns {Object}
+ */
+const toPairedDevice = (child) => ({
+  childId: child.id,
+  childName: child.name,
+  deviceId: child.deviceId,
+  deviceModel: child.deviceModel,
+  deviceOs: child.deviceOs,
+  lastSync: child.lastSync
+});
+
+class PairingService {
+  /**
+   * Buat kode pairing baru untuk anak. Kode lama yang belum dipakai tidak berlaku lagi.
+   * @param {Object} data - { child, createdBy, serverUrl }
+   * @returns {Promise<Object>} { code, expiresAt, qrCode }
+   */
+  async createCode({ child, createdBy, serverUrl }) {
+    const raw = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    const code = `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    const expiresAt = new Date(Date.now() + CODE_TTL_SECONDS * 1000).toISOString();
+
+    await pairingCodesRepository.deleteUnusedByChild(child.id);
+    await pairingCodesRepository.create({
+      codeHash: hashCode(code),
+      childId: child.id,
+      createdBy,
+      expiresAt
+    });
+
+    // Isi QR dibaca aplikasi CIMOY Kids
+    const qrCode = await qrcode.toDataURL(JSON.stringify({
+      type: 'cimoy-pairing',
+      code,
+      server: serverUrl
+    }));
+
+    return { code, expiresAt, qrCode };
+  }
+
+  /**
+   * Tebus kode pairing dari aplikasi anak
+   * @param {Object} data - { code, deviceId, deviceModel, deviceOs }
+   * @returns {Promise<Object>} { child, tokens }
+   */
+  async redeemCode({ code, deviceId, deviceModel, deviceOs }) {
+    const pairingCode = await pairingCodesRepository.findActiveByHash(hashCode(code));
+
+    if (!pairingCode) {
+      throw new PairingError('Kode pairing tidak valid atau sudah kedaluwarsa', 400, 'INVALID_PAIRING_CODE');
+    }
+
+    if (await childrenRepository.deviceIdTaken(deviceId, pairingCode.childId)) {
+      throw new PairingError('Perangkat sudah terhubung ke anak lain', 409, 'DEVICE_ALREADY_PAIRED');
+    }
+
+    // Klaim atomik: hanya satu perangkat yang bisa memakai kode ini
+    if (!await pairingCodesRepository.claim(pairingCode.id, deviceId)) {
+      throw new PairingError('Kode pairing tidak valid atau sudah kedaluwarsa', 400, 'INVALID_PAIRING_CODE');
+    }
+
+    const previous = await childrenRepository.findById(pairingCode.childId);
+    const child = await childrenRepository.pairDevice(pairingCode.childId, { deviceId, deviceModel, deviceOs });
+
+    // Perangkat lama milik anak ini tidak berlaku lagi
+    if (previous && previous.deviceId && previous.deviceId !== deviceId) {
+      realtimeGateway.disconnectDevice(child.id);
+    }
+
+    realtimeGateway.notifyParents(child, EVENTS.DEVICE_PAIRED, toPairedDevice(child));
+
+    const tokens = await deviceAuthService.issueCredential(child, deviceId);
+
+    return { child, tokens };
+  }
+
+  /**
+   * Daftar perangkat yang terhubung ke anak-anak dalam keluarga orang tua
+   * @param {number} userId - ID orang tua
+   * @returns {Promise<Object[]>}
+   */
+  async listDevices(userId) {
+    const children = await householdService.listChildren(userId);
+    return children.filter((child) => child.deviceId).map(toPairedDevice);
+  }
+
+  /**
+   * Lepaskan perangkat dari anak dan cabut kredensialnya. Token perangkat langsung
+   * tidak berlaku karena guard memeriksa deviceId di token terhadap children.device_id.
+   * @param {Object} child - Data anak
+   * @returns {Promise<Object>} Data perangkat yang dilepas
+   */
+  async unpair(child) {
+    if (!child.deviceId) {
+      throw new PairingError('Anak belum memiliki perangkat terhubung', 404, 'DEVICE_NOT_PAIRED');
+    }
+
+    const device = toPairedDevice(child);
+
+    await childrenRepository.unpairDevice(child.id);
+    await deviceAuthService.revoke(child);
+    realtimeGateway.disconnectDevice(child.id);
+    realtimeGateway.notifyParents(child, EVENTS.DEVICE_UNPAIRED, { deviceId: device.deviceId });
+
+    return device;
+  }
+}
+
+// Singleton instance
+const pairingService = new PairingService();
+
+module.exports = pairingService;
+module.exports.PairingError = PairingError;
@@ -0,0 +1,331 @@
+/**
+ * Service sesi login berbasis token
+ *
+ * Setiap login membuat satu keluarga token (family). Access token dan refresh token
+ * membawa klaim sid (ID keluarga) dan jti (ID token).
+ * - Refresh token dirotasi setiap dipakai: token lama ditandai used, token baru masuk keluarga yang sama.
+ * - Refresh token lama yang dipakai lagi dianggap bocor, sehingga seluruh keluarganya dicabut.
+ * - Access token ditolak jika jti-nya ada di daftar pencabutan atau keluarganya sudah dicabut.
+ *
+ * Satu keluarga token juga ditampilkan ke pengguna sebagai satu sesi aktif
+ * (perangkat, user agent, IP, lokasi perkiraan) yang bisa dicabut dari jarak jauh.
+ * Koneksi realtime milik sesi yang dicabut ikut diputus, karena socket hanya memeriksa
+ * pencabutan saat handshake.
+ */
+
+const crypto = require('crypto');
+const geoip = require('geoip-lite');
+const { generateTokenPair, verifyToken, REFRESH_TOKEN_TTL_SECONDS } = require('../security/jwt');
+const { usersRepository, refreshTokensRepository, revokedTokensRepository } = require('../repositories');
+const { securityLogger } = require('../utils/logger');
+
+/**
+ * Error dari alur token yang aman ditampilkan ke client
+ */
+class TokenError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Waktu kedaluwarsa refresh token baru dalam format ISO
+ * @returns {string}
+ */
+const refreshExpiresAt = () => new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+// Pemakaian sesi dicatat paling sering sekali per menit
+const ACTIVITY_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Gateway realtime, dimuat saat dipakai karena gateway juga memakai service ini
+ * @returns {Object} RealtimeGateway
+ */
+const realtimeGateway = () => require('../sockets');
+
+/**
+ * Perkirakan lokasi dari IP (null untuk IP lokal/privat atau yang tidak dikenal)
+ * @param {string} ip - IP client
+ * @returns {Object|null} { country, region, city, timezone }
+ */
+const lookupGeo = (ip) => {
+  if (!ip) return null;
+
+  const geo = geoip.lookup(ip.replace(/^::ffff:/, ''));
+  if (!geo) return null;
+
+  return {
+    country: geo.country,
+    region: geo.region || null,
+    city: geo.city || null,
+    timezone: geo.timezone || null
+  };
+};
+
+/**
+ * Bentuk sesi untuk API (tanpa data internal token)
+ * @param {Object} family - Data keluarga token
+ * @param {string} currentFamilyId - ID sesi milik token yang sedang dipakai
+ * @returns {Object}
+ */
+const toSession = (family, currentFamilyId) => ({
+  id: family.familyId,
+  deviceId: family.deviceId,
+  userAgent: family.userAgent,
+  ip: family.ip,
+  geo: lookupGeo(family.ip),
+  createdAt: family.createdAt,
+  lastUsedAt: family.lastUsedAt,
+  expiresAt: family.expiresAt,
+  current: family.familyId === currentFamilyId
+});
+
+/**
+ * Klaim yang dimasukkan ke setiap token pengguna
+ * @param {Object} user - Data pengguna
+ * @param {string} deviceId - ID perangkat yang login
+ * @param {string} familyId - ID keluarga token
+ * @returns {Object}
+ */
+const tokenClaims = (user, deviceId, familyId) => ({
+  userId: user.id,
+  username: user.username,
+  role: user.role,
+  deviceId,
+  sid: familyId
+});
+
+class TokenService {
+  /**
+   * Buat sesi login baru (keluarga token baru) dan terbitkan pasangan token pertamanya
+   * @param {Object} user - Data pengguna
+   * @param {string} deviceId - ID perangkat yang login
+   * @param {Object} client - { userAgent, ip } dari request login
+   * @returns {Promise<{accessToken: string, refreshToken: string}>}
+   */
+  async createSession(user, deviceId, { userAgent, ip } = {}) {
+    const familyId = crypto.randomUUID();
+
+    await refreshTokensRepository.createFamily({
+      familyId,
+      userId: user.id,
+      deviceId,
+      userAgent,
+      ip,
+      expiresAt: refreshExpiresAt()
+    });
+
+    return this.issuePair(user, deviceId, familyId);
+  }
+
+  /**
+   * Terbitkan pasangan token dalam keluarga dan simpan refresh token-nya
+   * @param {Object} user - Data pengguna
+   * @param {string} deviceId - ID perangkat
+   * @param {string} familyId - ID keluarga token
+   * @param {string} refreshTokenId - jti refresh token (opsional)
+   * @returns {Promise<{accessToken: string, refreshToken: string}>}
+   */
+  async issuePair(user, deviceId, familyId, refreshTokenId = crypto.randomUUID()) {
+    const tokens = generateTokenPair(tokenClaims(user, deviceId, familyId), { refreshTokenId });
+
+    await refreshTokensRepository.createToken({
+      jti: refreshTokenId,
+      familyId,
+      userId: user.id,
+      expiresAt: refreshExpiresAt()
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Tukar refresh token dengan pasangan token baru (rotasi).
+   * Refresh token yang sudah pernah dipakai mencabut seluruh keluarganya.
+   * @param {string} refreshToken - Refresh token dari client
+   * @param {Object} context - { ip } untuk audit log
+   * @returns {Promise<{accessToken: string, refreshToken: string}>}
+   */
+  async rotate(refreshToken, { ip } = {}) {
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken);
+    } catch (error) {
+      throw new TokenError('Refresh token tidak valid atau telah kedaluwarsa', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    // Refresh token lama tanpa jti/sid diterbitkan sebelum rotasi berlaku dan tidak bisa dilacak
+    const stored = decoded.type === 'refresh' && decoded.jti && decoded.sid
+      ? await refreshTokensRepository.findToken(decoded.jti)
+      : null;
+
+    if (!stored || stored.familyId !== decoded.sid) {
+      throw new TokenError('Refresh token tidak valid atau telah kedaluwarsa', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    const family = await refreshTokensRepository.findFamily(stored.familyId);
+
+    if (!family || family.revokedAt) {
+      throw new TokenError('Sesi telah berakhir. Silakan login kembali.', 401, 'SESSION_REVOKED');
+    }
+
+    const nextTokenId = crypto.randomUUID();
+
+    // Gagal menandai berarti token ini sudah pernah dirotasi: kemungkinan token dicuri
+    if (stored.usedAt || !await refreshTokensRepository.markTokenUsed(stored.jti, nextTokenId)) {
+      await refreshTokensRepository.revokeFamily(stored.familyId, 'reuse_detected');
+      realtimeGateway().disconnectSession(stored.familyId);
+
+      securityLogger.logAuth(false, 'Refresh token reuse detected, session revoked', {
+        userId: stored.userId,
+        familyId: stored.familyId,
+        ip
+      });
+
+      throw new TokenError('Refresh token sudah pernah dipakai. Sesi dicabut, silakan login kembali.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    // Data pengguna dibaca ulang agar perubahan role atau akun yang dihapus ikut berlaku
+    const user = await usersRepository.findById(stored.userId);
+
+    if (!user) {
+      await refreshTokensRepository.revokeFamily(stored.familyId, 'user_deleted');
+      realtimeGateway().disconnectSession(stored.familyId);
+      throw new TokenError('Refresh token tidak valid atau telah kedaluwarsa', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    const tokens = await this.issuePair(user, family.deviceId, family.familyId, nextTokenId);
+    await refreshTokensRepository.touchFamily(family.familyId, refreshExpiresAt(), ip);
+
+    return tokens;
+  }
+
+  /**
+   * Cek apakah access token sudah dicabut (jti di daftar pencabutan atau keluarganya dicabut)
+   * @param {Object} decoded - Payload token yang sudah diverifikasi
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(decoded) {
+    if (decoded.jti && await revokedTokensRepository.isRevoked(decoded.jti)) {
+      return true;
+    }
+
+    if (decoded.sid) {
+      const family = await refreshTokensRepository.findFamily(decoded.sid);
+      return !family || !!family.revokedAt;
+    }
+
+    return false;
+  }
+
+  /**
+   * Akhiri sesi milik access token: cabut access token itu sendiri dan keluarganya
+   * @param {Object} decoded - Payload access token (req.user)
+   * @param {string} reason - Alasan pencabutan
+   */
+  async revokeSession(decoded, reason = 'logout') {
+    if (decoded.jti && decoded.exp) {
+      await revokedTokensRepository.add({
+        jti: decoded.jti,
+        userId: decoded.userId,
+        expiresAt: new Date(decoded.exp * 1000).toISOString()
+      });
+    }
+
+    if (decoded.sid) {
+      await refreshTokensRepository.revokeFamily(decoded.sid, reason);
+      realtimeGateway().disconnectSession(decoded.sid);
+    }
+
+    await this.purgeExpired();
+  }
+
+  /**
+   * Catat bahwa sesi milik access token sedang dipakai (waktu dan IP terakhir)
+   * @param {Object} decoded - Payload access token
+   * @param {Object} client - { ip }
+   */
+  async recordActivity(decoded, { ip } = {}) {
+    if (!decoded.sid) return;
+
+    const staleBefore = new Date(Date.now() - ACTIVITY_RESOLUTION_MS).toISOString();
+    await refreshTokensRepository.recordActivity(decoded.sid, ip, staleBefore);
+  }
+
+  /**
+   * Daftar sesi login aktif milik pengguna
+   * @param {number} userId - ID pengguna
+   * @param {string} currentFamilyId - ID sesi yang sedang dipakai (ditandai current)
+   * @returns {Promise<Object[]>}
+   */
+  async listSessions(userId, currentFamilyId) {
+    const families = await refreshTokensRepository.findActiveByUser(userId);
+    return families.map((family) => toSession(family, currentFamilyId));
+  }
+
+  /**
+   * Cabut satu sesi milik pengguna
+   * @param {number} userId - ID pengguna
+   * @param {string} familyId - ID sesi
+   */
+  async revokeSessionById(userId, familyId) {
+    const family = await refreshTokensRepository.findFamily(familyId);
+
+    // Sesi milik pengguna lain diperlakukan sama dengan sesi yang tidak ada
+    if (!family || family.userId !== userId || family.revokedAt) {
+      throw new TokenError('Sesi tidak ditemukan', 404, 'SESSION_NOT_FOUND');
+    }
+
+    await refreshTokensRepository.revokeFamily(familyId, 'signed_out_remotely');
+    realtimeGateway().disconnectSession(familyId);
+  }
+
+  /**
+   * Cabut semua sesi milik pengguna kecuali sesi yang sedang dipakai
+   * @param {number} userId - ID pengguna
+   * @param {string} currentFamilyId - ID sesi yang dipertahankan
+   * @param {string} reason - Alasan pencabutan
+   * @returns {Promise<number>} Jumlah sesi yang dicabut
+   */
+  async revokeOtherSessions(userId, currentFamilyId, reason = 'signed_out_remotely') {
+    const revoked = await refreshTokensRepository.revokeFamiliesByUser(userId, reason, currentFamilyId);
+    realtimeGateway().disconnectUser(userId, currentFamilyId);
+
+    return revoked;
+  }
+
+  /**
+   * Cabut semua sesi milik pengguna (mis. setelah ganti password)
+   * @param {number} userId - ID pengguna
+   * @param {string} reason - Alasan pencabutan
+   * @returns {Promise<number>} Jumlah sesi yang dicabut
+   */
+  async revokeAllSessions(userId, reason) {
+    const revoked = await refreshTokensRepository.revokeFamiliesByUser(userId, reason);
+    realtimeGateway().disconnectUser(userId);
+
+    return revoked;
+  }
+
+  /**
+   * Bersihkan data token yang sudah kedaluwarsa
+   */
+  async purgeExpired() {
+    await revokedTokensRepository.deleteExpired();
+    await refreshTokensRepository.deleteExpired();
+  }
+}
+
+// Singleton instance
+const tokenService = new TokenService();
+
+module.exports = tokenService;
+module.exports.TokenError = TokenError;
@@ -0,0 +1,280 @@
+/**
+ * Service two-factor authentication (TOTP + backup code)
+ *
+ * Alur pendaftaran: enroll (secret baru, belum aktif) -> confirm dengan kode pertama
+ * (2FA aktif, backup code ditampilkan sekali) -> disable dengan password + kode.
+ *
+ * Alur login dua langkah: password benar -> tantangan berumur pendek (challengeToken)
+ * -> ditukar dengan kode TOTP atau backup code menjadi pasangan token biasa.
+ * Secret TOTP disimpan terenkripsi (KeyManager), backup code dan token tantangan hanya hash-nya.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { initTwoFactorAuth } = require('../security/two-factor');
+const { usersRepository, twoFactorRepository } = require('../repositories');
+const tokenService = require('./TokenService');
+const { securityLogger } = require('../utils/logger');
+
+// Umur tantangan login tahap kedua
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Batas kode salah per tantangan sebelum tantangan dibatalkan
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const TOTP_PATTERN = /^\d{6}$/;
+
+/**
+ * Error dari alur 2FA yang aman ditampilkan ke client
+ */
+class TwoFactorError extends Error {
+  /**
+   * @param {string} message - Pesan untuk client
+   * @param {number} status - HTTP status code
+   * @param {string} code - Kode error
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Hash token tantangan untuk disimpan atau dicari
+ * @param {string} token - Token tantangan
+ * @returns {string}
+ */
+const hashChallengeToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class TwoFactorService {
+  constructor() {
+    this.twoFactorAuth = initTwoFactorAuth();
+  }
+
+  /**
+   * Cek apakah pengguna sudah mengaktifkan 2FA
+   * @param {number} userId - ID pengguna
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId) {
+    const twoFactor = await twoFactorRepository.findByUser(userId);
+    return !!(twoFactor && twoFactor.enabledAt);
+  }
+
+  /**
+   * Status 2FA pengguna
+   * @param {number} userId - ID pengguna
+   * @returns {Promise<Object>} { enabled, enabledAt, backupCodesRemaining }
+   */
+  async getStatus(userId) {
+    const twoFactor = await twoFactorRepository.findByUser(userId);
+    const enabled = !!(twoFactor && twoFactor.enabledAt);
+
+    return {
+      enabled,
+      enabledAt: enabled ? twoFactor.enabledAt : null,
+      backupCodesRemaining: enabled ? await twoFactorRepository.countUnusedBackupCodes(userId) : 0
+    };
+  }
+
+  /**
+   * Mulai pendaftaran 2FA: buat secret baru yang belum aktif sampai dikonfirmasi
+   * @param {Object} user - Data pengguna
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async startEnrollment(user) {
+    if (await this.isEnabled(user.id)) {
+      throw new TwoFactorError('Two-factor authentication sudah aktif', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const { secret, otpauthUrl, qrCode, encryptedSecret } = await this.twoFactorAuth.generateSecret(user);
+    await twoFactorRepository.savePendingSecret(user.id, encryptedSecret);
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Konfirmasi pendaftaran dengan kode pertama dari aplikasi authenticator.
+   * Sesi lain milik pengguna dicabut agar semua sesi yang tersisa sudah melewati 2FA.
+   * @param {number} userId - ID pengguna
+   * @param {string} code - Kode TOTP
+   * @param {string} currentSessionId - Sesi yang sedang dipakai (tidak dicabut)
+   * @returns {Promise<{backupCodes: string[]}>} Backup code (hanya ditampilkan sekali)
+   */
+  async confirmEnrollment(userId, code, currentSessionId) {
+    const twoFactor = await twoFactorRepository.findByUser(userId);
+
+    if (!twoFactor) {
+      throw new TwoFactorError('Mulai pendaftaran two-factor authentication terlebih dahulu', 400, 'TWO_FACTOR_NOT_ENROLLED');
+    }
+
+    if (twoFactor.enabledAt) {
+      throw new TwoFactorError('Two-factor authentication sudah aktif', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    if (!await this.verifyTotp(twoFactor, code)) {
+      throw new TwoFactorError('Kode verifikasi salah', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    if (!await twoFactorRepository.enable(userId)) {
+      throw new TwoFactorError('Two-factor authentication sudah aktif', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const { codes, hashes } = this.twoFactorAuth.generateBackupCodes(userId);
+    await twoFactorRepository.replaceBackupCodes(userId, hashes);
+    await tokenService.revokeOtherSessions(userId, currentSessionId, 'two_factor_enabled');
+
+    securityLogger.logAuth(true, '2FA enabled', { userId });
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Nonaktifkan 2FA. Wajib password dan kode TOTP atau backup code yang valid.
+   * @param {number} userId - ID pengguna
+   * @param {string} password - Password saat ini
+   * @param {string} code - Kode TOTP atau backup code
+   */
+  async disable(userId, password, code) {
+    const twoFactor = await twoFactorRepository.findByUser(userId);
+
+    if (!twoFactor || !twoFactor.enabledAt) {
+      throw new TwoFactorError('Two-factor authentication belum aktif', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    const credentials = await usersRepository.findCredentialsById(userId);
+
+    if (!credentials || !await bcrypt.compare(password, credentials.passwordHash)) {
+      throw new TwoFactorError('Password saat ini salah', 401, 'INVALID_PASSWORD');
+    }
+
+    if (!await this.verifyCode(twoFactor, code)) {
+      throw new TwoFactorError('Kode verifikasi salah', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    await twoFactorRepository.remove(userId);
+
+    securityLogger.logAuth(true, '2FA disabled', { userId });
+  }
+
+  /**
+   * Buat tantangan login tahap kedua setelah password terverifikasi
+   * @param {Object} user - Data pengguna
+   * @param {Object} context - { deviceId, userAgent, ip } yang dipakai saat sesi dibuat
+   * @returns {Promise<{challengeToken: string, expiresIn: number}>}
+   */
+  async createChallenge(user, { deviceId, userAgent, ip } = {}) {
+    await twoFactorRepository.deleteExpiredChallenges();
+
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+
+    await twoFactorRepository.createChallenge({
+      tokenHash: hashChallengeToken(challengeToken),
+      userId: user.id,
+      deviceId,
+      userAgent,
+      ip,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000).toISOString()
+    });
+
+    return {
+      challengeToken,
+      expiresIn: CHALLENGE_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Dapatkan tantangan login yang masih aktif
+   * @param {string} challengeToken - Token tantangan dari langkah password
+   * @returns {Promise<Object|null>} Tantangan { id, userId, attempts, ... }
+   */
+  async findChallenge(challengeToken) {
+    return twoFactorRepository.findActiveChallenge(hashChallengeToken(challengeToken));
+  }
+
+  /**
+   * Tukar tantangan login dengan kode TOTP atau backup code
+   * @param {string} challengeToken - Token tantangan dari langkah password
+   * @param {string} code - Kode TOTP atau backup code
+   * @returns {Promise<Object>} Tantangan yang selesai { userId, deviceId, userAgent, ip }
+   */
+  async redeemChallenge(challengeToken, code) {
+    const challenge = await twoFactorRepository.findActiveChallenge(hashChallengeToken(challengeToken));
+
+    if (!challenge || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      throw new TwoFactorError('Sesi verifikasi tidak valid atau telah kedaluwarsa. Silakan login kembali.', 401, 'INVALID_CHALLENGE');
+    }
+
+    const twoFactor = await twoFactorRepository.findByUser(challenge.userId);
+    const verified = !!(twoFactor && twoFactor.enabledAt) && await this.verifyCode(twoFactor, code);
+
+    if (!verified) {
+      await twoFactorRepository.incrementChallengeAttempts(challenge.id);
+
+      // Terlalu banyak kode salah: tantangan dibatalkan, pengguna harus login ulang
+      if (challenge.attempts + 1 >= MAX_CHALLENGE_ATTEMPTS) {
+        await twoFactorRepository.closeChallenge(challenge.id);
+      }
+
+      securityLogger.logAuth(false, '2FA login verification failed', {
+        userId: challenge.userId,
+        attempts: challenge.attempts + 1
+      });
+
+      throw new TwoFactorError('Kode verifikasi salah', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    // Tantangan hanya bisa ditukar sekali meskipun ada dua request bersamaan
+    if (!await twoFactorRepository.closeChallenge(challenge.id)) {
+      throw new TwoFactorError('Sesi verifikasi tidak valid atau telah kedaluwarsa. Silakan login kembali.', 401, 'INVALID_CHALLENGE');
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Verifikasi kode TOTP atau backup code
+   * @param {Object} twoFactor - Data 2FA pengguna
+   * @param {string} code - Kode dari pengguna
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(twoFactor, code) {
+    if (TOTP_PATTERN.test(String(code).trim())) {
+      return this.verifyTotp(twoFactor, String(code).trim());
+    }
+
+    const codeHash = this.twoFactorAuth.hashBackupCode(code, twoFactor.userId);
+    const consumed = await twoFactorRepository.consumeBackupCode(twoFactor.userId, codeHash);
+
+    securityLogger.logAuth(consumed, '2FA Backup Code Verification', {
+      userId: twoFactor.userId,
+      method: 'BackupCode'
+    });
+
+    return consumed;
+  }
+
+  /**
+   * Verifikasi kode TOTP. Kode yang sudah pernah dipakai (time step yang sama) ditolak.
+   * @param {Object} twoFactor - Data 2FA pengguna
+   * @param {string} code - Kode TOTP
+   * @returns {Promise<boolean>}
+   */
+  async verifyTotp(twoFactor, code) {
+    if (!TOTP_PATTERN.test(String(code || '').trim())) {
+      return false;
+    }
+
+    const step = this.twoFactorAuth.matchTokenStep(String(code).trim(), twoFactor.secretEncrypted, twoFactor.userId);
+
+    return step !== null && twoFactorRepository.markStepUsed(twoFactor.userId, step);
+  }
+}
+
+// Singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
+module.exports.TwoFactorError = TwoFactorError;
@@ -0,0 +1,376 @@
+/**
+ * Gateway realtime (Socket.io)
+ *
+ * Namespace:
+ * - /parent : aplikasi orang tua, bergabung ke room penggunanya (family:<userId>) dan room
+ *             sesi login-nya (session:<sid>) agar koneksi bisa diputus saat sesi dicabut
+ * - /device : perangkat anak, bergabung ke room anak (child:<childId>)
+ *
+ * Kedua namespace memakai JWT yang sama dengan REST API (security/jwt.js).
+ * Route REST memanggil notifyParents() agar orang tua langsung menerima
+ * lokasi, penggunaan aplikasi, dan peringatan dari perangkat anak.
+ * Event dikirim ke setiap wali dalam keluarga anak yang memiliki izin untuk event tersebut.
+ */
+
+const { verifyToken } = require('../security/jwt');
+const { canAccessChild, isDeviceCredentialActive } = require('../middlewares/auth.middleware');
+const { childrenRepository } = require('../repositories');
+const tokenService = require('../services/TokenService');
+const householdService = require('../services/HouseholdService');
+const logger = require('../utils/logger');
+const { securityLogger } = require('../utils/logger');
+
+// Nama event yang dikirim ke client
+const EVENTS = {
+  LOCATION_UPDATE: 'location:update',
+  USAGE_UPDATE: 'usage:update',
+  ALERT: 'alert',
+  DEVICE_ONLINE: 'device:online',
+  DEVICE_OFFLINE: 'device:offline',
+  DEVICE_PAIRED: 'device:paired',
+  DEVICE_UNPAIRED: 'device:unpaired'
+};
+
+// Izin keluarga yang dibutuhkan wali untuk menerima event (default child:view)
+const EVENT_PERMISSIONS = {
+  [EVENTS.LOCATION_UPDATE]: 'location:view',
+  [EVENTS.USAGE_UPDATE]: 'screen_time:view',
+  'command:update': 'commands:view'
+};
+
+/**
+ * Nama room untuk semua aplikasi orang tua milik satu pengguna
+ * @param {number} userId - ID orang tua
+ * @returns {string}
+ */
+const familyRoom = (userId) => `family:${userId}`;
+
+/**
+ * Nama room untuk semua koneksi aplikasi orang tua dari satu sesi login (keluarga token)
+ * @param {string} familyId - ID sesi (klaim sid)
+ * @returns {string}
+ */
+const sessionRoom = (familyId) => `session:${familyId}`;
+
+/**
+ * Nama room untuk semua koneksi perangkat milik satu anak
+ * @param {number} childId - ID anak
+ * @returns {string}
+ */
+const childRoom = (childId) => `child:${childId}`;
+
+/**
+ * Ambil token dari handshake (auth.token, header Authorization, atau query ?token=)
+ * @param {Object} handshake - socket.handshake
+ * @returns {string|null}
+ */
+const getTokenFromHandshake = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+
+  return (handshake.query && handshake.query.token) || null;
+};
+
+/**
+ * Buat error handshake dengan kode yang bisa dibaca client (err.data.code)
+ * @param {string} message - Pesan error
+ * @param {string} code - Kode error
+ * @returns {Error}
+ */
+const handshakeError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Middleware namespace: verifikasi JWT, role, dan status pencabutan token
+ * @param {string[]} roles - Role yang diizinkan di namespace ini
+ * @returns {Function} Middleware Socket.io
+ */
+const authenticateSocket = (roles) => async (socket, next) => {
+  const token = getTokenFromHandshake(socket.handshake);
+
+  if (!token) {
+    return next(handshakeError('Token tidak ditemukan', 'TOKEN_MISSING'));
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    securityLogger.logAuth(false, 'Socket authentication failed', {
+      namespace: socket.nsp.name,
+      ip: socket.handshake.address,
+      error: error.message
+    });
+
+    return next(handshakeError('Token tidak valid', error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'));
+  }
+
+  if (decoded.type === 'refresh' || !roles.includes(decoded.role)) {
+    securityLogger.logAccessDenied('Socket namespace access denied', {
+      namespace: socket.nsp.name,
+      userId: decoded.userId,
+      role: decoded.role,
+      ip: socket.handshake.address
+    });
+
+    return next(handshakeError('Akses ditolak', 'FORBIDDEN_ROLE'));
+  }
+
+  try {
+    // Token yang sudah dicabut (logout, ganti password) tidak boleh membuka koneksi baru
+    if (await tokenService.isRevoked(decoded)) {
+      return next(handshakeError('Sesi telah berakhir', 'TOKEN_REVOKED'));
+    }
+  } catch (error) {
+    logger.error(`Socket token revocation check failed: ${error.message}`);
+    return next(handshakeError('Kesalahan server', 'SERVER_ERROR'));
+  }
+
+  socket.user = decoded;
+  next();
+};
+
+/**
+ * Middleware namespace /device: cari anak yang terhubung dengan token perangkat
+ */
+const resolveDeviceChild = async (socket, next) => {
+  try {
+    const { childId, deviceId } = socket.user;
+    const child = childId !== undefined
+      ? await childrenRepository.findById(Number(childId))
+      : deviceId && await childrenRepository.findByDeviceId(deviceId);
+
+    if (!child || !await canAccessChild(socket.user, child) || !await isDeviceCredentialActive(socket.user)) {
+      securityLogger.logAccessDenied('Socket device not registered', {
+        namespace: socket.nsp.name,
+        deviceId,
+        childId,
+        ip: socket.handshake.address
+      });
+
+      return next(handshakeError('Perangkat tidak terdaftar', 'DEVICE_NOT_REGISTERED'));
+    }
+
+    socket.child = child;
+    next();
+  } catch (error) {
+    logger.error(`Socket device lookup failed: ${error.message}`);
+    next(handshakeError('Kesalahan server', 'SERVER_ERROR'));
+  }
+};
+
+class RealtimeGateway {
+  constructor() {
+    this.io = null;
+    this.parentNamespace = null;
+    this.deviceNamespace = null;
+  }
+
+  /**
+   * Pasang namespace dan handler pada instance Socket.io
+   * @param {import('socket.io').Server} io - Server Socket.io
+   */
+  init(io) {
+    this.io = io;
+
+    // Namespace default tidak dipakai, tolak semua koneksi ke sana
+    io.use((socket, next) => next(handshakeError('Gunakan namespace /parent atau /device', 'INVALID_NAMESPACE')));
+
+    this.parentNamespace = io.of('/parent');
+    this.parentNamespace.use(authenticateSocket(['parent']));
+    this.parentNamespace.on('connection', (socket) => this.handleParentConnection(socket));
+
+    this.deviceNamespace = io.of('/device');
+    this.deviceNamespace.use(authenticateSocket(['child', 'device']));
+    this.deviceNamespace.use(resolveDeviceChild);
+    this.deviceNamespace.on('connection', (socket) => this.handleDeviceConnection(socket));
+
+    logger.info('Realtime gateway initialized', { namespaces: ['/parent', '/device'] });
+  }
+
+  /**
+   * Koneksi dari aplikasi orang tua
+   * @param {import('socket.io').Socket} socket
+   */
+  handleParentConnection(socket) {
+    const { userId, sid } = socket.user;
+    socket.join(familyRoom(userId));
+
+    if (sid) {
+      socket.join(sessionRoom(sid));
+    }
+
+    logger.debug('Parent socket connected', { userId, socketId: socket.id });
+
+    socket.on('disconnect', (reason) => {
+      logger.debug('Parent socket disconnected', { userId, socketId: socket.id, reason });
+    });
+  }
+
+  /**
+   * Koneksi dari perangkat anak
+   * @param {import('socket.io').Socket} socket
+   */
+  handleDeviceConnection(socket) {
+    const { child } = socket;
+    socket.join(childRoom(child.id));
+
+    logger.debug('Device socket connected', { childId: child.id, socketId: socket.id });
+    this.notifyParents(child, EVENTS.DEVICE_ONLINE, { deviceId: child.deviceId });
+
+    // Dimuat saat dipakai karena CommandRelayService juga memakai gateway ini
+    const commandRelayService = require('../services/CommandRelayService');
+
+    // Kirim perintah yang antre selama perangkat offline
+    commandRelayService.deliverPending(child).catch((error) => {
+      logger.error(`Failed to deliver pending commands: ${error.message}`, { childId: child.id });
+    });
+
+    /**
+     * Handler event perintah dari perangkat; hasilnya dikirim lewat callback acknowledgement
+     * @param {Function} handle - async (data) => perintah dengan status terbaru
+     * @returns {Function} Listener Socket.io
+     */
+    const commandHandler = (handle) => async (data = {}, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const command = await handle(data);
+        reply({ success: true, status: command.status });
+      } catch (error) {
+        if (error instanceof commandRelayService.CommandError) {
+          return reply({ success: false, message: error.message, code: error.code });
+        }
+
+        logger.error(`Failed to update command: ${error.message}`, { childId: child.id });
+        reply({ success: false, message: 'Kesalahan server', code: 'SERVER_ERROR' });
+      }
+    };
+
+    // Perangkat mengonfirmasi perintah dari event command sudah diterima: { commandId }
+    socket.on('command:received', commandHandler((data) => commandRelayService.markReceived(child, data.commandId)));
+
+    // Perangkat melaporkan hasil perintah: { commandId, status: 'acknowledged'|'failed', result, error }
+    socket.on('command:ack', commandHandler((data) => commandRelayService.completeCommand(child, data.commandId, data)));
+
+    socket.on('disconnect', (reason) => {
+      logger.debug('Device socket disconnected', { childId: child.id, socketId: socket.id, reason });
+      this.notifyParents(child, EVENTS.DEVICE_OFFLINE, { deviceId: child.deviceId, reason });
+    });
+  }
+
+  /**
+   * Kirim event ke aplikasi semua wali dalam keluarga anak yang memiliki izin untuk event ini.
+   * Aman dipanggil sebelum init (mis. dari script CLI), event diabaikan.
+   * @param {Object} child - Data anak (minimal { id, userId, householdId })
+   * @param {string} event - Nama event (lihat EVENTS)
+   * @param {Object} payload - Data event
+   * @param {string} permission - Izin yang dibutuhkan penerima (default sesuai EVENT_PERMISSIONS)
+   */
+  notifyParents(child, event, payload = {}, permission = EVENT_PERMISSIONS[event] || 'child:view') {
+    if (!this.parentNamespace || !child) return;
+
+    const message = {
+      childId: child.id,
+      ...payload,
+      timestamp: new Date().toISOString()
+    };
+
+    // Anak yang belum masuk keluarga mana pun hanya dipantau pembuatnya
+    const recipients = child.householdId
+      ? householdService.memberIdsWithPermission(child.householdId, permission)
+      : Promise.resolve([child.userId]);
+
+    recipients
+      .then((userIds) => {
+        if (!this.parentNamespace || userIds.length === 0) return;
+
+        this.parentNamespace.to(userIds.map(familyRoom)).emit(event, message);
+      })
+      .catch((error) => {
+        logger.error(`Failed to notify parents: ${error.message}`, { childId: child.id, event });
+      });
+  }
+
+  /**
+   * Kirim event ke semua koneksi perangkat milik anak
+   * @param {number} childId - ID anak
+   * @param {string} event - Nama event
+   * @param {Object} payload - Data event
+   * @returns {boolean} true jika ada perangkat yang sedang terhubung
+   */
+  notifyDevice(childId, event, payload = {}) {
+    if (!this.deviceNamespace) return false;
+
+    const room = this.deviceNamespace.adapter.rooms.get(childRoom(childId));
+    if (!room || room.size === 0) return false;
+
+    this.deviceNamespace.to(childRoom(childId)).emit(event, payload);
+    return true;
+  }
+
+  /**
+   * Putuskan semua koneksi perangkat milik anak (mis. setelah perangkat dilepas)
+   * @param {number} childId - ID anak
+   */
+  disconnectDevice(childId) {
+    if (!this.deviceNamespace) return;
+
+    this.deviceNamespace.in(childRoom(childId)).disconnectSockets(true);
+  }
+
+  /**
+   * Putuskan koneksi aplikasi orang tua milik satu sesi login (mis. setelah logout atau sesi dicabut)
+   * @param {string} familyId - ID sesi
+   */
+  disconnectSession(familyId) {
+    if (!this.parentNamespace || !familyId) return;
+
+    this.parentNamespace.in(sessionRoom(familyId)).disconnectSockets(true);
+  }
+
+  /**
+   * Putuskan koneksi aplikasi orang tua milik pengguna (mis. setelah ganti password)
+   * @param {number} userId - ID pengguna
+   * @param {string} exceptFamilyId - ID sesi yang koneksinya dipertahankan (opsional)
+   */
+  disconnectUser(userId, exceptFamilyId = null) {
+    if (!this.parentNamespace) return;
+
+    const sockets = this.parentNamespace.in(familyRoom(userId));
+    (exceptFamilyId ? sockets.except(sessionRoom(exceptFamilyId)) : sockets).disconnectSockets(true);
+  }
+
+  /**
+   * Putuskan semua koneksi dan tutup server Socket.io
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.io) return Promise.resolve();
+
+    const io = this.io;
+    this.io = null;
+    this.parentNamespace = null;
+    this.deviceNamespace = null;
+
+    return new Promise((resolve) => {
+      io.disconnectSockets(true);
+      io.close(() => resolve());
+    });
+  }
+}
+
+// Singleton instance
+const realtimeGateway = new RealtimeGateway();
+
+module.exports = realtimeGateway;
+module.exports.EVENTS = EVENTS;
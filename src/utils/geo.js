@@ -0,0 +1,267 @@
+/**
+ * Perhitungan geografis untuk zona aman
+ *
+ * Jenis zona:
+ * - circle   : titik pusat (latitude, longitude) dan radius
+ * - polygon  : GeoJSON Polygon (mis. halaman sekolah), boleh berlubang
+ * - corridor : GeoJSON LineString (mis. rute jalan kaki pulang) dengan lebar buffer di kiri-kanan garis
+ *
+ * Koordinat GeoJSON berurutan [longitude, latitude]. Semua jarak dalam meter.
+ * Jarak ke zona bertanda: negatif berarti titik berada di dalam zona (sejauh itu dari batasnya),
+ * positif berarti di luar zona.
+ */
+
+// Radius bumi dalam meter
+const EARTH_RADIUS = 6371000;
+
+const ZONE_TYPES = ['circle', 'polygon', 'corridor'];
+
+// Batas jumlah titik geometri per zona
+const MAX_ZONE_VERTICES = 500;
+
+// Batas lebar buffer corridor (meter)
+const MAX_BUFFER_WIDTH = 5000;
+
+/**
+ * Konversi derajat ke radian
+ * @param {number} degrees - Sudut dalam derajat
+ * @returns {number}
+ */
+const toRad = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Jarak antara dua titik koordinat dengan formula Haversine
+ * @param {number} lat1 - Latitude titik pertama
+ * @param {number} lon1 - Longitude titik pertama
+ * @param {number} lat2 - Latitude titik kedua
+ * @param {number} lon2 - Longitude titik kedua
+ * @returns {number} Jarak dalam meter
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Proyeksikan posisi GeoJSON ke bidang datar (meter) berpusat di titik asal.
+ * Proyeksi equirectangular cukup akurat untuk zona seukuran kota.
+ * @param {number[]} position - [longitude, latitude]
+ * @param {number} originLatitude - Latitude titik asal
+ * @param {number} originLongitude - Longitude titik asal
+ * @returns {{x: number, y: number}}
+ */
+const project = ([lon, lat], originLatitude, originLongitude) => ({
+  x: toRad(lon - originLongitude) * EARTH_RADIUS * Math.cos(toRad(originLatitude)),
+  y: toRad(lat - originLatitude) * EARTH_RADIUS
+});
+
+/**
+ * Jarak dari titik asal (0, 0) ke segmen garis a-b pada bidang proyeksi
+ * @param {{x: number, y: number}} a - Ujung segmen
+ * @param {{x: number, y: number}} b - Ujung segmen
+ * @returns {number} Meter
+ */
+const distanceToSegment = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  // Posisi proyeksi titik asal pada segmen, dibatasi ke ujung-ujungnya
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+};
+
+/**
+ * Jarak terdekat dari titik ke sekumpulan garis (ring polygon atau polyline)
+ * @param {number[][][]} lines - Daftar garis, masing-masing daftar posisi [longitude, latitude]
+ * @param {number} latitude - Latitude titik
+ * @param {number} longitude - Longitude titik
+ * @returns {number} Meter
+ */
+const distanceToLines = (lines, latitude, longitude) => {
+  let nearest = Infinity;
+
+  for (const line of lines) {
+    const points = line.map((position) => project(position, latitude, longitude));
+
+    for (let i = 1; i < points.length; i++) {
+      nearest = Math.min(nearest, distanceToSegment(points[i - 1], points[i]));
+    }
+  }
+
+  return nearest;
+};
+
+/**
+ * Periksa apakah titik berada di dalam ring polygon (ray casting)
+ * @param {number[][]} ring - Posisi [longitude, latitude], tertutup
+ * @param {number} latitude - Latitude titik
+ * @param {number} longitude - Longitude titik
+ * @returns {boolean}
+ */
+const isInsideRing = (ring, latitude, longitude) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > latitude) !== (yj > latitude) &&
+        longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Jarak bertanda dari titik ke batas zona aman
+ * @param {Object} zone - Zona aman { type, latitude, longitude, radius, geometry, bufferWidth }
+ * @param {number} latitude - Latitude titik
+ * @param {number} longitude - Longitude titik
+ * @returns {number} Meter; negatif jika di dalam zona
+ */
+const distanceToZone = (zone, latitude, longitude) => {
+  switch (zone.type) {
+    case 'polygon': {
+      const [outer, ...holes] = zone.geometry.coordinates;
+      const inside = isInsideRing(outer, latitude, longitude) &&
+        !holes.some((hole) => isInsideRing(hole, latitude, longitude));
+      const distance = distanceToLines(zone.geometry.coordinates, latitude, longitude);
+
+      return inside ? -distance : distance;
+    }
+    case 'corridor':
+      return distanceToLines([zone.geometry.coordinates], latitude, longitude) - zone.bufferWidth;
+    default:
+      return calculateDistance(latitude, longitude, zone.latitude, zone.longitude) - zone.radius;
+  }
+};
+
+/**
+ * Periksa apakah titik berada di dalam zona aman
+ * @param {Object} zone - Zona aman
+ * @param {number} latitude - Latitude titik
+ * @param {number} longitude - Longitude titik
+ * @returns {boolean}
+ */
+const isInsideZone = (zone, latitude, longitude) => distanceToZone(zone, latitude, longitude) <= 0;
+
+/**
+ * Cari zona aman pertama yang memuat titik koordinat
+ * @param {Object[]} zones - Daftar zona aman
+ * @param {number} latitude - Latitude titik
+ * @param {number} longitude - Longitude titik
+ * @returns {Object|undefined} Zona yang memuat titik tersebut
+ */
+const findContainingZone = (zones, latitude, longitude) => {
+  return zones.find((zone) => isInsideZone(zone, latitude, longitude));
+};
+
+/**
+ * Periksa apakah nilai adalah posisi GeoJSON [longitude, latitude] yang valid
+ * @param {*} position - Nilai yang diperiksa
+ * @returns {boolean}
+ */
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+/**
+ * Periksa bentuk zona aman
+ * @param {Object} zone - { type, latitude, longitude, radius, geometry, bufferWidth }
+ * @returns {string|null} Pesan kesalahan, atau null jika valid
+ */
+const validateZoneShape = ({ type, latitude, longitude, radius, geometry, bufferWidth }) => {
+  switch (type) {
+    case 'circle':
+      if (typeof latitude !== 'number' || typeof longitude !== 'number' || !isPosition([longitude, latitude])) {
+        return 'Koordinat pusat zona tidak valid';
+      }
+      if (typeof radius !== 'number' || radius <= 0) {
+        return 'Radius zona harus lebih dari 0 meter';
+      }
+      return null;
+    case 'polygon': {
+      const rings = geometry && geometry.type === 'Polygon' && Array.isArray(geometry.coordinates)
+        ? geometry.coordinates
+        : null;
+
+      if (!rings || rings.length === 0) {
+        return 'Zona polygon membutuhkan geometry GeoJSON bertipe Polygon';
+      }
+
+      for (const ring of rings) {
+        if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+          return 'Setiap ring polygon membutuhkan minimal 4 posisi [longitude, latitude]';
+        }
+
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+          return 'Ring polygon harus tertutup (posisi pertama dan terakhir sama)';
+        }
+      }
+
+      if (rings.reduce((total, ring) => total + ring.length, 0) > MAX_ZONE_VERTICES) {
+        return `Geometry zona maksimal ${MAX_ZONE_VERTICES} posisi`;
+      }
+      return null;
+    }
+    case 'corridor': {
+      const line = geometry && geometry.type === 'LineString' && Array.isArray(geometry.coordinates)
+        ? geometry.coordinates
+        : null;
+
+      if (!line || line.length < 2 || !line.every(isPosition)) {
+        return 'Zona corridor membutuhkan geometry GeoJSON bertipe LineString dengan minimal 2 posisi';
+      }
+      if (line.length > MAX_ZONE_VERTICES) {
+        return `Geometry zona maksimal ${MAX_ZONE_VERTICES} posisi`;
+      }
+      if (typeof bufferWidth !== 'number' || bufferWidth <= 0 || bufferWidth > MAX_BUFFER_WIDTH) {
+        return `Lebar buffer corridor harus 1-${MAX_BUFFER_WIDTH} meter`;
+      }
+      return null;
+    }
+    default:
+      return `Jenis zona tidak valid. Gunakan ${ZONE_TYPES.join(', ')}.`;
+  }
+};
+
+/**
+ * Titik acuan zona polygon atau corridor (rata-rata posisinya), disimpan di kolom
+ * latitude/longitude untuk memusatkan peta
+ * @param {Object} geometry - GeoJSON Polygon atau LineString yang sudah valid
+ * @returns {{latitude: number, longitude: number}}
+ */
+const zoneReferencePoint = (geometry) => {
+  // Posisi terakhir ring polygon sama dengan yang pertama, jadi tidak dihitung dua kali
+  const positions = geometry.type === 'Polygon'
+    ? geometry.coordinates[0].slice(0, -1)
+    : geometry.coordinates;
+
+  return {
+    latitude: positions.reduce((sum, [, lat]) => sum + lat, 0) / positions.length,
+    longitude: positions.reduce((sum, [lon]) => sum + lon, 0) / positions.length
+  };
+};
+
+module.exports = {
+  ZONE_TYPES,
+  calculateDistance,
+  distanceToZone,
+  isInsideZone,
+  findContainingZone,
+  validateZoneShape,
+  zoneReferencePoint
+};
@@ -0,0 +1,82 @@
+/**
+ * Format ekspor riwayat lokasi (gpx, kml, geojson, csv)
+ *
+ * Setiap format terdiri dari header, satu potongan teks per titik lokasi, dan footer, sehingga
+ * riwayat bisa ditulis ke response secara bertahap tanpa menyusun seluruh file di memori.
+ * Waktu ditulis dalam ISO 8601 (UTC) dan accuracy dalam meter.
+ */
+
+/**
+ * Escape teks untuk XML
+ * @param {string} value - Teks
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Normalisasi timestamp lokasi (string ISO di SQLite, Date di PostgreSQL)
+ * @param {string|Date} timestamp - Timestamp dari database
+ * @returns {string} ISO 8601
+ */
+const toIsoTime = (timestamp) => new Date(timestamp).toISOString();
+
+/**
+ * Periksa apakah titik lokasi memiliki accuracy
+ * @param {Object} location - Titik lokasi
+ * @returns {boolean}
+ */
+const hasAccuracy = (location) => location.accuracy !== null && location.accuracy !== undefined;
+
+const EXPORT_FORMATS = {
+  gpx: {
+    contentType: 'application/gpx+xml',
+    header: (child) => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<gpx version="1.1" creator="TRACAS" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tracas="urn:tracas:location">\n' +
+      `<trk><name>${escapeXml(child.name)}</name><trkseg>\n`,
+    row: (location) => `<trkpt lat="${location.latitude}" lon="${location.longitude}">` +
+      `<time>${toIsoTime(location.timestamp)}</time>` +
+      (hasAccuracy(location) ? `<extensions><tracas:accuracy>${location.accuracy}</tracas:accuracy></extensions>` : '') +
+      '</trkpt>\n',
+    footer: () => '</trkseg></trk>\n</gpx>\n'
+  },
+
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    header: (child) => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+      `<Document><name>${escapeXml(child.name)}</name>\n`,
+    row: (location) => '<Placemark>' +
+      `<TimeStamp><when>${toIsoTime(location.timestamp)}</when></TimeStamp>` +
+      (hasAccuracy(location) ? `<ExtendedData><Data name="accuracy"><value>${location.accuracy}</value></Data></ExtendedData>` : '') +
+      `<Point><coordinates>${location.longitude},${location.latitude}</coordinates></Point>` +
+      '</Placemark>\n',
+    footer: () => '</Document>\n</kml>\n'
+  },
+
+  geojson: {
+    contentType: 'application/geo+json',
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    row: (location, index) => (index > 0 ? ',\n' : '') + JSON.stringify({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+      properties: { timestamp: toIsoTime(location.timestamp), accuracy: location.accuracy ?? null }
+    }),
+    footer: () => '\n]}\n'
+  },
+
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => 'timestamp,latitude,longitude,accuracy\n',
+    row: (location) => `${toIsoTime(location.timestamp)},${location.latitude},${location.longitude},${hasAccuracy(location) ? location.accuracy : ''}\n`,
+    footer: () => ''
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS
+};
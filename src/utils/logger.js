@@ -97,6 +97,14 @@ securityLogger.logAuth = (success, message, data) => {
   }
 };
 
+// Helper function untuk log akses data yang ditolak (audit trail)
+securityLogger.logAccessDenied = (message, data) => {
+  securityLogger.warn(`ACCESS_DENIED: ${message}`, {
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+};
+
 // Helper function untuk log aktivitas admin
 securityLogger.logAdmin = (action, admin, data) => {
   securityLogger.info(`ADMIN_ACTION: ${action}`, {
@@ -132,7 +140,7 @@ const requestLogger = (req, res, next) => {
       userAgent: req.get('user-agent'),
       statusCode: res.statusCode,
       duration: `${duration}ms`,
-      userId: req.user ? req.user.id : undefined,
+      userId: req.user ? req.user.userId : undefined,
       role: req.user ? req.user.role : undefined,
     });
     
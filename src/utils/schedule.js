@@ -0,0 +1,172 @@
+/**
+ * Jadwal mingguan zona aman
+ *
+ * Format jadwal:
+ * {
+ *   timezone: 'Asia/Jakarta',
+ *   windows: [{ days: [1, 2, 3, 4, 5], startTime: '07:00', endTime: '14:00' }]
+ * }
+ *
+ * days memakai penomoran yang sama dengan pengaturan waktu layar: 0 = Minggu, 1 = Senin, dst.
+ * Jam dibaca di zona waktu jadwal, bukan zona waktu server. Jendela dengan endTime lebih awal
+ * dari startTime melewati tengah malam dan berakhir keesokan harinya.
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+
+// Batas jumlah jendela waktu per zona
+const MAX_WINDOWS = 20;
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Ubah jam "HH:MM" menjadi menit sejak tengah malam
+ * @param {string} time - Jam "HH:MM"
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Periksa apakah nama zona waktu IANA dikenali
+ * @param {string} timezone - Mis. 'Asia/Makassar'
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Hari dan jam lokal pada zona waktu tertentu
+ * @param {Date} date - Waktu
+ * @param {string} timezone - Zona waktu IANA
+ * @returns {{day: number, minutes: number, wallTime: number}} day 0 = Minggu, minutes sejak tengah malam,
+ *   wallTime tanggal dan jam lokal yang ditulis sebagai waktu UTC (ms)
+ */
+const localClock = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  const hours = parseInt(part('hour'));
+  const minutes = parseInt(part('minute'));
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: hours * 60 + minutes,
+    wallTime: Date.UTC(parseInt(part('year')), parseInt(part('month')) - 1, parseInt(part('day')), hours, minutes)
+  };
+};
+
+/**
+ * Ubah tanggal dan jam lokal menjadi waktu sebenarnya. Offset zona waktu dibaca dari Intl pada
+ * waktu itu sendiri, jadi jendela yang melewati pergantian DST tetap memiliki awal dan akhir yang benar.
+ * @param {number} wallTime - Tanggal dan jam lokal yang ditulis sebagai waktu UTC (ms)
+ * @param {string} timezone - Zona waktu IANA
+ * @returns {Date}
+ */
+const fromLocalTime = (wallTime, timezone) => {
+  let time = wallTime;
+
+  // Iterasi kedua mengoreksi tebakan pertama jika offset berubah di antara keduanya
+  for (let i = 0; i < 2; i++) {
+    time = wallTime - (localClock(new Date(time), timezone).wallTime - time);
+  }
+
+  return new Date(time);
+};
+
+/**
+ * Periksa format jadwal zona aman
+ * @param {Object} schedule - { timezone, windows }
+ * @returns {string|null} Pesan kesalahan, atau null jika valid
+ */
+const validateSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+    return 'Jadwal zona membutuhkan minimal satu jendela waktu';
+  }
+  if (schedule.windows.length > MAX_WINDOWS) {
+    return `Jadwal zona maksimal ${MAX_WINDOWS} jendela waktu`;
+  }
+  if (schedule.timezone !== undefined && (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone))) {
+    return 'Zona waktu jadwal tidak dikenali';
+  }
+
+  for (const window of schedule.windows) {
+    const { days, startTime, endTime } = window || {};
+
+    if (!Array.isArray(days) || days.length === 0 ||
+        !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return 'Hari jadwal harus berupa angka 0 (Minggu) sampai 6 (Sabtu)';
+    }
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+      return 'Jam jadwal harus berformat HH:MM';
+    }
+    if (startTime === endTime) {
+      return 'Jam mulai dan jam selesai jadwal tidak boleh sama';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Cari jendela jadwal yang sedang berlangsung
+ * @param {Object} schedule - Jadwal yang sudah valid
+ * @param {Date} date - Waktu yang diperiksa
+ * @returns {{startsAt: Date, endsAt: Date}|null} Jendela yang berlangsung, atau null
+ */
+const activeWindow = (schedule, date) => {
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  const { day, minutes, wallTime } = localClock(date, timezone);
+  const previousDay = (day + 6) % 7;
+  const midnight = wallTime - minutes * 60000;
+
+  for (const { days, startTime, endTime } of schedule.windows) {
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+    let startDay = null;
+
+    if (start < end) {
+      if (days.includes(day) && minutes >= start && minutes < end) startDay = midnight;
+    } else if (days.includes(day) && minutes >= start) {
+      startDay = midnight;
+    } else if (days.includes(previousDay) && minutes < end) {
+      // Lanjutan jendela semalam yang dimulai kemarin
+      startDay = midnight - MINUTES_PER_DAY * 60000;
+    }
+
+    if (startDay !== null) {
+      const endDay = start < end ? startDay : startDay + MINUTES_PER_DAY * 60000;
+
+      return {
+        startsAt: fromLocalTime(startDay + start * 60000, timezone),
+        endsAt: fromLocalTime(endDay + end * 60000, timezone)
+      };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  validateSchedule,
+  activeWindow
+};
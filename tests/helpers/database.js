@@ -0,0 +1,60 @@
+/**
+ * Database PostgreSQL di memori (pg-mem) untuk integration test
+ *
+ * Modul `pg` diganti dengan adapter pg-mem sebelum src/db/setup dimuat, sehingga migrasi dan
+ * repository berjalan lewat PostgresAdapter yang sama dengan produksi tanpa server PostgreSQL.
+ * Setiap file test berjalan di proses sendiri (node --test), jadi setiap file mendapat database kosong.
+ */
+
+const { mock } = require('node:test');
+const { newDb } = require('pg-mem');
+
+process.env.NODE_ENV = 'test';
+process.env.DB_TYPE = 'postgres';
+process.env.DATABASE_URL = 'postgres://test@localhost/cimoy_test';
+
+const memoryDb = newDb();
+const pgPath = require.resolve('pg');
+
+require.cache[pgPath] = {
+  id: pgPath,
+  filename: pgPath,
+  loaded: true,
+  exports: memoryDb.adapters.createPg()
+};
+
+// Log aplikasi dan pesan migrasi tidak ditulis ke stdout, yang dipakai runner untuk laporan test
+mock.method(console, 'log', () => {});
+require('../../src/utils/logger').silent = true;
+
+const db = require('../../src/db/setup');
+const migrator = require('../../src/db/migrator');
+const repositories = require('../../src/repositories');
+
+let sequence = 0;
+
+/**
+ * Buat pengguna orang tua untuk data test
+ * @param {string} prefix - Awalan username
+ * @param {Object} fields - Field yang ditimpa, mis. { passwordHash } untuk test login
+ * @returns {Promise<Object>} Data pengguna
+ */
+const createUser = async (prefix = 'ayah', fields = {}) => {
+  sequence++;
+
+  return repositories.usersRepository.create({
+    username: `${prefix}_${sequence}`,
+    email: `${prefix}${sequence}@example.com`,
+    name: `${prefix} ${sequence}`,
+    role: 'parent',
+    passwordHash: 'hash',
+    ...fields
+  });
+};
+
+module.exports = {
+  db,
+  migrator,
+  repositories,
+  createUser
+};
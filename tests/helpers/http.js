@@ -0,0 +1,51 @@
+/**
+ * Request dan response tiruan untuk menguji middleware Express tanpa server HTTP
+ */
+
+/**
+ * Buat request tiruan
+ * @param {Object} options - { token, params, body, query, method }
+ * @returns {Object} Request object
+ */
+const mockRequest = ({ token, params = {}, body = {}, query = {}, method = 'GET' } = {}) => ({
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  params,
+  body,
+  query,
+  method,
+  ip: '127.0.0.1',
+  path: '/test',
+  originalUrl: '/test'
+});
+
+/**
+ * Jalankan satu middleware dan tunggu sampai next() dipanggil atau response dikirim
+ * @param {Function} middleware - Middleware Express
+ * @param {Object} req - Request object (lihat mockRequest)
+ * @returns {Promise<{req: Object, status: number|null, body: Object|null, passed: boolean}>}
+ *   passed true jika middleware meneruskan request ke handler berikutnya
+ */
+const runMiddleware = (middleware, req) => new Promise((resolve, reject) => {
+  let status = null;
+
+  const res = {
+    status(code) {
+      status = code;
+      return res;
+    },
+    json(body) {
+      resolve({ req, status: status || 200, body, passed: false });
+      return res;
+    }
+  };
+
+  Promise.resolve(middleware(req, res, (error) => {
+    if (error) return reject(error);
+    resolve({ req, status, body: null, passed: true });
+  })).catch(reject);
+});
+
+module.exports = {
+  mockRequest,
+  runMiddleware
+};
@@ -0,0 +1,80 @@
+/**
+ * Penangkap SMTP lokal untuk test email
+ *
+ * Menerima email lewat SMTP di 127.0.0.1 (port acak) dan menyimpannya setelah di-parse,
+ * sehingga test bisa memeriksa email yang dikirim MailService lewat transport smtp sungguhan.
+ */
+
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+
+// Lama menunggu email tiba sebelum test dianggap gagal
+const WAIT_TIMEOUT_MS = 5000;
+
+/**
+ * Jalankan penangkap SMTP
+ * @returns {Promise<{port: number, messages: Object[], waitForMail: Function, close: Function}>}
+ */
+const startMailCatcher = async () => {
+  const messages = [];
+  const waiters = [];
+
+  /**
+   * Cari email untuk penerima dengan subjek tertentu
+   * @param {string} to - Alamat penerima
+   * @param {string} subject - Subjek email
+   * @returns {Object|undefined}
+   */
+  const findMail = (to, subject) => messages.find((mail) => mail.to.text === to && mail.subject === subject);
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      simpleParser(stream)
+        .then((mail) => {
+          messages.push(mail);
+          waiters.splice(0).forEach((wake) => wake());
+          callback();
+        })
+        .catch(callback);
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.server.address().port,
+    messages,
+
+    /**
+     * Tunggu sampai email untuk penerima dengan subjek tertentu diterima
+     * @param {string} to - Alamat penerima
+     * @param {string} subject - Subjek email
+     * @returns {Promise<Object>} Email hasil parse mailparser
+     */
+    async waitForMail(to, subject) {
+      const deadline = Date.now() + WAIT_TIMEOUT_MS;
+
+      while (!findMail(to, subject)) {
+        if (Date.now() > deadline) {
+          throw new Error(`Email "${subject}" untuk ${to} tidak diterima`);
+        }
+
+        await new Promise((resolve) => {
+          waiters.push(resolve);
+          setTimeout(resolve, 100);
+        });
+      }
+
+      return findMail(to, subject);
+    },
+
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startMailCatcher
+};
@@ -0,0 +1,249 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const { initSigningKeys } = require('../../src/security/jwt-keys');
+const commandRelayService = require('../../src/services/CommandRelayService');
+const { CommandError } = require('../../src/services/CommandRelayService');
+const deviceAuthService = require('../../src/services/DeviceAuthService');
+const tokenService = require('../../src/services/TokenService');
+const realtimeGateway = require('../../src/sockets');
+const commandsRoutes = require('../../src/routes/commands.routes');
+
+const { childrenRepository, deviceCommandsRepository } = repositories;
+
+let server;
+let baseUrl;
+let deviceSequence = 0;
+
+before(async () => {
+  await migrator.migrate();
+  await initSigningKeys();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/commands', commandsRoutes);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/commands`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await db.close();
+});
+
+/**
+ * Anak dengan perangkat terpasang beserta token orang tua dan token perangkat
+ * @returns {Promise<{parent: Object, child: Object, parentToken: string, deviceToken: string}>}
+ */
+const pairedChild = async () => {
+  const parent = await createUser();
+  const deviceId = `device-command-${++deviceSequence}`;
+  const created = await childrenRepository.create({ userId: parent.id, name: 'Adik' });
+  const child = await childrenRepository.pairDevice(created.id, { deviceId, deviceModel: 'Pixel', deviceOs: 'Android' });
+
+  const { accessToken: parentToken } = await tokenService.createSession(parent, 'parent-device');
+  const { accessToken: deviceToken } = await deviceAuthService.issueCredential(child, deviceId);
+
+  return { parent, child, parentToken, deviceToken };
+};
+
+/**
+ * Kirim request ke router perintah
+ * @param {string} path - Path relatif terhadap /api/commands
+ * @param {Object} options - { token, method, body }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+const request = async (path, { token, method = 'GET', body } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      authorization: `Bearer ${token}`,
+      ...(body ? { 'content-type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+/**
+ * Mundurkan expires_at perintah sehingga sudah lewat
+ * @param {string} commandId - ID perintah
+ */
+const expire = (commandId) => db.run(
+  'UPDATE device_commands SET expires_at = ? WHERE command_id = ?',
+  [new Date(Date.now() - 1000).toISOString(), commandId]
+);
+
+/**
+ * Periksa bahwa promise ditolak dengan CommandError berkode tertentu
+ * @param {Promise} promise - Promise yang diperiksa
+ * @param {string} code - Kode error yang diharapkan
+ */
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof CommandError);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('perintah ke perangkat online tetap queued sampai perangkat mengonfirmasi penerimaan', async (t) => {
+  const { parent, child } = await pairedChild();
+  const notifyDevice = t.mock.method(realtimeGateway, 'notifyDevice', () => true);
+  const notifyStatus = t.mock.method(commandRelayService, 'notifyStatus', () => {});
+
+  const { command, online } = await commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'ring' });
+
+  assert.equal(online, true);
+  assert.equal(command.status, 'queued');
+  assert.equal(command.deliveredAt, null);
+  assert.deepEqual(notifyDevice.mock.calls[0].arguments.slice(0, 2), [child.id, 'command']);
+
+  const received = await commandRelayService.markReceived(child, command.commandId);
+  assert.equal(received.status, 'delivered');
+  assert.ok(received.deliveredAt);
+
+  // Konfirmasi ganda tidak mengirim notifikasi status lagi
+  await commandRelayService.markReceived(child, command.commandId);
+  assert.deepEqual(notifyStatus.mock.calls.map((call) => call.arguments.slice(1)), [[command.commandId, 'delivered']]);
+
+  const acknowledged = await commandRelayService.completeCommand(child, command.commandId, {
+    status: 'acknowledged',
+    result: { rang: true }
+  });
+  assert.equal(acknowledged.status, 'acknowledged');
+  assert.deepEqual(acknowledged.result, { rang: true });
+
+  await rejectsWithCode(
+    commandRelayService.completeCommand(child, command.commandId, { status: 'failed' }),
+    'COMMAND_ALREADY_FINAL'
+  );
+  assert.equal((await commandRelayService.markReceived(child, command.commandId)).status, 'acknowledged');
+});
+
+test('perintah yang dikirim saat terhubung kembali baru delivered setelah dikonfirmasi', async (t) => {
+  const { parent, child } = await pairedChild();
+
+  const { command, online } = await commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'lock' });
+  assert.equal(online, false);
+
+  t.mock.method(realtimeGateway, 'notifyDevice', () => true);
+  assert.equal(await commandRelayService.deliverPending(child), 1);
+  assert.equal((await commandRelayService.getCommand(command.commandId)).status, 'queued');
+
+  // Tanpa konfirmasi, perintah dikirim ulang pada koneksi berikutnya
+  assert.equal(await commandRelayService.deliverPending(child), 1);
+
+  await commandRelayService.markReceived(child, command.commandId);
+  assert.equal(await commandRelayService.deliverPending(child), 0);
+});
+
+test('polling menandai perintah delivered dan tidak mengembalikannya lagi', async () => {
+  const { parent, child } = await pairedChild();
+  const { command } = await commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'sync-apps', payload: { full: true } });
+
+  const polled = await commandRelayService.pollForDevice(child);
+  assert.deepEqual(polled, [{
+    commandId: command.commandId,
+    type: 'sync-apps',
+    payload: { full: true },
+    expiresAt: command.expiresAt
+  }]);
+  assert.equal((await commandRelayService.getCommand(command.commandId)).status, 'delivered');
+  assert.deepEqual(await commandRelayService.pollForDevice(child), []);
+
+  // Perangkat boleh langsung melaporkan hasil tanpa konfirmasi penerimaan terpisah
+  const failed = await commandRelayService.completeCommand(child, command.commandId, { status: 'failed', error: 'Tidak ada jaringan' });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Tidak ada jaringan');
+});
+
+test('perintah yang melewati TTL menjadi expired dan tidak bisa dikirim atau diselesaikan', async (t) => {
+  const { parent, child } = await pairedChild();
+  const queued = (await commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'ring', ttlSeconds: 30 })).command;
+  const delivered = (await commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'lock' })).command;
+  await commandRelayService.pollForDevice(child);
+  const fresh = (await commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'refresh-location' })).command;
+
+  await expire(queued.commandId);
+  await expire(delivered.commandId);
+
+  const polled = await commandRelayService.pollForDevice(child);
+  assert.deepEqual(polled.map((command) => command.commandId), [fresh.commandId]);
+
+  for (const { commandId } of [queued, delivered]) {
+    const command = await commandRelayService.getCommand(commandId);
+    assert.equal(command.status, 'expired');
+    assert.ok(command.completedAt);
+
+    await rejectsWithCode(commandRelayService.completeCommand(child, commandId, { status: 'acknowledged' }), 'COMMAND_ALREADY_FINAL');
+    assert.equal((await commandRelayService.markReceived(child, commandId)).status, 'expired');
+  }
+
+  const notifyDevice = t.mock.method(realtimeGateway, 'notifyDevice', () => true);
+  assert.equal(await commandRelayService.deliverPending(child), 0);
+  assert.equal(notifyDevice.mock.callCount(), 0);
+
+  assert.deepEqual(
+    (await commandRelayService.listCommands(child.id, { status: 'expired' })).map((command) => command.commandId).sort(),
+    [queued.commandId, delivered.commandId].sort()
+  );
+});
+
+test('queueCommand menolak jenis perintah dan TTL yang tidak valid', async () => {
+  const { parent, child } = await pairedChild();
+  const queue = (data) => commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'ring', ...data });
+
+  await rejectsWithCode(queue({ type: 'wipe' }), 'INVALID_COMMAND_TYPE');
+  await rejectsWithCode(queue({ ttlSeconds: 29 }), 'INVALID_TTL');
+  await rejectsWithCode(queue({ ttlSeconds: 24 * 60 * 60 + 1 }), 'INVALID_TTL');
+  await rejectsWithCode(queue({ ttlSeconds: 60.5 }), 'INVALID_TTL');
+  assert.deepEqual(await deviceCommandsRepository.findByChild(child.id), []);
+});
+
+test('perangkat hanya bisa mengonfirmasi dan menyelesaikan perintah untuk anaknya sendiri', async () => {
+  const { parent, child } = await pairedChild();
+  const other = await pairedChild();
+  const { command } = await commandRelayService.queueCommand({ child, issuedBy: parent.id, type: 'ring' });
+
+  await rejectsWithCode(commandRelayService.markReceived(other.child, command.commandId), 'COMMAND_NOT_FOUND');
+  await rejectsWithCode(commandRelayService.completeCommand(other.child, command.commandId, { status: 'acknowledged' }), 'COMMAND_NOT_FOUND');
+  assert.equal((await commandRelayService.getCommand(command.commandId)).status, 'queued');
+});
+
+test('GET /api/commands/:commandId bisa dibaca orang tua dan perangkat pemilik perintah', async () => {
+  const { child, parentToken, deviceToken } = await pairedChild();
+  const other = await pairedChild();
+
+  const sent = await request(`/child/${child.id}`, { token: parentToken, method: 'POST', body: { type: 'ring' } });
+  assert.equal(sent.status, 202);
+  assert.equal(sent.body.data.status, 'queued');
+  const { commandId } = sent.body.data;
+
+  const byParent = await request(`/${commandId}`, { token: parentToken });
+  assert.equal(byParent.status, 200);
+  assert.equal(byParent.body.data.commandId, commandId);
+
+  const byDevice = await request(`/${commandId}`, { token: deviceToken });
+  assert.equal(byDevice.status, 200);
+  assert.equal(byDevice.body.data.status, 'queued');
+
+  const polled = await request('/poll', { token: deviceToken });
+  assert.deepEqual(polled.body.data.map((command) => command.commandId), [commandId]);
+  assert.equal((await request(`/${commandId}`, { token: deviceToken })).body.data.status, 'delivered');
+
+  const acked = await request(`/${commandId}/ack`, { token: deviceToken, method: 'POST', body: { status: 'acknowledged' } });
+  assert.equal(acked.body.data.status, 'acknowledged');
+  assert.equal((await request(`/${commandId}`, { token: parentToken })).body.data.status, 'acknowledged');
+
+  // Perangkat lain dan orang tua lain tidak bisa membaca perintah ini
+  assert.equal((await request(`/${commandId}`, { token: other.deviceToken })).body.code, 'CHILD_ACCESS_DENIED');
+  assert.equal((await request(`/${commandId}`, { token: other.parentToken })).body.code, 'CHILD_ACCESS_DENIED');
+
+  // Token perangkat tetap tidak bisa mengirim perintah
+  const fromDevice = await request(`/child/${child.id}`, { token: deviceToken, method: 'POST', body: { type: 'ring' } });
+  assert.equal(fromDevice.status, 403);
+  assert.equal(fromDevice.body.code, 'INSUFFICIENT_SCOPE');
+});
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const { mockRequest, runMiddleware } = require('../helpers/http');
+const { initSigningKeys } = require('../../src/security/jwt-keys');
+const { verifyToken } = require('../../src/security/jwt');
+const deviceAuthService = require('../../src/services/DeviceAuthService');
+const { DeviceAuthError, DEVICE_SCOPES } = require('../../src/services/DeviceAuthService');
+const pairingService = require('../../src/services/PairingService');
+const { authenticate, requireChildAccess } = require('../../src/middlewares/auth.middleware');
+
+const { childrenRepository, deviceCredentialsRepository } = repositories;
+
+let deviceSequence = 0;
+
+before(async () => {
+  await migrator.migrate();
+  await initSigningKeys();
+});
+after(() => db.close());
+
+/**
+ * ID perangkat unik per test
+ * @returns {string}
+ */
+const nextDeviceId = () => `device-auth-${++deviceSequence}`;
+
+/**
+ * Pasangkan perangkat baru ke anak lewat kode pairing
+ * @param {Object} child - Data anak
+ * @param {Object} parent - Orang tua yang membuat kode
+ * @returns {Promise<{child: Object, tokens: Object, deviceId: string}>}
+ */
+const pair = async (child, parent) => {
+  const deviceId = nextDeviceId();
+  const { code } = await pairingService.createCode({ child, createdBy: parent.id, serverUrl: 'https://api.example.com' });
+  const result = await pairingService.redeemCode({ code, deviceId });
+
+  return { ...result, deviceId };
+};
+
+/**
+ * Anak baru dengan perangkat terpasang
+ * @returns {Promise<{parent: Object, child: Object, tokens: Object, deviceId: string}>}
+ */
+const pairedChild = async () => {
+  const parent = await createUser();
+  const child = await childrenRepository.create({ userId: parent.id, name: 'Adik' });
+
+  return { parent, ...await pair(child, parent) };
+};
+
+/**
+ * Periksa bahwa promise ditolak karena kredensial perangkat tidak berlaku
+ * @param {Promise} promise - Promise yang diperiksa
+ */
+const rejectsCredential = (promise) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof DeviceAuthError);
+  assert.equal(error.status, 401);
+  assert.equal(error.code, 'INVALID_DEVICE_CREDENTIAL');
+  return true;
+});
+
+/**
+ * Jalankan authenticate dan requireChildAccess seperti rute upload lokasi perangkat
+ * @param {string} token - Access token perangkat
+ * @param {number} childId - ID anak
+ * @returns {Promise<Object>} Hasil runMiddleware terakhir yang dijalankan
+ */
+const accessChild = async (token, childId) => {
+  const auth = await runMiddleware(authenticate({ scope: 'location:write' }), mockRequest({ token, params: { childId: String(childId) } }));
+  if (!auth.passed) return auth;
+
+  return runMiddleware(requireChildAccess('childId'), auth.req);
+};
+
+test('refresh menukar kredensial perangkat dengan access token ber-scope', async () => {
+  const { child, tokens, deviceId } = await pairedChild();
+
+  const refreshed = await deviceAuthService.refresh(tokens.refreshToken);
+  const payload = verifyToken(refreshed.accessToken);
+
+  assert.deepEqual(refreshed.scope, DEVICE_SCOPES);
+  assert.equal(payload.role, 'device');
+  assert.equal(payload.childId, child.id);
+  assert.equal(payload.deviceId, deviceId);
+  assert.equal(payload.credentialId, verifyToken(tokens.accessToken).credentialId);
+  assert.ok((await deviceCredentialsRepository.findById(payload.credentialId)).lastUsedAt);
+
+  assert.equal((await accessChild(refreshed.accessToken, child.id)).passed, true);
+});
+
+test('refresh menolak kredensial dengan format atau secret yang salah', async () => {
+  const { tokens } = await pairedChild();
+  const [prefix] = tokens.refreshToken.split('.');
+
+  await rejectsCredential(deviceAuthService.refresh(`${prefix}.bukan-secret-yang-benar`));
+  await rejectsCredential(deviceAuthService.refresh('dc_tanpa-secret'));
+  await rejectsCredential(deviceAuthService.refresh(tokens.refreshToken.slice(3)));
+  await rejectsCredential(deviceAuthService.refresh(undefined));
+
+  assert.ok(await deviceAuthService.refresh(tokens.refreshToken));
+});
+
+test('memasangkan perangkat baru mencabut kredensial perangkat lama', async () => {
+  const old = await pairedChild();
+  const replacement = await pair(old.child, old.parent);
+
+  assert.ok((await deviceCredentialsRepository.findById(verifyToken(old.tokens.accessToken).credentialId)).revokedAt);
+  await rejectsCredential(deviceAuthService.refresh(old.tokens.refreshToken));
+
+  // Access token perangkat lama langsung ditolak, perangkat baru tetap bisa mengakses
+  const denied = await accessChild(old.tokens.accessToken, old.child.id);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, 'CHILD_ACCESS_DENIED');
+  assert.equal((await accessChild(replacement.tokens.accessToken, old.child.id)).passed, true);
+  assert.ok(await deviceAuthService.refresh(replacement.tokens.refreshToken));
+});
+
+test('unpair mencabut kredensial dan access token perangkat', async () => {
+  const { child, tokens } = await pairedChild();
+
+  await pairingService.unpair(child);
+
+  await rejectsCredential(deviceAuthService.refresh(tokens.refreshToken));
+  assert.equal((await accessChild(tokens.accessToken, child.id)).status, 403);
+});
+
+test('refresh ditolak setelah perangkat diganti tanpa lewat pairing, dan kredensialnya dicabut', async () => {
+  const { child, tokens } = await pairedChild();
+
+  // Mis. device_id anak diubah langsung di database atau perangkat dipindahkan oleh admin
+  await childrenRepository.pairDevice(child.id, { deviceId: nextDeviceId(), deviceModel: 'Pixel', deviceOs: 'Android' });
+
+  await rejectsCredential(deviceAuthService.refresh(tokens.refreshToken));
+  assert.equal(await deviceCredentialsRepository.isActive(verifyToken(tokens.accessToken).credentialId), false);
+});
+
+test('access token perangkat tidak bisa dipakai di rute tanpa scope perangkat', async () => {
+  const { tokens } = await pairedChild();
+
+  const result = await runMiddleware(authenticate(), mockRequest({ token: tokens.accessToken }));
+  assert.equal(result.status, 403);
+  assert.equal(result.body.code, 'INSUFFICIENT_SCOPE');
+});
@@ -0,0 +1,196 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const geofenceService = require('../../src/services/GeofenceService');
+const { observeZone, transition } = require('../../src/services/GeofenceService');
+
+const { childrenRepository, locationRepository, geofenceRepository, notificationsRepository } = repositories;
+
+// Satu derajat latitude dalam meter, untuk menggeser titik ke utara pusat zona
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+const MINUTE = 60 * 1000;
+
+const HOME = { name: 'Rumah', type: 'circle', latitude: -6.2, longitude: 106.8, radius: 100 };
+
+/**
+ * Lokasi sejauh meters di utara pusat HOME
+ * @param {number} meters - Jarak dari pusat
+ * @param {number} accuracy - Accuracy lokasi (meter)
+ * @returns {Object}
+ */
+const fixAt = (meters, accuracy = 10) => ({
+  latitude: HOME.latitude + meters / METERS_PER_DEGREE,
+  longitude: HOME.longitude,
+  accuracy
+});
+
+// Senin 19 Oktober 2026 08:00 WIB, satu jam setelah jendela sekolah dimulai
+const SCHOOL_HOURS_NOW = Date.parse('2026-10-19T01:00:00.000Z');
+
+const SCHOOL_SCHEDULE = {
+  timezone: 'Asia/Jakarta',
+  windows: [{ days: [1, 2, 3, 4, 5], startTime: '07:00', endTime: '14:00' }]
+};
+
+before(() => migrator.migrate());
+after(() => db.close());
+
+/**
+ * Buat anak dengan satu zona sekolah berjadwal
+ * @returns {Promise<{owner: Object, child: Object, zone: Object}>}
+ */
+const createScheduledZone = async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({ userId: owner.id, name: 'Adik', maxScreenTime: 120 });
+  const zone = await locationRepository.createSafeZone({
+    childId: child.id,
+    name: 'Sekolah',
+    latitude: -6.2,
+    longitude: 106.8,
+    radius: 200,
+    schedule: SCHOOL_SCHEDULE
+  });
+
+  return { owner, child, zone };
+};
+
+test('checkScheduledAbsences tidak memperingatkan anak yang sudah di dalam zona sebelum jendela dimulai', async () => {
+  const { owner, child, zone } = await createScheduledZone();
+  await geofenceRepository.saveState({
+    childId: child.id,
+    zoneId: zone.id,
+    state: 'inside',
+    enteredAt: '2026-10-18T23:30:00.000Z'
+  });
+
+  const events = await geofenceService.checkScheduledAbsences(SCHOOL_HOURS_NOW);
+
+  assert.equal(events.some((event) => event.childId === child.id), false);
+  assert.deepEqual(await geofenceRepository.findEvents(child.id), []);
+  assert.deepEqual(await notificationsRepository.findByUser(owner.id), []);
+});
+
+test('checkScheduledAbsences memperingatkan anak di luar zona sekali untuk setiap jendela', async () => {
+  const { owner, child, zone } = await createScheduledZone();
+  await geofenceRepository.saveState({ childId: child.id, zoneId: zone.id, state: 'outside' });
+
+  const events = (await geofenceService.checkScheduledAbsences(SCHOOL_HOURS_NOW)).filter((event) => event.childId === child.id);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'absence');
+  assert.equal(events[0].severity, 'medium');
+
+  const [notification] = await notificationsRepository.findByUser(owner.id);
+  assert.equal(notification.type, 'safe_zone_absence');
+
+  const again = await geofenceService.checkScheduledAbsences(SCHOOL_HOURS_NOW + 60 * 1000);
+  assert.equal(again.some((event) => event.childId === child.id), false);
+});
+
+test('checkScheduledAbsences menunggu masa toleransi sejak jendela dimulai', async () => {
+  const { child, zone } = await createScheduledZone();
+  await geofenceRepository.saveState({ childId: child.id, zoneId: zone.id, state: 'outside' });
+
+  // 07:10 WIB, masih dalam toleransi 15 menit
+  const events = await geofenceService.checkScheduledAbsences(Date.parse('2026-10-19T00:10:00.000Z'));
+
+  assert.equal(events.some((event) => event.childId === child.id), false);
+});
+
+test('observeZone memakai batas zona untuk masuk dan EXIT_MARGIN 50 m untuk keluar', () => {
+  assert.equal(observeZone(HOME, fixAt(95)), 'inside');
+  assert.equal(observeZone(HOME, fixAt(99.9)), 'inside');
+
+  // Di luar batas tetapi belum melewati margin keluar: belum menentukan status
+  assert.equal(observeZone(HOME, fixAt(130)), null);
+  assert.equal(observeZone(HOME, fixAt(149)), null);
+  assert.equal(observeZone(HOME, fixAt(152)), 'outside');
+});
+
+test('observeZone memperlebar margin keluar sesuai accuracy lokasi', () => {
+  assert.equal(observeZone(HOME, fixAt(160, 80)), null);
+  assert.equal(observeZone(HOME, fixAt(185, 80)), 'outside');
+});
+
+test('transition baru mengubah status setelah dua lokasi berturut-turut setuju', () => {
+  const now = Date.parse('2026-10-19T01:00:00.000Z');
+  const inside = { childId: 1, zoneId: 1, state: 'inside', enteredAt: new Date(now).toISOString() };
+
+  const first = transition(inside, 'outside', now, null);
+  assert.equal(first.event, null);
+  assert.equal(first.next.state, 'inside');
+  assert.equal(first.next.candidateCount, 1);
+
+  // Lokasi di pita hysteresis tidak membatalkan maupun menambah calon perubahan
+  const banded = transition(first.next, null, now, null);
+  assert.equal(banded.event, null);
+  assert.equal(banded.next.candidateCount, 1);
+
+  const second = transition(banded.next, 'outside', now, null);
+  assert.equal(second.event, 'exit');
+  assert.equal(second.next.state, 'outside');
+  assert.equal(second.next.candidateState, null);
+  assert.equal(second.next.enteredAt, null);
+});
+
+test('transition membatalkan calon perubahan saat lokasi kembali setuju dengan status sekarang', () => {
+  const now = Date.parse('2026-10-19T01:00:00.000Z');
+  const outside = { childId: 1, zoneId: 1, state: 'outside' };
+
+  const jump = transition(outside, 'inside', now, null);
+  const back = transition(jump.next, 'outside', now, null);
+  assert.equal(back.next.candidateState, null);
+  assert.equal(back.next.candidateCount, 0);
+
+  const again = transition(back.next, 'inside', now, null);
+  assert.equal(again.event, null);
+
+  const enter = transition(again.next, 'inside', now, null);
+  assert.equal(enter.event, 'enter');
+  assert.equal(enter.next.enteredAt, new Date(now).toISOString());
+});
+
+test('transition mengirim dwell sekali setelah 10 menit di dalam zona', () => {
+  const enteredAt = Date.parse('2026-10-19T01:00:00.000Z');
+  const inside = { childId: 1, zoneId: 1, state: 'inside', enteredAt: new Date(enteredAt).toISOString() };
+
+  assert.equal(transition(inside, 'inside', enteredAt + 9 * MINUTE, null).event, null);
+
+  const dwell = transition(inside, 'inside', enteredAt + 10 * MINUTE, null);
+  assert.equal(dwell.event, 'dwell');
+  assert.equal(dwell.next.dwellNotifiedAt, new Date(enteredAt + 10 * MINUTE).toISOString());
+
+  assert.equal(transition(dwell.next, 'inside', enteredAt + 30 * MINUTE, null).event, null);
+});
+
+test('evaluate mengabaikan lokasi dengan accuracy lebih buruk dari 100 m', async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({ userId: owner.id, name: 'Adik', maxScreenTime: 120 });
+  const zone = await locationRepository.createSafeZone({ childId: child.id, ...HOME });
+
+  const ignored = await geofenceService.evaluate(child, { id: null, ...fixAt(0, 101) }, [zone]);
+  assert.deepEqual(ignored, { evaluated: false, events: [] });
+  assert.equal(await geofenceRepository.findState(child.id, zone.id), null);
+
+  const accepted = await geofenceService.evaluate(child, { id: null, ...fixAt(0, 100) }, [zone]);
+  assert.equal(accepted.evaluated, true);
+  assert.equal((await geofenceRepository.findState(child.id, zone.id)).state, 'inside');
+});
+
+test('evaluate menyimpan event exit dan notifikasi setelah dua lokasi di luar zona', async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({ userId: owner.id, name: 'Adik', maxScreenTime: 120 });
+  const zone = await locationRepository.createSafeZone({ childId: child.id, ...HOME });
+
+  assert.deepEqual((await geofenceService.evaluate(child, { id: null, ...fixAt(0) }, [zone])).events, []);
+  assert.deepEqual((await geofenceService.evaluate(child, { id: null, ...fixAt(300) }, [zone])).events, []);
+
+  const { events } = await geofenceService.evaluate(child, { id: null, ...fixAt(300) }, [zone]);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'exit');
+  assert.equal(events[0].severity, 'low');
+
+  const [notification] = await notificationsRepository.findByUser(owner.id);
+  assert.equal(notification.type, 'safe_zone_exit');
+  assert.equal(notification.message, 'Adik meninggalkan Rumah');
+});
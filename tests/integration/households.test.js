@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const { mockRequest, runMiddleware } = require('../helpers/http');
+const householdService = require('../../src/services/HouseholdService');
+const { HouseholdError, PERMISSIONS } = require('../../src/services/HouseholdService');
+const { requireChildAccess } = require('../../src/middlewares/auth.middleware');
+
+const { householdsRepository, childrenRepository } = repositories;
+
+before(() => migrator.migrate());
+after(() => db.close());
+
+/**
+ * Keluarga berisi satu anak dan satu wali dengan role tertentu
+ * @param {string} role - Role wali
+ * @param {string[]|null} permissions - Izin untuk role custom
+ * @returns {Promise<{household: Object, child: Object, owner: Object, guardian: Object}>}
+ */
+const householdWith = async (role, permissions = null) => {
+  const owner = await createUser();
+  const guardian = await createUser('wali');
+  const household = await householdsRepository.create({ name: 'Keluarga Test', ownerId: owner.id });
+  const child = await childrenRepository.create({ userId: owner.id, householdId: household.id, name: 'Adik' });
+
+  await householdsRepository.addMember({ householdId: household.id, userId: guardian.id, role, permissions });
+
+  return { household, child, owner, guardian };
+};
+
+/**
+ * Jalankan requireChildAccess sebagai orang tua tertentu
+ * @param {Object} user - Data pengguna
+ * @param {string|Function} source - Sumber ID anak (lihat requireChildAccess)
+ * @param {Object} options - { params, permission }
+ * @returns {Promise<Object>} Hasil runMiddleware
+ */
+const accessAs = (user, source, { params = {}, permission } = {}) => {
+  const req = mockRequest({ params });
+  req.user = { userId: user.id, role: 'parent' };
+  req.userId = user.id;
+
+  return runMiddleware(requireChildAccess(source, { permission }), req);
+};
+
+/**
+ * Periksa bahwa pemanggilan gagal dengan HouseholdError berkode tertentu
+ * @param {Function} fn - Fungsi yang dipanggil
+ * @param {string} code - Kode error yang diharapkan
+ */
+const rejectsWithCode = (fn, code) => assert.rejects(async () => fn(), (error) => {
+  assert.ok(error instanceof HouseholdError);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('role bawaan memberikan izin sesuai ROLE_PERMISSIONS', async () => {
+  const { household, owner, guardian } = await householdWith('viewer');
+  const coParent = await createUser('ibu');
+  await householdsRepository.addMember({ householdId: household.id, userId: coParent.id, role: 'co_parent' });
+
+  assert.deepEqual(await householdService.getPermissions(owner.id, household.id), PERMISSIONS);
+  assert.deepEqual(
+    await householdService.getPermissions(coParent.id, household.id),
+    PERMISSIONS.filter((permission) => permission !== 'household:manage')
+  );
+  assert.deepEqual(
+    await householdService.getPermissions(guardian.id, household.id),
+    PERMISSIONS.filter((permission) => permission.endsWith(':view'))
+  );
+  assert.deepEqual(await householdService.getPermissions((await createUser('tamu')).id, household.id), []);
+});
+
+test('viewer boleh melihat data anak tetapi tidak boleh mengirim perintah atau mengubah zona aman', async () => {
+  const { child, guardian } = await householdWith('viewer');
+  const params = { childId: String(child.id) };
+
+  for (const permission of ['child:view', 'location:view', 'commands:view']) {
+    const result = await accessAs(guardian, 'childId', { params, permission });
+    assert.equal(result.passed, true, permission);
+    assert.equal(result.req.child.id, child.id);
+  }
+
+  for (const permission of ['commands:send', 'location:manage']) {
+    const result = await accessAs(guardian, 'childId', { params, permission });
+    assert.equal(result.passed, false, permission);
+    assert.equal(result.status, 403);
+    assert.equal(result.body.code, 'CHILD_ACCESS_DENIED');
+  }
+
+  // Zona aman diubah lewat resolver ID anak dari resource, dengan hasil yang sama
+  const viaZone = await accessAs(guardian, async () => child.id, { permission: 'location:manage' });
+  assert.equal(viaZone.status, 403);
+});
+
+test('izin role custom dihormati dan selalu mencakup child:view', async () => {
+  const { household, child, guardian } = await householdWith('viewer');
+  const params = { childId: String(child.id) };
+
+  const member = await householdService.updateMember(household, guardian.id, {
+    role: 'custom',
+    permissions: ['location:view', 'location:manage', 'location:manage']
+  });
+  assert.deepEqual(member.permissions, ['child:view', 'location:view', 'location:manage']);
+
+  assert.equal((await accessAs(guardian, 'childId', { params, permission: 'location:manage' })).passed, true);
+  assert.equal((await accessAs(guardian, 'childId', { params, permission: 'child:view' })).passed, true);
+  assert.equal((await accessAs(guardian, 'childId', { params, permission: 'commands:send' })).status, 403);
+  assert.equal((await accessAs(guardian, 'childId', { params, permission: 'screen_time:view' })).status, 403);
+
+  assert.deepEqual(
+    (await householdService.listChildren(guardian.id, 'location:manage')).map((c) => c.id),
+    [child.id]
+  );
+  assert.deepEqual(await householdService.listChildren(guardian.id, 'commands:send'), []);
+});
+
+test('anak keluarga lain dan anak yang tidak ada ditolak dengan response yang sama', async () => {
+  const { guardian } = await householdWith('co_parent');
+  const other = await householdWith('co_parent');
+
+  const foreign = await accessAs(guardian, 'childId', { params: { childId: String(other.child.id) } });
+  const missing = await accessAs(guardian, 'childId', { params: { childId: '999999' } });
+
+  assert.equal(foreign.status, 403);
+  assert.deepEqual(missing.body, foreign.body);
+
+  const invalid = await accessAs(guardian, 'childId', { params: { childId: 'abc' } });
+  assert.equal(invalid.status, 400);
+});
+
+test('normalizeAccess menolak role owner, role tidak dikenal, dan izin custom yang tidak valid', async () => {
+  const { household, owner, guardian } = await householdWith('viewer');
+  const update = (access) => householdService.updateMember(household, guardian.id, access);
+
+  await rejectsWithCode(() => update({ role: 'owner' }), 'INVALID_ROLE');
+  await rejectsWithCode(() => update({ role: 'admin' }), 'INVALID_ROLE');
+  await rejectsWithCode(() => update({ role: 'custom', permissions: [] }), 'INVALID_PERMISSIONS');
+  await rejectsWithCode(() => update({ role: 'custom', permissions: ['household:manage'] }), 'INVALID_PERMISSIONS');
+  await rejectsWithCode(() => update({ role: 'custom', permissions: ['location:delete'] }), 'INVALID_PERMISSIONS');
+  await rejectsWithCode(() => householdService.updateMember(household, owner.id, { role: 'viewer' }), 'CANNOT_CHANGE_OWNER');
+
+  // Izin role bawaan tidak disimpan per anggota
+  const coParent = await update({ role: 'co_parent', permissions: ['location:view'] });
+  assert.equal(coParent.role, 'co_parent');
+  assert.equal((await householdsRepository.findMember(household.id, guardian.id)).permissions, null);
+  assert.equal(await householdService.hasPermission(guardian.id, household.id, 'commands:send'), true);
+});
@@ -0,0 +1,224 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const { initSigningKeys } = require('../../src/security/jwt-keys');
+const loginLockoutService = require('../../src/services/LoginLockoutService');
+const { LockoutError } = require('../../src/services/LoginLockoutService');
+const accountService = require('../../src/services/AccountService');
+const mailService = require('../../src/services/MailService');
+
+const { loginAttemptsRepository, securityEventsRepository, usersRepository } = repositories;
+
+let ipSequence = 0;
+
+before(async () => {
+  await migrator.migrate();
+  await initSigningKeys();
+});
+after(() => db.close());
+
+/**
+ * IP unik per test agar hitungan IP tidak saling memengaruhi
+ * @returns {string}
+ */
+const nextIp = () => `10.0.0.${++ipSequence}`;
+
+/**
+ * Catat sejumlah login gagal berturut-turut untuk satu akun
+ * @param {Object} attempt - { userId, identifier, ip }
+ * @param {number} count - Jumlah kegagalan
+ * @returns {Promise<Object>} Hasil recordFailure terakhir
+ */
+const failTimes = async (attempt, count) => {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await loginLockoutService.recordFailure(attempt);
+  }
+  return result;
+};
+
+/**
+ * Hasil assertCanAttempt: null jika diizinkan, atau { code, status, retryAfter }
+ * @param {Object} attempt - { userId, identifier, ip }
+ * @returns {Promise<Object|null>}
+ */
+const attemptResult = async (attempt) => {
+  try {
+    await loginLockoutService.assertCanAttempt(attempt);
+    return null;
+  } catch (error) {
+    assert.ok(error instanceof LockoutError);
+    return { code: error.code, status: error.status, retryAfter: error.retryAfter };
+  }
+};
+
+test('jeda antar percobaan akun berlipat setelah 3 kegagalan pertama', async () => {
+  const user = await createUser();
+  const attempt = { userId: user.id, identifier: user.username, ip: nextIp() };
+
+  await failTimes(attempt, 3);
+  assert.equal(await attemptResult(attempt), null);
+
+  for (const expected of [1, 2, 4, 8, 16, 32]) {
+    await loginLockoutService.recordFailure(attempt);
+    assert.deepEqual(await attemptResult(attempt), { code: 'LOGIN_DELAYED', status: 429, retryAfter: expected });
+  }
+});
+
+test('akun dikunci 30 menit setelah 10 kegagalan dan dicatat di riwayat keamanan', async () => {
+  const user = await createUser();
+  const attempt = { userId: user.id, identifier: user.email, ip: nextIp() };
+
+  const { accountLockedUntil: notYet } = await failTimes(attempt, 9);
+  assert.equal(notYet, null);
+
+  const { accountLockedUntil } = await loginLockoutService.recordFailure(attempt);
+  const lockSeconds = (new Date(accountLockedUntil).getTime() - Date.now()) / 1000;
+  assert.ok(lockSeconds > 29 * 60 && lockSeconds <= 30 * 60);
+
+  const result = await attemptResult(attempt);
+  assert.equal(result.code, 'ACCOUNT_LOCKED');
+  assert.equal(result.status, 423);
+
+  // Kunci berlaku untuk akun, dari IP mana pun
+  assert.equal((await attemptResult({ ...attempt, ip: nextIp() })).code, 'ACCOUNT_LOCKED');
+
+  const [event] = await securityEventsRepository.findByUser(user.id);
+  assert.equal(event.type, 'account_locked');
+  assert.equal((await loginLockoutService.listLockedAccounts()).filter((account) => account.userId === user.id).length, 1);
+});
+
+test('IP diberi jeda setelah 10 kegagalan dan dikunci setelah 50, lintas akun', async () => {
+  const ip = nextIp();
+  const attemptFor = (i) => ({ userId: null, identifier: `tidak-ada-${ip}-${i}`, ip });
+
+  for (let i = 0; i < 10; i++) {
+    await loginLockoutService.recordFailure(attemptFor(i));
+  }
+  assert.equal(await attemptResult(attemptFor('baru')), null);
+
+  await loginLockoutService.recordFailure(attemptFor(10));
+  assert.deepEqual(await attemptResult(attemptFor('baru')), { code: 'LOGIN_DELAYED', status: 429, retryAfter: 1 });
+
+  // Jeda IP dibatasi 60 detik
+  for (let i = 11; i < 49; i++) {
+    await loginLockoutService.recordFailure(attemptFor(i));
+  }
+  assert.equal((await attemptResult(attemptFor('baru'))).retryAfter, 60);
+
+  await loginLockoutService.recordFailure(attemptFor(49));
+  const result = await attemptResult(attemptFor('baru'));
+  assert.equal(result.code, 'IP_LOCKED');
+  assert.equal(result.status, 429);
+
+  // IP lain tidak terpengaruh
+  assert.equal(await attemptResult({ ...attemptFor('baru'), ip: nextIp() }), null);
+});
+
+test('hitungan gagal dimulai ulang setelah satu jam tanpa kegagalan', async () => {
+  const user = await createUser();
+  const attempt = { userId: user.id, identifier: user.username, ip: nextIp() };
+  const subject = `user:${user.id}`;
+
+  await failTimes(attempt, 6);
+  assert.equal((await attemptResult(attempt)).code, 'LOGIN_DELAYED');
+
+  const stale = new Date(Date.now() - 61 * 60 * 1000).toISOString();
+  await db.run(
+    'UPDATE login_attempts SET last_failure_at = ?, next_attempt_at = NULL WHERE (scope = ? AND subject = ?) OR (scope = ? AND subject = ?)',
+    [stale, 'account', subject, 'ip', attempt.ip]
+  );
+
+  // Kegagalan berikutnya menghapus data lama (deleteStale) dan dihitung sebagai kegagalan pertama
+  await loginLockoutService.recordFailure(attempt);
+  assert.equal((await loginAttemptsRepository.find('account', subject)).failures, 1);
+  assert.equal((await loginAttemptsRepository.find('ip', attempt.ip)).failures, 1);
+  assert.equal(await attemptResult(attempt), null);
+});
+
+test('deleteStale tidak menghapus kunci yang masih berlaku', async () => {
+  const user = await createUser();
+  const attempt = { userId: user.id, identifier: user.username, ip: nextIp() };
+  const subject = `user:${user.id}`;
+
+  await failTimes(attempt, 10);
+  await db.run('UPDATE login_attempts SET last_failure_at = ? WHERE scope = ? AND subject = ?', [
+    new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    'account',
+    subject
+  ]);
+
+  await loginAttemptsRepository.deleteStale(new Date(Date.now() - 60 * 60 * 1000).toISOString());
+  assert.equal((await attemptResult(attempt)).code, 'ACCOUNT_LOCKED');
+});
+
+test('recordSuccess mereset hitungan akun tetapi tidak hitungan IP', async () => {
+  const user = await createUser();
+  const attempt = { userId: user.id, identifier: user.username, ip: nextIp() };
+
+  await failTimes(attempt, 5);
+  await loginLockoutService.recordSuccess(user.id);
+
+  assert.equal(await loginAttemptsRepository.find('account', `user:${user.id}`), null);
+  assert.equal((await loginAttemptsRepository.find('ip', attempt.ip)).failures, 5);
+});
+
+test('unlock lewat email membuka kunci akun dan mencatatnya', async () => {
+  const user = await createUser();
+  const attempt = { userId: user.id, identifier: user.username, ip: nextIp() };
+
+  await failTimes(attempt, 10);
+  assert.equal(await loginLockoutService.unlock(user.id, { by: 'email', ip: attempt.ip }), true);
+  assert.equal(await attemptResult(attempt), null);
+
+  const [event] = await securityEventsRepository.findByUser(user.id);
+  assert.equal(event.type, 'account_unlocked');
+  assert.deepEqual(event.details, { by: 'email' });
+
+  // Akun yang tidak dikunci tidak menambah riwayat
+  assert.equal(await loginLockoutService.unlock(user.id, { by: 'email' }), false);
+  assert.equal((await securityEventsRepository.findByUser(user.id)).length, 2);
+});
+
+test('admin membuka kunci akun dan tautan buka kunci dari email tidak berlaku lagi', async (t) => {
+  const sent = [];
+  t.mock.method(mailService, 'sendInBackground', (mail) => sent.push(mail));
+
+  const password = 'Str0ng!Passw0rd';
+  const user = await createUser('ibu', { passwordHash: await bcrypt.hash(password, 4) });
+  await usersRepository.markEmailVerified(user.id);
+  const admin = await createUser('admin');
+
+  for (let i = 0; i < 10; i++) {
+    await assert.rejects(accountService.login({ identifier: user.username, password: 'salah', client: { ip: nextIp() } }));
+    await loginAttemptsRepository.setNextAttempt('account', `user:${user.id}`, null);
+  }
+
+  const [mail] = sent;
+  assert.equal(mail.to, user.email);
+  const token = new URL(mail.text.match(/https?:\/\/\S+unlock-account\S+/)[0]).searchParams.get('token');
+
+  assert.equal(await accountService.unlockAccountByAdmin(user.id, admin.id), true);
+
+  const [event] = await securityEventsRepository.findByUser(user.id);
+  assert.equal(event.type, 'account_unlocked');
+  assert.deepEqual(event.details, { by: 'admin', adminId: admin.id });
+
+  const { tokens } = await accountService.login({ identifier: user.username, password, client: { ip: nextIp() } });
+  assert.ok(tokens.accessToken);
+
+  await assert.rejects(accountService.unlockAccount(token), (error) => error.code === 'INVALID_UNLOCK_TOKEN');
+});
+
+test('login dengan akun yang tidak terdaftar tetap menjalankan bcrypt.compare', async (t) => {
+  const compare = t.mock.method(bcrypt, 'compare');
+
+  await assert.rejects(
+    accountService.login({ identifier: 'tidak-terdaftar', password: 'salah', client: { ip: nextIp() } }),
+    (error) => error.code === 'USER_NOT_FOUND' && error.message === 'Username atau password salah'
+  );
+
+  assert.equal(compare.mock.callCount(), 1);
+  assert.match(compare.mock.calls[0].arguments[1], /^\$2[aby]\$\d{2}\$/);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MAIL_TRANSPORT = 'smtp';
+
+const { db, migrator, repositories } = require('../helpers/database');
+const { startMailCatcher } = require('../helpers/mailCatcher');
+const { config } = require('../../src/config/environment');
+const accountService = require('../../src/services/AccountService');
+const { AccountError } = require('../../src/services/AccountService');
+const loginLockoutService = require('../../src/services/LoginLockoutService');
+
+const { usersRepository, loginAttemptsRepository } = repositories;
+
+const PASSWORD = 'Str0ng!Passw0rd';
+
+let catcher;
+let sequence = 0;
+
+/**
+ * Ambil token dari tautan di isi email teks
+ * @param {Object} mail - Email hasil parse
+ * @param {string} pathname - Path tautan, mis. /reset-password
+ * @returns {string}
+ */
+const tokenFromMail = (mail, pathname) => {
+  const link = mail.text.split(/\s+/).find((word) => word.startsWith(`${config.appUrl}${pathname}?`));
+  assert.ok(link, `Tautan ${pathname} tidak ditemukan di email`);
+
+  return new URL(link).searchParams.get('token');
+};
+
+/**
+ * Daftarkan akun orang tua baru
+ * @returns {Promise<Object>} Data pengguna
+ */
+const registerParent = async () => {
+  sequence++;
+
+  return accountService.register({
+    username: `ortu_${sequence}`,
+    email: `ortu${sequence}@example.com`,
+    password: PASSWORD,
+    name: `Ortu ${sequence}`
+  });
+};
+
+before(async () => {
+  await migrator.migrate();
+
+  catcher = await startMailCatcher();
+  config.mail.smtp.host = '127.0.0.1';
+  config.mail.smtp.port = catcher.port;
+});
+
+after(async () => {
+  await catcher.close();
+  await db.close();
+});
+
+test('registrasi mengirim email verifikasi dan tautannya mengaktifkan akun', async () => {
+  const user = await registerParent();
+  const mail = await catcher.waitForMail(user.email, 'Verifikasi email akun TRACAS');
+
+  assert.ok(config.mail.from.includes(mail.from.value[0].address));
+  assert.match(mail.html, /verify-email\?token=/);
+
+  const verified = await accountService.verifyEmail(tokenFromMail(mail, '/verify-email'));
+  assert.equal(verified.id, user.id);
+  assert.equal((await usersRepository.findById(user.id)).emailVerified, true);
+});
+
+test('reset password mengirim tautan sekali pakai dan pemberitahuan password diubah', async () => {
+  const user = await registerParent();
+
+  await accountService.requestPasswordReset(user.email);
+  const mail = await catcher.waitForMail(user.email, 'Reset password akun TRACAS');
+  const token = tokenFromMail(mail, '/reset-password');
+
+  await accountService.resetPassword(token, 'N3w!Passw0rd');
+  await catcher.waitForMail(user.email, 'Password akun TRACAS telah diubah');
+
+  await assert.rejects(
+    accountService.resetPassword(token, 'An0ther!Passw0rd'),
+    (error) => error instanceof AccountError && error.code === 'INVALID_RESET_TOKEN'
+  );
+});
+
+test('akun yang dikunci menerima email berisi tautan buka kunci', async () => {
+  const user = await registerParent();
+  await usersRepository.markEmailVerified(user.id);
+
+  let locked = false;
+
+  while (!locked) {
+    await assert.rejects(accountService.login({ identifier: user.username, password: 'salah' }));
+
+    const attempts = await loginAttemptsRepository.find('account', `user:${user.id}`);
+    locked = Boolean(attempts.lockedUntil);
+
+    // Lewati jeda antar percobaan agar test tidak menunggu
+    await loginAttemptsRepository.setNextAttempt('account', `user:${user.id}`, null);
+  }
+
+  await assert.rejects(
+    accountService.login({ identifier: user.username, password: PASSWORD }),
+    (error) => error.code === 'ACCOUNT_LOCKED'
+  );
+
+  const mail = await catcher.waitForMail(user.email, 'Akun TRACAS dikunci sementara');
+  await accountService.unlockAccount(tokenFromMail(mail, '/unlock-account'));
+
+  await loginLockoutService.assertCanAttempt({ userId: user.id, identifier: user.username });
+});
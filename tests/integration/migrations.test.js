@@ -0,0 +1,42 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, migrator } = require('../helpers/database');
+
+after(() => db.close());
+
+test('migrate menjalankan semua migrasi secara berurutan', async () => {
+  const applied = await migrator.migrate();
+  const versions = applied.map((migration) => migration.version);
+
+  assert.ok(applied.length > 0);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.deepEqual(await migrator.checkSchema(), { upToDate: true, pending: [], missing: [] });
+});
+
+test('migrate tidak menjalankan ulang migrasi yang sudah diterapkan', async () => {
+  assert.deepEqual(await migrator.migrate(), []);
+});
+
+test('rollback membatalkan migrasi terakhir dan migrate menerapkannya kembali', async () => {
+  const status = await migrator.getStatus();
+  const latest = status[status.length - 1];
+
+  const rolledBack = await migrator.rollback(1);
+  assert.deepEqual(rolledBack, [{ version: latest.version, name: latest.name }]);
+
+  const schema = await migrator.checkSchema();
+  assert.equal(schema.upToDate, false);
+  assert.deepEqual(schema.pending, [{ version: latest.version, name: latest.name }]);
+
+  assert.deepEqual(await migrator.migrate(), [{ version: latest.version, name: latest.name }]);
+  assert.equal((await migrator.checkSchema()).upToDate, true);
+});
+
+test('rollback seluruh migrasi menghapus tabel aplikasi', async () => {
+  const status = await migrator.getStatus();
+
+  await migrator.rollback(status.length);
+  assert.equal((await migrator.getStatus()).every((migration) => !migration.applied), true);
+  await assert.rejects(db.all('SELECT * FROM users'));
+  await assert.rejects(db.all('SELECT * FROM households'));
+});
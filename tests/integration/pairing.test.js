@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const { initSigningKeys } = require('../../src/security/jwt-keys');
+const { verifyToken } = require('../../src/security/jwt');
+const pairingService = require('../../src/services/PairingService');
+const { PairingError } = require('../../src/services/PairingService');
+const realtimeGateway = require('../../src/sockets');
+
+const { childrenRepository } = repositories;
+
+let deviceSequence = 0;
+
+before(async () => {
+  await migrator.migrate();
+  await initSigningKeys();
+});
+after(() => db.close());
+
+/**
+ * ID perangkat unik per test
+ * @returns {string}
+ */
+const nextDeviceId = () => `device-pairing-${++deviceSequence}`;
+
+/**
+ * Anak baru beserta kode pairing untuknya
+ * @returns {Promise<{parent: Object, child: Object, code: string}>}
+ */
+const childWithCode = async () => {
+  const parent = await createUser();
+  const child = await childrenRepository.create({ userId: parent.id, name: 'Adik' });
+  const { code } = await pairingService.createCode({ child, createdBy: parent.id, serverUrl: 'https://api.example.com' });
+
+  return { parent, child, code };
+};
+
+/**
+ * Periksa bahwa promise ditolak dengan PairingError berkode tertentu
+ * @param {Promise} promise - Promise yang diperiksa
+ * @param {string} code - Kode error yang diharapkan
+ */
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof PairingError);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('redeemCode memasangkan perangkat dan menerbitkan token perangkat untuk anak itu', async () => {
+  const { child, code } = await childWithCode();
+  const deviceId = nextDeviceId();
+
+  // Kode boleh diketik dengan huruf kecil dan spasi
+  const result = await pairingService.redeemCode({
+    code: code.toLowerCase().replace('-', ' '),
+    deviceId,
+    deviceModel: 'Pixel 7',
+    deviceOs: 'Android 14'
+  });
+
+  assert.equal(result.child.id, child.id);
+  assert.equal(result.child.deviceId, deviceId);
+  assert.equal(result.child.deviceModel, 'Pixel 7');
+  assert.match(result.tokens.refreshToken, /^dc_/);
+
+  const payload = verifyToken(result.tokens.accessToken);
+  assert.equal(payload.role, 'device');
+  assert.equal(payload.childId, child.id);
+  assert.equal(payload.deviceId, deviceId);
+});
+
+test('kode pairing hanya bisa dipakai sekali', async () => {
+  const { code } = await childWithCode();
+
+  await pairingService.redeemCode({ code, deviceId: nextDeviceId() });
+  await rejectsWithCode(pairingService.redeemCode({ code, deviceId: nextDeviceId() }), 'INVALID_PAIRING_CODE');
+});
+
+test('dua perangkat yang menebus kode yang sama bersamaan hanya satu yang berhasil', async () => {
+  const { child, code } = await childWithCode();
+  const deviceIds = [nextDeviceId(), nextDeviceId()];
+
+  const results = await Promise.allSettled(deviceIds.map((deviceId) => pairingService.redeemCode({ code, deviceId })));
+  const fulfilled = results.filter((result) => result.status === 'fulfilled');
+  const rejected = results.filter((result) => result.status === 'rejected');
+
+  assert.equal(fulfilled.length, 1);
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].reason.code, 'INVALID_PAIRING_CODE');
+  assert.equal((await childrenRepository.findById(child.id)).deviceId, fulfilled[0].value.child.deviceId);
+});
+
+test('kode pairing yang kedaluwarsa atau digantikan kode baru ditolak', async () => {
+  const { parent, child, code } = await childWithCode();
+
+  await db.run('UPDATE pairing_codes SET expires_at = ? WHERE child_id = ?', [new Date(Date.now() - 1000).toISOString(), child.id]);
+  await rejectsWithCode(pairingService.redeemCode({ code, deviceId: nextDeviceId() }), 'INVALID_PAIRING_CODE');
+
+  const first = await pairingService.createCode({ child, createdBy: parent.id, serverUrl: 'https://api.example.com' });
+  const second = await pairingService.createCode({ child, createdBy: parent.id, serverUrl: 'https://api.example.com' });
+
+  await rejectsWithCode(pairingService.redeemCode({ code: first.code, deviceId: nextDeviceId() }), 'INVALID_PAIRING_CODE');
+  assert.ok(await pairingService.redeemCode({ code: second.code, deviceId: nextDeviceId() }));
+});
+
+test('perangkat yang sudah terhubung ke anak lain ditolak dengan 409 tanpa memakai kodenya', async () => {
+  const deviceId = nextDeviceId();
+  const first = await childWithCode();
+  await pairingService.redeemCode({ code: first.code, deviceId });
+
+  const second = await childWithCode();
+  await assert.rejects(pairingService.redeemCode({ code: second.code, deviceId }), (error) => {
+    assert.equal(error.status, 409);
+    assert.equal(error.code, 'DEVICE_ALREADY_PAIRED');
+    return true;
+  });
+
+  // Kode masih berlaku untuk perangkat lain
+  const { child } = await pairingService.redeemCode({ code: second.code, deviceId: nextDeviceId() });
+  assert.equal(child.id, second.child.id);
+});
+
+test('memasangkan ulang perangkat yang sama ke anaknya sendiri diperbolehkan', async (t) => {
+  const disconnectDevice = t.mock.method(realtimeGateway, 'disconnectDevice');
+  const { parent, child, code } = await childWithCode();
+  const deviceId = nextDeviceId();
+  await pairingService.redeemCode({ code, deviceId });
+
+  const again = await pairingService.createCode({ child, createdBy: parent.id, serverUrl: 'https://api.example.com' });
+  const result = await pairingService.redeemCode({ code: again.code, deviceId });
+
+  assert.equal(result.child.deviceId, deviceId);
+  assert.equal(disconnectDevice.mock.callCount(), 0);
+});
+
+test('unpair melepas perangkat dan menolak anak tanpa perangkat', async (t) => {
+  const disconnectDevice = t.mock.method(realtimeGateway, 'disconnectDevice');
+  const { child, code } = await childWithCode();
+  const deviceId = nextDeviceId();
+  const { child: paired } = await pairingService.redeemCode({ code, deviceId });
+
+  const device = await pairingService.unpair(paired);
+  assert.equal(device.deviceId, deviceId);
+  assert.deepEqual(disconnectDevice.mock.calls.map((call) => call.arguments[0]), [child.id]);
+
+  const unpaired = await childrenRepository.findById(child.id);
+  assert.equal(unpaired.deviceId, null);
+  await rejectsWithCode(pairingService.unpair(unpaired), 'DEVICE_NOT_PAIRED');
+});
@@ -0,0 +1,209 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+
+const {
+  usersRepository,
+  householdsRepository,
+  childrenRepository,
+  locationRepository,
+  geofenceRepository,
+  notificationsRepository,
+  refreshTokensRepository
+} = repositories;
+
+before(() => migrator.migrate());
+after(() => db.close());
+
+test('usersRepository menyimpan pengguna dan mencarinya lewat username atau email', async () => {
+  const user = await createUser('ibu');
+
+  assert.equal(user.role, 'parent');
+  assert.equal(await usersRepository.usernameExists(user.username), true);
+  assert.equal(await usersRepository.emailExists(user.email), true);
+  assert.equal((await usersRepository.findByEmail(user.email)).id, user.id);
+  assert.equal((await usersRepository.findCredentialsByLogin(user.email)).id, user.id);
+});
+
+test('householdsRepository menjadikan pembuat keluarga sebagai owner dan mencegah anggota ganda', async () => {
+  const owner = await createUser();
+  const coParent = await createUser('ibu');
+  const household = await householdsRepository.create({ name: 'Keluarga Test', ownerId: owner.id });
+
+  assert.equal((await householdsRepository.findMember(household.id, owner.id)).role, 'owner');
+
+  const member = { householdId: household.id, userId: coParent.id, role: 'custom', permissions: ['child:view'] };
+  assert.equal(await householdsRepository.addMember(member), true);
+  assert.equal(await householdsRepository.addMember(member), false);
+
+  const memberships = await householdsRepository.findByMember(coParent.id);
+  assert.equal(memberships.length, 1);
+  assert.equal(memberships[0].household.id, household.id);
+  assert.deepEqual(memberships[0].member.permissions, ['child:view']);
+});
+
+test('childrenRepository menyimpan anak dalam keluarga dan menolak device ID ganda', async () => {
+  const owner = await createUser();
+  const household = await householdsRepository.create({ name: 'Keluarga Anak', ownerId: owner.id });
+  const child = await childrenRepository.create({ userId: owner.id, householdId: household.id, name: 'Adik', maxScreenTime: 120 });
+
+  assert.equal(child.householdId, household.id);
+  assert.equal(child.maxScreenTime, 120);
+  assert.deepEqual((await childrenRepository.findByHouseholds([household.id])).map((c) => c.id), [child.id]);
+
+  await childrenRepository.pairDevice(child.id, { deviceId: 'device-repo-1', deviceModel: 'Pixel', deviceOs: 'Android' });
+  assert.equal((await childrenRepository.findByDeviceId('device-repo-1')).id, child.id);
+  assert.equal(await childrenRepository.deviceIdTaken('device-repo-1'), true);
+  assert.equal(await childrenRepository.deviceIdTaken('device-repo-1', child.id), false);
+});
+
+test('childrenRepository.update hanya mengubah field yang diberikan', async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({
+    userId: owner.id,
+    name: 'Adik',
+    birthDate: '2018-04-01',
+    maxScreenTime: 120
+  });
+  await childrenRepository.pairDevice(child.id, { deviceId: 'device-repo-2', deviceModel: 'Pixel', deviceOs: 'Android' });
+
+  const renamed = await childrenRepository.update(child.id, { name: 'Adik Kecil' });
+  assert.equal(renamed.name, 'Adik Kecil');
+  assert.equal(renamed.birthDate, child.birthDate);
+  assert.equal(renamed.deviceId, 'device-repo-2');
+  assert.equal(renamed.maxScreenTime, 120);
+
+  const limited = await childrenRepository.update(child.id, { maxScreenTime: 90 });
+  assert.equal(limited.name, 'Adik Kecil');
+  assert.equal(limited.maxScreenTime, 90);
+});
+
+test('locationRepository membaca riwayat lokasi bertahap sesuai urutan waktu', async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({ userId: owner.id, name: 'Kakak', maxScreenTime: 120 });
+
+  for (let i = 0; i < 3; i++) {
+    await locationRepository.addLocation({ childId: child.id, latitude: -6.2 + i / 1000, longitude: 106.8, accuracy: 10 });
+  }
+
+  const latest = await locationRepository.findHistory(child.id, { limit: 2 });
+  assert.equal(latest.length, 2);
+  assert.equal((await locationRepository.findLastLocation(child.id)).id, latest[0].id);
+
+  const streamed = [];
+  for await (const location of locationRepository.iterateHistory(child.id)) {
+    streamed.push(location.id);
+  }
+  assert.deepEqual(streamed, [...streamed].sort((a, b) => a - b));
+  assert.equal(streamed.length, 3);
+});
+
+test('locationRepository membaca riwayat melewati batas batch tanpa duplikat atau baris terlewat', async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({ userId: owner.id, name: 'Kakak', maxScreenTime: 120 });
+  const start = Date.parse('2026-01-05T00:00:00.000Z');
+
+  // Tiga titik berbagi timestamp yang sama, jadi batas batch 500 jatuh di tengah timestamp yang sama
+  for (let i = 0; i < 1001; i++) {
+    await db.run(
+      'INSERT INTO location_history (child_id, latitude, longitude, accuracy, timestamp) VALUES (?, ?, ?, ?, ?)',
+      [child.id, -6.2, 106.8, 10, new Date(start + Math.floor(i / 3) * 1000).toISOString()]
+    );
+  }
+
+  const inserted = (await db.all('SELECT id FROM location_history WHERE child_id = ? ORDER BY id', [child.id])).map((row) => row.id);
+
+  const collect = async (filter) => {
+    const ids = [];
+    for await (const location of locationRepository.iterateHistory(child.id, filter)) {
+      ids.push(location.id);
+    }
+    return ids;
+  };
+
+  assert.deepEqual(await collect(), inserted);
+  assert.deepEqual(await collect({ limit: 500 }), inserted.slice(0, 500));
+  assert.deepEqual(await collect({ limit: 501 }), inserted.slice(0, 501));
+  assert.deepEqual(await collect({ limit: 1000 }), inserted.slice(0, 1000));
+});
+
+test('locationRepository menyimpan bentuk dan jadwal zona aman sebagai JSON', async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({ userId: owner.id, name: 'Adik', maxScreenTime: 120 });
+  const schedule = { timezone: 'Asia/Jakarta', windows: [{ days: [1, 2, 3, 4, 5], startTime: '07:00', endTime: '14:00' }] };
+
+  const zone = await locationRepository.createSafeZone({
+    childId: child.id,
+    name: 'Sekolah',
+    latitude: -6.2,
+    longitude: 106.8,
+    radius: 200,
+    schedule
+  });
+
+  assert.deepEqual(zone.schedule, schedule);
+  assert.ok((await locationRepository.findScheduledSafeZones()).some((z) => z.id === zone.id));
+
+  const renamed = await locationRepository.updateSafeZone(zone.id, { ...zone, name: 'SD Negeri' });
+  assert.equal(renamed.name, 'SD Negeri');
+  assert.equal(await locationRepository.deleteSafeZone(zone.id), true);
+  assert.equal(await locationRepository.findSafeZoneById(zone.id), null);
+});
+
+test('geofenceRepository menimpa status anak per zona', async () => {
+  const owner = await createUser();
+  const child = await childrenRepository.create({ userId: owner.id, name: 'Adik', maxScreenTime: 120 });
+  const zone = await locationRepository.createSafeZone({ childId: child.id, name: 'Rumah', latitude: -6.2, longitude: 106.8, radius: 100 });
+
+  await geofenceRepository.saveState({ childId: child.id, zoneId: zone.id, state: 'outside' });
+  await geofenceRepository.saveState({ childId: child.id, zoneId: zone.id, state: 'inside', enteredAt: '2026-01-05T00:00:00.000Z' });
+
+  const states = await geofenceRepository.findStatesByChild(child.id);
+  assert.equal(states.length, 1);
+  assert.equal(states[0].state, 'inside');
+  assert.equal((await geofenceRepository.findState(child.id, zone.id)).enteredAt, '2026-01-05T00:00:00.000Z');
+
+  const event = await geofenceRepository.createEvent({
+    childId: child.id,
+    zoneId: zone.id,
+    zoneName: zone.name,
+    type: 'enter',
+    latitude: -6.2,
+    longitude: 106.8,
+    accuracy: 10
+  });
+  assert.equal(event.severity, 'low');
+  assert.deepEqual((await geofenceRepository.findEvents(child.id, { zoneId: zone.id })).map((e) => e.id), [event.id]);
+});
+
+test('notificationsRepository menyimpan notifikasi untuk setiap penerima', async () => {
+  const first = await createUser();
+  const second = await createUser('ibu');
+
+  await notificationsRepository.createForUsers([first.id, second.id], {
+    title: 'Tiba di Sekolah',
+    message: 'Adik tiba di Sekolah',
+    type: 'safe_zone_enter'
+  });
+
+  for (const user of [first, second]) {
+    const [notification] = await notificationsRepository.findByUser(user.id);
+    assert.equal(notification.title, 'Tiba di Sekolah');
+    assert.equal(notification.type, 'safe_zone_enter');
+    assert.equal(notification.isRead, false);
+  }
+});
+
+test('refreshTokensRepository mencabut sesi lain tanpa menyentuh sesi yang dikecualikan', async () => {
+  const user = await createUser();
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  await refreshTokensRepository.createFamily({ familyId: 'family-keep', userId: user.id, expiresAt });
+  await refreshTokensRepository.createFamily({ familyId: 'family-drop', userId: user.id, expiresAt });
+
+  await refreshTokensRepository.revokeFamiliesByUser(user.id, 'logout_others', 'family-keep');
+
+  const active = await refreshTokensRepository.findActiveByUser(user.id);
+  assert.deepEqual(active.map((family) => family.familyId), ['family-keep']);
+  assert.equal((await refreshTokensRepository.findFamily('family-drop')).revokedReason, 'logout_others');
+});
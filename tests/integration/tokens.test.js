@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const { mockRequest, runMiddleware } = require('../helpers/http');
+const { initSigningKeys } = require('../../src/security/jwt-keys');
+const { verifyToken } = require('../../src/security/jwt');
+const tokenService = require('../../src/services/TokenService');
+const { TokenError } = require('../../src/services/TokenService');
+const { authenticate } = require('../../src/middlewares/auth.middleware');
+const realtimeGateway = require('../../src/sockets');
+
+const { refreshTokensRepository } = repositories;
+
+before(async () => {
+  await migrator.migrate();
+  await initSigningKeys();
+});
+after(() => db.close());
+
+/**
+ * Periksa bahwa promise ditolak dengan TokenError berkode tertentu
+ * @param {Promise} promise - Promise yang diperiksa
+ * @param {string} code - Kode error yang diharapkan
+ */
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof TokenError);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('rotate menerbitkan pasangan token baru dalam sesi yang sama', async () => {
+  const user = await createUser();
+  const first = await tokenService.createSession(user, 'device-1', { userAgent: 'test', ip: '127.0.0.1' });
+
+  const second = await tokenService.rotate(first.refreshToken);
+  const { sid } = verifyToken(first.refreshToken);
+
+  assert.equal(verifyToken(second.refreshToken).sid, sid);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+
+  const result = await runMiddleware(authenticate(), mockRequest({ token: second.accessToken }));
+  assert.equal(result.passed, true);
+  assert.equal(result.req.userId, user.id);
+});
+
+test('refresh token yang dipakai ulang mencabut seluruh sesi dan memutus socket-nya', async (t) => {
+  const disconnectSession = t.mock.method(realtimeGateway, 'disconnectSession');
+  const user = await createUser();
+  const first = await tokenService.createSession(user, 'device-1');
+  const { sid } = verifyToken(first.refreshToken);
+
+  const second = await tokenService.rotate(first.refreshToken);
+
+  await rejectsWithCode(tokenService.rotate(first.refreshToken), 'REFRESH_TOKEN_REUSED');
+
+  const family = await refreshTokensRepository.findFamily(sid);
+  assert.ok(family.revokedAt);
+  assert.equal(family.revokedReason, 'reuse_detected');
+  assert.deepEqual(disconnectSession.mock.calls.map((call) => call.arguments[0]), [sid]);
+
+  // Refresh token terbaru dalam sesi itu ikut tidak berlaku
+  await rejectsWithCode(tokenService.rotate(second.refreshToken), 'SESSION_REVOKED');
+});
+
+test('authenticate menolak access token dari sesi yang sudah dicabut', async () => {
+  const user = await createUser();
+  const first = await tokenService.createSession(user, 'device-1');
+  const second = await tokenService.rotate(first.refreshToken);
+
+  await assert.rejects(tokenService.rotate(first.refreshToken));
+
+  for (const { accessToken } of [first, second]) {
+    const result = await runMiddleware(authenticate(), mockRequest({ token: accessToken }));
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 401);
+    assert.equal(result.body.code, 'TOKEN_REVOKED');
+  }
+});
+
+test('pencabutan satu sesi tidak memengaruhi sesi lain milik pengguna yang sama', async () => {
+  const user = await createUser();
+  const stolen = await tokenService.createSession(user, 'device-1');
+  const other = await tokenService.createSession(user, 'device-2');
+
+  await tokenService.rotate(stolen.refreshToken);
+  await assert.rejects(tokenService.rotate(stolen.refreshToken));
+
+  const result = await runMiddleware(authenticate(), mockRequest({ token: other.accessToken }));
+  assert.equal(result.passed, true);
+  assert.ok(await tokenService.rotate(other.refreshToken));
+});
+
+test('authenticate menolak refresh token dan access token yang dicabut saat logout', async (t) => {
+  const user = await createUser();
+  const tokens = await tokenService.createSession(user, 'device-1');
+
+  const refresh = await runMiddleware(authenticate(), mockRequest({ token: tokens.refreshToken }));
+  assert.equal(refresh.status, 401);
+  assert.equal(refresh.body.code, 'INVALID_TOKEN');
+
+  const disconnectSession = t.mock.method(realtimeGateway, 'disconnectSession');
+  await tokenService.revokeSession(verifyToken(tokens.accessToken));
+  assert.equal(disconnectSession.mock.callCount(), 1);
+
+  const revoked = await runMiddleware(authenticate(), mockRequest({ token: tokens.accessToken }));
+  assert.equal(revoked.body.code, 'TOKEN_REVOKED');
+  await rejectsWithCode(tokenService.rotate(tokens.refreshToken), 'SESSION_REVOKED');
+});
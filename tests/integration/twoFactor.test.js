@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const speakeasy = require('speakeasy');
+const { db, migrator, repositories, createUser } = require('../helpers/database');
+const twoFactorService = require('../../src/services/TwoFactorService');
+const { TwoFactorError } = require('../../src/services/TwoFactorService');
+
+const { twoFactorRepository } = repositories;
+
+const PASSWORD = 'Rahasia!2026';
+
+let passwordHash;
+
+before(async () => {
+  await migrator.migrate();
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+after(() => db.close());
+
+/**
+ * Kode TOTP untuk secret pada time step tertentu relatif terhadap sekarang
+ * @param {string} secret - Secret base32 dari startEnrollment
+ * @param {number} stepOffset - Selisih time step (30 detik) dari sekarang
+ * @returns {string}
+ */
+const totp = (secret, stepOffset = 0) => speakeasy.totp({
+  secret,
+  encoding: 'base32',
+  time: Math.floor(Date.now() / 1000) + stepOffset * 30
+});
+
+/**
+ * Periksa bahwa promise ditolak dengan TwoFactorError berkode tertentu
+ * @param {Promise} promise - Promise yang diperiksa
+ * @param {string} code - Kode error yang diharapkan
+ */
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof TwoFactorError);
+  assert.equal(error.code, code);
+  return true;
+});
+
+/**
+ * Buat pengguna dengan 2FA aktif
+ * @returns {Promise<{user: Object, secret: string, backupCodes: string[]}>}
+ */
+const enrolledUser = async () => {
+  const user = await createUser('ayah', { passwordHash });
+  const { secret } = await twoFactorService.startEnrollment(user);
+  const { backupCodes } = await twoFactorService.confirmEnrollment(user.id, totp(secret), null);
+
+  return { user, secret, backupCodes };
+};
+
+test('confirmEnrollment mengaktifkan 2FA dan memberikan backup code', async () => {
+  const { user, secret, backupCodes } = await enrolledUser();
+
+  assert.equal(await twoFactorService.isEnabled(user.id), true);
+  assert.equal(backupCodes.length, 10);
+  assert.equal((await twoFactorService.getStatus(user.id)).backupCodesRemaining, 10);
+
+  await rejectsWithCode(twoFactorService.startEnrollment(user), 'TWO_FACTOR_ALREADY_ENABLED');
+  await rejectsWithCode(twoFactorService.confirmEnrollment(user.id, totp(secret, 1), null), 'TWO_FACTOR_ALREADY_ENABLED');
+});
+
+test('confirmEnrollment menolak kode yang salah dan tidak mengaktifkan 2FA', async () => {
+  const user = await createUser();
+  const { secret } = await twoFactorService.startEnrollment(user);
+  const wrong = String((Number(totp(secret)) + 1) % 1000000).padStart(6, '0');
+
+  await rejectsWithCode(twoFactorService.confirmEnrollment(user.id, wrong, null), 'INVALID_TWO_FACTOR_CODE');
+  assert.equal(await twoFactorService.isEnabled(user.id), false);
+});
+
+test('kode TOTP dari time step yang sudah dipakai ditolak', async () => {
+  const { user, secret } = await enrolledUser();
+  const twoFactor = await twoFactorRepository.findByUser(user.id);
+
+  // Kode yang sama dengan kode konfirmasi
+  assert.equal(await twoFactorService.verifyTotp(twoFactor, totp(secret)), false);
+
+  // Kode time step berikutnya diterima sekali, lalu kode time step sebelumnya tidak lagi berlaku
+  const next = totp(secret, 1);
+  assert.equal(await twoFactorService.verifyTotp(twoFactor, next), true);
+  assert.equal(await twoFactorService.verifyTotp(twoFactor, next), false);
+  assert.equal(await twoFactorService.verifyTotp(twoFactor, totp(secret)), false);
+});
+
+test('tantangan login dibatalkan setelah 5 kode salah', async () => {
+  const { user, backupCodes } = await enrolledUser();
+  const { challengeToken } = await twoFactorService.createChallenge(user, { deviceId: 'device-1' });
+
+  for (let i = 0; i < 5; i++) {
+    await rejectsWithCode(twoFactorService.redeemChallenge(challengeToken, '000000'), 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  // Kode yang benar pun tidak lagi diterima untuk tantangan ini
+  await rejectsWithCode(twoFactorService.redeemChallenge(challengeToken, backupCodes[0]), 'INVALID_CHALLENGE');
+  assert.equal(await twoFactorService.findChallenge(challengeToken), null);
+});
+
+test('tantangan login masih bisa ditukar setelah 4 kode salah, tetapi hanya sekali', async () => {
+  const { user, backupCodes } = await enrolledUser();
+  const { challengeToken } = await twoFactorService.createChallenge(user, { deviceId: 'device-1', ip: '127.0.0.1' });
+
+  for (let i = 0; i < 4; i++) {
+    await rejectsWithCode(twoFactorService.redeemChallenge(challengeToken, '000000'), 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const challenge = await twoFactorService.redeemChallenge(challengeToken, backupCodes[0]);
+  assert.equal(challenge.userId, user.id);
+  assert.equal(challenge.deviceId, 'device-1');
+
+  await rejectsWithCode(twoFactorService.redeemChallenge(challengeToken, backupCodes[1]), 'INVALID_CHALLENGE');
+});
+
+test('backup code hanya bisa dipakai sekali', async () => {
+  const { user, backupCodes } = await enrolledUser();
+
+  const first = await twoFactorService.createChallenge(user);
+  await twoFactorService.redeemChallenge(first.challengeToken, backupCodes[0].toUpperCase());
+  assert.equal((await twoFactorService.getStatus(user.id)).backupCodesRemaining, 9);
+
+  const second = await twoFactorService.createChallenge(user);
+  await rejectsWithCode(twoFactorService.redeemChallenge(second.challengeToken, backupCodes[0]), 'INVALID_TWO_FACTOR_CODE');
+  assert.equal((await twoFactorService.getStatus(user.id)).backupCodesRemaining, 9);
+});
+
+test('disable membutuhkan password dan kode yang benar lalu menghapus 2FA', async () => {
+  const { user, secret, backupCodes } = await enrolledUser();
+
+  await rejectsWithCode(twoFactorService.disable(user.id, 'salah', totp(secret, 1)), 'INVALID_PASSWORD');
+  await rejectsWithCode(twoFactorService.disable(user.id, PASSWORD, '000000'), 'INVALID_TWO_FACTOR_CODE');
+  assert.equal(await twoFactorService.isEnabled(user.id), true);
+
+  await twoFactorService.disable(user.id, PASSWORD, backupCodes[0]);
+
+  assert.deepEqual(await twoFactorService.getStatus(user.id), { enabled: false, enabledAt: null, backupCodesRemaining: 0 });
+  await rejectsWithCode(twoFactorService.disable(user.id, PASSWORD, backupCodes[1]), 'TWO_FACTOR_NOT_ENABLED');
+
+  // Tantangan baru untuk pengguna tanpa 2FA tidak bisa ditukar dengan backup code lama
+  const { challengeToken } = await twoFactorService.createChallenge(user);
+  await rejectsWithCode(twoFactorService.redeemChallenge(challengeToken, backupCodes[1]), 'INVALID_TWO_FACTOR_CODE');
+});
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDistance, distanceToZone, isInsideZone, validateZoneShape, zoneReferencePoint } = require('../../src/utils/geo');
+
+// Satu derajat latitude dalam meter pada radius bumi yang dipakai geo.js
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+/**
+ * Periksa bahwa dua jarak hampir sama
+ * @param {number} actual - Jarak yang dihitung
+ * @param {number} expected - Jarak yang diharapkan
+ * @param {number} tolerance - Selisih maksimal (meter)
+ */
+const assertMeters = (actual, expected, tolerance = 0.5) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} m, got ${actual} m`);
+};
+
+// Halaman sekolah kira-kira 1,1 km x 1,1 km dengan lapangan di tengah yang tidak termasuk zona
+const SCHOOL_YARD = {
+  type: 'polygon',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [
+      [[106.80, -6.21], [106.81, -6.21], [106.81, -6.20], [106.80, -6.20], [106.80, -6.21]],
+      [[106.804, -6.206], [106.806, -6.206], [106.806, -6.204], [106.804, -6.204], [106.804, -6.206]]
+    ]
+  }
+};
+
+const WALK_HOME = {
+  type: 'corridor',
+  bufferWidth: 50,
+  geometry: { type: 'LineString', coordinates: [[106.80, -6.20], [106.81, -6.20]] }
+};
+
+test('calculateDistance menghitung jarak Haversine dalam meter', () => {
+  assert.equal(calculateDistance(-6.2, 106.8, -6.2, 106.8), 0);
+  assertMeters(calculateDistance(-6.2, 106.8, -6.21, 106.8), 0.01 * METERS_PER_DEGREE);
+});
+
+test('distanceToZone circle bernilai negatif di dalam radius dan positif di luar', () => {
+  const zone = { type: 'circle', latitude: -6.2, longitude: 106.8, radius: 100 };
+
+  assert.equal(distanceToZone(zone, -6.2, 106.8), -100);
+  assertMeters(distanceToZone(zone, -6.2 - 150 / METERS_PER_DEGREE, 106.8), 50);
+  assert.equal(isInsideZone(zone, -6.2 - 99 / METERS_PER_DEGREE, 106.8), true);
+});
+
+test('distanceToZone polygon memakai jarak ke batas terdekat', () => {
+  // 0,001 derajat dari sisi selatan, lebih dekat daripada sisi lain dan lubang
+  assertMeters(distanceToZone(SCHOOL_YARD, -6.209, 106.803), -0.001 * METERS_PER_DEGREE, 1);
+  assertMeters(distanceToZone(SCHOOL_YARD, -6.215, 106.805), 0.005 * METERS_PER_DEGREE, 1);
+});
+
+test('distanceToZone polygon menganggap lubang sebagai di luar zona', () => {
+  const distance = distanceToZone(SCHOOL_YARD, -6.205, 106.805);
+
+  assert.ok(distance > 0);
+  assertMeters(distance, 0.001 * METERS_PER_DEGREE, 1);
+  assert.equal(isInsideZone(SCHOOL_YARD, -6.205, 106.805), false);
+});
+
+test('titik tepat di batas polygon, termasuk batas lubang, dianggap di dalam zona', () => {
+  const edges = [
+    [-6.21, 106.805],
+    [-6.205, 106.81],
+    [-6.205, 106.80],
+    [-6.21, 106.80],
+    [-6.205, 106.804]
+  ];
+
+  for (const [latitude, longitude] of edges) {
+    assert.equal(Math.abs(distanceToZone(SCHOOL_YARD, latitude, longitude)), 0, `${latitude},${longitude}`);
+    assert.equal(isInsideZone(SCHOOL_YARD, latitude, longitude), true, `${latitude},${longitude}`);
+  }
+});
+
+test('distanceToZone corridor adalah jarak ke garis dikurangi bufferWidth', () => {
+  assert.equal(distanceToZone(WALK_HOME, -6.2, 106.805), -50);
+  assertMeters(distanceToZone(WALK_HOME, -6.2003, 106.805), 0.0003 * METERS_PER_DEGREE - 50);
+  assertMeters(distanceToZone(WALK_HOME, -6.2005, 106.805), 0.0005 * METERS_PER_DEGREE - 50);
+  assert.equal(isInsideZone(WALK_HOME, -6.2005, 106.805), false);
+
+  // Melewati ujung garis jarak diukur ke titik ujung, bukan ke perpanjangan garis
+  assert.ok(distanceToZone(WALK_HOME, -6.2, 106.8106) > 0);
+  assert.equal(isInsideZone(WALK_HOME, -6.2, 106.8103), true);
+});
+
+test('validateZoneShape menerima circle, polygon berlubang, dan corridor yang valid', () => {
+  assert.equal(validateZoneShape({ type: 'circle', latitude: -6.2, longitude: 106.8, radius: 100 }), null);
+  assert.equal(validateZoneShape(SCHOOL_YARD), null);
+  assert.equal(validateZoneShape(WALK_HOME), null);
+});
+
+test('validateZoneShape menolak ring polygon yang tidak tertutup atau terlalu pendek', () => {
+  const polygon = (...rings) => ({ type: 'polygon', geometry: { type: 'Polygon', coordinates: rings } });
+
+  assert.match(
+    validateZoneShape(polygon([[106.80, -6.21], [106.81, -6.21], [106.81, -6.20], [106.80, -6.20]])),
+    /harus tertutup/
+  );
+
+  // Ring yang menutup dirinya sendiri dengan tiga posisi tidak memiliki luas
+  assert.match(validateZoneShape(polygon([[106.80, -6.21], [106.81, -6.21], [106.80, -6.21]])), /minimal 4 posisi/);
+
+  assert.match(
+    validateZoneShape(polygon(SCHOOL_YARD.geometry.coordinates[0], [[106.804, -6.206], [106.806, -6.206], [106.804, -6.206]])),
+    /minimal 4 posisi/
+  );
+  assert.match(
+    validateZoneShape(polygon([[106.80, -6.21], [186.81, -6.21], [106.81, -6.20], [106.80, -6.21]])),
+    /minimal 4 posisi/
+  );
+  assert.match(validateZoneShape(polygon()), /bertipe Polygon/);
+  assert.match(validateZoneShape({ type: 'polygon', geometry: { type: 'LineString', coordinates: [] } }), /bertipe Polygon/);
+});
+
+test('validateZoneShape menolak corridor, circle, dan jenis zona yang tidak valid', () => {
+  assert.match(validateZoneShape({ ...WALK_HOME, bufferWidth: 0 }), /Lebar buffer/);
+  assert.match(validateZoneShape({ ...WALK_HOME, bufferWidth: 5001 }), /Lebar buffer/);
+  assert.match(
+    validateZoneShape({ ...WALK_HOME, geometry: { type: 'LineString', coordinates: [[106.80, -6.20]] } }),
+    /LineString/
+  );
+  assert.match(validateZoneShape({ type: 'circle', latitude: -96, longitude: 106.8, radius: 100 }), /Koordinat pusat/);
+  assert.match(validateZoneShape({ type: 'circle', latitude: -6.2, longitude: 106.8, radius: 0 }), /Radius/);
+  assert.match(validateZoneShape({ type: 'hexagon' }), /Jenis zona tidak valid/);
+});
+
+test('zoneReferencePoint tidak menghitung posisi penutup ring dua kali', () => {
+  const point = zoneReferencePoint(SCHOOL_YARD.geometry);
+
+  assertMeters(point.latitude * METERS_PER_DEGREE, -6.205 * METERS_PER_DEGREE, 0.01);
+  assertMeters(point.longitude * METERS_PER_DEGREE, 106.805 * METERS_PER_DEGREE, 0.01);
+});
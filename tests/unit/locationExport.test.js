@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS } = require('../../src/utils/locationExport');
+
+const child = { id: 7, name: 'Adik & "Kakak" <3' };
+
+const locations = [
+  { latitude: -6.2, longitude: 106.8, accuracy: 12.5, timestamp: '2026-01-05T01:00:00.000Z' },
+  // PostgreSQL mengembalikan timestamp sebagai Date dan accuracy boleh kosong
+  { latitude: -6.21, longitude: 106.81, accuracy: null, timestamp: new Date('2026-01-05T01:05:00.000Z') }
+];
+
+/**
+ * Susun file ekspor lengkap seperti yang ditulis ke response
+ * @param {string} format - Kunci EXPORT_FORMATS
+ * @param {Object[]} rows - Titik lokasi
+ * @returns {string}
+ */
+const render = (format, rows = locations) => {
+  const writer = EXPORT_FORMATS[format];
+  return writer.header(child) + rows.map((location, index) => writer.row(location, index)).join('') + writer.footer();
+};
+
+test('gpx menulis satu trkpt per titik dengan waktu UTC dan accuracy opsional', () => {
+  const gpx = render('gpx');
+
+  assert.ok(gpx.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+  assert.ok(gpx.includes('<name>Adik &amp; &quot;Kakak&quot; &lt;3</name>'));
+  assert.equal(gpx.match(/<trkpt /g).length, 2);
+  assert.ok(gpx.includes('<trkpt lat="-6.2" lon="106.8"><time>2026-01-05T01:00:00.000Z</time>' +
+    '<extensions><tracas:accuracy>12.5</tracas:accuracy></extensions></trkpt>'));
+  assert.ok(gpx.includes('<trkpt lat="-6.21" lon="106.81"><time>2026-01-05T01:05:00.000Z</time></trkpt>'));
+  assert.ok(gpx.trimEnd().endsWith('</trkseg></trk>\n</gpx>'));
+});
+
+test('kml menulis koordinat dengan urutan longitude,latitude', () => {
+  const kml = render('kml');
+
+  assert.ok(kml.includes('<Document><name>Adik &amp; &quot;Kakak&quot; &lt;3</name>'));
+  assert.equal(kml.match(/<Placemark>/g).length, 2);
+  assert.ok(kml.includes('<Point><coordinates>106.8,-6.2</coordinates></Point>'));
+  assert.ok(kml.includes('<ExtendedData><Data name="accuracy"><value>12.5</value></Data></ExtendedData>'));
+  assert.ok(kml.includes('<TimeStamp><when>2026-01-05T01:05:00.000Z</when></TimeStamp><Point>'));
+  assert.ok(kml.trimEnd().endsWith('</Document>\n</kml>'));
+});
+
+test('geojson menghasilkan FeatureCollection yang valid', () => {
+  const collection = JSON.parse(render('geojson'));
+
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.features, [
+    {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [106.8, -6.2] },
+      properties: { timestamp: '2026-01-05T01:00:00.000Z', accuracy: 12.5 }
+    },
+    {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [106.81, -6.21] },
+      properties: { timestamp: '2026-01-05T01:05:00.000Z', accuracy: null }
+    }
+  ]);
+
+  assert.deepEqual(JSON.parse(render('geojson', [])).features, []);
+});
+
+test('csv menulis header dan satu baris per titik', () => {
+  assert.equal(render('csv'), [
+    'timestamp,latitude,longitude,accuracy',
+    '2026-01-05T01:00:00.000Z,-6.2,106.8,12.5',
+    '2026-01-05T01:05:00.000Z,-6.21,106.81,',
+    ''
+  ].join('\n'));
+});
+
+test('setiap format ekspor memiliki content type', () => {
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([format, writer]) => [format, writer.contentType])),
+    {
+      gpx: 'application/gpx+xml',
+      kml: 'application/vnd.google-earth.kml+xml',
+      geojson: 'application/geo+json',
+      csv: 'text/csv; charset=utf-8'
+    }
+  );
+});
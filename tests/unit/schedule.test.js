@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchedule, activeWindow } = require('../../src/utils/schedule');
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Jendela jadwal yang berlangsung pada waktu tertentu, dalam ISO 8601
+ * @param {Object} schedule - Jadwal
+ * @param {string} now - Waktu pemeriksaan (ISO 8601)
+ * @returns {{startsAt: string, endsAt: string}|null}
+ */
+const windowAt = (schedule, now) => {
+  const window = activeWindow(schedule, new Date(now));
+  return window && { startsAt: window.startsAt.toISOString(), endsAt: window.endsAt.toISOString() };
+};
+
+test('activeWindow membaca jam di zona waktu jadwal, bukan zona waktu server', () => {
+  const school = { timezone: 'Asia/Jakarta', windows: [{ days: WEEKDAYS, startTime: '07:00', endTime: '14:00' }] };
+
+  // Senin 19 Oktober 2026 08:00 WIB (UTC+7)
+  assert.deepEqual(windowAt(school, '2026-10-19T01:00:00.000Z'), {
+    startsAt: '2026-10-19T00:00:00.000Z',
+    endsAt: '2026-10-19T07:00:00.000Z'
+  });
+
+  // Batas awal termasuk jendela, batas akhir tidak
+  assert.notEqual(windowAt(school, '2026-10-19T00:00:00.000Z'), null);
+  assert.equal(windowAt(school, '2026-10-19T07:00:00.000Z'), null);
+  assert.equal(windowAt(school, '2026-10-18T23:59:00.000Z'), null);
+
+  // Minggu tidak termasuk hari jadwal
+  assert.equal(windowAt(school, '2026-10-18T01:00:00.000Z'), null);
+
+  // Jam yang sama di WITA (UTC+8) dimulai satu jam lebih awal dalam UTC
+  assert.deepEqual(windowAt({ ...school, timezone: 'Asia/Makassar' }, '2026-10-19T01:00:00.000Z'), {
+    startsAt: '2026-10-18T23:00:00.000Z',
+    endsAt: '2026-10-19T06:00:00.000Z'
+  });
+});
+
+test('activeWindow memakai Asia/Jakarta jika jadwal tidak menyebut zona waktu', () => {
+  const schedule = { windows: [{ days: WEEKDAYS, startTime: '07:00', endTime: '14:00' }] };
+
+  assert.equal(windowAt(schedule, '2026-10-19T01:00:00.000Z').startsAt, '2026-10-19T00:00:00.000Z');
+});
+
+test('activeWindow melanjutkan jendela semalam ke hari berikutnya', () => {
+  // Senin 22:00 sampai Selasa 06:00 WIB
+  const night = { timezone: 'Asia/Jakarta', windows: [{ days: [1], startTime: '22:00', endTime: '06:00' }] };
+  const expected = { startsAt: '2026-10-19T15:00:00.000Z', endsAt: '2026-10-19T23:00:00.000Z' };
+
+  assert.deepEqual(windowAt(night, '2026-10-19T15:30:00.000Z'), expected);
+  assert.deepEqual(windowAt(night, '2026-10-19T22:59:00.000Z'), expected);
+  assert.equal(windowAt(night, '2026-10-19T23:00:00.000Z'), null);
+  assert.equal(windowAt(night, '2026-10-19T14:59:00.000Z'), null);
+
+  // Minggu malam tidak termasuk, jadi Senin dini hari juga tidak
+  assert.equal(windowAt(night, '2026-10-18T20:00:00.000Z'), null);
+});
+
+test('activeWindow memberi awal jendela yang sama sepanjang jendela yang melewati awal DST', () => {
+  // 8 Maret 2026 pukul 02:00 EST jam New York maju ke 03:00 EDT
+  const schedule = { timezone: 'America/New_York', windows: [{ days: EVERY_DAY, startTime: '01:00', endTime: '04:00' }] };
+  const expected = { startsAt: '2026-03-08T06:00:00.000Z', endsAt: '2026-03-08T08:00:00.000Z' };
+
+  assert.deepEqual(windowAt(schedule, '2026-03-08T06:30:00.000Z'), expected);
+  assert.deepEqual(windowAt(schedule, '2026-03-08T07:30:00.000Z'), expected);
+  assert.equal(windowAt(schedule, '2026-03-08T08:00:00.000Z'), null);
+});
+
+test('activeWindow memberi awal jendela yang sama sepanjang jendela yang melewati akhir DST', () => {
+  // 1 November 2026 pukul 02:00 EDT jam New York mundur ke 01:00 EST
+  const schedule = { timezone: 'America/New_York', windows: [{ days: EVERY_DAY, startTime: '01:00', endTime: '04:00' }] };
+  const expected = { startsAt: '2026-11-01T05:00:00.000Z', endsAt: '2026-11-01T09:00:00.000Z' };
+
+  assert.deepEqual(windowAt(schedule, '2026-11-01T05:30:00.000Z'), expected);
+  assert.deepEqual(windowAt(schedule, '2026-11-01T06:30:00.000Z'), expected);
+  assert.deepEqual(windowAt(schedule, '2026-11-01T08:30:00.000Z'), expected);
+  assert.equal(windowAt(schedule, '2026-11-01T09:00:00.000Z'), null);
+});
+
+test('validateSchedule menerima jadwal yang valid, termasuk jendela semalam', () => {
+  assert.equal(validateSchedule({ windows: [{ days: WEEKDAYS, startTime: '07:00', endTime: '14:00' }] }), null);
+  assert.equal(validateSchedule({
+    timezone: 'Asia/Makassar',
+    windows: [{ days: [0, 6], startTime: '22:00', endTime: '06:00' }]
+  }), null);
+});
+
+test('validateSchedule menolak jadwal yang tidak valid', () => {
+  const window = { days: WEEKDAYS, startTime: '07:00', endTime: '14:00' };
+
+  assert.match(validateSchedule(null), /minimal satu jendela/);
+  assert.match(validateSchedule({ windows: [] }), /minimal satu jendela/);
+  assert.match(validateSchedule({ windows: Array(21).fill(window) }), /maksimal 20/);
+  assert.match(validateSchedule({ timezone: 'Asia/Atlantis', windows: [window] }), /Zona waktu/);
+  assert.match(validateSchedule({ windows: [{ ...window, days: [] }] }), /Hari jadwal/);
+  assert.match(validateSchedule({ windows: [{ ...window, days: [7] }] }), /Hari jadwal/);
+  assert.match(validateSchedule({ windows: [{ ...window, days: ['1'] }] }), /Hari jadwal/);
+  assert.match(validateSchedule({ windows: [{ ...window, startTime: '7:00' }] }), /HH:MM/);
+  assert.match(validateSchedule({ windows: [{ ...window, endTime: '24:00' }] }), /HH:MM/);
+  assert.match(validateSchedule({ windows: [{ ...window, endTime: '07:00' }] }), /tidak boleh sama/);
+});